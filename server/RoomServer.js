@@ -0,0 +1,515 @@
+// server/RoomServer.js - WebSocket room server running one authoritative GameEngine per room
+import { randomUUID, randomInt } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { terminal } from 'virtual:terminal';
+import {
+  ROOM_OPS,
+  applyRoomOp,
+  createRoomCode,
+  normalizeRoomCode,
+  encodeMessage,
+  decodeMessage
+} from '../src/utils/RoomProtocol.js';
+
+/**
+ * Engine factories for games that can be hosted in a room.
+ * Only the engines are loaded - interfaces need a browser.
+ */
+export const ROOM_ENGINES = {
+  'simple-ar': async () => {
+    const { SimpleGameEngine } = await import('../src/games/SimpleARGame.js');
+    return new SimpleGameEngine('simple-ar');
+  },
+  'uno-ar': async () => {
+    const { UnoGameEngine } = await import('../src/games/UnoARGame.js');
+    return new UnoGameEngine('uno-ar');
+  },
+  'poker-ar': async () => {
+    const { PokerGameEngine } = await import('../src/games/PokerARGame.js');
+    return new PokerGameEngine('poker-ar');
+  }
+};
+
+const DEFAULT_MAX_PLAYERS = 8;
+const DEFAULT_TICK_INTERVAL = 50; // ms between clock updates sent to replicas
+
+/**
+ * One game room - its members, the engine and the operation log that built it
+ */
+export class Room {
+  constructor(code, gameId, engine, config = {}) {
+    this.code = code;
+    this.gameId = gameId;
+    this.engine = engine;
+    this.config = config;
+    this.seed = randomInt(2 ** 31);
+    // Games with hands only the server sees the whole of - members get their own view instead of the log
+    this.hidesState = engine.hasPrivateState();
+    this.members = new Map(); // playerId -> { playerId, name, token, socket, player }
+    this.hostId = null;
+    this.log = [];
+    this.started = false;
+    this.expiryTimer = null;
+    this.clockTimer = null;
+    this.capturedEvents = null;
+
+    this.engine.on('*', (data, event) => this.onEngineEvent(event, data));
+    terminal.log(`[Room:${code}] Created for game:`, gameId);
+  }
+
+  onEngineEvent(event, data) {
+    if (this.capturedEvents) {
+      this.capturedEvents.push({ event, data });
+    }
+
+    // Remember what the engine held for a player so a rejoin can restore it
+    if (event === 'playerRemoved' && this.members.has(data.playerId)) {
+      this.members.get(data.playerId).player = data.player;
+    }
+  }
+
+  /**
+   * Run the engine's simulation in real time and send its tick to the members,
+   * whose replicas only step as far as the server has
+   * @param {number} interval - ms between updates
+   */
+  startClock(interval = DEFAULT_TICK_INTERVAL) {
+    if (this.clockTimer) return;
+
+    this.engine.startClock();
+    this.engine.advance(performance.now());
+    let sentTick = this.engine.getTick();
+
+    this.clockTimer = setInterval(() => {
+      this.engine.advance(performance.now());
+      const tick = this.engine.getTick();
+      if (tick !== sentTick) {
+        sentTick = tick;
+        this.broadcast('tick', { tick });
+      }
+    }, interval);
+    this.clockTimer.unref();
+  }
+
+  stopClock() {
+    clearInterval(this.clockTimer);
+    this.clockTimer = null;
+    this.engine.stopClock();
+  }
+
+  /**
+   * Apply an operation to the authoritative engine, record it and send it to everyone
+   */
+  commit(op) {
+    const entry = { ...op, tick: this.engine.getTick(), seq: this.log.length + 1 };
+    this.capturedEvents = [];
+
+    try {
+      applyRoomOp(this.engine, entry);
+    } catch (error) {
+      // Replicas hit the same error when they apply it, so the op is still logged
+      terminal.log(`[Room:${this.code}] Operation failed:`, entry.kind, error.message);
+    }
+
+    const events = this.capturedEvents;
+    this.capturedEvents = null;
+    this.log.push(entry);
+
+    const state = this.getEngineState();
+    if (this.hidesState) {
+      this.getConnectedMembers().forEach(member => {
+        this.send(member.socket, 'op', { op: entry, ...this.describeFor(member.playerId, events), state });
+      });
+    } else {
+      this.broadcast('op', { op: entry, events, state });
+    }
+    return entry;
+  }
+
+  /**
+   * What one member may see of the engine: their view of it, and the events
+   * with other players' hidden fields left out
+   */
+  describeFor(playerId, events = []) {
+    return {
+      view: this.engine.getObservableState(playerId),
+      events: events.map(({ event, data }) => ({
+        event,
+        data: this.engine.getObservableEvent(event, data, playerId)
+      }))
+    };
+  }
+
+  getEngineState() {
+    const { listenerCount, ...state } = this.engine.getDebugInfo();
+    return state;
+  }
+
+  getMaxPlayers() {
+    return this.engine.config?.maxPlayers || DEFAULT_MAX_PLAYERS;
+  }
+
+  getConnectedMembers() {
+    return Array.from(this.members.values()).filter(member => member.socket);
+  }
+
+  describeMembers() {
+    return Array.from(this.members.values()).map(member => ({
+      playerId: member.playerId,
+      name: member.name,
+      connected: !!member.socket,
+      isHost: member.playerId === this.hostId
+    }));
+  }
+
+  send(socket, type, payload = {}) {
+    if (socket && socket.readyState === socket.OPEN) {
+      socket.send(encodeMessage(type, payload));
+    }
+  }
+
+  broadcast(type, payload = {}) {
+    const message = encodeMessage(type, payload);
+    this.getConnectedMembers().forEach(member => {
+      if (member.socket.readyState === member.socket.OPEN) {
+        member.socket.send(message);
+      }
+    });
+  }
+
+  broadcastMembers() {
+    this.broadcast('members', { hostId: this.hostId, members: this.describeMembers() });
+  }
+}
+
+/**
+ * Room server - hands out room codes and relays actions to each room's engine
+ */
+export class RoomServer {
+  constructor(options = {}) {
+    this.port = options.port;
+    this.server = options.server || null;
+    this.emptyRoomTtl = options.emptyRoomTtl ?? 10 * 60 * 1000;
+    this.heartbeatInterval = options.heartbeatInterval ?? 30 * 1000;
+    this.tickInterval = options.tickInterval ?? DEFAULT_TICK_INTERVAL;
+
+    this.rooms = new Map();
+    this.wss = null;
+    this.heartbeatTimer = null;
+  }
+
+  start() {
+    this.wss = this.server
+      ? new WebSocketServer({ server: this.server })
+      : new WebSocketServer({ port: this.port });
+
+    this.wss.on('connection', socket => this.onConnection(socket));
+
+    // Drop sockets that stopped answering pings so their players are removed
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(socket => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref();
+
+    terminal.log('[RoomServer] Listening on port', this.port ?? this.wss.address()?.port);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.rooms.forEach(room => {
+      clearTimeout(room.expiryTimer);
+      room.stopClock();
+    });
+    this.rooms.clear();
+
+    if (this.wss) {
+      this.wss.clients.forEach(socket => socket.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+    terminal.log('[RoomServer] Stopped');
+  }
+
+  onConnection(socket) {
+    socket.isAlive = true;
+    socket.room = null;
+    socket.playerId = null;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', raw => this.onMessage(socket, raw));
+    socket.on('close', () => this.onDisconnect(socket));
+  }
+
+  async onMessage(socket, raw) {
+    const message = decodeMessage(raw);
+    if (!message) {
+      this.sendError(socket, null, 'Malformed message');
+      return;
+    }
+
+    try {
+      switch (message.type) {
+        case 'createRoom':
+          await this.createRoom(socket, message);
+          break;
+        case 'joinRoom':
+          this.joinRoom(socket, message);
+          break;
+        case 'startGame':
+          this.startGame(socket);
+          break;
+        case 'action':
+          this.handleAction(socket, message);
+          break;
+        case 'leaveRoom':
+          this.leaveRoom(socket);
+          break;
+        default:
+          this.sendError(socket, message.type, `Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      terminal.log('[RoomServer] Error handling message:', message.type, error.message);
+      this.sendError(socket, message.type, error.message);
+    }
+  }
+
+  async createRoom(socket, { gameId, config = {}, name }) {
+    const createEngine = ROOM_ENGINES[gameId];
+    if (!createEngine) {
+      this.sendError(socket, 'createRoom', `Game cannot be played in a room: ${gameId}`);
+      return;
+    }
+    if (socket.room) {
+      this.leaveRoom(socket);
+    }
+
+    let code = createRoomCode();
+    while (this.rooms.has(code)) {
+      code = createRoomCode();
+    }
+
+    const room = new Room(code, gameId, await createEngine(), config);
+    this.rooms.set(code, room);
+    this.joinRoom(socket, { code, name });
+  }
+
+  /**
+   * Join a room, or rejoin it with the player id and token from an earlier join
+   */
+  joinRoom(socket, { code, name, playerId, token }) {
+    const room = this.rooms.get(normalizeRoomCode(code));
+    if (!room) {
+      this.sendError(socket, 'joinRoom', `Room not found: ${normalizeRoomCode(code)}`);
+      return;
+    }
+
+    let member = playerId ? room.members.get(playerId) : null;
+    if (member && member.token !== token) {
+      this.sendError(socket, 'joinRoom', 'Invalid rejoin token');
+      return;
+    }
+
+    if (!member) {
+      // Disconnected members keep their seat for a rejoin, so they count too
+      if (room.members.size >= room.getMaxPlayers()) {
+        this.sendError(socket, 'joinRoom', 'Room is full');
+        return;
+      }
+      const newId = `p-${randomUUID().slice(0, 8)}`;
+      member = {
+        playerId: newId,
+        name: name || `Player ${room.members.size + 1}`,
+        token: randomUUID(),
+        socket: null,
+        player: null
+      };
+      room.members.set(newId, member);
+    }
+
+    if (socket.room && socket.room !== room) {
+      this.leaveRoom(socket);
+    }
+
+    // A player opening a second connection is still in the engine - the newest connection wins
+    const alreadyPlaying = !!member.socket;
+    if (member.socket && member.socket !== socket) {
+      member.socket.room = null;
+      member.socket.close();
+    }
+
+    member.socket = socket;
+    socket.room = room;
+    socket.playerId = member.playerId;
+    clearTimeout(room.expiryTimer);
+    room.expiryTimer = null;
+
+    if (!room.hostId || !room.members.get(room.hostId)?.socket) {
+      room.hostId = member.playerId;
+    }
+
+    room.send(socket, 'roomJoined', {
+      code: room.code,
+      gameId: room.gameId,
+      playerId: member.playerId,
+      token: member.token,
+      hostId: room.hostId,
+      started: room.started,
+      members: room.describeMembers(),
+      log: room.log,
+      tick: room.engine.getTick(),
+      hidesState: room.hidesState,
+      view: room.hidesState ? room.engine.getObservableState(member.playerId) : null
+    });
+
+    if (!alreadyPlaying) {
+      room.commit({
+        kind: ROOM_OPS.ADD_PLAYER,
+        playerId: member.playerId,
+        playerData: member.player || { name: member.name }
+      });
+    }
+    room.broadcastMembers();
+
+    terminal.log(`[Room:${room.code}] Player joined:`, member.playerId, member.name);
+  }
+
+  startGame(socket) {
+    const room = socket.room;
+    if (!room) {
+      this.sendError(socket, 'startGame', 'Not in a room');
+      return;
+    }
+    if (socket.playerId !== room.hostId) {
+      this.sendError(socket, 'startGame', 'Only the host can start the game');
+      return;
+    }
+    if (room.started) {
+      this.sendError(socket, 'startGame', 'Game already started');
+      return;
+    }
+
+    room.started = true;
+    room.commit({
+      kind: ROOM_OPS.INITIALIZE,
+      config: {
+        ...room.config,
+        // Anyone with the seed could work out every hand, so hidden games shuffle unseeded
+        ...(room.hidesState ? {} : { seed: room.seed }),
+        playerCount: room.getConnectedMembers().length
+      }
+    });
+
+    // Replicas simulate in step with the server; hidden games have no replicas to keep in step
+    if (!room.hidesState) {
+      room.startClock(this.tickInterval);
+    }
+    terminal.log(`[Room:${room.code}] Game started`);
+  }
+
+  handleAction(socket, { inputType, data = {} }) {
+    const room = socket.room;
+    if (!room) {
+      this.sendError(socket, 'action', 'Not in a room');
+      return;
+    }
+    if (!room.started) {
+      this.sendError(socket, 'action', 'Game has not started');
+      return;
+    }
+
+    // Players only act for the seat their connection joined as - rooms have no shared seats
+    if (data.playerId && data.playerId !== socket.playerId) {
+      this.sendError(socket, 'action', 'Cannot act for another player');
+      return;
+    }
+
+    room.commit({
+      kind: ROOM_OPS.INPUT,
+      inputType,
+      data: { ...data, playerId: socket.playerId },
+      from: socket.playerId
+    });
+  }
+
+  /**
+   * Leave for good - the seat and rejoin token are given up
+   */
+  leaveRoom(socket) {
+    const room = socket.room;
+    if (!room) return;
+
+    const playerId = socket.playerId;
+    this.disconnectMember(socket);
+    room.members.delete(playerId);
+    room.broadcastMembers();
+  }
+
+  onDisconnect(socket) {
+    const room = socket.room;
+    if (!room) return;
+
+    this.disconnectMember(socket);
+    room.broadcastMembers();
+  }
+
+  /**
+   * Take a member's player out of the engine; the member record stays so
+   * they can rejoin with their token
+   */
+  disconnectMember(socket) {
+    const room = socket.room;
+    const member = room.members.get(socket.playerId);
+
+    socket.room = null;
+    if (!member || member.socket !== socket) return;
+    member.socket = null;
+
+    room.commit({ kind: ROOM_OPS.REMOVE_PLAYER, playerId: member.playerId });
+    terminal.log(`[Room:${room.code}] Player left:`, member.playerId);
+
+    if (room.hostId === member.playerId) {
+      room.hostId = room.getConnectedMembers()[0]?.playerId || null;
+    }
+
+    if (room.getConnectedMembers().length === 0) {
+      room.expiryTimer = setTimeout(() => {
+        room.stopClock();
+        this.rooms.delete(room.code);
+        terminal.log(`[Room:${room.code}] Closed after being empty`);
+      }, this.emptyRoomTtl);
+      room.expiryTimer.unref();
+    }
+  }
+
+  sendError(socket, requestType, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(encodeMessage('error', { requestType, message }));
+    }
+  }
+
+  getDebugInfo() {
+    return {
+      port: this.port,
+      rooms: Array.from(this.rooms.values()).map(room => ({
+        code: room.code,
+        gameId: room.gameId,
+        started: room.started,
+        hostId: room.hostId,
+        members: room.describeMembers(),
+        opCount: room.log.length
+      }))
+    };
+  }
+}
+
+export default RoomServer;
@@ -0,0 +1,9 @@
+// server/hooks.js - Module resolution hooks so the browser game modules load under Node
+const TERMINAL_URL = new URL('./terminal.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'virtual:terminal') {
+    return { url: TERMINAL_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,20 @@
+// server/index.js - Local multiplayer room server (npm run server)
+import { register } from 'node:module';
+
+// The engines are shared with the browser build: resolve Vite's virtual:terminal
+// and give their `window.X = X` debug globals somewhere to go
+register('./hooks.js', import.meta.url);
+globalThis.window ??= globalThis;
+
+const { RoomServer } = await import('./RoomServer.js');
+const { DEFAULT_ROOM_PORT } = await import('../src/utils/RoomProtocol.js');
+
+const server = new RoomServer({ port: Number(process.env.PORT) || DEFAULT_ROOM_PORT });
+server.start();
+
+const shutdown = () => {
+  server.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
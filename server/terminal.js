@@ -0,0 +1,9 @@
+// server/terminal.js - Node stand-in for vite-plugin-terminal's virtual:terminal module
+export const terminal = {
+  log: (...args) => console.log(...args),
+  info: (...args) => console.info(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+export default terminal;
@@ -0,0 +1,1479 @@
+// src/games/PokerARGame.js - Texas Hold'em built on the base engine/interface classes
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+import { GameEngine } from '../utils/GameEngine.js';
+import { replayActionLog } from '../utils/ActionLog.js';
+import { ARGameInterface } from '../utils/ARGameInterface.js';
+import { defineBotStrategy, resumeBots, seatBots } from '../utils/BotPlayer.js';
+import { CardRenderer } from '../utils/CardRenderer.js';
+import { Deck, Hand, Pile, createRandom } from '../utils/Cards.js';
+import { evaluateBest, describeHand } from './PokerHandEvaluator.js';
+import { getPotOdds, RANGE_PRESETS } from './PokerEquity.js';
+import { PokerEquityCalculator } from './PokerEquityCalculator.js';
+
+export const POKER_STREETS = ['preflop', 'flop', 'turn', 'river'];
+
+export const POKER_EVENTS = {
+  handStarted: { payload: { handNumber: 'number', buttonId: 'string', players: 'array' } },
+  blindsPosted: { payload: { smallBlind: 'object', bigBlind: 'object', pot: 'number' } },
+  holeCardsDealt: { payload: { playerId: 'string', cards: 'array?' }, hidden: ['cards'] },
+  turnChanged: { payload: { playerId: 'string', street: 'string', toCall: 'number', minRaiseTo: 'number', canRaise: 'boolean', pot: 'number' } },
+  playerActed: { payload: { playerId: 'string', action: 'string', amount: 'number', stack: 'number', isAllIn: 'boolean', pot: 'number' } },
+  bettingRoundComplete: { payload: { street: 'string', pots: 'array', pot: 'number' } },
+  boardDealt: { payload: { street: 'string', cards: 'array', board: 'array' } },
+  uncalledBetReturned: { payload: { playerId: 'string', amount: 'number' } },
+  showdown: { payload: { board: 'array', hands: 'object' } },
+  potAwarded: { payload: { potIndex: 'number', amount: 'number', winners: 'array', hand: 'string?' } },
+  playerBusted: { payload: { playerId: 'string' } },
+  handComplete: { payload: { handNumber: 'number', stacks: 'object' } },
+  gameWon: { payload: { playerId: 'string?', stacks: 'object' } },
+  invalidMove: { payload: { playerId: 'string?', action: 'string', reason: 'string' } }
+};
+
+/**
+ * Texas Hold'em Game Engine - extends the base GameEngine
+ */
+export class PokerGameEngine extends GameEngine {
+  constructor(gameId = 'poker-ar') {
+    super(gameId);
+    terminal.log('[PokerGameEngine] Engine created');
+    this.events.declare(POKER_EVENTS);
+
+    // Game-specific configuration
+    this.config = {
+      playerCount: 2,
+      minPlayers: 2,
+      maxPlayers: 8,
+      startingStack: 1000,
+      smallBlind: 5,
+      bigBlind: 10,
+      seed: null
+    };
+
+    // Table state
+    this.seats = [];
+    this.buttonIndex = -1;
+    this.handNumber = 0;
+    this.leaving = new Set();
+    this.random = Math.random;
+
+    // Hand state - hole cards are dealt face down so their moves don't show the cards
+    this.deck = this.forwardPileEvents(new Deck('standard52', { id: 'deck' }));
+    this.burnPile = this.forwardPileEvents(new Pile('burnPile'));
+    this.board = this.forwardPileEvents(new Pile('board', [], { faceUp: true }));
+    this.holeCards = new Map(); // playerId -> Hand
+    this.handPlayers = [];
+    this.folded = new Set();
+    this.allIn = new Set();
+    this.contributions = new Map();
+    this.streetBets = new Map();
+    this.acted = new Set();
+    this.raiseClosed = new Set();
+    this.street = null;
+    this.currentBet = 0;
+    this.minRaise = 0;
+    this.currentPlayerId = null;
+    this.lastShowdown = null;
+  }
+
+  /**
+   * Initialize the game with specific configuration
+   */
+  initializeGame(config = {}) {
+    this.config = { ...this.config, ...config };
+    this.random = createRandom(this.config.seed);
+    terminal.log('[PokerGameEngine] Initializing game with config:', this.config);
+
+    const playerCount = Math.min(
+      Math.max(this.config.playerCount, this.config.minPlayers),
+      this.config.maxPlayers
+    );
+
+    // Players who already joined (e.g. through a room) take the first seats
+    for (let i = this.players.size + 1; i <= playerCount; i++) {
+      this.addPlayer(`player-${i}`, { name: `Player ${i}` });
+    }
+    this.seats = Array.from(this.players.keys());
+    this.seats.forEach((playerId, seat) => {
+      Object.assign(this.players.get(playerId), { seat, stack: this.config.startingStack });
+    });
+
+    this.startHand();
+    return true;
+  }
+
+  /**
+   * Seat a player. Once the game is running new players sit down for the next
+   * hand, and a player coming back before their seat was given up keeps it.
+   */
+  addPlayer(playerId, playerData = {}) {
+    if (this.leaving.has(playerId)) {
+      this.leaving.delete(playerId);
+      return super.addPlayer(playerId, { ...playerData, ...this.players.get(playerId) });
+    }
+
+    const player = super.addPlayer(playerId, { stack: this.config.startingStack, ...playerData });
+    if (this.seats.length > 0 && !this.seats.includes(playerId)) {
+      player.seat = this.seats.length;
+      this.seats.push(playerId);
+    }
+    return player;
+  }
+
+  /**
+   * Stand a player up. Mid-hand they are folded out and keep their seat until
+   * the hand is over, so the pots and the button stay consistent.
+   */
+  removePlayer(playerId) {
+    if (this.state === 'playing' && this.handPlayers.includes(playerId)) {
+      this.leaving.add(playerId);
+      // All-in players have nothing left to decide and stay in for their pots
+      if (!this.folded.has(playerId) && !this.allIn.has(playerId)) {
+        this.foldOut(playerId);
+      }
+      return true;
+    }
+
+    this.unseat(playerId);
+    return super.removePlayer(playerId);
+  }
+
+  foldOut(playerId) {
+    if (playerId === this.currentPlayerId) {
+      this.performAction(playerId, 'fold');
+      return;
+    }
+
+    this.folded.add(playerId);
+    this.emit('playerActed', {
+      playerId,
+      action: 'fold',
+      amount: this.streetBets.get(playerId),
+      stack: this.players.get(playerId).stack,
+      isAllIn: false,
+      pot: this.getPotTotal()
+    });
+
+    const live = this.getLivePlayers();
+    if (live.length === 1) {
+      this.awardUncontested(live[0]);
+    }
+  }
+
+  unseat(playerId) {
+    const index = this.seats.indexOf(playerId);
+    if (index === -1) return;
+
+    this.seats.splice(index, 1);
+    // Keep the button on the same player, or just before the next one if it was theirs
+    if (index <= this.buttonIndex) {
+      this.buttonIndex--;
+    }
+    this.leaving.delete(playerId);
+  }
+
+  /**
+   * Move the button, post blinds and deal hole cards
+   */
+  startHand() {
+    const funded = this.seats.filter(id => this.players.get(id).stack > 0);
+    if (funded.length < 2) {
+      this.finishGame();
+      return false;
+    }
+
+    this.handNumber++;
+    this.buttonIndex = this.nextSeatIndex(this.buttonIndex, id => this.players.get(id).stack > 0);
+    const buttonId = this.seats[this.buttonIndex];
+
+    this.deck.reset().shuffle(this.random);
+    this.burnPile.clear();
+    this.board.clear();
+    this.holeCards.forEach(hand => this.stopForwardingPileEvents(hand.id));
+    this.holeCards.clear();
+    this.folded.clear();
+    this.allIn.clear();
+    this.contributions.clear();
+    this.streetBets.clear();
+    this.acted.clear();
+    this.raiseClosed.clear();
+    this.lastShowdown = null;
+    this.street = 'preflop';
+
+    // Hand order starts left of the button and ends on it
+    this.handPlayers = [];
+    let index = this.buttonIndex;
+    for (let i = 0; i < this.seats.length; i++) {
+      index = (index + 1) % this.seats.length;
+      const playerId = this.seats[index];
+      if (this.players.get(playerId).stack > 0) {
+        this.handPlayers.push(playerId);
+      }
+    }
+    this.handPlayers.forEach(playerId => {
+      this.contributions.set(playerId, 0);
+      this.streetBets.set(playerId, 0);
+    });
+
+    this.setState('playing');
+    this.emit('handStarted', {
+      handNumber: this.handNumber,
+      buttonId,
+      players: [...this.handPlayers]
+    });
+
+    // Heads-up the button posts the small blind and acts first preflop
+    const headsUp = this.handPlayers.length === 2;
+    const smallBlindId = headsUp ? buttonId : this.handPlayers[0];
+    const bigBlindId = headsUp ? this.handPlayers[0] : this.handPlayers[1];
+
+    const smallBlind = this.commitChips(smallBlindId, this.config.smallBlind);
+    const bigBlind = this.commitChips(bigBlindId, this.config.bigBlind);
+    this.currentBet = this.config.bigBlind;
+    this.minRaise = this.config.bigBlind;
+
+    this.emit('blindsPosted', {
+      smallBlind: { playerId: smallBlindId, amount: smallBlind },
+      bigBlind: { playerId: bigBlindId, amount: bigBlind },
+      pot: this.getPotTotal()
+    });
+
+    this.handPlayers.forEach(playerId => {
+      this.holeCards.set(playerId, this.forwardPileEvents(new Hand(playerId, [], { faceUp: false })));
+    });
+    this.deck.deal(Array.from(this.holeCards.values()), 2);
+    this.handPlayers.forEach(playerId => {
+      this.emit('holeCardsDealt', { playerId, cards: this.getHoleCards(playerId) });
+    });
+
+    this.currentPlayerId = bigBlindId;
+    this.advanceAction();
+
+    terminal.log('[PokerGameEngine] Hand started:', this.handNumber, 'button:', buttonId);
+    return true;
+  }
+
+  /**
+   * Handle player input/interaction
+   */
+  handleInput(inputType, data = {}) {
+    terminal.log('[PokerGameEngine] Handling input:', inputType, data);
+
+    switch (inputType) {
+      case 'fold':
+      case 'check':
+      case 'call':
+      case 'bet':
+      case 'raise':
+      case 'allIn':
+        this.performAction(data.playerId, inputType, data.amount);
+        break;
+      case 'nextHand':
+        if (this.state === 'handComplete') {
+          this.startHand();
+        }
+        break;
+      default:
+        terminal.log('[PokerGameEngine] Unknown input type:', inputType);
+    }
+  }
+
+  /**
+   * Apply a betting action for the player whose turn it is
+   * @param {string} playerId - Acting player
+   * @param {string} action - fold, check, call, bet, raise or allIn
+   * @param {number} amount - For bet/raise, the total street bet to raise to
+   */
+  performAction(playerId, action, amount = 0) {
+    if (this.state !== 'playing') {
+      this.rejectMove(playerId, action, 'Hand is not in progress');
+      return false;
+    }
+    if (playerId !== this.currentPlayerId) {
+      this.rejectMove(playerId, action, 'Not your turn');
+      return false;
+    }
+
+    const player = this.players.get(playerId);
+    const streetBet = this.streetBets.get(playerId);
+    const toCall = this.currentBet - streetBet;
+    const maxTotal = streetBet + player.stack;
+
+    switch (action) {
+      case 'fold':
+        this.folded.add(playerId);
+        break;
+
+      case 'check':
+        if (toCall > 0) {
+          this.rejectMove(playerId, action, `Cannot check facing ${toCall}`);
+          return false;
+        }
+        break;
+
+      case 'call':
+        this.commitChips(playerId, Math.min(toCall, player.stack));
+        break;
+
+      case 'bet':
+      case 'raise': {
+        const raiseTo = Number(amount);
+        if (action === 'bet' && this.currentBet > 0) {
+          this.rejectMove(playerId, action, 'Cannot bet once the pot is opened - raise instead');
+          return false;
+        }
+        if (action === 'raise' && this.currentBet === 0) {
+          this.rejectMove(playerId, action, 'Nothing to raise - bet instead');
+          return false;
+        }
+        if (!Number.isFinite(raiseTo) || raiseTo > maxTotal) {
+          this.rejectMove(playerId, action, 'Not enough chips');
+          return false;
+        }
+        // Even an all-in has to go over the current bet to count as a raise - short of it is a call
+        if (raiseTo <= this.currentBet) {
+          this.rejectMove(playerId, action, `Must be more than ${this.currentBet} - call instead`);
+          return false;
+        }
+        if (this.raiseClosed.has(playerId)) {
+          this.rejectMove(playerId, action, 'Betting was not reopened by the short all-in');
+          return false;
+        }
+        // A bet or raise below the minimum is only allowed as an all-in
+        if (raiseTo - this.currentBet < this.minRaise && raiseTo !== maxTotal) {
+          this.rejectMove(playerId, action, `Minimum is ${this.currentBet + this.minRaise}`);
+          return false;
+        }
+        this.applyRaise(playerId, raiseTo);
+        break;
+      }
+
+      case 'allIn':
+        if (maxTotal > this.currentBet && this.raiseClosed.has(playerId)) {
+          this.rejectMove(playerId, action, 'Betting was not reopened by the short all-in');
+          return false;
+        }
+        if (maxTotal > this.currentBet) {
+          this.applyRaise(playerId, maxTotal);
+        } else {
+          this.commitChips(playerId, player.stack);
+        }
+        break;
+
+      default:
+        this.rejectMove(playerId, action, 'Unknown action');
+        return false;
+    }
+
+    this.acted.add(playerId);
+    this.raiseClosed.delete(playerId);
+
+    this.emit('playerActed', {
+      playerId,
+      action,
+      amount: this.streetBets.get(playerId),
+      stack: player.stack,
+      isAllIn: this.allIn.has(playerId),
+      pot: this.getPotTotal()
+    });
+
+    this.advanceAction();
+    return true;
+  }
+
+  applyRaise(playerId, raiseTo) {
+    const streetBet = this.streetBets.get(playerId);
+    const increment = raiseTo - this.currentBet;
+
+    this.commitChips(playerId, raiseTo - streetBet);
+
+    if (increment >= this.minRaise) {
+      // A full raise reopens the betting for everyone
+      this.minRaise = increment;
+      this.raiseClosed.clear();
+    } else {
+      // A short all-in must be called but does not let earlier actors re-raise
+      this.acted.forEach(id => this.raiseClosed.add(id));
+    }
+
+    this.currentBet = raiseTo;
+    this.acted.clear();
+  }
+
+  commitChips(playerId, amount) {
+    const player = this.players.get(playerId);
+    const chips = Math.max(0, Math.min(amount, player.stack));
+
+    player.stack -= chips;
+    this.streetBets.set(playerId, this.streetBets.get(playerId) + chips);
+    this.contributions.set(playerId, this.contributions.get(playerId) + chips);
+
+    if (player.stack === 0) {
+      this.allIn.add(playerId);
+    }
+    return chips;
+  }
+
+  /**
+   * Move to the next actor, or close the street once betting is settled
+   */
+  advanceAction() {
+    const live = this.getLivePlayers();
+    if (live.length === 1) {
+      this.awardUncontested(live[0]);
+      return;
+    }
+
+    const actors = this.getActivePlayers();
+    const settled = actors.every(id =>
+      this.acted.has(id) && this.streetBets.get(id) === this.currentBet
+    );
+    // Nobody left to respond to a lone active player who has already matched
+    const nobodyToRespond = actors.length <= 1 &&
+      actors.every(id => this.streetBets.get(id) >= this.currentBet);
+
+    if (settled || nobodyToRespond) {
+      this.completeStreet();
+      return;
+    }
+
+    // Everyone who has acted has matched, so the next actor is the next one who hasn't
+    this.currentPlayerId = this.nextActor(this.currentPlayerId, id => !this.acted.has(id));
+    this.notifyTurnChanged();
+  }
+
+  completeStreet() {
+    this.returnUncalledBet();
+    this.emit('bettingRoundComplete', {
+      street: this.street,
+      pots: this.buildPots(),
+      pot: this.getPotTotal()
+    });
+
+    this.handPlayers.forEach(id => this.streetBets.set(id, 0));
+    this.currentBet = 0;
+    this.minRaise = this.config.bigBlind;
+    this.acted.clear();
+    this.raiseClosed.clear();
+
+    if (this.street === 'river') {
+      this.showdown();
+      return;
+    }
+
+    this.dealNextStreet();
+
+    // With at most one player able to bet, run the board out
+    if (this.getActivePlayers().length < 2) {
+      while (this.street !== 'river') {
+        this.dealNextStreet();
+      }
+      this.showdown();
+      return;
+    }
+
+    // Post-flop action starts with the first active player left of the button
+    this.currentPlayerId = this.nextActor(this.seats[this.buttonIndex]);
+    this.notifyTurnChanged();
+  }
+
+  dealNextStreet() {
+    const nextStreet = POKER_STREETS[POKER_STREETS.indexOf(this.street) + 1];
+    const count = nextStreet === 'flop' ? 3 : 1;
+
+    this.deck.moveTo(this.burnPile, 1);
+    const cards = this.deck.moveTo(this.board, count);
+    this.street = nextStreet;
+
+    this.emit('boardDealt', {
+      street: nextStreet,
+      cards,
+      board: this.getBoard()
+    });
+  }
+
+  /**
+   * Split contributions into a main pot and side pots.
+   * Each pot lists the live players eligible to win it.
+   */
+  buildPots() {
+    const levels = Array.from(new Set(this.contributions.values()))
+      .filter(level => level > 0)
+      .sort((a, b) => a - b);
+
+    const pots = [];
+    let previousLevel = 0;
+
+    levels.forEach(level => {
+      let amount = 0;
+      for (const contribution of this.contributions.values()) {
+        amount += Math.min(contribution, level) - Math.min(contribution, previousLevel);
+      }
+
+      const eligible = this.handPlayers.filter(id =>
+        !this.folded.has(id) && this.contributions.get(id) >= level
+      );
+
+      const lastPot = pots[pots.length - 1];
+      if (lastPot && (eligible.length === 0 || sameMembers(lastPot.eligible, eligible))) {
+        // Dead money with nobody left to claim it stays with the pot beneath
+        lastPot.amount += amount;
+      } else {
+        pots.push({ amount, eligible });
+      }
+      previousLevel = level;
+    });
+
+    return pots;
+  }
+
+  /**
+   * Hand back the part of the largest bet that nobody matched
+   */
+  returnUncalledBet() {
+    const ranked = Array.from(this.contributions.entries()).sort((a, b) => b[1] - a[1]);
+    if (ranked.length < 2) return;
+
+    const [[topId, top], [, second]] = ranked;
+    if (top > second) {
+      const refund = top - second;
+      this.contributions.set(topId, second);
+      this.players.get(topId).stack += refund;
+      this.allIn.delete(topId);
+      this.emit('uncalledBetReturned', { playerId: topId, amount: refund });
+    }
+  }
+
+  awardUncontested(winnerId) {
+    this.returnUncalledBet();
+
+    const amount = this.getPotTotal();
+    this.players.get(winnerId).stack += amount;
+    this.emit('potAwarded', {
+      potIndex: 0,
+      amount,
+      winners: [{ playerId: winnerId, amount }],
+      hand: null
+    });
+
+    this.finishHand();
+  }
+
+  showdown() {
+    this.street = 'showdown';
+    this.returnUncalledBet();
+
+    const hands = {};
+    this.getLivePlayers().forEach(playerId => {
+      const best = evaluateBest([...this.getHoleCards(playerId), ...this.board.cards]);
+      hands[playerId] = {
+        holeCards: this.getHoleCards(playerId),
+        category: best.category,
+        name: best.name,
+        description: describeHand(best),
+        cards: best.cards,
+        score: best.score
+      };
+    });
+
+    this.lastShowdown = hands;
+    this.emit('showdown', { board: this.getBoard(), hands });
+
+    this.buildPots().forEach((pot, potIndex) => {
+      const bestScore = Math.max(...pot.eligible.map(id => hands[id].score));
+      // Winners in seat order from the button's left, who also get odd chips first
+      const winnerIds = pot.eligible.filter(id => hands[id].score === bestScore);
+
+      const share = Math.floor(pot.amount / winnerIds.length);
+      let oddChips = pot.amount - share * winnerIds.length;
+
+      const winners = winnerIds.map(playerId => {
+        const amount = share + (oddChips > 0 ? 1 : 0);
+        oddChips = Math.max(0, oddChips - 1);
+        this.players.get(playerId).stack += amount;
+        return { playerId, amount };
+      });
+
+      this.emit('potAwarded', {
+        potIndex,
+        amount: pot.amount,
+        winners,
+        hand: hands[winnerIds[0]].description
+      });
+    });
+
+    this.finishHand();
+  }
+
+  finishHand() {
+    this.currentPlayerId = null;
+    this.contributions.forEach((_, id) => this.contributions.set(id, 0));
+
+    this.seats.forEach(id => {
+      const player = this.players.get(id);
+      if (player.stack === 0 && !player.busted) {
+        player.busted = true;
+        this.emit('playerBusted', { playerId: id });
+      }
+    });
+
+    this.leaving.forEach(playerId => {
+      this.unseat(playerId);
+      super.removePlayer(playerId);
+    });
+
+    this.setState('handComplete');
+    this.emit('handComplete', {
+      handNumber: this.handNumber,
+      stacks: this.getStacks()
+    });
+
+    const remaining = this.seats.filter(id => this.players.get(id).stack > 0);
+    if (remaining.length < 2) {
+      this.finishGame();
+    }
+  }
+
+  finishGame() {
+    const remaining = this.seats.filter(id => this.players.get(id).stack > 0);
+    this.setState('finished');
+    this.emit('gameWon', {
+      playerId: remaining[0] || null,
+      stacks: this.getStacks()
+    });
+    terminal.log('[PokerGameEngine] Game finished, winner:', remaining[0]);
+  }
+
+  rejectMove(playerId, action, reason) {
+    terminal.log('[PokerGameEngine] Invalid move:', playerId, action, reason);
+    this.emit('invalidMove', { playerId, action, reason });
+  }
+
+  notifyTurnChanged() {
+    const playerId = this.currentPlayerId;
+    this.emit('turnChanged', {
+      playerId,
+      street: this.street,
+      toCall: this.getAmountToCall(playerId),
+      minRaiseTo: this.currentBet + this.minRaise,
+      canRaise: !this.raiseClosed.has(playerId),
+      pot: this.getPotTotal()
+    });
+  }
+
+  // Seating helpers
+  nextSeatIndex(fromIndex, predicate) {
+    for (let step = 1; step <= this.seats.length; step++) {
+      const index = (fromIndex + step) % this.seats.length;
+      if (predicate(this.seats[index])) return index;
+    }
+    return -1;
+  }
+
+  nextActor(fromPlayerId, predicate = () => true) {
+    const index = this.nextSeatIndex(this.seats.indexOf(fromPlayerId), id =>
+      this.handPlayers.includes(id) && !this.folded.has(id) && !this.allIn.has(id) && predicate(id)
+    );
+    return index === -1 ? null : this.seats[index];
+  }
+
+  // Accessors
+  getLivePlayers() {
+    return this.handPlayers.filter(id => !this.folded.has(id));
+  }
+
+  getActivePlayers() {
+    return this.handPlayers.filter(id => !this.folded.has(id) && !this.allIn.has(id));
+  }
+
+  getAmountToCall(playerId) {
+    if (!this.streetBets.has(playerId)) return 0;
+    return Math.min(this.currentBet - this.streetBets.get(playerId), this.players.get(playerId).stack);
+  }
+
+  getPotTotal() {
+    let total = 0;
+    for (const contribution of this.contributions.values()) {
+      total += contribution;
+    }
+    return total;
+  }
+
+  getHoleCards(playerId) {
+    return [...(this.holeCards.get(playerId)?.cards || [])];
+  }
+
+  getBoard() {
+    return [...this.board.cards];
+  }
+
+  getActivePlayerId() {
+    return this.state === 'playing' ? this.currentPlayerId : null;
+  }
+
+  hasPrivateState() {
+    return true;
+  }
+
+  getPrivateState(playerId) {
+    if (!this.holeCards.has(playerId)) return null;
+    return { holeCards: this.getHoleCards(playerId) };
+  }
+
+  /**
+   * The table, and what a player may do on their turn
+   */
+  getObservableState(playerId) {
+    const view = super.getObservableState(playerId);
+    if (view.private) {
+      view.private.toCall = this.getAmountToCall(playerId);
+      view.private.canRaise = !this.raiseClosed.has(playerId);
+    }
+    return view;
+  }
+
+  getPublicState() {
+    const streetBets = {};
+    this.streetBets.forEach((amount, id) => {
+      streetBets[id] = amount;
+    });
+    const contributions = {};
+    this.contributions.forEach((amount, id) => {
+      contributions[id] = amount;
+    });
+
+    return {
+      handNumber: this.handNumber,
+      street: this.street,
+      currentPlayerId: this.currentPlayerId,
+      board: this.getBoard(),
+      pot: this.getPotTotal(),
+      currentBet: this.currentBet,
+      minRaiseTo: this.currentBet + this.minRaise,
+      bigBlind: this.config.bigBlind,
+      stacks: this.getStacks(),
+      streetBets,
+      contributions,
+      handPlayers: [...this.handPlayers],
+      folded: Array.from(this.folded),
+      allIn: Array.from(this.allIn),
+      buttonId: this.seats[this.buttonIndex] || null
+    };
+  }
+
+  /**
+   * Follow a room's game from one player's view: the table, and only their own hole cards
+   */
+  applyObservableState(view) {
+    super.applyObservableState(view);
+    const table = view.public;
+
+    this.handNumber = table.handNumber;
+    this.street = table.street;
+    this.currentPlayerId = table.currentPlayerId;
+    this.currentBet = table.currentBet;
+    this.minRaise = table.minRaiseTo - table.currentBet;
+    this.streetBets = new Map(Object.entries(table.streetBets));
+    this.contributions = new Map(Object.entries(table.contributions));
+    this.handPlayers = [...table.handPlayers];
+    this.folded = new Set(table.folded);
+    this.allIn = new Set(table.allIn);
+
+    this.seats = Object.keys(table.stacks);
+    this.seats.forEach(id => {
+      const player = this.players.get(id);
+      if (player) player.stack = table.stacks[id];
+    });
+    this.buttonIndex = this.seats.indexOf(table.buttonId);
+
+    // Only the room's engine has a deck to deal from
+    this.deck.clear();
+    this.burnPile.clear();
+    this.board.clear();
+    this.board.add(table.board);
+
+    this.holeCards.clear();
+    this.raiseClosed.clear();
+    if (view.private) {
+      this.holeCards.set(view.playerId, new Hand(view.playerId, view.private.holeCards, { faceUp: false }));
+      if (!view.private.canRaise) this.raiseClosed.add(view.playerId);
+    }
+  }
+
+  getStacks() {
+    const stacks = {};
+    this.seats.forEach(id => {
+      stacks[id] = this.players.get(id).stack;
+    });
+    return stacks;
+  }
+
+  /**
+   * The table and the hand in progress, hole cards and the undealt deck
+   * included - stacks are saved with the players
+   */
+  serializeState() {
+    const holeCards = {};
+    this.holeCards.forEach((hand, playerId) => {
+      holeCards[playerId] = hand.toJSON();
+    });
+
+    return {
+      seats: [...this.seats],
+      buttonIndex: this.buttonIndex,
+      handNumber: this.handNumber,
+      leaving: Array.from(this.leaving),
+      deck: this.deck.toJSON().cards,
+      burnPile: this.burnPile.toJSON().cards,
+      board: this.board.toJSON().cards,
+      holeCards,
+      handPlayers: [...this.handPlayers],
+      folded: Array.from(this.folded),
+      allIn: Array.from(this.allIn),
+      contributions: Object.fromEntries(this.contributions),
+      streetBets: Object.fromEntries(this.streetBets),
+      acted: Array.from(this.acted),
+      raiseClosed: Array.from(this.raiseClosed),
+      street: this.street,
+      currentBet: this.currentBet,
+      minRaise: this.minRaise,
+      currentPlayerId: this.currentPlayerId,
+      lastShowdown: this.lastShowdown
+    };
+  }
+
+  restoreState(data) {
+    this.seats = [...data.seats];
+    this.buttonIndex = data.buttonIndex;
+    this.handNumber = data.handNumber;
+    this.leaving = new Set(data.leaving);
+
+    this.deck.clear();
+    this.deck.add(data.deck);
+    this.burnPile.clear();
+    this.burnPile.add(data.burnPile);
+    this.board.clear();
+    this.board.add(data.board);
+
+    this.holeCards.forEach(hand => this.stopForwardingPileEvents(hand.id));
+    this.holeCards.clear();
+    Object.entries(data.holeCards).forEach(([playerId, hand]) => {
+      this.holeCards.set(playerId, this.forwardPileEvents(Hand.fromJSON(hand)));
+    });
+
+    this.handPlayers = [...data.handPlayers];
+    this.folded = new Set(data.folded);
+    this.allIn = new Set(data.allIn);
+    this.contributions = new Map(Object.entries(data.contributions));
+    this.streetBets = new Map(Object.entries(data.streetBets));
+    this.acted = new Set(data.acted);
+    this.raiseClosed = new Set(data.raiseClosed);
+    this.street = data.street;
+    this.currentBet = data.currentBet;
+    this.minRaise = data.minRaise;
+    this.currentPlayerId = data.currentPlayerId;
+    this.lastShowdown = data.lastShowdown;
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    terminal.log('[PokerGameEngine] Cleaning up engine');
+    this.deck.clear();
+    this.burnPile.clear();
+    this.board.clear();
+    this.holeCards.clear();
+    this.contributions.clear();
+    this.streetBets.clear();
+    super.cleanup();
+  }
+
+  /**
+   * Get debug information
+   */
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      handNumber: this.handNumber,
+      street: this.street,
+      buttonId: this.seats[this.buttonIndex] || null,
+      currentPlayerId: this.currentPlayerId,
+      currentBet: this.currentBet,
+      pot: this.getPotTotal(),
+      board: this.board.cards.map(card => card.id),
+      stacks: this.getStacks()
+    };
+  }
+}
+
+function sameMembers(a, b) {
+  return a.length === b.length && a.every(id => b.includes(id));
+}
+
+/**
+ * Rough hand strength from 0 to 1 - preflop from the hole cards' ranks,
+ * pairing and suitedness, afterwards from the made hand's category
+ */
+function estimateStrength(holeCards, board) {
+  if (board.length === 0) {
+    const [high, low] = holeCards.map(card => card.rank).sort((a, b) => b - a);
+    if (high === low) return 0.5 + high / 28;
+
+    const suited = holeCards[0].suit === holeCards[1].suit ? 0.06 : 0;
+    const connected = high - low <= 2 ? 0.04 : 0;
+    return (high + low) / 32 + suited + connected;
+  }
+
+  const hand = evaluateBest([...holeCards, ...board]);
+  const usesHoleCards = hand.cards.some(card => holeCards.some(hole => hole.id === card.id));
+  const strength = 0.2 + hand.category * 0.14;
+  // A hand made entirely on the board is everyone's hand
+  return Math.min(usesHoleCards ? strength : strength / 2, 1);
+}
+
+/**
+ * Betting options for the player to act: fold or check, call, and a minimum bet or raise
+ */
+function getBettingOptions(view, playerId) {
+  const { currentBet, minRaiseTo, streetBets, stacks } = view.public;
+  const { toCall, canRaise } = view.private;
+  const maxTotal = (streetBets[playerId] || 0) + (stacks[playerId] || 0);
+
+  const options = toCall > 0
+    ? [{ type: 'fold', data: {} }, { type: 'call', data: {} }]
+    : [{ type: 'check', data: {} }];
+
+  if (canRaise && maxTotal > currentBet) {
+    options.push(minRaiseTo >= maxTotal
+      ? { type: 'allIn', data: {} }
+      : { type: currentBet > 0 ? 'raise' : 'bet', data: { amount: minRaiseTo } });
+  }
+  return options;
+}
+
+/**
+ * Default Hold'em bot: bets and raises strong hands, calls when the hand is
+ * worth the pot odds and folds the rest. Harder bots raise more selectively
+ * and need less margin over the odds to call.
+ */
+const POKER_BOT_STRATEGY = {
+  getLegalActions(view, { playerId }) {
+    if (view.state !== 'playing' || view.activePlayerId !== playerId || !view.private) return [];
+    return getBettingOptions(view, playerId);
+  },
+
+  chooseAction(view, { playerId, difficulty, random }) {
+    // With nobody else at the table, a bot deals the next hand itself
+    if (view.state === 'handComplete') {
+      const firstBot = view.players.find(player => player.bot && view.public.stacks[player.id] > 0);
+      const allBots = view.players.every(player => player.bot);
+      return allBots && firstBot?.id === playerId ? { type: 'nextHand', data: {} } : null;
+    }
+    if (view.state !== 'playing' || view.activePlayerId !== playerId || !view.private) return null;
+
+    const { board, pot, currentBet, minRaiseTo, streetBets, stacks } = view.public;
+    const { holeCards, toCall, canRaise } = view.private;
+    const maxTotal = (streetBets[playerId] || 0) + (stacks[playerId] || 0);
+
+    // A little noise, so bots aren't perfectly readable
+    const strength = estimateStrength(holeCards, board) + (random() - 0.5) * 0.1;
+    const raiseAt = { easy: 0.85, normal: 0.75, hard: 0.7 }[difficulty.name] ?? 0.75;
+    const callMargin = { easy: 0.15, normal: 0.1, hard: 0.05 }[difficulty.name] ?? 0.1;
+
+    if (strength >= raiseAt && canRaise && maxTotal > currentBet) {
+      const raiseTo = Math.max(minRaiseTo, currentBet + Math.round(pot / 2));
+      if (raiseTo >= maxTotal) return { type: 'allIn', data: {} };
+      return { type: currentBet > 0 ? 'raise' : 'bet', data: { amount: raiseTo } };
+    }
+    if (toCall === 0) return { type: 'check', data: {} };
+
+    const potOdds = toCall / (pot + toCall);
+    return strength >= potOdds + callMargin ? { type: 'call', data: {} } : { type: 'fold', data: {} };
+  }
+};
+
+defineBotStrategy('poker-ar', 'default', POKER_BOT_STRATEGY);
+
+/**
+ * Texas Hold'em Game Interface - extends the base ARGameInterface
+ */
+export class PokerGameInterface extends ARGameInterface {
+  constructor(gameEngine, gameId = 'poker-ar', options = {}) {
+    super(gameEngine, gameId, options);
+    terminal.log('[PokerGameInterface] Interface created');
+
+    this.usesTablePlacement = true;
+    this.tableConfig.width = 0.8;
+    this.tableConfig.depth = 0.8;
+    this.cardSize = { width: 0.07, height: 0.1 };
+    this.tableGroup = null;
+    this.boardCards = null;
+
+    // UI elements for this specific game
+    this.uiControls = null;
+    this.statusLabel = null;
+    this.callButton = null;
+    this.raiseInput = null;
+    this.raiseButton = null;
+    this.nextHandButton = null;
+
+    // Training overlay - equity and pot odds for the viewing player, on with options.coach
+    this.coachEnabled = !!options.coach;
+    this.coachPanel = null;
+    this.coachButton = null;
+    this.coachRangeSelect = null;
+    this.equityCalculator = null;
+    this.coachRequestId = 0; // Answers to older requests are dropped
+    this.coachResult = null; // { key, result } of the last calculation
+  }
+
+  /**
+   * Initialize the AR interface with game-specific setup
+   */
+  async initialize() {
+    terminal.log('[PokerGameInterface] Initializing Poker AR interface');
+
+    const success = await super.initialize();
+    if (!success) {
+      return false;
+    }
+
+    this.setupGameScene();
+    this.createUIControls();
+    // Hole cards are only looked at - the buttons do the betting
+    this.setupHandView({ canPlay: () => false });
+    this.refreshControls();
+
+    terminal.log('[PokerGameInterface] Poker AR interface initialized');
+    return true;
+  }
+
+  setupGameScene() {
+    terminal.log('[PokerGameInterface] Setting up game scene');
+
+    // The table root stays hidden until the player has placed the table
+    this.tableGroup = new THREE.Group();
+    this.tableRoot.add(this.tableGroup);
+
+    const feltGeometry = new THREE.CircleGeometry(0.35, 48).rotateX(-Math.PI / 2);
+    const feltMaterial = new THREE.MeshLambertMaterial({ color: 0x1b5e20 });
+    this.tableGroup.add(new THREE.Mesh(feltGeometry, feltMaterial));
+
+    // The board's cards share one atlas texture, painted once per face
+    const { width, height } = this.cardSize;
+    this.boardCards = new CardRenderer({ width, height, capacity: 5 });
+    this.tableGroup.add(this.boardCards.group);
+
+    this.updateBoard();
+  }
+
+  /**
+   * Lay the board out face up in a row, dropping the last hand's cards
+   */
+  updateBoard() {
+    if (!this.boardCards) return;
+
+    const board = this.gameEngine.getBoard();
+    const ids = new Set(board.map(card => card.id));
+    Array.from(this.boardCards.cards.keys()).forEach(cardId => {
+      if (!ids.has(cardId)) this.boardCards.removeCard(cardId);
+    });
+
+    const { width } = this.cardSize;
+    board.forEach((card, index) => {
+      const handle = this.boardCards.addCard(card, { faceUp: true });
+      handle.rotation.x = -Math.PI / 2;
+      handle.position.set((index - 2) * (width + 0.01), 0.002, 0);
+    });
+    this.boardCards.update();
+  }
+
+  createUIControls() {
+    terminal.log('[PokerGameInterface] Creating UI controls');
+
+    this.uiControls = document.createElement('div');
+    this.uiControls.id = 'poker-ar-controls';
+    this.uiControls.style.cssText = `
+      position: absolute;
+      bottom: 20px;
+      left: 10px;
+      right: 10px;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      z-index: 150;
+      pointer-events: auto;
+    `;
+
+    this.statusLabel = document.createElement('div');
+    this.statusLabel.style.cssText = `
+      background: rgba(0, 0, 0, 0.7);
+      padding: 6px 12px;
+      border-radius: 5px;
+      font-size: 14px;
+    `;
+
+    this.coachPanel = document.createElement('div');
+    this.coachPanel.style.cssText = `
+      display: none;
+      background: rgba(13, 71, 161, 0.85);
+      padding: 6px 12px;
+      border-radius: 5px;
+      font-size: 13px;
+      line-height: 1.4;
+      text-align: center;
+    `;
+
+    const actionRow = document.createElement('div');
+    actionRow.style.cssText = 'display: flex; flex-wrap: wrap; justify-content: center; gap: 8px;';
+
+    actionRow.appendChild(this.createButton('Fold', () => this.sendAction('fold'), '#f44336'));
+
+    this.callButton = this.createButton('Check', () => {
+      const toCall = this.gameEngine.getAmountToCall(this.getViewingPlayerId());
+      this.sendAction(toCall > 0 ? 'call' : 'check');
+    }, '#607d8b');
+    actionRow.appendChild(this.callButton);
+
+    this.raiseInput = document.createElement('input');
+    this.raiseInput.type = 'number';
+    this.raiseInput.style.cssText = 'width: 80px; padding: 8px; border-radius: 5px; border: none;';
+    actionRow.appendChild(this.raiseInput);
+
+    this.raiseButton = this.createButton('Bet/Raise', () => {
+      const action = this.gameEngine.currentBet > 0 ? 'raise' : 'bet';
+      this.sendAction(action, Number(this.raiseInput.value));
+    });
+    actionRow.appendChild(this.raiseButton);
+
+    actionRow.appendChild(this.createButton('All-in', () => this.sendAction('allIn'), '#ff9800'));
+
+    this.nextHandButton = this.createButton('Next Hand', () => {
+      this.gameEngine.handleInput('nextHand');
+    }, '#2196f3');
+    this.nextHandButton.style.display = 'none';
+
+    const coachRow = document.createElement('div');
+    coachRow.style.cssText = 'display: flex; justify-content: center; gap: 8px;';
+
+    this.coachButton = this.createButton('', () => {
+      this.coachEnabled = !this.coachEnabled;
+      this.refreshCoach();
+    }, '#3f51b5');
+    coachRow.appendChild(this.coachButton);
+
+    // Who the opponents are likely to be holding
+    this.coachRangeSelect = document.createElement('select');
+    this.coachRangeSelect.style.cssText = 'padding: 8px; border-radius: 5px; border: none;';
+    [['any', 'vs any hand'], ['loose', 'vs loose range'], ['tight', 'vs tight range']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.coachRangeSelect.appendChild(option);
+    });
+    this.coachRangeSelect.addEventListener('change', () => this.refreshCoach());
+    coachRow.appendChild(this.coachRangeSelect);
+
+    this.uiControls.appendChild(this.statusLabel);
+    this.uiControls.appendChild(this.coachPanel);
+    this.uiControls.appendChild(actionRow);
+    this.uiControls.appendChild(coachRow);
+    this.uiControls.appendChild(this.nextHandButton);
+
+    const overlay = document.getElementById('overlay');
+    if (overlay) {
+      overlay.appendChild(this.uiControls);
+    }
+  }
+
+  createButton(text, onClick, color = '#4CAF50') {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      padding: 8px 12px;
+      background: ${color};
+      color: white;
+      border: none;
+      border-radius: 5px;
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  sendAction(action, amount) {
+    this.gameEngine.handleInput(action, {
+      playerId: this.getViewingPlayerId(),
+      amount
+    });
+  }
+
+  /**
+   * Show the viewing player's hole cards and the bet they face
+   */
+  refreshControls() {
+    if (!this.uiControls) return;
+
+    const engine = this.gameEngine;
+    const actor = engine.getPlayer(engine.currentPlayerId);
+    const playerId = this.getViewingPlayerId();
+    const player = engine.getPlayer(playerId);
+    const handOver = engine.getState() !== 'playing';
+
+    this.nextHandButton.style.display = engine.getState() === 'handComplete' ? 'block' : 'none';
+
+    if (handOver || !actor) {
+      this.handView?.setCards([]);
+      this.refreshCoach();
+      return;
+    }
+
+    this.statusLabel.textContent = `${actor.name} to act - stack ${actor.stack} - pot ${engine.getPotTotal()}`;
+
+    this.handView?.setCards(this.getViewerPrivateState()?.holeCards || []);
+    if (!player) return;
+
+    const toCall = engine.getAmountToCall(playerId);
+    this.callButton.textContent = toCall > 0 ? `Call ${toCall}` : 'Check';
+    // A stack that can't get past the current bet can only call or go all-in
+    const maxTotal = player.stack + (engine.streetBets.get(playerId) || 0);
+    const canRaise = maxTotal > engine.currentBet;
+    this.raiseButton.disabled = !canRaise;
+    this.raiseInput.disabled = !canRaise;
+    this.raiseInput.value = Math.min(engine.currentBet + engine.minRaise, maxTotal);
+    this.refreshCoach();
+  }
+
+  /**
+   * Training overlay: the viewing player's equity against the live opponents,
+   * worked out in a Web Worker, next to the pot odds of calling
+   */
+  refreshCoach() {
+    if (!this.coachPanel) return;
+
+    this.coachButton.textContent = `Coach: ${this.coachEnabled ? 'on' : 'off'}`;
+    this.coachRangeSelect.style.display = this.coachEnabled ? 'block' : 'none';
+
+    const engine = this.gameEngine;
+    const playerId = this.getViewingPlayerId();
+    const holeCards = this.getViewerPrivateState()?.holeCards || [];
+    const live = engine.getLivePlayers();
+    const opponents = live.filter(id => id !== playerId).length;
+    const inHand = engine.getState() === 'playing' && holeCards.length === 2 && live.includes(playerId);
+
+    if (!this.coachEnabled || !inHand || opponents === 0) {
+      this.coachPanel.style.display = 'none';
+      return;
+    }
+    this.coachPanel.style.display = 'block';
+
+    const toCall = engine.getAmountToCall(playerId);
+    const pot = engine.getPotTotal();
+    const rangeName = this.coachRangeSelect.value;
+    const request = {
+      holeCards: holeCards.map(({ rank, suit }) => ({ rank, suit })),
+      board: engine.getBoard().map(({ rank, suit }) => ({ rank, suit })),
+      opponents,
+      range: RANGE_PRESETS[rangeName] ?? null
+    };
+    const key = JSON.stringify([request.holeCards, request.board, opponents, rangeName]);
+
+    if (this.coachResult?.key === key) {
+      this.showCoachAdvice(this.coachResult.result, toCall, pot, opponents);
+      return;
+    }
+
+    const requestId = ++this.coachRequestId;
+    this.coachPanel.textContent = 'Working out equity...';
+    if (!this.equityCalculator) {
+      this.equityCalculator = new PokerEquityCalculator();
+    }
+    this.equityCalculator.calculate(request)
+      .then(result => {
+        if (requestId !== this.coachRequestId || !this.coachPanel) return;
+        this.coachResult = { key, result };
+        this.showCoachAdvice(result, toCall, pot, opponents);
+      })
+      .catch(error => {
+        terminal.log('[PokerGameInterface] Equity calculation failed:', error.message);
+        if (requestId !== this.coachRequestId || !this.coachPanel) return;
+        this.coachPanel.textContent = 'Equity unavailable';
+      });
+  }
+
+  showCoachAdvice(result, toCall, pot, opponents) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const against = opponents === 1 ? '1 opponent' : `${opponents} opponents`;
+    const equityLine = `Equity ${result.exact ? '' : '~'}${percent(result.equity)} vs ${against}` +
+      ` (win ${percent(result.win)}, tie ${percent(result.tie)})`;
+
+    let oddsLine = 'Nothing to call - checking is free';
+    if (toCall > 0) {
+      const potOdds = getPotOdds(toCall, pot);
+      const verdict = result.equity >= potOdds ? 'calling pays off in the long run' : 'calling loses chips in the long run';
+      oddsLine = `Call ${toCall} to win ${pot}: pot odds need ${percent(potOdds)} - ${verdict}`;
+    }
+
+    this.coachPanel.textContent = '';
+    [equityLine, oddsLine].forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      this.coachPanel.appendChild(line);
+    });
+  }
+
+  onViewerChanged() {
+    this.refreshControls();
+  }
+
+  /**
+   * Handle game engine events
+   */
+  updateVisualization(event, data) {
+    terminal.log('[PokerGameInterface] Updating visualization for event:', event);
+
+    switch (event) {
+      case 'handStarted':
+      case 'boardDealt':
+        this.updateBoard();
+        break;
+      case 'turnChanged':
+        this.refreshControls();
+        break;
+      case 'showdown':
+        this.showMessage(Object.entries(data.hands)
+          .map(([id, hand]) => `${this.gameEngine.getPlayer(id)?.name}: ${hand.description}`)
+          .join(' | '));
+        break;
+      case 'potAwarded':
+        this.showMessage(data.winners
+          .map(winner => `${this.gameEngine.getPlayer(winner.playerId)?.name} wins ${winner.amount}`)
+          .join(', '));
+        break;
+      case 'handComplete':
+      case 'gameWon':
+        this.refreshControls();
+        break;
+      case 'invalidMove':
+        this.showMessage(data.reason);
+        break;
+      default:
+        super.updateVisualization(event, data);
+    }
+  }
+
+  showMessage(message) {
+    if (this.statusLabel) {
+      this.statusLabel.textContent = message;
+    }
+  }
+
+  /**
+   * Handle AR session end
+   */
+  endSession() {
+    terminal.log('[PokerGameInterface] Ending Poker AR session');
+
+    if (this.uiControls && this.uiControls.parentNode) {
+      this.uiControls.parentNode.removeChild(this.uiControls);
+      this.uiControls = null;
+    }
+    this.coachPanel = null;
+    this.coachButton = null;
+    this.coachRangeSelect = null;
+
+    if (this.equityCalculator) {
+      this.equityCalculator.dispose();
+      this.equityCalculator = null;
+    }
+
+    if (this.boardCards) {
+      this.boardCards.dispose();
+      this.boardCards = null;
+    }
+
+    if (this.tableGroup) {
+      this.tableGroup.traverse(child => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          if (child.material.map) child.material.map.dispose();
+          child.material.dispose();
+        }
+      });
+      this.tableGroup.removeFromParent();
+      this.tableGroup = null;
+    }
+
+    super.endSession();
+  }
+
+  /**
+   * Get debug information
+   */
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      tablePlaced: this.placementState === 'placed',
+      hasUIControls: !!this.uiControls,
+      coachEnabled: this.coachEnabled,
+      equityCalculator: this.equityCalculator?.getDebugInfo() || null
+    };
+  }
+}
+
+/**
+ * Factory function to create a complete Poker AR game instance
+ * This is what the GameRegistry will call
+ */
+export function createPokerARGame(config = {}, interfaceOptions = {}) {
+  terminal.log('[PokerARGame] Creating Poker AR game instance');
+
+  try {
+    const engine = new PokerGameEngine('poker-ar');
+    const gameInterface = new PokerGameInterface(engine, 'poker-ar', interfaceOptions);
+
+    // In a room the engine is driven by the room's operation log instead; a saved
+    // game is resumed from its snapshot and an imported action log is replayed
+    if (interfaceOptions.room) {
+      interfaceOptions.room.attachEngine(engine);
+    } else if (interfaceOptions.snapshot) {
+      // Resume a saved game, or start a new one if the save can't be restored
+      if (!engine.restore(interfaceOptions.snapshot)) {
+        engine.initializeGame(config);
+      }
+      gameInterface.localPlayerId = resumeBots(engine);
+    } else if (interfaceOptions.replay) {
+      replayActionLog(engine, interfaceOptions.replay);
+      gameInterface.localPlayerId = resumeBots(engine);
+    } else {
+      // Computer opponents sit down after the local player, before the deal
+      let gameConfig = config;
+      if (interfaceOptions.bots) {
+        gameInterface.localPlayerId = seatBots(engine, interfaceOptions.bots);
+        gameConfig = { ...config, playerCount: engine.players.size };
+      }
+      engine.initializeGame(gameConfig);
+    }
+
+    terminal.log('[PokerARGame] Game instance created successfully');
+    return {
+      engine: engine,
+      interface: gameInterface
+    };
+
+  } catch (error) {
+    terminal.log('[PokerARGame] Error creating game instance:', error.message);
+    console.error('PokerARGame creation error:', error);
+    return null;
+  }
+}
+
+// Default export for convenience
+export default {
+  PokerGameEngine,
+  PokerGameInterface,
+  createPokerARGame
+};
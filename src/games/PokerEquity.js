@@ -0,0 +1,355 @@
+// src/games/PokerEquity.js - Hold'em equity against random or range-limited opponents, and pot odds
+// No imports that touch the DOM, so PokerEquityWorker.js can run this off the main thread
+import { scoreBest, RANK_NAMES } from './PokerHandEvaluator.js';
+import { createRandom } from '../utils/Random.js';
+
+const SUITS = ['s', 'h', 'd', 'c'];
+const RANKS_BY_NAME = Object.fromEntries(Object.entries(RANK_NAMES).map(([rank, name]) => [name, Number(rank)]));
+
+/**
+ * Opponent ranges for the training overlay, in the notation parseRange reads.
+ * null is any two cards.
+ */
+export const RANGE_PRESETS = {
+  any: null,
+  loose: '22+, A2s+, K5s+, Q8s+, J8s+, T8s+, 97s+, 86s+, 76s, 65s, A7o+, K9o+, QTo+, JTo',
+  tight: '77+, ATs+, KTs+, QJs, AQo+'
+};
+
+const DEFAULT_OPTIONS = {
+  opponents: 1,
+  iterations: 20000, // Monte Carlo showdowns
+  exactLimit: 200000 // Enumerate every outcome when there are no more than this many
+};
+
+/**
+ * Work out a hand's chance of winning at showdown.
+ *
+ * Cards are `{ rank: 2-14, suit: 's'|'h'|'d'|'c' }`. When every possible
+ * completion of the board and the opponents' hands can be counted within
+ * exactLimit they are, otherwise iterations of them are sampled.
+ *
+ * @param {Object} request - { holeCards, board, opponents, range, ranges, dead, iterations, exactLimit, seed }:
+ *   holeCards - the hand's two cards; board - zero to five community cards;
+ *   opponents - how many hands it is up against; range - what every opponent
+ *   may hold, a range string, an array of two-card combos or null for any two
+ *   cards; ranges - one of those per opponent instead; dead - cards known to
+ *   be out of play; seed - for repeatable sampling
+ * @returns {Object} - { win, tie, lose, equity, showdowns, exact }: win, tie
+ *   and lose are fractions of showdowns, and equity is the share of the pot
+ *   the hand wins on average, counting split pots
+ */
+export function calculateEquity(request) {
+  const options = { ...DEFAULT_OPTIONS, ...request };
+  const holeCards = options.holeCards || [];
+  const board = options.board || [];
+  const dead = options.dead || [];
+
+  if (holeCards.length !== 2) {
+    throw new Error('Equity requires exactly two hole cards');
+  }
+  if (board.length > 5) {
+    throw new Error('A board has at most five cards');
+  }
+  if (options.opponents < 1) {
+    throw new Error('Equity requires at least one opponent');
+  }
+
+  const known = [...holeCards, ...board, ...dead];
+  const knownKeys = new Set(known.map(cardKey));
+  if (knownKeys.size !== known.length) {
+    throw new Error('The same card appears twice');
+  }
+
+  const deck = createDeck().filter(card => !knownKeys.has(cardKey(card)));
+  const missing = 5 - board.length;
+  if (deck.length < options.opponents * 2 + missing) {
+    throw new Error('Not enough cards left for that many opponents');
+  }
+
+  const ranges = Array.from({ length: options.opponents }, (_, index) => {
+    const range = options.ranges ? options.ranges[index] : options.range;
+    return resolveRange(range ?? null, knownKeys, deck);
+  });
+  ranges.forEach((combos, index) => {
+    if (combos.length === 0) {
+      throw new Error(`Opponent ${index + 1} has no possible hands`);
+    }
+  });
+
+  const tally = { win: 0, tie: 0, lose: 0, share: 0, showdowns: 0 };
+  const exact = countOutcomes(deck.length, missing, ranges) <= options.exactLimit;
+
+  if (exact) {
+    enumerateOutcomes(holeCards, board, deck, missing, ranges, tally);
+  } else {
+    sampleOutcomes(holeCards, board, deck, missing, ranges, options, tally);
+  }
+
+  if (tally.showdowns === 0) {
+    throw new Error('No possible showdowns for these ranges');
+  }
+
+  return {
+    win: tally.win / tally.showdowns,
+    tie: tally.tie / tally.showdowns,
+    lose: tally.lose / tally.showdowns,
+    equity: tally.share / tally.showdowns,
+    showdowns: tally.showdowns,
+    exact
+  };
+}
+
+/**
+ * The share of the pot a call has to win to break even
+ * @param {number} toCall - Chips the player has to put in
+ * @param {number} pot - Chips in the pot so far, including this street's bets
+ * @returns {number} - 0 to 1, 0 when there is nothing to call
+ */
+export function getPotOdds(toCall, pot) {
+  if (toCall <= 0) return 0;
+  return toCall / (pot + toCall);
+}
+
+/**
+ * Read a hand range into two-card combos.
+ *
+ * Comma or space separated: pairs ('TT'), suited or offsuit hands ('AKs',
+ * 'AKo', or 'AK' for both), each with an optional '+' for every pair above
+ * ('TT+') or every kicker up to the top card ('ATs+' is ATs to AKs), and
+ * exact hands ('AhKd').
+ * @param {string} text
+ * @returns {Array<Array<Object>>} - Combos, each two cards
+ */
+export function parseRange(text) {
+  const combos = new Map();
+  const add = (a, b) => {
+    const key = [cardKey(a), cardKey(b)].sort().join('');
+    combos.set(key, [a, b]);
+  };
+
+  String(text).split(/[\s,]+/).filter(Boolean).forEach(token => {
+    const exact = token.match(/^([2-9TJQKA])([shdc])([2-9TJQKA])([shdc])$/);
+    if (exact) {
+      const a = { rank: RANKS_BY_NAME[exact[1]], suit: exact[2] };
+      const b = { rank: RANKS_BY_NAME[exact[3]], suit: exact[4] };
+      if (cardKey(a) === cardKey(b)) {
+        throw new Error(`Invalid hand in range: ${token}`);
+      }
+      add(a, b);
+      return;
+    }
+
+    const match = token.match(/^([2-9TJQKA])([2-9TJQKA])([so]?)(\+?)$/);
+    if (!match) {
+      throw new Error(`Invalid hand in range: ${token}`);
+    }
+
+    const high = Math.max(RANKS_BY_NAME[match[1]], RANKS_BY_NAME[match[2]]);
+    const low = Math.min(RANKS_BY_NAME[match[1]], RANKS_BY_NAME[match[2]]);
+    const suitedness = match[3];
+    const plus = match[4] === '+';
+
+    if (high === low) {
+      if (suitedness) {
+        throw new Error(`Invalid hand in range: ${token}`);
+      }
+      for (let rank = low; rank <= (plus ? 14 : low); rank++) {
+        addPair(rank, add);
+      }
+      return;
+    }
+
+    for (let kicker = low; kicker <= (plus ? high - 1 : low); kicker++) {
+      addUnpaired(high, kicker, suitedness, add);
+    }
+  });
+
+  return Array.from(combos.values());
+}
+
+function addPair(rank, add) {
+  for (let i = 0; i < SUITS.length; i++) {
+    for (let j = i + 1; j < SUITS.length; j++) {
+      add({ rank, suit: SUITS[i] }, { rank, suit: SUITS[j] });
+    }
+  }
+}
+
+function addUnpaired(high, low, suitedness, add) {
+  SUITS.forEach(highSuit => {
+    SUITS.forEach(lowSuit => {
+      const suited = highSuit === lowSuit;
+      if ((suitedness === 's' && !suited) || (suitedness === 'o' && suited)) return;
+      add({ rank: high, suit: highSuit }, { rank: low, suit: lowSuit });
+    });
+  });
+}
+
+function createDeck() {
+  const deck = [];
+  SUITS.forEach(suit => {
+    for (let rank = 2; rank <= 14; rank++) {
+      deck.push({ rank, suit });
+    }
+  });
+  return deck;
+}
+
+function cardKey(card) {
+  return `${card.rank}${card.suit}`;
+}
+
+/**
+ * An opponent's possible hands, leaving out any that use a known card
+ */
+function resolveRange(range, knownKeys, deck) {
+  let combos;
+  if (range === null) {
+    combos = [];
+    for (let i = 0; i < deck.length; i++) {
+      for (let j = i + 1; j < deck.length; j++) {
+        combos.push([deck[i], deck[j]]);
+      }
+    }
+    return combos;
+  }
+
+  combos = typeof range === 'string' ? parseRange(range) : range;
+  return combos.filter(([a, b]) => !knownKeys.has(cardKey(a)) && !knownKeys.has(cardKey(b)));
+}
+
+function choose(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = result * (n - i) / (i + 1);
+  }
+  return result;
+}
+
+/**
+ * An upper bound on the outcomes enumeration would visit
+ */
+function countOutcomes(deckSize, missing, ranges) {
+  let count = choose(deckSize - ranges.length * 2, missing);
+  ranges.forEach(combos => {
+    count *= combos.length;
+  });
+  return count;
+}
+
+function scoreShowdown(holeCards, board, opponentHands, tally) {
+  const heroScore = scoreBest([...holeCards, ...board]);
+  let best = 0;
+  let bestCount = 0;
+  for (const hand of opponentHands) {
+    const score = scoreBest([...hand, ...board]);
+    if (score > best) {
+      best = score;
+      bestCount = 1;
+    } else if (score === best) {
+      bestCount++;
+    }
+  }
+
+  tally.showdowns++;
+  if (heroScore > best) {
+    tally.win++;
+    tally.share++;
+  } else if (heroScore === best) {
+    tally.tie++;
+    tally.share += 1 / (bestCount + 1);
+  } else {
+    tally.lose++;
+  }
+}
+
+/**
+ * Visit every deal of the opponents' hands and the rest of the board once
+ */
+function enumerateOutcomes(holeCards, board, deck, missing, ranges, tally) {
+  const used = new Set();
+  const opponentHands = [];
+
+  const dealBoard = (start, runout) => {
+    if (runout.length === missing) {
+      scoreShowdown(holeCards, [...board, ...runout], opponentHands, tally);
+      return;
+    }
+    for (let i = start; i < deck.length; i++) {
+      const key = cardKey(deck[i]);
+      if (used.has(key)) continue;
+      runout.push(deck[i]);
+      dealBoard(i + 1, runout);
+      runout.pop();
+    }
+  };
+
+  const dealOpponent = index => {
+    if (index === ranges.length) {
+      dealBoard(0, []);
+      return;
+    }
+    for (const combo of ranges[index]) {
+      const keys = combo.map(cardKey);
+      if (keys.some(key => used.has(key))) continue;
+      keys.forEach(key => used.add(key));
+      opponentHands.push(combo);
+      dealOpponent(index + 1);
+      opponentHands.pop();
+      keys.forEach(key => used.delete(key));
+    }
+  };
+
+  dealOpponent(0);
+}
+
+/**
+ * Sample deals at random. A deal whose opponent hands share a card is
+ * thrown away and drawn again, so range-limited opponents keep their odds.
+ */
+function sampleOutcomes(holeCards, board, deck, missing, ranges, options, tally) {
+  const random = createRandom(options.seed);
+  const maxAttempts = options.iterations * 20;
+  const used = new Set();
+  const runout = [];
+  const remaining = deck.slice();
+
+  for (let attempt = 0; attempt < maxAttempts && tally.showdowns < options.iterations; attempt++) {
+    used.clear();
+    const opponentHands = [];
+    let clash = false;
+    for (const combos of ranges) {
+      const combo = combos[Math.floor(random() * combos.length)];
+      const keys = combo.map(cardKey);
+      if (keys.some(key => used.has(key))) {
+        clash = true;
+        break;
+      }
+      keys.forEach(key => used.add(key));
+      opponentHands.push(combo);
+    }
+    if (clash) continue;
+
+    // A partial Fisher-Yates shuffle deals the rest of the board from the cards left
+    runout.length = 0;
+    let end = remaining.length;
+    while (runout.length < missing) {
+      const index = Math.floor(random() * end);
+      const card = remaining[index];
+      end--;
+      [remaining[index], remaining[end]] = [remaining[end], remaining[index]];
+      if (!used.has(cardKey(card))) runout.push(card);
+    }
+
+    scoreShowdown(holeCards, [...board, ...runout], opponentHands, tally);
+  }
+}
+
+export default {
+  calculateEquity,
+  getPotOdds,
+  parseRange,
+  RANGE_PRESETS
+};
@@ -0,0 +1,98 @@
+// src/games/PokerEquityCalculator.js - Equity calculations in a Web Worker, with answers as promises
+import { terminal } from 'virtual:terminal';
+import { calculateEquity } from './PokerEquity.js';
+
+/**
+ * Sends calculateEquity requests to PokerEquityWorker.js. Where workers aren't
+ * available, or the worker fails, it calculates on the main thread instead,
+ * after the current frame.
+ */
+export class PokerEquityCalculator {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.nextId = 0;
+    this.workerFailed = false;
+  }
+
+  /**
+   * @param {Object} request - As for calculateEquity
+   * @returns {Promise<Object>} - calculateEquity's result
+   */
+  calculate(request) {
+    const worker = this.getWorker();
+    if (!worker) {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          try {
+            resolve(calculateEquity(request));
+          } catch (error) {
+            reject(error);
+          }
+        }, 0);
+      });
+    }
+
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({ id, request });
+    });
+  }
+
+  getWorker() {
+    if (this.worker || this.workerFailed) return this.worker;
+
+    try {
+      this.worker = new Worker(new URL('./PokerEquityWorker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', event => this.onWorkerMessage(event.data));
+      this.worker.addEventListener('error', event => this.onWorkerError(event));
+    } catch (error) {
+      terminal.log('[PokerEquityCalculator] Web Worker unavailable, calculating on the main thread:', error.message);
+      this.workerFailed = true;
+      this.worker = null;
+    }
+    return this.worker;
+  }
+
+  onWorkerMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  onWorkerError(event) {
+    terminal.log('[PokerEquityCalculator] Worker failed, calculating on the main thread:', event.message);
+    this.workerFailed = true;
+    this.worker.terminate();
+    this.worker = null;
+
+    this.pending.forEach(request => request.reject(new Error('Equity worker failed')));
+    this.pending.clear();
+  }
+
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.forEach(request => request.reject(new Error('Equity calculator disposed')));
+    this.pending.clear();
+  }
+
+  getDebugInfo() {
+    return {
+      worker: !!this.worker,
+      workerFailed: this.workerFailed,
+      pending: this.pending.size
+    };
+  }
+}
+
+export default PokerEquityCalculator;
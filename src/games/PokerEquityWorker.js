@@ -0,0 +1,11 @@
+// src/games/PokerEquityWorker.js - Runs calculateEquity off the main thread, so the XR frame loop keeps its frame rate
+import { calculateEquity } from './PokerEquity.js';
+
+self.addEventListener('message', event => {
+  const { id, request } = event.data;
+  try {
+    self.postMessage({ id, result: calculateEquity(request) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
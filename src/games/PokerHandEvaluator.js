@@ -0,0 +1,274 @@
+// src/games/PokerHandEvaluator.js - Texas Hold'em hand ranking and comparison
+
+export const HAND_CATEGORIES = [
+  'High Card',
+  'One Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush'
+];
+
+export const RANK_NAMES = {
+  2: '2', 3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8', 9: '9',
+  10: 'T', 11: 'J', 12: 'Q', 13: 'K', 14: 'A'
+};
+
+/**
+ * Rank exactly five cards.
+ * Cards are `{ rank: 2-14, suit: 's'|'h'|'d'|'c' }` with aces high (14).
+ * @param {Array<Object>} cards - Five cards
+ * @returns {Object} - { category, name, tiebreakers, score, cards }
+ */
+export function evaluateFive(cards) {
+  if (!cards || cards.length !== 5) {
+    throw new Error('evaluateFive requires exactly five cards');
+  }
+
+  const counts = new Map();
+  cards.forEach(card => counts.set(card.rank, (counts.get(card.rank) || 0) + 1));
+
+  // Order ranks by how many of each we hold, then by rank - this is also kicker order
+  const groups = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const groupRanks = groups.map(([rank]) => rank);
+  const groupSizes = groups.map(([, size]) => size);
+
+  const isFlush = cards.every(card => card.suit === cards[0].suit);
+  const straightHigh = getStraightHigh(groupRanks);
+
+  let category;
+  let tiebreakers;
+
+  if (straightHigh && isFlush) {
+    category = 8;
+    tiebreakers = [straightHigh];
+  } else if (groupSizes[0] === 4) {
+    category = 7;
+    tiebreakers = groupRanks;
+  } else if (groupSizes[0] === 3 && groupSizes[1] === 2) {
+    category = 6;
+    tiebreakers = groupRanks;
+  } else if (isFlush) {
+    category = 5;
+    tiebreakers = groupRanks;
+  } else if (straightHigh) {
+    category = 4;
+    tiebreakers = [straightHigh];
+  } else if (groupSizes[0] === 3) {
+    category = 3;
+    tiebreakers = groupRanks;
+  } else if (groupSizes[0] === 2 && groupSizes[1] === 2) {
+    category = 2;
+    tiebreakers = groupRanks;
+  } else if (groupSizes[0] === 2) {
+    category = 1;
+    tiebreakers = groupRanks;
+  } else {
+    category = 0;
+    tiebreakers = groupRanks;
+  }
+
+  return {
+    category,
+    name: HAND_CATEGORIES[category],
+    tiebreakers,
+    score: toScore(category, tiebreakers),
+    cards: [...cards]
+  };
+}
+
+/**
+ * Find the best five-card hand from five to seven cards
+ * @param {Array<Object>} cards - Hole cards plus board
+ * @returns {Object} - Best hand as returned by evaluateFive
+ */
+export function evaluateBest(cards) {
+  if (!cards || cards.length < 5 || cards.length > 7) {
+    throw new Error('evaluateBest requires between five and seven cards');
+  }
+
+  let best = null;
+  forEachCombination(cards, 5, combo => {
+    const hand = evaluateFive(combo);
+    if (!best || hand.score > best.score) {
+      best = hand;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * The score of the best five-card hand from five to seven cards - the same
+ * number as evaluateBest(cards).score, worked out from rank and suit bitmasks
+ * instead of trying every five-card combination, for loops that rank millions
+ * of hands such as equity calculation
+ * @param {Array<Object>} cards - Hole cards plus board
+ * @returns {number}
+ */
+export function scoreBest(cards) {
+  const rankCounts = new Array(15).fill(0);
+  const suitMasks = {};
+  let rankMask = 0;
+  for (const card of cards) {
+    rankCounts[card.rank]++;
+    suitMasks[card.suit] = (suitMasks[card.suit] || 0) | (1 << card.rank);
+    rankMask |= 1 << card.rank;
+  }
+
+  const flushMask = Object.values(suitMasks).find(mask => countBits(mask) >= 5) || 0;
+  if (flushMask) {
+    const straightFlushHigh = getStraightHighFromMask(flushMask);
+    if (straightFlushHigh) return toScore(8, [straightFlushHigh]);
+  }
+
+  // Ranks by how many of each we hold, highest first
+  const quads = [];
+  const trips = [];
+  const pairs = [];
+  const singles = [];
+  for (let rank = 14; rank >= 2; rank--) {
+    const count = rankCounts[rank];
+    if (count === 4) quads.push(rank);
+    else if (count === 3) trips.push(rank);
+    else if (count === 2) pairs.push(rank);
+    else if (count === 1) singles.push(rank);
+  }
+  const kickers = (...used) => {
+    const kicker = [];
+    for (let rank = 14; rank >= 2; rank--) {
+      if (rankCounts[rank] > 0 && !used.includes(rank)) kicker.push(rank);
+    }
+    return kicker;
+  };
+
+  if (quads.length > 0) {
+    return toScore(7, [quads[0], kickers(quads[0])[0]]);
+  }
+  if (trips.length > 0 && (trips.length > 1 || pairs.length > 0)) {
+    return toScore(6, [trips[0], Math.max(trips[1] || 0, pairs[0] || 0)]);
+  }
+  if (flushMask) {
+    const flushRanks = [];
+    for (let rank = 14; rank >= 2 && flushRanks.length < 5; rank--) {
+      if (flushMask & (1 << rank)) flushRanks.push(rank);
+    }
+    return toScore(5, flushRanks);
+  }
+
+  const straightHigh = getStraightHighFromMask(rankMask);
+  if (straightHigh) return toScore(4, [straightHigh]);
+
+  if (trips.length > 0) {
+    return toScore(3, [trips[0], ...kickers(trips[0]).slice(0, 2)]);
+  }
+  if (pairs.length > 1) {
+    return toScore(2, [pairs[0], pairs[1], kickers(pairs[0], pairs[1])[0]]);
+  }
+  if (pairs.length > 0) {
+    return toScore(1, [pairs[0], ...kickers(pairs[0]).slice(0, 3)]);
+  }
+  return toScore(0, singles.slice(0, 5));
+}
+
+/**
+ * Compare two evaluated hands
+ * @returns {number} - Positive if a wins, negative if b wins, 0 on a tie
+ */
+export function compareHands(a, b) {
+  return a.score - b.score;
+}
+
+/**
+ * Describe an evaluated hand, e.g. "Full House, K over 7"
+ */
+export function describeHand(hand) {
+  const [first, second] = hand.tiebreakers.map(rank => RANK_NAMES[rank]);
+
+  switch (hand.category) {
+    case 8:
+      return first === 'A' ? 'Royal Flush' : `Straight Flush, ${first} high`;
+    case 7:
+      return `Four of a Kind, ${first}s`;
+    case 6:
+      return `Full House, ${first} over ${second}`;
+    case 5:
+      return `Flush, ${first} high`;
+    case 4:
+      return `Straight, ${first} high`;
+    case 3:
+      return `Three of a Kind, ${first}s`;
+    case 2:
+      return `Two Pair, ${first} and ${second}`;
+    case 1:
+      return `One Pair, ${first}s`;
+    default:
+      return `High Card, ${first}`;
+  }
+}
+
+function getStraightHigh(distinctRanks) {
+  if (distinctRanks.length !== 5) return 0;
+
+  const sorted = [...distinctRanks].sort((a, b) => b - a);
+  if (sorted[0] - sorted[4] === 4) return sorted[0];
+
+  // The wheel: A-2-3-4-5 plays as a five-high straight
+  if (sorted[0] === 14 && sorted[1] === 5 && sorted[4] === 2) return 5;
+
+  return 0;
+}
+
+function getStraightHighFromMask(mask) {
+  // An ace also plays low, for the wheel
+  const withLowAce = mask & (1 << 14) ? mask | (1 << 1) : mask;
+  for (let high = 14; high >= 5; high--) {
+    if (((withLowAce >> (high - 4)) & 0x1f) === 0x1f) return high;
+  }
+  return 0;
+}
+
+function countBits(mask) {
+  let count = 0;
+  for (let bits = mask; bits; bits &= bits - 1) count++;
+  return count;
+}
+
+function toScore(category, tiebreakers) {
+  // Base-15 packing keeps every comparison a single numeric check
+  let score = category;
+  for (let i = 0; i < 5; i++) {
+    score = score * 15 + (tiebreakers[i] || 0);
+  }
+  return score;
+}
+
+function forEachCombination(items, size, callback) {
+  const combo = [];
+  const walk = (start) => {
+    if (combo.length === size) {
+      callback([...combo]);
+      return;
+    }
+    for (let i = start; i <= items.length - (size - combo.length); i++) {
+      combo.push(items[i]);
+      walk(i + 1);
+      combo.pop();
+    }
+  };
+  walk(0);
+}
+
+export default {
+  evaluateFive,
+  evaluateBest,
+  scoreBest,
+  compareHands,
+  describeHand,
+  HAND_CATEGORIES,
+  RANK_NAMES
+};
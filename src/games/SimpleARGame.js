@@ -1,26 +1,80 @@
 // src/games/SimpleARGame.js - Simple AR test game with proper modular structure
 import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
 import { GameEngine } from '../utils/GameEngine.js';
+import { replayActionLog } from '../utils/ActionLog.js';
+import { createRandom } from '../utils/Cards.js';
 import { ARGameInterface } from '../utils/ARGameInterface.js';
+import { Interactable, Renderable, Transform } from '../utils/ECS.js';
+import { Collider, createPhysicsSystem, RigidBody } from '../utils/Physics.js';
+
+export const SIMPLE_EVENTS = {
+  surfaceChanged: { payload: { surface: 'object' } },
+  objectSelected: { payload: { objectId: 'string', playerId: 'string?' } },
+  objectDeselected: { payload: { objectId: 'string', playerId: 'string?' } },
+  objectGrabbed: { payload: { objectId: 'string', playerId: 'string?' } },
+  objectReleased: { payload: { objectId: 'string', playerId: 'string?' } },
+  objectDeleted: { payload: { objectId: 'string', playerId: 'string?' } },
+  objectDuplicated: { payload: { objectId: 'string', sourceId: 'string', playerId: 'string?' } }
+};
+
+// Selections and grabs without a player (e.g. from the debug console) belong to this key
+const NO_PLAYER = '';
 
 /**
- * Simple AR Game Engine - extends the base GameEngine
+ * Simple AR Game Engine - extends the base GameEngine. Objects are ECS
+ * entities; the physics system drops, throws and stacks them on the detected
+ * surface and the interface draws them from their Renderable components.
  */
 export class SimpleGameEngine extends GameEngine {
   constructor(gameId = 'simple-ar') {
     super(gameId);
     terminal.log('[SimpleARGameEngine] Engine created');
+    this.events.declare(SIMPLE_EVENTS);
+    
+    // 2: objects became ECS entities, 3: objects are rigid bodies on a surface
+    this.snapshotVersion = 3;
     
     // Game-specific configuration
     this.config = {
       maxObjects: 15,
       spawnRadius: 2,
-      objectTypes: ['cube', 'sphere', 'cylinder']
+      objectTypes: ['cube', 'sphere', 'cylinder'],
+      dropHeight: 0.3, // meters above the tapped point that objects fall from
+      maxThrowSpin: 6, // rad/s about each axis
+      holdHeight: 0.05, // meters held objects float above the surface while dragged
+      minScale: 0.5,
+      maxScale: 3,
+      undoRules: {} // Overrides for GameEngine undoRules, e.g. { ownMovesOnly: true }
     };
     
     // Game-specific state
-    this.objects = new Map();
+    this.createWorld();
+    this.physics = createPhysicsSystem();
+    this.world.addSystem(this.physics);
     this.spawnCount = 0;
+    this.random = Math.random;
+    
+    // playerId -> objectId, for the object each player has selected and the one they hold
+    this.selections = new Map();
+    this.grabs = new Map();
+    
+    // Spawning (and duplicating), clearing and deleting can be taken back;
+    // entries hold copies of the entities involved
+    const restore = entity => this.world.createEntity(entity.id, entity.components, { silent: true });
+    const discard = entity => this.discardEntity(entity.id);
+    this.defineReversibleAction('spawn', {
+      undo: ({ entity }) => discard(entity),
+      redo: ({ entity }) => restore(entity)
+    });
+    this.defineReversibleAction('clear', {
+      undo: ({ entities }) => entities.forEach(restore),
+      redo: ({ entities }) => entities.forEach(discard)
+    });
+    this.defineReversibleAction('delete', {
+      undo: ({ entity }) => restore(entity),
+      redo: ({ entity }) => discard(entity)
+    });
   }
 
   /**
@@ -28,10 +82,14 @@ export class SimpleGameEngine extends GameEngine {
    */
   initializeGame(config = {}) {
     this.config = { ...this.config, ...config };
+    this.random = createRandom(this.config.seed);
+    this.setUndoRules(this.config.undoRules);
     terminal.log('[SimpleARGameEngine] Initializing game with config:', this.config);
     
-    // Add a local player
-    this.addPlayer('local-player');
+    // Add a local player unless players already joined (e.g. through a room)
+    if (this.players.size === 0) {
+      this.addPlayer('local-player');
+    }
     
     // Set initial game state
     this.setState('playing');
@@ -41,55 +99,72 @@ export class SimpleGameEngine extends GameEngine {
 
   /**
    * Spawn a 3D object in AR space
+   * @param {Object} velocity - Initial { velocity, angularVelocity }, e.g. for a throw
+   * @param {Object} overrides - { Transform, Renderable } values to use instead of the defaults
+   * @returns {Object|null} - The new entity, as { id, components }
    */
-  spawnObject(type = 'cube', position = { x: 0, y: 0, z: -2 }) {
-    if (this.objects.size >= this.config.maxObjects) {
+  spawnObject(type = 'cube', position = { x: 0, y: 0, z: -2 }, playerId = null, velocity = {}, overrides = {}) {
+    if (this.getObjectCount() >= this.config.maxObjects) {
       terminal.log('[SimpleARGameEngine] Max objects reached, cannot spawn more');
       return null;
     }
 
-    const objectId = `object-${++this.spawnCount}`;
-    const gameObject = {
-      id: objectId,
-      type: type,
-      position: position,
-      rotation: { x: 0, y: 0, z: 0 },
-      scale: { x: 1, y: 1, z: 1 },
-      color: this.getRandomColor(),
-      createdAt: Date.now()
-    };
-
-    this.objects.set(objectId, gameObject);
-    
-    // Notify observers
-    this.notifyObservers('objectSpawned', { object: gameObject });
+    const objectId = this.world.createEntity(`object-${++this.spawnCount}`, {
+      Transform: { ...overrides.Transform, position },
+      Renderable: { shape: type, color: this.getRandomColor(), opacity: 0.9, ...overrides.Renderable },
+      RigidBody: velocity,
+      Collider: { shape: type },
+      Interactable: {},
+      Owner: { playerId }
+    });
     
     terminal.log('[SimpleARGameEngine] Object spawned:', objectId, type);
-    return gameObject;
+    return this.world.getEntity(objectId);
   }
 
   /**
    * Remove an object from the game
    */
   removeObject(objectId) {
-    const object = this.objects.get(objectId);
-    if (!object) {
+    if (!this.world.destroyEntity(objectId)) {
       terminal.log('[SimpleARGameEngine] Object not found for removal:', objectId);
       return false;
     }
-
-    this.objects.delete(objectId);
-    this.notifyObservers('objectRemoved', { objectId, object });
+    this.forgetObject(objectId);
     
     terminal.log('[SimpleARGameEngine] Object removed:', objectId);
     return true;
   }
 
   /**
-   * Get all current objects
+   * Remove an entity without events, for undo and redo
+   */
+  discardEntity(objectId) {
+    this.world.destroyEntity(objectId, { silent: true });
+    this.forgetObject(objectId);
+  }
+
+  /**
+   * Drop selections and grabs of an object that is gone. Whatever rested on it falls again.
+   */
+  forgetObject(objectId) {
+    [this.selections, this.grabs].forEach(map => {
+      map.forEach((heldId, key) => {
+        if (heldId === objectId) map.delete(key);
+      });
+    });
+    this.physics.wakeAll(this.world);
+  }
+
+  /**
+   * Get all current objects, as { id, components }
    */
   getObjects() {
-    return Array.from(this.objects.values());
+    return this.world.query(Renderable).map(objectId => this.world.getEntity(objectId));
+  }
+
+  getObjectCount() {
+    return this.world.query(Renderable).length;
   }
 
   /**
@@ -105,8 +180,47 @@ export class SimpleGameEngine extends GameEngine {
       case 'spawn':
         this.handleSpawn(data);
         break;
+      case 'throw':
+        this.handleThrow(data);
+        break;
+      case 'surface':
+        this.setSurface(data);
+        break;
+      case 'select':
+        this.selectObject(data.objectId, data.playerId);
+        break;
+      case 'deselect':
+        this.deselectObject(data.playerId);
+        break;
+      case 'grab':
+        this.grabObject(data.objectId, data.playerId);
+        break;
+      case 'move':
+        this.moveObject(data.position, data.playerId);
+        break;
+      case 'release':
+        this.releaseObject(data.playerId);
+        break;
+      case 'rotate':
+        this.rotateObject(data.angle, data.playerId);
+        break;
+      case 'scale':
+        this.scaleObject(data.factor, data.playerId);
+        break;
+      case 'delete':
+        this.handleDelete(data);
+        break;
+      case 'duplicate':
+        this.handleDuplicate(data);
+        break;
       case 'clear':
-        this.handleClear();
+        this.handleClear(data);
+        break;
+      case 'undo':
+        this.undo(data.playerId);
+        break;
+      case 'redo':
+        this.redo(data.playerId);
         break;
       default:
         terminal.log('[SimpleARGameEngine] Unknown input type:', inputType);
@@ -114,41 +228,256 @@ export class SimpleGameEngine extends GameEngine {
   }
 
   handleTap(data) {
-    // Spawn object at tap location
-    const position = data.position || { x: 0, y: 0, z: -2 };
+    // The first tap on a surface is the surface objects land on, if none was reported yet
+    if (!this.physics.surface && data.position && data.normal) {
+      this.setSurface(data);
+    }
+    
+    // Drop an object onto the tap location
+    const tapped = data.position || { x: 0, y: 0, z: -2 };
+    const position = { ...tapped, y: tapped.y + this.config.dropHeight };
     const type = data.type || this.getRandomObjectType();
-    this.spawnObject(type, position);
+    this.spawnReversibly(type, position, data.playerId);
   }
 
-  handleSpawn(data) {
+  /**
+   * Throw a new object, with the velocity the interface worked out from a swipe
+   * @param {Object} data - { type, position, velocity } in table space, velocity in m/s
+   */
+  handleThrow(data) {
+    if (!data.position || !data.velocity) {
+      terminal.log('[SimpleARGameEngine] Throw needs a position and velocity');
+      return;
+    }
+    
+    // Tumble a little, from the game's random source so replays throw the same way
+    const spin = () => (this.random() - 0.5) * 2 * this.config.maxThrowSpin;
     const type = data.type || this.getRandomObjectType();
-    const position = data.position || this.getRandomPosition();
-    this.spawnObject(type, position);
+    this.spawnReversibly(type, data.position, data.playerId, {
+      velocity: data.velocity,
+      angularVelocity: { x: spin(), y: spin(), z: spin() }
+    });
   }
 
-  handleClear() {
-    const objectIds = Array.from(this.objects.keys());
-    objectIds.forEach(id => this.removeObject(id));
-    terminal.log('[SimpleARGameEngine] All objects cleared');
+  /**
+   * Set the plane objects fall onto and rest on
+   * @param {Object} data - { position, normal } in table space
+   */
+  setSurface(data) {
+    this.physics.setSurface({ position: data.position, normal: data.normal });
+    this.physics.wakeAll(this.world);
+    this.emit('surfaceChanged', { surface: this.physics.surface });
+  }
+
+  getSurface() {
+    return this.physics.surface;
+  }
+
+  getSelectedObjectId(playerId = null) {
+    return this.selections.get(playerId ?? NO_PLAYER) || null;
   }
 
   /**
-   * Update game state (called each frame)
+   * Whether any player has the object selected
    */
-  update(deltaTime) {
-    // Simple rotation animation for objects
-    for (const object of this.objects.values()) {
-      object.rotation.y += deltaTime * 0.001;
-      if (object.rotation.y > Math.PI * 2) {
-        object.rotation.y -= Math.PI * 2;
-      }
+  isObjectSelected(objectId) {
+    return Array.from(this.selections.values()).includes(objectId);
+  }
+
+  selectObject(objectId, playerId = null) {
+    const interactable = this.world.getComponent(objectId, Interactable);
+    if (!interactable || !interactable.selectable) {
+      terminal.log('[SimpleARGameEngine] Object cannot be selected:', objectId);
+      return false;
+    }
+    
+    const key = playerId ?? NO_PLAYER;
+    if (this.selections.get(key) === objectId) return true;
+    
+    this.deselectObject(playerId);
+    this.selections.set(key, objectId);
+    this.emit('objectSelected', { objectId, playerId });
+    return true;
+  }
+
+  deselectObject(playerId = null) {
+    const key = playerId ?? NO_PLAYER;
+    const objectId = this.selections.get(key);
+    if (!objectId) return false;
+    
+    this.releaseObject(playerId);
+    this.selections.delete(key);
+    this.emit('objectDeselected', { objectId, playerId });
+    return true;
+  }
+
+  /**
+   * Pick an object up: it selects it and the physics step stops moving it
+   * until it is released
+   */
+  grabObject(objectId, playerId = null) {
+    const interactable = this.world.getComponent(objectId, Interactable);
+    if (!interactable || !interactable.grabbable) {
+      terminal.log('[SimpleARGameEngine] Object cannot be grabbed:', objectId);
+      return false;
+    }
+    
+    // Another player is holding it
+    const key = playerId ?? NO_PLAYER;
+    const holder = Array.from(this.grabs.entries()).find(([, heldId]) => heldId === objectId);
+    if (holder && holder[0] !== key) return false;
+    
+    if (!this.selectObject(objectId, playerId)) return false;
+    this.grabs.set(key, objectId);
+    
+    const body = this.world.getComponent(objectId, RigidBody);
+    if (body) {
+      body.kinematic = true;
+      body.velocity = { x: 0, y: 0, z: 0 };
+      body.angularVelocity = { x: 0, y: 0, z: 0 };
+    }
+    this.emit('objectGrabbed', { objectId, playerId });
+    return true;
+  }
+
+  /**
+   * Drag the held object to a point on the surface, floating just above it
+   * @param {Object} position - Point on the surface, in table space
+   */
+  moveObject(position, playerId = null) {
+    const objectId = this.grabs.get(playerId ?? NO_PLAYER);
+    if (!objectId || !position) return false;
+    
+    const transform = this.world.getComponent(objectId, Transform);
+    const normal = this.physics.surface?.normal || { x: 0, y: 1, z: 0 };
+    const lift = this.getObjectRadius(objectId) + this.config.holdHeight;
+    transform.position = {
+      x: position.x + normal.x * lift,
+      y: position.y + normal.y * lift,
+      z: position.z + normal.z * lift
+    };
+    this.world.markChanged(objectId, Transform);
+    return true;
+  }
+
+  /**
+   * Let go of the held object, which falls back onto the surface
+   */
+  releaseObject(playerId = null) {
+    const key = playerId ?? NO_PLAYER;
+    const objectId = this.grabs.get(key);
+    if (!objectId) return false;
+    
+    this.grabs.delete(key);
+    const body = this.world.getComponent(objectId, RigidBody);
+    if (body) {
+      body.kinematic = false;
+      this.physics.wakeAll(this.world);
     }
+    this.emit('objectReleased', { objectId, playerId });
+    return true;
+  }
+
+  /**
+   * Turn the selected object about the surface normal
+   * @param {number} angle - Radians, counterclockwise seen from above
+   */
+  rotateObject(angle, playerId = null) {
+    const objectId = this.getSelectedObjectId(playerId);
+    if (!objectId || !angle) return false;
+    
+    const { rotation } = this.world.getComponent(objectId, Transform);
+    const normal = this.physics.surface?.normal || { x: 0, y: 1, z: 0 };
+    const quaternion = new THREE.Quaternion()
+      .setFromAxisAngle(new THREE.Vector3(normal.x, normal.y, normal.z), angle)
+      .multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)));
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+    
+    Object.assign(rotation, { x: euler.x, y: euler.y, z: euler.z });
+    this.world.markChanged(objectId, Transform);
+    this.physics.wakeAll(this.world);
+    return true;
+  }
+
+  /**
+   * Resize the selected object by a factor, within the configured limits
+   */
+  scaleObject(factor, playerId = null) {
+    const objectId = this.getSelectedObjectId(playerId);
+    if (!objectId || !(factor > 0)) return false;
+    
+    const transform = this.world.getComponent(objectId, Transform);
+    const scale = Math.min(Math.max(transform.scale.x * factor, this.config.minScale), this.config.maxScale);
+    transform.scale = { x: scale, y: scale, z: scale };
+    this.world.markChanged(objectId, Transform);
+    this.physics.wakeAll(this.world);
+    return true;
+  }
+
+  handleDelete(data) {
+    const objectId = data.objectId || this.getSelectedObjectId(data.playerId);
+    const entity = objectId && this.world.getEntity(objectId);
+    if (!entity || !this.removeObject(objectId)) return;
+    
+    this.recordUndoable('delete', { entity }, data.playerId);
+    this.emit('objectDeleted', { objectId, playerId: data.playerId ?? null });
+  }
+
+  /**
+   * Copy an object and drop the copy beside it, with the same look and size
+   */
+  handleDuplicate(data) {
+    const sourceId = data.objectId || this.getSelectedObjectId(data.playerId);
+    const source = sourceId && this.world.getEntity(sourceId);
+    if (!source) return;
     
-    // Notify observers of updates
-    this.notifyObservers('objectsUpdated', { 
-      objects: this.getObjects(),
-      deltaTime 
+    const { Transform: transform, Renderable: renderable } = source.components;
+    const offset = this.getObjectRadius(sourceId) * 2;
+    const position = {
+      x: transform.position.x + offset,
+      y: transform.position.y + this.config.dropHeight,
+      z: transform.position.z
+    };
+    const entity = this.spawnReversibly(renderable.shape, position, data.playerId, {}, {
+      Renderable: { color: renderable.color },
+      Transform: { rotation: transform.rotation, scale: transform.scale }
     });
+    if (!entity) return;
+    
+    this.emit('objectDuplicated', { objectId: entity.id, sourceId, playerId: data.playerId ?? null });
+  }
+
+  /**
+   * Half the object's largest dimension
+   */
+  getObjectRadius(objectId) {
+    const collider = this.world.getComponent(objectId, Collider);
+    const { scale } = this.world.getComponent(objectId, Transform);
+    return (collider ? collider.size : 0.2) / 2 * Math.max(scale.x, scale.y, scale.z);
+  }
+
+  handleSpawn(data) {
+    const type = data.type || this.getRandomObjectType();
+    const position = data.position || this.getRandomPosition();
+    this.spawnReversibly(type, position, data.playerId);
+  }
+
+  spawnReversibly(type, position, playerId = null, velocity = {}, overrides = {}) {
+    const entity = this.spawnObject(type, position, playerId, velocity, overrides);
+    if (entity) {
+      this.recordUndoable('spawn', { entity }, playerId);
+    }
+    return entity;
+  }
+
+  handleClear(data = {}) {
+    const entities = this.getObjects();
+    entities.forEach(entity => this.removeObject(entity.id));
+    
+    if (entities.length > 0) {
+      this.recordUndoable('clear', { entities }, data.playerId);
+    }
+    terminal.log('[SimpleARGameEngine] All objects cleared');
   }
 
   // Helper methods
@@ -163,30 +492,55 @@ export class SimpleGameEngine extends GameEngine {
       0xff8844, // Orange
       0x8844ff  // Purple
     ];
-    return colors[Math.floor(Math.random() * colors.length)];
+    return colors[Math.floor(this.random() * colors.length)];
   }
 
   getRandomObjectType() {
     return this.config.objectTypes[
-      Math.floor(Math.random() * this.config.objectTypes.length)
+      Math.floor(this.random() * this.config.objectTypes.length)
     ];
   }
 
   getRandomPosition() {
     const radius = this.config.spawnRadius;
     return {
-      x: (Math.random() - 0.5) * radius,
-      y: Math.random() * 2,
-      z: -2 - Math.random() * radius
+      x: (this.random() - 0.5) * radius,
+      y: this.random() * 2,
+      z: -2 - this.random() * radius
+    };
+  }
+
+  /**
+   * The world, the surface and the spawn counter are all a saved game needs
+   */
+  serializeState() {
+    return {
+      world: this.world.toJSON(),
+      surface: this.physics.surface,
+      spawnCount: this.spawnCount
     };
   }
 
+  restoreState(data) {
+    this.world.load(data.world);
+    this.physics.setSurface(data.surface);
+    this.spawnCount = data.spawnCount;
+    
+    // Nobody is holding anything in a restored game
+    this.selections.clear();
+    this.grabs.clear();
+    this.world.query(RigidBody).forEach(objectId => {
+      this.world.getComponent(objectId, RigidBody).kinematic = false;
+    });
+  }
+
   /**
    * Clean up resources
    */
   cleanup() {
     terminal.log('[SimpleARGameEngine] Cleaning up engine');
-    this.objects.clear();
+    this.selections.clear();
+    this.grabs.clear();
     super.cleanup();
   }
 
@@ -196,27 +550,66 @@ export class SimpleGameEngine extends GameEngine {
   getDebugInfo() {
     return {
       ...super.getDebugInfo(),
-      objectCount: this.objects.size,
+      objectCount: this.getObjectCount(),
       maxObjects: this.config.maxObjects,
       spawnCount: this.spawnCount,
+      physics: this.physics.getDebugInfo(this.world),
+      selections: Object.fromEntries(this.selections),
+      grabs: Object.fromEntries(this.grabs),
       config: this.config
     };
   }
 }
 
+// Undo/redo grow and shrink animation
+const MESH_ANIMATION_DURATION = 250; // ms
+const MIN_MESH_SCALE = 0.001;
+
+// Swipe throws - how swipe speed becomes throw speed
+const THROW_SPEED_PER_SWIPE_SPEED = 2.5; // m/s per px/ms
+const MAX_THROW_SPEED = 6; // m/s
+const THROW_LIFT = 0.5; // share of the forward speed thrown upwards
+const THROW_START_DISTANCE = 0.3; // meters in front of the camera
+// The XR select from a touch that dragged an object arrives around the same time and must not spawn too
+const SELECT_AFTER_DRAG = 300; // ms
+// Selected objects glow
+const SELECTED_EMISSIVE = 0x333333;
+const HELD_EMISSIVE = 0x555555;
+
 /**
  * Simple AR Game Interface - extends the base ARGameInterface
  */
 export class SimpleGameInterface extends ARGameInterface {
-  constructor(gameEngine, gameId = 'simple-ar') {
+  constructor(gameEngine, gameId = 'simple-ar', options = {}) {
     // Ensure gameId is a string, not an object
     const actualGameId = typeof gameId === 'string' ? gameId : 'simple-ar';
-    super(gameEngine, actualGameId);
+    super(gameEngine, actualGameId, options);
     terminal.log('[SimpleARGameInterface] Interface created');
     
     // UI elements for this specific game
     this.uiControls = null;
-    this.objectMeshes = new Map(); // Track THREE.js meshes
+    this.undoButton = null;
+    this.redoButton = null;
+    this.meshAnimations = new Map(); // objectId -> { mesh, appearing, elapsed }
+    this.lastRenderTime = null;
+    
+    this.deleteButton = null;
+    this.duplicateButton = null;
+    
+    this.heldObjectId = null;
+    this.heldPointerId = null;
+    this.lastDragTime = -Infinity;
+    // Drags are sent once per frame, not once per pointer event
+    this.pendingMove = null;
+    this.surfaceReported = false;
+    
+    // Two fingers turn and resize the selected object; in AR a swipe up throws a new one
+    this.gestureInputs = {
+      swipe: data => this.getThrowInput(data),
+      pinch: data => (data.phase === 'change' ? ['scale', { factor: data.scale }] : null),
+      // Screen angles grow clockwise; objects turn counterclockwise seen from above for positive angles
+      rotate: data => (data.phase === 'change' ? ['rotate', { angle: -data.angle }] : null)
+    };
   }
 
   /**
@@ -235,6 +628,15 @@ export class SimpleGameInterface extends ARGameInterface {
     this.setupGameScene();
     this.createUIControls();
     
+    this.setupPointerInput();
+    if (this.mode !== 'ar' && !this.gameEngine.getSurface()) {
+      // The inline floor is the surface, at table height 0
+      this.gameEngine.handleInput('surface', {
+        position: { x: 0, y: 0, z: 0 },
+        normal: { x: 0, y: 1, z: 0 }
+      });
+    }
+    
     terminal.log('[SimpleARGameInterface] Simple AR interface initialized');
     return true;
   }
@@ -257,6 +659,7 @@ export class SimpleGameInterface extends ARGameInterface {
     // Create overlay UI for game controls
     this.uiControls = document.createElement('div');
     this.uiControls.id = 'simple-ar-controls';
+    this.uiControls.dataset.noGestures = ''; // Touches between the buttons aren't gestures either
     this.uiControls.style.cssText = `
       position: absolute;
       bottom: 20px;
@@ -281,9 +684,31 @@ export class SimpleGameInterface extends ARGameInterface {
       this.gameEngine.handleInput('clear');
     }, '#f44336');
 
+    this.undoButton = this.createButton('Undo', () => {
+      this.gameEngine.handleInput('undo', { playerId: this.getViewingPlayerId() });
+    }, '#607d8b');
+
+    this.redoButton = this.createButton('Redo', () => {
+      this.gameEngine.handleInput('redo', { playerId: this.getViewingPlayerId() });
+    }, '#607d8b');
+
     this.uiControls.appendChild(spawnCubeBtn);
     this.uiControls.appendChild(spawnSphereBtn);
     this.uiControls.appendChild(clearBtn);
+    this.deleteButton = this.createButton('Delete', () => {
+      this.gameEngine.handleInput('delete', { playerId: this.getViewingPlayerId() });
+    }, '#f44336');
+
+    this.duplicateButton = this.createButton('Duplicate', () => {
+      this.gameEngine.handleInput('duplicate', { playerId: this.getViewingPlayerId() });
+    });
+
+    this.uiControls.appendChild(this.undoButton);
+    this.uiControls.appendChild(this.redoButton);
+    this.uiControls.appendChild(this.deleteButton);
+    this.uiControls.appendChild(this.duplicateButton);
+    this.updateUndoButtons();
+    this.updateSelectionButtons();
 
     // Add to overlay
     const overlay = document.getElementById('overlay');
@@ -292,6 +717,133 @@ export class SimpleGameInterface extends ARGameInterface {
     }
   }
 
+  /**
+   * Objects are grabbed through scene pointer events: pressing one picks it
+   * up and drags it along the surface until the pointer lifts.
+   *
+   * Touches on the screen are left to the base class's gestures - see
+   * gestureInputs. Inline drags on empty space orbit the camera.
+   */
+  setupPointerInput() {
+    this.onPointer(this.tableRoot, 'pointerdown', event => this.onObjectPointerDown(event));
+    this.onPointer(this.tableRoot, 'pointermove', event => this.onObjectPointerMove(event));
+    this.onPointer(this.tableRoot, 'pointerup', event => this.onObjectPointerUp(event));
+  }
+
+  onObjectPointerDown(event) {
+    const objectId = event.target.userData.entityId;
+    if (!objectId || this.heldObjectId) return;
+    
+    event.setPointerCapture();
+    this.heldObjectId = objectId;
+    this.heldPointerId = event.pointerId;
+    this.lastDragTime = performance.now();
+    if (this.orbitControls) this.orbitControls.enabled = false;
+    this.gameEngine.handleInput('grab', { objectId, playerId: this.getViewingPlayerId() });
+  }
+
+  onObjectPointerMove(event) {
+    // A second finger turns and resizes instead of dragging
+    if (event.pointerId !== this.heldPointerId || this.gestures?.isMultiTouch()) return;
+    
+    const point = this.raycastSurface(event.ray);
+    if (point) this.pendingMove = point;
+  }
+
+  onObjectPointerUp(event) {
+    if (event.pointerId !== this.heldPointerId) return;
+    
+    this.flushPointerInput();
+    this.gameEngine.handleInput('release', { playerId: this.getViewingPlayerId() });
+    this.heldObjectId = null;
+    this.heldPointerId = null;
+    this.lastDragTime = performance.now();
+    if (this.orbitControls) this.orbitControls.enabled = true;
+  }
+
+  /**
+   * Send the drag gathered since the last frame
+   */
+  flushPointerInput() {
+    if (this.pendingMove) {
+      this.gameEngine.handleInput('move', { position: this.pendingMove, playerId: this.getViewingPlayerId() });
+      this.pendingMove = null;
+    }
+  }
+
+  /**
+   * Where a world-space ray meets the engine's surface, in table space
+   */
+  raycastSurface(ray) {
+    const surface = this.gameEngine.getSurface();
+    if (!surface || !this.tableRoot) return null;
+    
+    this.tableRoot.updateMatrixWorld();
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+      new THREE.Vector3(surface.normal.x, surface.normal.y, surface.normal.z),
+      new THREE.Vector3(surface.position.x, surface.position.y, surface.position.z)
+    ).applyMatrix4(this.tableRoot.matrixWorld);
+    
+    const hit = ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit) return null;
+    
+    const local = this.tableRoot.worldToLocal(hit);
+    return { x: local.x, y: local.y, z: local.z };
+  }
+
+  /**
+   * The throw for an AR swipe up, from just in front of the camera: forwards
+   * and a little upwards, curving left or right with the swipe's sideways speed
+   * @param {Object} swipe - Swipe gesture data, speeds in px/ms
+   * @returns {Array|null} - ['throw', data], or null when the swipe isn't a throw
+   */
+  getThrowInput(swipe) {
+    const { direction, velocityX: speedX, velocityY: speedY } = swipe;
+    if (this.mode !== 'ar' || direction !== 'up' || !this.camera || !this.tableRoot) return null;
+    // A drag on an object ends in a swipe too
+    if (this.heldObjectId || performance.now() - this.lastDragTime < SELECT_AFTER_DRAG) return null;
+    
+    const forward = new THREE.Vector3();
+    this.camera.getWorldDirection(forward);
+    const right = new THREE.Vector3().crossVectors(forward, this.camera.up).normalize();
+    
+    const forwardSpeed = -speedY * THROW_SPEED_PER_SWIPE_SPEED;
+    const velocity = forward.clone().multiplyScalar(forwardSpeed)
+      .addScaledVector(right, speedX * THROW_SPEED_PER_SWIPE_SPEED)
+      .addScaledVector(this.camera.up, forwardSpeed * THROW_LIFT)
+      .clampLength(0, MAX_THROW_SPEED);
+    
+    const start = new THREE.Vector3();
+    this.camera.getWorldPosition(start).addScaledVector(forward, THROW_START_DISTANCE);
+    
+    // The engine works in table space
+    this.tableRoot.updateMatrixWorld();
+    const position = this.tableRoot.worldToLocal(start);
+    velocity.applyQuaternion(this.tableRoot.quaternion.clone().invert());
+    
+    return ['throw', {
+      position: { x: position.x, y: position.y, z: position.z },
+      velocity: { x: velocity.x, y: velocity.y, z: velocity.z }
+    }];
+  }
+
+  /**
+   * Taps on empty space spawn, or drop the selection if there is one. Touches
+   * that dragged an object, swiped or pinched were never taps.
+   */
+  onSelect(event) {
+    if (this.heldObjectId || performance.now() - this.lastDragTime < SELECT_AFTER_DRAG || this.isGestureSelect()) {
+      return;
+    }
+    
+    const playerId = this.getViewingPlayerId();
+    if (this.placementState !== 'placing' && this.gameEngine.getSelectedObjectId(playerId)) {
+      this.gameEngine.handleInput('deselect', { playerId });
+      return;
+    }
+    super.onSelect(event);
+  }
+
   createButton(text, onClick, color = '#4CAF50') {
     const button = document.createElement('button');
     button.textContent = text;
@@ -316,14 +868,19 @@ export class SimpleGameInterface extends ARGameInterface {
     terminal.log('[SimpleARGameInterface] Updating visualization for event:', event);
     
     switch (event) {
-      case 'objectSpawned':
-        this.addObjectMesh(data.object);
+      case 'undoStackChanged':
+        this.updateUndoButtons();
         break;
-      case 'objectRemoved':
-        this.removeObjectMesh(data.objectId);
+      case 'objectSelected':
+      case 'objectDeselected':
+      case 'objectGrabbed':
+      case 'objectReleased':
+        this.updateSelectionHighlight(data.objectId);
+        this.updateSelectionButtons();
         break;
-      case 'objectsUpdated':
-        this.updateObjectMeshes(data.objects);
+      case 'objectDeleted':
+      case 'entity:destroyed':
+        this.updateSelectionButtons();
         break;
       case 'stateChanged':
         this.handleStateChange(data);
@@ -333,62 +890,112 @@ export class SimpleGameInterface extends ARGameInterface {
     }
   }
 
-  addObjectMesh(gameObject) {
-    let geometry;
+  onRenderFrame(alpha, timestamp) {
+    this.flushPointerInput();
     
-    switch (gameObject.type) {
-      case 'cube':
-        geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
-        break;
-      case 'sphere':
-        geometry = new THREE.SphereGeometry(0.1, 16, 12);
-        break;
-      case 'cylinder':
-        geometry = new THREE.CylinderGeometry(0.08, 0.08, 0.2, 12);
-        break;
-      default:
-        geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
+    // Objects fall onto the first surface hit testing finds
+    if (!this.surfaceReported && this.currentHit && !this.gameEngine.getSurface()) {
+      this.surfaceReported = true;
+      const { position, normal } = this.toTableSpace(this.currentHit);
+      this.gameEngine.handleInput('surface', { position, normal });
     }
-
-    const material = new THREE.MeshLambertMaterial({ 
-      color: gameObject.color,
-      transparent: true,
-      opacity: 0.9
-    });
     
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(
-      gameObject.position.x,
-      gameObject.position.y,
-      gameObject.position.z
-    );
+    // Grow/shrink animations are only for show, so they run on frame time
+    const frameDelta = this.lastRenderTime === null ? 0 : timestamp - this.lastRenderTime;
+    this.lastRenderTime = timestamp;
+    this.stepMeshAnimations(Math.max(frameDelta, 0));
+  }
+
+  /**
+   * Show an undo or redo as objects shrinking away or growing back, rather
+   * than rebuilding the scene
+   */
+  syncHistoryChange(entry, isUndo) {
+    if (!this.renderables) return;
     
-    this.scene.add(mesh);
-    this.objectMeshes.set(gameObject.id, mesh);
+    const entities = entry.data.entities || [entry.data.entity];
+    // Undoing a spawn or redoing a clear or delete takes objects away
+    const appearing = (entry.action === 'spawn') !== isUndo;
+    this.updateSelectionButtons();
     
-    terminal.log('[SimpleARGameInterface] Object mesh added:', gameObject.id);
+    entities.forEach(entity => {
+      if (appearing) {
+        this.renderables.add(entity.id, this.gameEngine.world.getComponents(entity.id));
+      }
+      this.animateMesh(entity.id, appearing);
+    });
   }
 
-  removeObjectMesh(objectId) {
-    const mesh = this.objectMeshes.get(objectId);
-    if (mesh) {
-      this.scene.remove(mesh);
-      mesh.geometry.dispose();
-      mesh.material.dispose();
-      this.objectMeshes.delete(objectId);
-      terminal.log('[SimpleARGameInterface] Object mesh removed:', objectId);
+  animateMesh(objectId, appearing) {
+    const mesh = this.renderables?.get(objectId);
+    if (!mesh) return;
+    
+    // Pick up from the current size if the mesh is already mid-animation
+    const current = this.meshAnimations.get(objectId);
+    if (current && current.appearing === appearing) return;
+    const progress = current ? 1 - current.elapsed / MESH_ANIMATION_DURATION : 0;
+    this.meshAnimations.set(objectId, {
+      mesh,
+      appearing,
+      elapsed: Math.max(progress, 0) * MESH_ANIMATION_DURATION
+    });
+    
+    if (appearing && !current) {
+      mesh.scale.setScalar(MIN_MESH_SCALE);
     }
   }
 
-  updateObjectMeshes(objects) {
-    objects.forEach(gameObject => {
-      const mesh = this.objectMeshes.get(gameObject.id);
-      if (mesh) {
-        mesh.rotation.y = gameObject.rotation.y;
+  /**
+   * Advance grow/shrink animations; shrunk meshes are removed at the end
+   */
+  stepMeshAnimations(deltaTime = 0) {
+    this.meshAnimations.forEach((animation, objectId) => {
+      animation.elapsed += deltaTime;
+      const t = Math.min(animation.elapsed / MESH_ANIMATION_DURATION, 1);
+      const scale = animation.appearing ? t : 1 - t;
+      animation.mesh.scale.setScalar(Math.max(scale, MIN_MESH_SCALE));
+      
+      if (t === 1) {
+        this.meshAnimations.delete(objectId);
+        if (!animation.appearing) {
+          this.renderables?.remove(objectId);
+        }
       }
     });
   }
 
+  /**
+   * Selected objects glow, and glow brighter while held
+   */
+  updateSelectionHighlight(objectId) {
+    const mesh = this.renderables?.get(objectId);
+    if (!mesh) return;
+    
+    let emissive = 0x000000;
+    if (Array.from(this.gameEngine.grabs.values()).includes(objectId)) {
+      emissive = HELD_EMISSIVE;
+    } else if (this.gameEngine.isObjectSelected(objectId)) {
+      emissive = SELECTED_EMISSIVE;
+    }
+    mesh.material.emissive.setHex(emissive);
+  }
+
+  updateSelectionButtons() {
+    if (!this.deleteButton) return;
+    
+    const hasSelection = !!this.gameEngine.getSelectedObjectId(this.getViewingPlayerId());
+    this.deleteButton.disabled = !hasSelection;
+    this.duplicateButton.disabled = !hasSelection;
+  }
+
+  updateUndoButtons() {
+    if (!this.undoButton) return;
+    
+    const playerId = this.getViewingPlayerId();
+    this.undoButton.disabled = !this.gameEngine.canUndo(playerId);
+    this.redoButton.disabled = !this.gameEngine.canRedo(playerId);
+  }
+
   handleStateChange(data) {
     terminal.log('[SimpleARGameInterface] Game state changed:', data);
   }
@@ -405,13 +1012,16 @@ export class SimpleGameInterface extends ARGameInterface {
       this.uiControls = null;
     }
     
-    // Clean up object meshes
-    for (const mesh of this.objectMeshes.values()) {
-      this.scene.remove(mesh);
-      mesh.geometry.dispose();
-      mesh.material.dispose();
-    }
-    this.objectMeshes.clear();
+    // Object meshes go with the base class's renderables
+    this.meshAnimations.clear();
+    this.heldObjectId = null;
+    this.heldPointerId = null;
+    this.pendingMove = null;
+    this.surfaceReported = false;
+    this.undoButton = null;
+    this.redoButton = null;
+    this.deleteButton = null;
+    this.duplicateButton = null;
     
     // Call parent cleanup
     super.endSession();
@@ -423,7 +1033,8 @@ export class SimpleGameInterface extends ARGameInterface {
   getDebugInfo() {
     return {
       ...super.getDebugInfo(),
-      objectMeshCount: this.objectMeshes.size,
+      animatingMeshCount: this.meshAnimations.size,
+      heldObjectId: this.heldObjectId,
       hasUIControls: !!this.uiControls
     };
   }
@@ -433,7 +1044,7 @@ export class SimpleGameInterface extends ARGameInterface {
  * Factory function to create a complete Simple AR game instance
  * This is what the GameRegistry will call
  */
-export function createSimpleARGame() {
+export function createSimpleARGame(interfaceOptions = {}) {
   terminal.log('[SimpleARGame] Creating Simple AR game instance');
   
   try {
@@ -441,10 +1052,22 @@ export function createSimpleARGame() {
     const engine = new SimpleGameEngine('simple-ar');
     
     // Create the AR interface
-    const gameInterface = new SimpleGameInterface(engine, 'simple-ar');
+    const gameInterface = new SimpleGameInterface(engine, 'simple-ar', interfaceOptions);
     
-    // Initialize the game
-    engine.initializeGame();
+    // Initialize the game, unless a room's operation log drives the engine, a saved
+    // game is resumed or an imported action log is replayed
+    if (interfaceOptions.room) {
+      interfaceOptions.room.attachEngine(engine);
+    } else if (interfaceOptions.snapshot) {
+      // Resume a saved game, or start a new one if the save can't be restored
+      if (!engine.restore(interfaceOptions.snapshot)) {
+        engine.initializeGame();
+      }
+    } else if (interfaceOptions.replay) {
+      replayActionLog(engine, interfaceOptions.replay);
+    } else {
+      engine.initializeGame();
+    }
     
     const gameInstance = {
       engine: engine,
@@ -0,0 +1,1230 @@
+// src/games/UnoARGame.js - UNO card game built on the base engine/interface classes
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+import { GameEngine } from '../utils/GameEngine.js';
+import { replayActionLog } from '../utils/ActionLog.js';
+import { ARGameInterface } from '../utils/ARGameInterface.js';
+import { defineBotStrategy, resumeBots, seatBots } from '../utils/BotPlayer.js';
+import { Deck, Hand, Pile, createRandom, defineDeck } from '../utils/Cards.js';
+
+export const UNO_COLORS = ['red', 'yellow', 'green', 'blue'];
+export const UNO_ACTIONS = ['skip', 'reverse', 'drawTwo'];
+export const UNO_WILDS = ['wild', 'wildDrawFour'];
+
+defineDeck('uno', () => {
+  const cards = [];
+  const addCard = (color, value) => {
+    cards.push({ id: `uno-${cards.length + 1}`, color, value });
+  };
+
+  UNO_COLORS.forEach(color => {
+    addCard(color, '0');
+    for (let copy = 0; copy < 2; copy++) {
+      for (let number = 1; number <= 9; number++) {
+        addCard(color, String(number));
+      }
+      UNO_ACTIONS.forEach(action => addCard(color, action));
+    }
+  });
+
+  for (let copy = 0; copy < 4; copy++) {
+    UNO_WILDS.forEach(wild => addCard(null, wild));
+  }
+
+  return cards;
+});
+
+const UNO_COLOR_HEX = {
+  red: 0xd32f2f,
+  yellow: 0xfbc02d,
+  green: 0x388e3c,
+  blue: 0x1976d2,
+  wild: 0x212121
+};
+
+// Hand view sorting - UNO has no suits, so suit and colour both sort by colour, wilds last
+const UNO_VALUE_ORDER = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', ...UNO_ACTIONS, ...UNO_WILDS];
+
+function getUnoSortKeys(card) {
+  const colour = card.color ? UNO_COLORS.indexOf(card.color) : UNO_COLORS.length;
+  return { suit: colour, colour, rank: UNO_VALUE_ORDER.indexOf(card.value) };
+}
+
+export const UNO_EVENTS = {
+  cardsDealt: { payload: { handSizes: 'object', drawPileCount: 'number' } },
+  roundStarted: { payload: { topCard: 'object', currentColor: 'string?', turnOrder: 'array' } },
+  turnChanged: { payload: { playerId: 'string', direction: 'number', currentColor: 'string?', topCard: 'object' } },
+  playerSkipped: { payload: { playerId: 'string' } },
+  directionChanged: { payload: { direction: 'number' } },
+  cardPlayed: { payload: { playerId: 'string', card: 'object', currentColor: 'string', handSize: 'number' } },
+  colorChosen: { payload: { playerId: 'string', color: 'string' } },
+  cardDrawn: { payload: { playerId: 'string', cards: 'array?', count: 'number', handSize: 'number', drawPileCount: 'number' }, hidden: ['cards'] },
+  drawnCardPlayable: { payload: { playerId: 'string', card: 'object?' }, hidden: ['card'] },
+  deckReshuffled: { payload: { drawPileCount: 'number' } },
+  unoCalled: { payload: { playerId: 'string' } },
+  unoPenalty: { payload: { playerId: 'string', challengerId: 'string', count: 'number' } },
+  gameWon: { payload: { playerId: 'string', points: 'number', handPoints: 'object' } },
+  invalidMove: { payload: { playerId: 'string?', action: 'string', reason: 'string' } }
+};
+
+/**
+ * UNO Game Engine - extends the base GameEngine
+ */
+export class UnoGameEngine extends GameEngine {
+  constructor(gameId = 'uno-ar') {
+    super(gameId);
+    terminal.log('[UnoGameEngine] Engine created');
+    this.events.declare(UNO_EVENTS);
+
+    // Game-specific configuration
+    this.config = {
+      playerCount: 2,
+      minPlayers: 2,
+      maxPlayers: 4,
+      handSize: 7,
+      unoPenalty: 2,
+      strictWildDrawFour: true,
+      seed: null
+    };
+
+    // Game-specific state - hands are dealt face down so their moves don't show the cards
+    this.drawPile = this.forwardPileEvents(new Deck('uno', { id: 'drawPile' }));
+    this.discardPile = this.forwardPileEvents(new Pile('discardPile', [], { faceUp: true }));
+    this.hands = new Map(); // playerId -> Hand
+    this.turnOrder = [];
+    this.currentPlayerIndex = 0;
+    this.direction = 1;
+    this.currentColor = null;
+    this.pendingDrawnCardId = null;
+    this.unoCalls = new Set();
+    this.unoVulnerablePlayerId = null;
+    this.observedTable = null; // The room's table, when following a room game from one player's view
+    this.winnerId = null;
+    this.random = Math.random;
+  }
+
+  /**
+   * Initialize the game with specific configuration
+   */
+  initializeGame(config = {}) {
+    this.config = { ...this.config, ...config };
+    this.random = createRandom(this.config.seed);
+    terminal.log('[UnoGameEngine] Initializing game with config:', this.config);
+
+    const playerCount = Math.min(
+      Math.max(this.config.playerCount, this.config.minPlayers),
+      this.config.maxPlayers
+    );
+
+    // Players who already joined (e.g. through a room) take the first seats
+    for (let i = this.players.size + 1; i <= playerCount; i++) {
+      this.addPlayer(`player-${i}`, { name: `Player ${i}` });
+    }
+
+    this.startRound();
+    return true;
+  }
+
+  /**
+   * Shuffle a new deck, deal hands and flip the starting card
+   */
+  startRound() {
+    this.drawPile.reset().shuffle(this.random);
+    this.discardPile.clear();
+    this.hands.forEach(hand => this.stopForwardingPileEvents(hand.id));
+    this.hands.clear();
+    this.turnOrder = Array.from(this.players.keys());
+    this.currentPlayerIndex = 0;
+    this.direction = 1;
+    this.currentColor = null;
+    this.pendingDrawnCardId = null;
+    this.unoCalls.clear();
+    this.unoVulnerablePlayerId = null;
+    this.winnerId = null;
+
+    this.turnOrder.forEach(playerId => {
+      this.hands.set(playerId, this.forwardPileEvents(new Hand(playerId, [], { faceUp: false })));
+    });
+    this.drawPile.deal(Array.from(this.hands.values()), this.config.handSize);
+
+    this.emit('cardsDealt', {
+      handSizes: this.getHandSizes(),
+      drawPileCount: this.drawPile.size
+    });
+
+    // A wild would leave no colour to follow - shuffle it back in before it is flipped
+    while (UNO_WILDS.includes(this.drawPile.top.value)) {
+      this.drawPile.shuffle(this.random);
+    }
+    const [startCard] = this.drawPile.moveTo(this.discardPile, 1);
+    this.currentColor = startCard.color;
+
+    this.setState('playing');
+    this.emit('roundStarted', {
+      topCard: startCard,
+      currentColor: this.currentColor,
+      turnOrder: [...this.turnOrder]
+    });
+
+    this.applyStartCard(startCard);
+    terminal.log('[UnoGameEngine] Round started, top card:', startCard.id);
+  }
+
+  /**
+   * Apply the effect of the first discard to the first player
+   */
+  applyStartCard(card) {
+    switch (card.value) {
+      case 'skip':
+        this.emit('playerSkipped', { playerId: this.getCurrentPlayerId() });
+        this.advanceTurn(1);
+        break;
+      case 'reverse':
+        // With the dealer as last seat, reversing hands the turn back to them
+        this.direction = -1;
+        this.emit('directionChanged', { direction: this.direction });
+        this.currentPlayerIndex = this.turnOrder.length - 1;
+        break;
+      case 'drawTwo':
+        this.drawCards(this.getCurrentPlayerId(), 2);
+        this.emit('playerSkipped', { playerId: this.getCurrentPlayerId() });
+        this.advanceTurn(1);
+        break;
+    }
+
+    this.notifyTurnChanged();
+  }
+
+  /**
+   * Handle player input/interaction
+   */
+  handleInput(inputType, data = {}) {
+    terminal.log('[UnoGameEngine] Handling input:', inputType, data);
+
+    switch (inputType) {
+      case 'play':
+        this.playCard(data.playerId, data.cardId, data.color);
+        break;
+      case 'draw':
+        this.drawForTurn(data.playerId);
+        break;
+      case 'pass':
+        this.passTurn(data.playerId);
+        break;
+      case 'callUno':
+        this.callUno(data.playerId);
+        break;
+      case 'challengeUno':
+        this.challengeUno(data.playerId, data.targetId);
+        break;
+      case 'newRound':
+        // Only once the last round is over - otherwise anyone could redeal mid-round
+        if (this.state !== 'finished') {
+          this.rejectMove(data.playerId, 'newRound', 'Round is still in progress');
+          break;
+        }
+        this.startRound();
+        break;
+      default:
+        terminal.log('[UnoGameEngine] Unknown input type:', inputType);
+    }
+  }
+
+  /**
+   * Remove a player. Mid-round their cards go back under the draw pile and
+   * play carries on with whoever is left; players who join mid-round are
+   * dealt in from the next round.
+   */
+  removePlayer(playerId) {
+    const index = this.turnOrder.indexOf(playerId);
+    if (index === -1 || this.state !== 'playing') {
+      return super.removePlayer(playerId);
+    }
+
+    const wasCurrent = index === this.currentPlayerIndex;
+    const hand = this.hands.get(playerId);
+    if (hand) {
+      hand.moveTo(this.drawPile, hand.cards.map(card => card.id), { position: 'bottom' });
+      this.stopForwardingPileEvents(hand.id);
+      this.hands.delete(playerId);
+    }
+    this.unoCalls.delete(playerId);
+    if (this.unoVulnerablePlayerId === playerId) {
+      this.unoVulnerablePlayerId = null;
+    }
+    if (wasCurrent) {
+      this.pendingDrawnCardId = null;
+    }
+
+    // Keep the turn with the same player, or hand it to the next one in direction
+    this.turnOrder.splice(index, 1);
+    if (index < this.currentPlayerIndex || (wasCurrent && this.direction === -1)) {
+      this.currentPlayerIndex--;
+    }
+    const count = this.turnOrder.length;
+    this.currentPlayerIndex = count > 0 ? (this.currentPlayerIndex % count + count) % count : 0;
+
+    const removed = super.removePlayer(playerId);
+
+    if (count === 1) {
+      this.declareWinner(this.turnOrder[0]);
+    } else if (wasCurrent && count > 1) {
+      this.notifyTurnChanged();
+    }
+    return removed;
+  }
+
+  /**
+   * Check whether a card can be played on the current discard
+   */
+  isPlayable(card, playerId = this.getCurrentPlayerId()) {
+    const topCard = this.getTopCard();
+    if (!topCard || !card) return false;
+
+    if (card.value === 'wild') return true;
+
+    if (card.value === 'wildDrawFour') {
+      if (!this.config.strictWildDrawFour) return true;
+      const hand = this.hands.get(playerId)?.cards || [];
+      return !hand.some(other => other.id !== card.id && other.color === this.currentColor);
+    }
+
+    return card.color === this.currentColor || card.value === topCard.value;
+  }
+
+  playCard(playerId, cardId, chosenColor = null) {
+    if (!this.validateTurn(playerId, 'play')) return false;
+
+    const hand = this.hands.get(playerId);
+    const card = hand.getCard(cardId);
+    if (!card) {
+      this.rejectMove(playerId, 'play', 'Card not in hand');
+      return false;
+    }
+
+    if (this.pendingDrawnCardId && this.pendingDrawnCardId !== cardId) {
+      this.rejectMove(playerId, 'play', 'Only the drawn card may be played');
+      return false;
+    }
+
+    if (!this.isPlayable(card, playerId)) {
+      this.rejectMove(playerId, 'play', 'Card does not match colour or value');
+      return false;
+    }
+
+    const isWild = UNO_WILDS.includes(card.value);
+    if (isWild && !UNO_COLORS.includes(chosenColor)) {
+      this.rejectMove(playerId, 'play', 'A colour must be chosen for wild cards');
+      return false;
+    }
+
+    this.clearUnoVulnerability();
+
+    hand.moveTo(this.discardPile, [cardId]);
+    this.currentColor = isWild ? chosenColor : card.color;
+    this.pendingDrawnCardId = null;
+
+    this.emit('cardPlayed', {
+      playerId,
+      card,
+      currentColor: this.currentColor,
+      handSize: hand.size
+    });
+
+    if (isWild) {
+      this.emit('colorChosen', { playerId, color: chosenColor });
+    }
+
+    if (hand.isEmpty()) {
+      this.declareWinner(playerId);
+      return true;
+    }
+
+    if (hand.size === 1) {
+      if (this.unoCalls.has(playerId)) {
+        this.emit('unoCalled', { playerId });
+      } else {
+        this.unoVulnerablePlayerId = playerId;
+      }
+    } else {
+      this.unoCalls.delete(playerId);
+    }
+
+    this.applyCardEffect(card);
+    return true;
+  }
+
+  applyCardEffect(card) {
+    switch (card.value) {
+      case 'skip':
+        this.advanceTurn(1);
+        this.emit('playerSkipped', { playerId: this.getCurrentPlayerId() });
+        this.advanceTurn(1);
+        break;
+      case 'reverse':
+        this.direction *= -1;
+        this.emit('directionChanged', { direction: this.direction });
+        // With two players a reverse acts like a skip
+        this.advanceTurn(this.turnOrder.length === 2 ? 2 : 1);
+        break;
+      case 'drawTwo':
+        this.advanceTurn(1);
+        this.drawCards(this.getCurrentPlayerId(), 2);
+        this.emit('playerSkipped', { playerId: this.getCurrentPlayerId() });
+        this.advanceTurn(1);
+        break;
+      case 'wildDrawFour':
+        this.advanceTurn(1);
+        this.drawCards(this.getCurrentPlayerId(), 4);
+        this.emit('playerSkipped', { playerId: this.getCurrentPlayerId() });
+        this.advanceTurn(1);
+        break;
+      default:
+        this.advanceTurn(1);
+    }
+
+    this.notifyTurnChanged();
+  }
+
+  /**
+   * Draw a card as the current player's turn action
+   */
+  drawForTurn(playerId) {
+    if (!this.validateTurn(playerId, 'draw')) return false;
+
+    if (this.pendingDrawnCardId) {
+      this.rejectMove(playerId, 'draw', 'Already drew this turn');
+      return false;
+    }
+
+    this.clearUnoVulnerability();
+
+    const [card] = this.drawCards(playerId, 1);
+    if (card && this.isPlayable(card, playerId)) {
+      // The drawn card may be played straight away, otherwise the turn passes
+      this.pendingDrawnCardId = card.id;
+      this.emit('drawnCardPlayable', { playerId, card });
+    } else {
+      this.advanceTurn(1);
+      this.notifyTurnChanged();
+    }
+
+    return true;
+  }
+
+  passTurn(playerId) {
+    if (!this.validateTurn(playerId, 'pass')) return false;
+
+    if (!this.pendingDrawnCardId) {
+      this.rejectMove(playerId, 'pass', 'Must draw before passing');
+      return false;
+    }
+
+    this.pendingDrawnCardId = null;
+    this.advanceTurn(1);
+    this.notifyTurnChanged();
+    return true;
+  }
+
+  /**
+   * Move cards from the draw pile into a hand, reshuffling if it runs out
+   */
+  drawCards(playerId, count) {
+    const hand = this.hands.get(playerId);
+    if (!hand) return [];
+
+    const drawn = [];
+    for (let i = 0; i < count; i++) {
+      if (this.drawPile.isEmpty()) {
+        this.reshuffleDiscardPile();
+      }
+      if (this.drawPile.isEmpty()) {
+        terminal.log('[UnoGameEngine] No cards left to draw');
+        break;
+      }
+      drawn.push(...this.drawPile.moveTo(hand, 1));
+    }
+
+    if (hand.size > 1) {
+      this.unoCalls.delete(playerId);
+    }
+
+    this.emit('cardDrawn', {
+      playerId,
+      cards: drawn,
+      count: drawn.length,
+      handSize: hand.size,
+      drawPileCount: this.drawPile.size
+    });
+
+    return drawn;
+  }
+
+  /**
+   * Turn everything under the top discard into a new draw pile
+   */
+  reshuffleDiscardPile() {
+    if (this.discardPile.size <= 1) return false;
+
+    const buried = this.discardPile.cards.slice(0, -1).map(card => card.id);
+    this.discardPile.moveTo(this.drawPile, buried);
+    this.drawPile.shuffle(this.random);
+
+    terminal.log('[UnoGameEngine] Discard pile reshuffled into draw pile:', this.drawPile.size);
+    this.emit('deckReshuffled', { drawPileCount: this.drawPile.size });
+    return true;
+  }
+
+  /**
+   * Declare "UNO" - allowed when about to play down to, or holding, one card
+   */
+  callUno(playerId) {
+    const hand = this.hands.get(playerId);
+    if (!hand || this.state !== 'playing') return false;
+
+    const isAboutToPlay = hand.size === 2 && playerId === this.getCurrentPlayerId();
+    if (hand.size !== 1 && !isAboutToPlay) {
+      this.rejectMove(playerId, 'callUno', 'UNO can only be called with one card left');
+      return false;
+    }
+
+    this.unoCalls.add(playerId);
+    if (hand.size === 1) {
+      if (this.unoVulnerablePlayerId === playerId) {
+        this.unoVulnerablePlayerId = null;
+      }
+      this.emit('unoCalled', { playerId });
+    }
+    return true;
+  }
+
+  /**
+   * Catch a player who went down to one card without calling UNO
+   */
+  challengeUno(challengerId, targetId) {
+    if (this.state !== 'playing' || !targetId || challengerId === targetId) return false;
+
+    if (this.unoVulnerablePlayerId !== targetId) {
+      this.rejectMove(challengerId, 'challengeUno', 'Player is not open to an UNO challenge');
+      return false;
+    }
+
+    this.unoVulnerablePlayerId = null;
+    this.emit('unoPenalty', {
+      playerId: targetId,
+      challengerId,
+      count: this.config.unoPenalty
+    });
+    this.drawCards(targetId, this.config.unoPenalty);
+    return true;
+  }
+
+  clearUnoVulnerability() {
+    // The window to catch a missed UNO closes once the next player acts
+    this.unoVulnerablePlayerId = null;
+  }
+
+  declareWinner(playerId) {
+    this.winnerId = playerId;
+
+    const scores = {};
+    let points = 0;
+    for (const [otherId, hand] of this.hands) {
+      if (otherId === playerId) continue;
+      const handPoints = hand.cards.reduce((total, card) => total + this.getCardPoints(card), 0);
+      scores[otherId] = handPoints;
+      points += handPoints;
+    }
+
+    const player = this.players.get(playerId);
+    if (player) {
+      player.score = (player.score || 0) + points;
+    }
+
+    this.setState('finished');
+    this.emit('gameWon', { playerId, points, handPoints: scores });
+    terminal.log('[UnoGameEngine] Player won the round:', playerId, points);
+  }
+
+  getCardPoints(card) {
+    if (UNO_WILDS.includes(card.value)) return 50;
+    if (UNO_ACTIONS.includes(card.value)) return 20;
+    return Number(card.value);
+  }
+
+  validateTurn(playerId, action) {
+    if (this.state !== 'playing') {
+      this.rejectMove(playerId, action, 'Round is not in progress');
+      return false;
+    }
+    if (playerId !== this.getCurrentPlayerId()) {
+      this.rejectMove(playerId, action, 'Not your turn');
+      return false;
+    }
+    return true;
+  }
+
+  rejectMove(playerId, action, reason) {
+    terminal.log('[UnoGameEngine] Invalid move:', playerId, action, reason);
+    this.emit('invalidMove', { playerId, action, reason });
+  }
+
+  advanceTurn(steps) {
+    const count = this.turnOrder.length;
+    this.currentPlayerIndex = ((this.currentPlayerIndex + this.direction * steps) % count + count) % count;
+  }
+
+  notifyTurnChanged() {
+    this.emit('turnChanged', {
+      playerId: this.getCurrentPlayerId(),
+      direction: this.direction,
+      currentColor: this.currentColor,
+      topCard: this.getTopCard()
+    });
+  }
+
+  // Accessors
+  getCurrentPlayerId() {
+    return this.turnOrder[this.currentPlayerIndex] || null;
+  }
+
+  getTopCard() {
+    return this.discardPile.top;
+  }
+
+  getHand(playerId) {
+    return [...(this.hands.get(playerId)?.cards || [])];
+  }
+
+  getActivePlayerId() {
+    return this.state === 'playing' ? this.getCurrentPlayerId() : null;
+  }
+
+  hasPrivateState() {
+    return true;
+  }
+
+  /**
+   * A player's hand, plus the card they just drew if they may still play it
+   */
+  getPrivateState(playerId) {
+    if (!this.hands.has(playerId)) return null;
+
+    return {
+      hand: this.getHand(playerId),
+      drawnCardId: playerId === this.getCurrentPlayerId() ? this.pendingDrawnCardId : null
+    };
+  }
+
+  /**
+   * The table, and which of their cards a player may play on their turn
+   */
+  getObservableState(playerId) {
+    const view = super.getObservableState(playerId);
+    if (view.private) {
+      view.private.playableCardIds = playerId === this.getActivePlayerId()
+        ? view.private.hand.filter(card => this.isPlayable(card, playerId)).map(card => card.id)
+        : [];
+    }
+    return view;
+  }
+
+  getPublicState() {
+    return {
+      currentPlayerId: this.getCurrentPlayerId(),
+      topCard: this.getTopCard(),
+      currentColor: this.currentColor,
+      direction: this.direction,
+      turnOrder: [...this.turnOrder],
+      handSizes: this.getHandSizes(),
+      drawPileCount: this.getDrawPileCount(),
+      unoCalls: Array.from(this.unoCalls),
+      unoVulnerablePlayerId: this.unoVulnerablePlayerId,
+      winnerId: this.winnerId
+    };
+  }
+
+  /**
+   * Follow a room's game from one player's view: the table, and only their own hand
+   */
+  applyObservableState(view) {
+    super.applyObservableState(view);
+    const table = view.public;
+    this.observedTable = table;
+
+    // Only the room's engine has a draw pile to deal from
+    this.drawPile.clear();
+    this.discardPile.clear();
+    if (table.topCard) this.discardPile.add(table.topCard);
+    this.currentColor = table.currentColor;
+    this.direction = table.direction;
+    this.turnOrder = [...table.turnOrder];
+    this.currentPlayerIndex = Math.max(this.turnOrder.indexOf(table.currentPlayerId), 0);
+    this.unoCalls = new Set(table.unoCalls);
+    this.unoVulnerablePlayerId = table.unoVulnerablePlayerId;
+    this.winnerId = table.winnerId;
+
+    this.hands.clear();
+    this.pendingDrawnCardId = null;
+    if (view.private) {
+      this.hands.set(view.playerId, new Hand(view.playerId, view.private.hand, { faceUp: false }));
+      this.pendingDrawnCardId = view.private.drawnCardId;
+    }
+  }
+
+  getHandSizes() {
+    if (this.observedTable) {
+      return { ...this.observedTable.handSizes };
+    }
+    const sizes = {};
+    for (const [playerId, hand] of this.hands) {
+      sizes[playerId] = hand.size;
+    }
+    return sizes;
+  }
+
+  getDrawPileCount() {
+    return this.observedTable ? this.observedTable.drawPileCount : this.drawPile.size;
+  }
+
+  /**
+   * Everything needed to carry on the round - the piles in order and every hand,
+   * so a snapshot is as private as the device it is saved on
+   */
+  serializeState() {
+    const hands = {};
+    this.hands.forEach((hand, playerId) => {
+      hands[playerId] = hand.toJSON();
+    });
+
+    return {
+      drawPile: this.drawPile.toJSON().cards,
+      discardPile: this.discardPile.toJSON().cards,
+      hands,
+      turnOrder: [...this.turnOrder],
+      currentPlayerIndex: this.currentPlayerIndex,
+      direction: this.direction,
+      currentColor: this.currentColor,
+      pendingDrawnCardId: this.pendingDrawnCardId,
+      unoCalls: Array.from(this.unoCalls),
+      unoVulnerablePlayerId: this.unoVulnerablePlayerId,
+      winnerId: this.winnerId
+    };
+  }
+
+  restoreState(data) {
+    this.drawPile.clear();
+    this.drawPile.add(data.drawPile);
+    this.discardPile.clear();
+    this.discardPile.add(data.discardPile);
+
+    this.hands.forEach(hand => this.stopForwardingPileEvents(hand.id));
+    this.hands.clear();
+    Object.entries(data.hands).forEach(([playerId, hand]) => {
+      this.hands.set(playerId, this.forwardPileEvents(Hand.fromJSON(hand)));
+    });
+
+    this.turnOrder = [...data.turnOrder];
+    this.currentPlayerIndex = data.currentPlayerIndex;
+    this.direction = data.direction;
+    this.currentColor = data.currentColor;
+    this.pendingDrawnCardId = data.pendingDrawnCardId;
+    this.unoCalls = new Set(data.unoCalls);
+    this.unoVulnerablePlayerId = data.unoVulnerablePlayerId;
+    this.winnerId = data.winnerId;
+    this.observedTable = null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    terminal.log('[UnoGameEngine] Cleaning up engine');
+    this.drawPile.clear();
+    this.discardPile.clear();
+    this.hands.clear();
+    this.unoCalls.clear();
+    this.observedTable = null;
+    super.cleanup();
+  }
+
+  /**
+   * Get debug information
+   */
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      currentPlayerId: this.getCurrentPlayerId(),
+      direction: this.direction,
+      currentColor: this.currentColor,
+      topCard: this.getTopCard(),
+      drawPileCount: this.getDrawPileCount(),
+      discardPileCount: this.discardPile.size,
+      handSizes: this.getHandSizes(),
+      winnerId: this.winnerId
+    };
+  }
+}
+
+/**
+ * Default UNO bot: calls UNO, catches players who forget, and plays the card
+ * that keeps its options open - matching the colour it holds most of, hitting
+ * a nearly-out next player with action cards and saving wilds for last
+ */
+const UNO_BOT_STRATEGY = {
+  getLegalActions(view, { playerId, random }) {
+    if (view.state !== 'playing' || view.activePlayerId !== playerId || !view.private) return [];
+
+    const { hand, drawnCardId, playableCardIds } = view.private;
+    const plays = hand
+      .filter(card => playableCardIds.includes(card.id) && (!drawnCardId || card.id === drawnCardId))
+      .map(card => ({
+        type: 'play',
+        data: { cardId: card.id, color: card.color ? undefined : UNO_COLORS[Math.floor(random() * UNO_COLORS.length)] }
+      }));
+    return [...plays, drawnCardId ? { type: 'pass', data: {} } : { type: 'draw', data: {} }];
+  },
+
+  chooseAction(view, { playerId, difficulty, random }) {
+    if (view.state !== 'playing' || !view.private) return null;
+    const { hand, drawnCardId, playableCardIds } = view.private;
+    const { unoVulnerablePlayerId, unoCalls, turnOrder, direction, handSizes } = view.public;
+
+    // Weaker bots are slower to notice a missed UNO
+    if (unoVulnerablePlayerId && unoVulnerablePlayerId !== playerId && random() >= difficulty.mistakeRate * 2) {
+      return { type: 'challengeUno', data: { targetId: unoVulnerablePlayerId } };
+    }
+    if (view.activePlayerId !== playerId) return null;
+
+    const playable = hand.filter(card => playableCardIds.includes(card.id) && (!drawnCardId || card.id === drawnCardId));
+    if (playable.length === 0) {
+      return drawnCardId ? { type: 'pass', data: {} } : { type: 'draw', data: {} };
+    }
+    if (hand.length === 2 && !unoCalls.includes(playerId)) {
+      return { type: 'callUno', data: {} };
+    }
+
+    const colorCounts = new Map(UNO_COLORS.map(color => [color, 0]));
+    hand.forEach(card => {
+      if (card.color) colorCounts.set(card.color, colorCounts.get(card.color) + 1);
+    });
+    const nextIndex = (turnOrder.indexOf(playerId) + direction + turnOrder.length) % turnOrder.length;
+    const nextIsClose = (handSizes[turnOrder[nextIndex]] ?? Infinity) <= 2;
+
+    const score = card => {
+      if (UNO_WILDS.includes(card.value)) {
+        return nextIsClose && card.value === 'wildDrawFour' ? 30 : -10;
+      }
+      const isAction = UNO_ACTIONS.includes(card.value);
+      return colorCounts.get(card.color) * 2 + (isAction ? (nextIsClose ? 20 : 1) : Number(card.value) / 10);
+    };
+    const card = playable.reduce((best, candidate) => (score(candidate) > score(best) ? candidate : best));
+
+    let color;
+    if (!card.color) {
+      const [[mostHeld, count]] = Array.from(colorCounts.entries()).sort((a, b) => b[1] - a[1]);
+      color = count > 0 ? mostHeld : UNO_COLORS[Math.floor(random() * UNO_COLORS.length)];
+    }
+    return { type: 'play', data: { cardId: card.id, color } };
+  }
+};
+
+defineBotStrategy('uno-ar', 'default', UNO_BOT_STRATEGY);
+
+/**
+ * UNO Game Interface - extends the base ARGameInterface
+ */
+export class UnoGameInterface extends ARGameInterface {
+  constructor(gameEngine, gameId = 'uno-ar', options = {}) {
+    super(gameEngine, gameId, options);
+    terminal.log('[UnoGameInterface] Interface created');
+
+    this.usesTablePlacement = true;
+    this.cardSize = { width: 0.09, height: 0.13 };
+    this.tableGroup = null;
+    this.drawPileMesh = null;
+    this.discardMesh = null;
+    this.discardCanvas = null;
+    this.discardTexture = null;
+
+    // UI elements for this specific game
+    this.uiControls = null;
+    this.statusLabel = null;
+    this.sortButton = null;
+    this.colorPicker = null;
+    this.pendingWildCardId = null;
+  }
+
+  /**
+   * Initialize the AR interface with game-specific setup
+   */
+  async initialize() {
+    terminal.log('[UnoGameInterface] Initializing UNO AR interface');
+
+    const success = await super.initialize();
+    if (!success) {
+      return false;
+    }
+
+    this.setupGameScene();
+    this.createUIControls();
+    this.setupHandView({
+      getSortKeys: getUnoSortKeys,
+      canPlay: card => this.canPlayCard(card)
+    });
+    this.renderHand();
+
+    terminal.log('[UnoGameInterface] UNO AR interface initialized');
+    return true;
+  }
+
+  setupGameScene() {
+    terminal.log('[UnoGameInterface] Setting up game scene');
+
+    // The table root stays hidden until the player has placed the table
+    this.tableGroup = new THREE.Group();
+    this.tableRoot.add(this.tableGroup);
+
+    const { width, height } = this.cardSize;
+
+    const drawGeometry = new THREE.BoxGeometry(width, 0.02, height);
+    const drawMaterial = new THREE.MeshLambertMaterial({ color: UNO_COLOR_HEX.wild });
+    this.drawPileMesh = new THREE.Mesh(drawGeometry, drawMaterial);
+    this.drawPileMesh.position.set(-width * 0.75, 0.01, 0);
+    this.tableGroup.add(this.drawPileMesh);
+
+    this.discardCanvas = document.createElement('canvas');
+    this.discardCanvas.width = 128;
+    this.discardCanvas.height = 184;
+    this.discardTexture = new THREE.CanvasTexture(this.discardCanvas);
+
+    const discardGeometry = new THREE.PlaneGeometry(width, height).rotateX(-Math.PI / 2);
+    const discardMaterial = new THREE.MeshBasicMaterial({ map: this.discardTexture });
+    this.discardMesh = new THREE.Mesh(discardGeometry, discardMaterial);
+    this.discardMesh.position.set(width * 0.75, 0.001, 0);
+    this.tableGroup.add(this.discardMesh);
+
+    this.updateDiscardTexture();
+  }
+
+  updateDiscardTexture() {
+    if (!this.discardCanvas) return;
+
+    const topCard = this.gameEngine.getTopCard();
+    const ctx = this.discardCanvas.getContext('2d');
+    const { width, height } = this.discardCanvas;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    if (topCard) {
+      const color = this.gameEngine.currentColor || 'wild';
+      ctx.fillStyle = `#${UNO_COLOR_HEX[color].toString(16).padStart(6, '0')}`;
+      ctx.fillRect(8, 8, width - 16, height - 16);
+
+      ctx.fillStyle = '#ffffff';
+      ctx.font = 'bold 28px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(this.getCardLabel(topCard), width / 2, height / 2);
+    }
+
+    this.discardTexture.needsUpdate = true;
+  }
+
+  createUIControls() {
+    terminal.log('[UnoGameInterface] Creating UI controls');
+
+    this.uiControls = document.createElement('div');
+    this.uiControls.id = 'uno-ar-controls';
+    this.uiControls.style.cssText = `
+      position: absolute;
+      bottom: 20px;
+      left: 10px;
+      right: 10px;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      z-index: 150;
+      pointer-events: auto;
+    `;
+
+    this.statusLabel = document.createElement('div');
+    this.statusLabel.style.cssText = `
+      background: rgba(0, 0, 0, 0.7);
+      padding: 6px 12px;
+      border-radius: 5px;
+      font-size: 14px;
+    `;
+
+    const actionRow = document.createElement('div');
+    actionRow.style.cssText = 'display: flex; gap: 10px;';
+
+    actionRow.appendChild(this.createButton('Draw', () => {
+      this.gameEngine.handleInput('draw', { playerId: this.getViewingPlayerId() });
+    }, '#607d8b'));
+
+    actionRow.appendChild(this.createButton('Pass', () => {
+      this.gameEngine.handleInput('pass', { playerId: this.getViewingPlayerId() });
+    }, '#9e9e9e'));
+
+    actionRow.appendChild(this.createButton('UNO!', () => {
+      this.gameEngine.handleInput('callUno', { playerId: this.getViewingPlayerId() });
+    }, '#f44336'));
+
+    actionRow.appendChild(this.createButton('Catch', () => {
+      const targetId = this.gameEngine.unoVulnerablePlayerId;
+      this.gameEngine.handleInput('challengeUno', {
+        playerId: this.getViewingPlayerId(),
+        targetId
+      });
+    }, '#ff9800'));
+
+    this.sortButton = this.createButton('Sort: none', () => {
+      if (this.handView) {
+        this.sortButton.textContent = `Sort: ${this.handView.cycleSortMode()}`;
+      }
+    }, '#795548');
+    actionRow.appendChild(this.sortButton);
+
+    this.colorPicker = document.createElement('div');
+    this.colorPicker.style.cssText = 'display: none; gap: 6px;';
+    UNO_COLORS.forEach(color => {
+      const hex = `#${UNO_COLOR_HEX[color].toString(16).padStart(6, '0')}`;
+      this.colorPicker.appendChild(this.createButton(color, () => this.chooseWildColor(color), hex));
+    });
+
+    this.uiControls.appendChild(this.statusLabel);
+    this.uiControls.appendChild(this.colorPicker);
+    this.uiControls.appendChild(actionRow);
+
+    const overlay = document.getElementById('overlay');
+    if (overlay) {
+      overlay.appendChild(this.uiControls);
+    }
+  }
+
+  createButton(text, onClick, color = '#4CAF50') {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      padding: 8px 12px;
+      background: ${color};
+      color: white;
+      border: none;
+      border-radius: 5px;
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show the viewing player's hand in the hand view
+   */
+  renderHand() {
+    const currentId = this.gameEngine.getCurrentPlayerId();
+    const current = this.gameEngine.getPlayer(currentId);
+
+    if (this.handView) {
+      this.handView.setCards(this.getViewerPrivateState()?.hand || []);
+    }
+
+    if (this.statusLabel) {
+      const colorText = this.gameEngine.currentColor || 'any colour';
+      this.statusLabel.textContent = this.gameEngine.winnerId
+        ? `${this.gameEngine.getPlayer(this.gameEngine.winnerId)?.name} wins!`
+        : `${current?.name || currentId}'s turn - ${colorText}`;
+    }
+  }
+
+  onViewerChanged() {
+    this.renderHand();
+  }
+
+  canPlayCard(card) {
+    const playerId = this.getViewingPlayerId();
+    return !!playerId && playerId === this.gameEngine.getCurrentPlayerId() && this.gameEngine.isPlayable(card, playerId);
+  }
+
+  /**
+   * Cards played from the hand view may need a colour chosen first
+   */
+  onHandCardPlayed(card) {
+    this.onCardChosen(card);
+  }
+
+  onCardChosen(card) {
+    if (UNO_WILDS.includes(card.value)) {
+      this.pendingWildCardId = card.id;
+      this.colorPicker.style.display = 'flex';
+      return;
+    }
+
+    this.gameEngine.handleInput('play', {
+      playerId: this.getViewingPlayerId(),
+      cardId: card.id
+    });
+  }
+
+  chooseWildColor(color) {
+    this.colorPicker.style.display = 'none';
+    if (!this.pendingWildCardId) return;
+
+    this.gameEngine.handleInput('play', {
+      playerId: this.getViewingPlayerId(),
+      cardId: this.pendingWildCardId,
+      color
+    });
+    this.pendingWildCardId = null;
+  }
+
+  getCardLabel(card) {
+    const labels = {
+      skip: 'Skip',
+      reverse: 'Rev',
+      drawTwo: '+2',
+      wild: 'Wild',
+      wildDrawFour: '+4'
+    };
+    return labels[card.value] || card.value;
+  }
+
+  /**
+   * Handle game engine events
+   */
+  updateVisualization(event, data) {
+    terminal.log('[UnoGameInterface] Updating visualization for event:', event);
+
+    switch (event) {
+      case 'cardPlayed':
+      case 'roundStarted':
+        this.updateDiscardTexture();
+        this.renderHand();
+        break;
+      case 'cardDrawn':
+      case 'turnChanged':
+      case 'drawnCardPlayable':
+        this.renderHand();
+        break;
+      case 'unoCalled':
+        this.showMessage(`${this.gameEngine.getPlayer(data.playerId)?.name} calls UNO!`);
+        break;
+      case 'unoPenalty':
+        this.showMessage(`${this.gameEngine.getPlayer(data.playerId)?.name} forgot UNO: +${data.count}`);
+        break;
+      case 'invalidMove':
+        this.showMessage(data.reason);
+        break;
+      case 'gameWon':
+        this.renderHand();
+        break;
+      default:
+        super.updateVisualization(event, data);
+    }
+  }
+
+  showMessage(message) {
+    if (this.statusLabel) {
+      this.statusLabel.textContent = message;
+    }
+  }
+
+  /**
+   * Handle AR session end
+   */
+  endSession() {
+    terminal.log('[UnoGameInterface] Ending UNO AR session');
+
+    if (this.uiControls && this.uiControls.parentNode) {
+      this.uiControls.parentNode.removeChild(this.uiControls);
+      this.uiControls = null;
+    }
+    this.sortButton = null;
+
+    if (this.tableGroup) {
+      this.tableGroup.traverse(child => {
+        if (child.isMesh) {
+          child.geometry.dispose();
+          child.material.dispose();
+        }
+      });
+      this.tableGroup.removeFromParent();
+      this.tableGroup = null;
+    }
+
+    if (this.discardTexture) {
+      this.discardTexture.dispose();
+      this.discardTexture = null;
+    }
+
+    super.endSession();
+  }
+
+  /**
+   * Get debug information
+   */
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      tablePlaced: this.placementState === 'placed',
+      hasUIControls: !!this.uiControls
+    };
+  }
+}
+
+/**
+ * Factory function to create a complete UNO AR game instance
+ * This is what the GameRegistry will call
+ */
+export function createUnoARGame(config = {}, interfaceOptions = {}) {
+  terminal.log('[UnoARGame] Creating UNO AR game instance');
+
+  try {
+    const engine = new UnoGameEngine('uno-ar');
+    const gameInterface = new UnoGameInterface(engine, 'uno-ar', interfaceOptions);
+
+    // In a room the engine is driven by the room's operation log instead; a saved
+    // game is resumed from its snapshot and an imported action log is replayed
+    if (interfaceOptions.room) {
+      interfaceOptions.room.attachEngine(engine);
+    } else if (interfaceOptions.snapshot) {
+      // Resume a saved game, or start a new one if the save can't be restored
+      if (!engine.restore(interfaceOptions.snapshot)) {
+        engine.initializeGame(config);
+      }
+      gameInterface.localPlayerId = resumeBots(engine);
+    } else if (interfaceOptions.replay) {
+      replayActionLog(engine, interfaceOptions.replay);
+      gameInterface.localPlayerId = resumeBots(engine);
+    } else {
+      // Computer opponents sit down after the local player, before the deal
+      let gameConfig = config;
+      if (interfaceOptions.bots) {
+        gameInterface.localPlayerId = seatBots(engine, interfaceOptions.bots);
+        gameConfig = { ...config, playerCount: engine.players.size };
+      }
+      engine.initializeGame(gameConfig);
+    }
+
+    terminal.log('[UnoARGame] Game instance created successfully');
+    return {
+      engine: engine,
+      interface: gameInterface
+    };
+
+  } catch (error) {
+    terminal.log('[UnoARGame] Error creating game instance:', error.message);
+    console.error('UnoARGame creation error:', error);
+    return null;
+  }
+}
+
+// Default export for convenience
+export default {
+  UnoGameEngine,
+  UnoGameInterface,
+  createUnoARGame
+};
@@ -1,6 +1,7 @@
 // src/main.js - Improved main application with better component loading
 import { terminal } from 'virtual:terminal';
 import * as THREE from 'three';
+import { ActionLog } from './utils/ActionLog.js';
 
 // Make THREE available globally
 window.THREE = THREE;
@@ -14,9 +15,11 @@ class ARApp {
     terminal.log('[ARApp] Constructor called');
     
     this.isARActive = false;
+    this.isFallbackMode = false;
     this.currentGameInstance = null;
     this.gameRegistry = null;
     this.arGamePickerManager = null;
+    this.pendingReplay = null; // Imported action log to rebuild on the next start
     
     terminal.log('[ARApp] Starting initialization...');
     this.init();
@@ -69,13 +72,21 @@ class ARApp {
 
   setupFallbackMode() {
     terminal.log('[ARApp] Setting up fallback mode');
-    // Still wait for components and set up UI even without AR support
+    this.isFallbackMode = true;
+    
+    // Still wait for components and set up UI even without AR support -
+    // games render inline on the page canvas instead of in an AR session
     this.waitForComponents().then(() => {
       this.setupEventListeners();
+      this.updateStatus("AR not available - games will run in 3D preview mode");
       terminal.log('[ARApp] Fallback mode initialization complete');
     });
   }
 
+  getStartLabel(game) {
+    return this.isFallbackMode ? `Start 3D - ${game.name}` : `Start AR - ${game.name}`;
+  }
+
   async waitForComponents() {
     terminal.log('[ARApp] Waiting for components to be available...');
     
@@ -133,6 +144,7 @@ class ARApp {
     
     // Button event listeners
     const startButton = document.getElementById('startButton');
+    const resumeButton = document.getElementById('resumeButton');
     const endButton = document.getElementById('endButton');
     
     if (startButton) {
@@ -141,6 +153,10 @@ class ARApp {
       terminal.log('[ARApp] Start button not found');
     }
     
+    if (resumeButton) {
+      resumeButton.addEventListener('click', () => this.startAR({ resume: true }));
+    }
+    
     if (endButton) {
       endButton.addEventListener('click', () => this.endAR());
     } else {
@@ -148,24 +164,29 @@ class ARApp {
     }
     
     // Game registry event listeners
-    window.addEventListener('gameSelected', (event) => this.onGameSelected(event));
-    window.addEventListener('gameInstanceCreated', (event) => this.onGameInstanceCreated(event));
-    window.addEventListener('gameSessionStarted', (event) => this.onGameSessionStarted(event));
-    window.addEventListener('gameSessionEnded', (event) => this.onGameSessionEnded(event));
+    if (this.gameRegistry) {
+      const { events } = this.gameRegistry;
+      events.on('game:selected', data => this.onGameSelected(data));
+      events.on('game:instanceCreated', data => this.onGameInstanceCreated(data));
+      events.on('session:started', data => this.onGameSessionStarted(data));
+      events.on('session:ended', data => this.onGameSessionEnded(data));
+    } else {
+      terminal.log('[ARApp] No GameRegistry - game and session events will not update the UI');
+    }
     
     terminal.log('[ARApp] Event listeners set up');
   }
 
-  onGameSelected(event) {
-    terminal.log('[ARApp] Game selected:', event.detail.gameId);
+  onGameSelected(data) {
+    terminal.log('[ARApp] Game selected:', data.gameId);
     
-    const { game } = event.detail;
+    const { game } = data;
     const startButton = document.getElementById('startButton');
     
     if (startButton) {
       if (game.isPlayable) {
         startButton.disabled = false;
-        startButton.textContent = `Start AR - ${game.name}`;
+        startButton.textContent = this.getStartLabel(game);
         startButton.style.background = '#4CAF50';
         this.updateStatus(`Ready to start ${game.name}`);
       } else {
@@ -177,16 +198,17 @@ class ARApp {
     }
   }
 
-  onGameInstanceCreated(event) {
-    terminal.log('[ARApp] Game instance created:', event.detail.gameId);
-    this.currentGameInstance = event.detail.instance;
+  onGameInstanceCreated(data) {
+    terminal.log('[ARApp] Game instance created:', data.gameId);
+    this.currentGameInstance = data.instance;
   }
 
-  onGameSessionStarted(event) {
-    terminal.log('[ARApp] Game session started:', event.detail.gameId);
+  onGameSessionStarted(data) {
+    terminal.log('[ARApp] Game session started:', data.gameId);
     
     this.isARActive = true;
-    this.updateStatus(`AR Active - ${event.detail.game.name}`);
+    const modeLabel = data.mode === 'inline' ? '3D Preview' : 'AR';
+    this.updateStatus(`${modeLabel} Active - ${data.game.name}`);
     
     // Update UI for AR session
     const startButton = document.getElementById('startButton');
@@ -198,8 +220,8 @@ class ARApp {
     document.body.classList.add('ar-active');
   }
 
-  onGameSessionEnded(event) {
-    terminal.log('[ARApp] Game session ended:', event.detail.gameId);
+  onGameSessionEnded(data) {
+    terminal.log('[ARApp] Game session ended:', data.gameId);
     
     this.isARActive = false;
     this.currentGameInstance = null;
@@ -218,7 +240,7 @@ class ARApp {
     if (selectedGame && startButton) {
       if (selectedGame.isPlayable) {
         startButton.disabled = false;
-        startButton.textContent = `Start AR - ${selectedGame.name}`;
+        startButton.textContent = this.getStartLabel(selectedGame);
         startButton.style.background = '#4CAF50';
         this.updateStatus(`Ready to restart ${selectedGame.name}`);
       } else {
@@ -234,9 +256,12 @@ class ARApp {
     }
   }
 
-  async startAR() {
+  /**
+   * @param {Object} options - { resume } to continue the selected game's saved snapshot
+   */
+  async startAR(options = {}) {
     try {
-      terminal.log('[ARApp] startAR() called');
+      terminal.log('[ARApp] startAR() called', options.resume ? '(resume)' : '');
       
       if (!this.gameRegistry) {
         terminal.log('[ARApp] Game registry not available');
@@ -257,14 +282,61 @@ class ARApp {
         return;
       }
 
+      // In a multiplayer room the engine is driven by the room server
+      const room = window.roomLobbyManager?.getActiveRoom() || null;
+      if (room && (this.pendingReplay || options.resume)) {
+        this.updateStatus(options.resume
+          ? "Leave the room to resume a saved game"
+          : "Leave the room to replay an imported log");
+        return;
+      }
+      
+      const snapshot = options.resume ? await this.gameRegistry.getSavedGame(selectedGame.id) : null;
+      if (options.resume && !snapshot) {
+        this.updateStatus("No saved game to resume");
+        return;
+      }
+      
+      if (!snapshot && this.pendingReplay && this.pendingReplay.gameId !== selectedGame.id) {
+        this.updateStatus("The imported log is for a different game");
+        return;
+      }
+      if (room) {
+        if (room.gameId !== selectedGame.id) {
+          this.updateStatus("This room is playing a different game");
+          return;
+        }
+        if (!room.started) {
+          if (!room.isHost()) {
+            this.updateStatus("Waiting for the host to start the game");
+            return;
+          }
+          this.updateStatus("Starting room game...");
+          await room.startGame();
+        }
+      }
+
       this.updateStatus("Creating game instance...");
-      terminal.log('[ARApp] Creating game instance for:', selectedGame.id);
+      terminal.log('[ARApp] Creating game instance for:', selectedGame.id, room ? `in room ${room.code}` : '');
+      
+      // Pass-and-play hides each hand between turns; it has no effect in a room
+      const hotSeat = !!document.getElementById('hotSeatToggle')?.checked;
+      
+      // Computer opponents only join new local games
+      const botCount = Number(document.getElementById('botCount')?.value || 0);
+      const bots = botCount > 0 && !room
+        ? { count: botCount, difficulty: document.getElementById('botDifficulty')?.value || 'normal' }
+        : null;
       
       // Create game instance through registry
-      const gameInstance = await this.gameRegistry.createGameInstance();
+      const replay = snapshot ? null : this.pendingReplay;
+      const gameInstance = await this.gameRegistry.createGameInstance(null, { room, hotSeat, replay, snapshot, bots });
       if (!gameInstance) {
         throw new Error('Failed to create game instance');
       }
+      if (replay) {
+        this.pendingReplay = null;
+      }
 
       this.updateStatus("Starting AR session...");
       terminal.log('[ARApp] Starting AR session...');
@@ -308,6 +380,62 @@ class ARApp {
     }
   }
 
+  /**
+   * Download the active game's action log as a JSON file
+   */
+  exportActionLog() {
+    const engine = this.gameRegistry?.getActiveGame()?.engine;
+    if (!engine) {
+      this.updateStatus("No game to export - play a game first");
+      return false;
+    }
+    
+    const log = engine.getActionLog();
+    const stamp = new Date(log.startedAt).toISOString().replace(/[:.]/g, '-');
+    const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${log.gameId}-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    terminal.log('[ARApp] Exported action log:', log.gameId, log.actions.length, 'actions');
+    return true;
+  }
+  
+  /**
+   * Load an exported action log; the next start replays it instead of dealing a new game
+   * @param {string} text - Contents of an exported log file
+   */
+  importActionLog(text) {
+    try {
+      const log = ActionLog.parse(text);
+      
+      if (!this.gameRegistry?.getGame(log.gameId)) {
+        throw new Error(`Unknown game: ${log.gameId}`);
+      }
+      
+      if (this.arGamePickerManager) {
+        this.arGamePickerManager.selectGame(log.gameId);
+      } else {
+        this.gameRegistry.selectGame(log.gameId);
+      }
+      
+      this.pendingReplay = log;
+      terminal.log('[ARApp] Imported action log:', log.gameId, log.actions.length, 'actions');
+      this.updateStatus(`Replay loaded (${log.actions.length} actions) - press Start to watch it`);
+      return true;
+    } catch (error) {
+      terminal.log('[ARApp] Failed to import action log:', error.message);
+      this.updateStatus('Could not import log: ' + error.message);
+      return false;
+    }
+  }
+
   updateStatus(message) {
     terminal.log('[ARApp Status]', message);
     const statusElement = document.getElementById('status');
@@ -320,6 +448,7 @@ class ARApp {
   getDebugInfo() {
     return {
       isARActive: this.isARActive,
+      isFallbackMode: this.isFallbackMode,
       currentGameInstance: this.currentGameInstance ? {
         gameId: this.currentGameInstance.gameId,
         hasEngine: !!this.currentGameInstance.engine,
@@ -328,6 +457,11 @@ class ARApp {
       } : null,
       registryDebug: this.gameRegistry ? this.gameRegistry.getDebugInfo() : null,
       pickerDebug: this.arGamePickerManager ? this.arGamePickerManager.getDebugInfo() : null,
+      roomDebug: window.roomLobbyManager ? window.roomLobbyManager.getDebugInfo() : null,
+      pendingReplay: this.pendingReplay ? {
+        gameId: this.pendingReplay.gameId,
+        actionCount: this.pendingReplay.actions.length
+      } : null,
       componentsAvailable: {
         gameRegistry: !!this.gameRegistry,
         arGamePickerManager: !!this.arGamePickerManager
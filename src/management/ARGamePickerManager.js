@@ -7,6 +7,7 @@ class ARGamePickerManager {
     
     this.gameListElement = null;
     this.startButton = null;
+    this.resumeButton = null;
     this.gameSelectionPanel = null;
     this.selectedGameId = null;
     this.isInitialized = false;
@@ -27,6 +28,7 @@ class ARGamePickerManager {
     // Find DOM elements
     this.gameListElement = document.getElementById('gameList');
     this.startButton = document.getElementById('startButton');
+    this.resumeButton = document.getElementById('resumeButton');
     this.gameSelectionPanel = document.getElementById('gameSelectionPanel');
     
     if (!this.gameListElement || !this.startButton || !this.gameSelectionPanel) {
@@ -52,8 +54,32 @@ class ARGamePickerManager {
   setupEventListeners() {
     terminal.log('[ARGamePickerManager] Setting up event listeners...');
     
+    const events = window.gameRegistry?.events;
+    if (!events) {
+      terminal.log('[ARGamePickerManager] GameRegistry not available for event listeners');
+      return;
+    }
+    
     // Listen for game selection events from registry
-    window.addEventListener('gameSelected', this.handleGameSelection);
+    events.on('game:selected', this.handleGameSelection);
+    
+    // Keep the Resume button in step with saved games
+    events.on('save:changed', data => {
+      if (data.gameId === this.selectedGameId) {
+        this.updateResumeButton(this.selectedGameId);
+      }
+    });
+    events.on('session:*', (data, event) => {
+      this.updateResumeButton(event === 'session:started' ? null : this.selectedGameId);
+    });
+    
+    // Plugin games register after startup, once their manifests have loaded
+    events.on('game:registered', () => {
+      this.populateGameList();
+      if (this.selectedGameId) {
+        this.updateGameSelection(this.selectedGameId);
+      }
+    });
     
     terminal.log('[ARGamePickerManager] Event listeners setup complete');
   }
@@ -114,25 +140,39 @@ class ARGamePickerManager {
       terminal.log(`[ARGamePickerManager] Game ${game.id} is not playable, no click handler added`);
     }
     
-    gameDiv.innerHTML = `
-      <div class="game-icon ${!game.isPlayable ? 'disabled' : ''}">
-        ${this.getGameIcon(game.category)}
-      </div>
-      <div class="game-info">
-        <h3>${game.name}</h3>
-        <p>${game.description}</p>
-        ${!game.isPlayable ? '<p class="coming-soon">COMING SOON</p>' : ''}
-      </div>
-      <div class="game-meta">
-        <div>${game.players} players</div>
-        <div>${game.difficulty}</div>
-        <div>${game.estimatedTime}</div>
-      </div>
-    `;
+    // Built with textContent, never innerHTML - plugin manifests supply these strings
+    const icon = this.createTextElement('div', this.getGameIcon(game.category), 'game-icon');
+    if (!game.isPlayable) {
+      icon.classList.add('disabled');
+    }
+    
+    const info = document.createElement('div');
+    info.className = 'game-info';
+    info.appendChild(this.createTextElement('h3', game.name));
+    info.appendChild(this.createTextElement('p', game.description));
+    if (!game.isPlayable) {
+      info.appendChild(this.createTextElement('p', 'COMING SOON', 'coming-soon'));
+    }
+    
+    const meta = document.createElement('div');
+    meta.className = 'game-meta';
+    meta.appendChild(this.createTextElement('div', `${game.players} players`));
+    meta.appendChild(this.createTextElement('div', game.difficulty));
+    meta.appendChild(this.createTextElement('div', game.estimatedTime));
     
+    gameDiv.append(icon, info, meta);
     return gameDiv;
   }
 
+  createTextElement(tagName, text, className = '') {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    if (className) {
+      element.className = className;
+    }
+    return element;
+  }
+
   getGameIcon(category) {
     const icons = {
       'Demo': '🎮',
@@ -180,16 +220,17 @@ class ARGamePickerManager {
     }
   }
 
-  handleGameSelection(event) {
-    terminal.log('[ARGamePickerManager] Handling game selection event:', event.detail.gameId);
+  handleGameSelection(data) {
+    terminal.log('[ARGamePickerManager] Handling game selection event:', data.gameId);
     
-    const { gameId, game } = event.detail;
+    const { gameId, game } = data;
     
     // Update start button state
     if (this.startButton) {
       if (game.isPlayable) {
         this.startButton.disabled = false;
-        this.startButton.textContent = `Start AR - ${game.name}`;
+        const modeLabel = window.arApp?.isFallbackMode ? '3D' : 'AR';
+        this.startButton.textContent = `Start ${modeLabel} - ${game.name}`;
         this.startButton.style.background = '#4CAF50';
         terminal.log(`[ARGamePickerManager] Start button enabled for: ${game.name}`);
       } else {
@@ -205,6 +246,32 @@ class ARGamePickerManager {
       this.updateGameSelection(gameId);
       this.selectedGameId = gameId;
     }
+    
+    this.updateResumeButton(game.isPlayable ? gameId : null);
+  }
+
+  /**
+   * Offer "Resume" when the game has a saved snapshot
+   * @param {string|null} gameId - Selected game, or null to hide the button
+   */
+  async updateResumeButton(gameId) {
+    if (!this.resumeButton) return;
+    
+    const snapshot = gameId && window.gameRegistry ? await window.gameRegistry.getSavedGame(gameId) : null;
+    
+    // Selection or session may have changed while the save was loading
+    if (gameId !== null && (gameId !== this.selectedGameId || document.body.classList.contains('ar-active'))) {
+      return;
+    }
+    
+    if (snapshot) {
+      const savedAt = new Date(snapshot.savedAt).toLocaleString();
+      this.resumeButton.textContent = `Resume - saved ${savedAt}`;
+      this.resumeButton.style.display = 'block';
+      terminal.log(`[ARGamePickerManager] Saved game available for: ${gameId}`);
+    } else {
+      this.resumeButton.style.display = 'none';
+    }
   }
 
   hideInterface() {
@@ -238,6 +305,7 @@ class ARGamePickerManager {
       elementsFound: {
         gameListElement: !!this.gameListElement,
         startButton: !!this.startButton,
+        resumeButton: !!this.resumeButton,
         gameSelectionPanel: !!this.gameSelectionPanel
       },
       gameRegistryAvailable: !!window.gameRegistry
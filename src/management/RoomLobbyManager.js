@@ -0,0 +1,204 @@
+// src/management/RoomLobbyManager.js - Create and join multiplayer rooms from the game picker
+import { terminal } from 'virtual:terminal';
+import { RoomClient } from '../utils/RoomClient.js';
+
+class RoomLobbyManager {
+  constructor() {
+    terminal.log('[RoomLobbyManager] Constructor called');
+
+    this.roomClient = null;
+    this.isInitialized = false;
+
+    // DOM elements
+    this.nameInput = null;
+    this.codeInput = null;
+    this.createButton = null;
+    this.joinButton = null;
+    this.leaveButton = null;
+    this.statusElement = null;
+
+    // Bind methods to preserve 'this' context
+    this.handleRoomEvent = this.handleRoomEvent.bind(this);
+    this.init = this.init.bind(this);
+  }
+
+  init() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    this.nameInput = document.getElementById('roomNameInput');
+    this.codeInput = document.getElementById('roomCodeInput');
+    this.createButton = document.getElementById('createRoomButton');
+    this.joinButton = document.getElementById('joinRoomButton');
+    this.leaveButton = document.getElementById('leaveRoomButton');
+    this.statusElement = document.getElementById('roomStatus');
+
+    if (!this.codeInput || !this.createButton || !this.joinButton || !this.statusElement) {
+      terminal.log('[RoomLobbyManager] Room panel not found, deferring initialization');
+      return false;
+    }
+
+    this.createButton.addEventListener('click', () => this.createRoom());
+    this.joinButton.addEventListener('click', () => this.joinRoom());
+    if (this.leaveButton) {
+      this.leaveButton.addEventListener('click', () => this.leaveRoom());
+    }
+
+    // Offer the room from before a page reload
+    const saved = RoomClient.getSavedSession();
+    if (saved) {
+      this.codeInput.value = saved.code || '';
+      if (this.nameInput) this.nameInput.value = saved.name || '';
+    }
+
+    this.isInitialized = true;
+    this.render();
+    terminal.log('[RoomLobbyManager] Initialization complete');
+    return true;
+  }
+
+  getClient() {
+    if (!this.roomClient) {
+      this.roomClient = new RoomClient();
+      this.roomClient.on('*', this.handleRoomEvent);
+    }
+    return this.roomClient;
+  }
+
+  getPlayerName() {
+    return this.nameInput?.value.trim() || null;
+  }
+
+  async createRoom() {
+    const game = window.gameRegistry?.getSelectedGame();
+    if (!game || !game.isPlayable) {
+      this.showStatus('Select a game before creating a room');
+      return;
+    }
+
+    this.showStatus('Creating room...');
+    try {
+      await this.getClient().createRoom(game.id, { name: this.getPlayerName() });
+    } catch (error) {
+      terminal.log('[RoomLobbyManager] Failed to create room:', error.message);
+      this.showStatus(`Could not create room: ${error.message}`);
+    }
+  }
+
+  async joinRoom() {
+    const code = this.codeInput.value.trim();
+    if (!code) {
+      this.showStatus('Enter a room code to join');
+      return;
+    }
+
+    this.showStatus(`Joining room ${code.toUpperCase()}...`);
+    try {
+      const room = await this.getClient().joinRoom(code, { name: this.getPlayerName() });
+
+      // Everyone in a room plays the room's game
+      if (window.arGamePickerManager) {
+        window.arGamePickerManager.selectGame(room.gameId);
+      } else if (window.gameRegistry) {
+        window.gameRegistry.selectGame(room.gameId);
+      }
+    } catch (error) {
+      terminal.log('[RoomLobbyManager] Failed to join room:', error.message);
+      this.showStatus(`Could not join room: ${error.message}`);
+    }
+  }
+
+  leaveRoom() {
+    if (this.roomClient) {
+      this.roomClient.leaveRoom();
+    }
+  }
+
+  /**
+   * The room the next game should be played in, if any
+   */
+  getActiveRoom() {
+    return this.roomClient?.isInRoom() ? this.roomClient : null;
+  }
+
+  handleRoomEvent(data, event) {
+    switch (event) {
+      case 'roomJoined':
+      case 'roomRejoined':
+      case 'membersChanged':
+      case 'gameStarted':
+      case 'roomLeft':
+        this.render();
+        break;
+      case 'reconnecting':
+        this.showStatus(`Connection lost - reconnecting (attempt ${data.attempt})...`);
+        break;
+      case 'reconnectFailed':
+        this.showStatus('Could not reconnect to the room');
+        break;
+      case 'error':
+        this.showStatus(data.message);
+        break;
+    }
+  }
+
+  render() {
+    const room = this.getActiveRoom();
+
+    this.createButton.disabled = !!room;
+    this.joinButton.disabled = !!room;
+    this.codeInput.disabled = !!room;
+    if (this.leaveButton) {
+      this.leaveButton.style.display = room ? 'inline-block' : 'none';
+    }
+
+    if (!room) {
+      this.showStatus('Play alone, or create a room and share its code');
+      return;
+    }
+
+    this.codeInput.value = room.code;
+    const connected = room.members.filter(member => member.connected);
+    const names = connected
+      .map(member => `${member.name}${member.isHost ? ' (host)' : ''}`)
+      .join(', ');
+    const phase = room.started
+      ? 'Game in progress'
+      : (room.isHost() ? 'Press Start to begin' : 'Waiting for the host to start');
+
+    this.showStatus(`Room ${room.code} - ${names} - ${phase}`);
+  }
+
+  showStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+
+  getDebugInfo() {
+    return {
+      isInitialized: this.isInitialized,
+      room: this.roomClient ? this.roomClient.getDebugInfo() : null
+    };
+  }
+}
+
+// Create singleton instance
+export const roomLobbyManager = new RoomLobbyManager();
+
+// Make available globally for debugging
+window.roomLobbyManager = roomLobbyManager;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const tryInit = () => {
+    if (!roomLobbyManager.init()) {
+      setTimeout(tryInit, 250);
+    }
+  };
+  setTimeout(tryInit, 100);
+});
+
+terminal.log('[RoomLobbyManager] Module loaded and singleton created');
+
+export default roomLobbyManager;
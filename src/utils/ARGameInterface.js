@@ -1,17 +1,50 @@
 // src/utils/ARGameInterface.js - Base AR Game Interface Class
 import { terminal } from 'virtual:terminal';
 import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { RenderableSync } from './RenderableSync.js';
+import { ScenePointerEvents } from './ScenePointerEvents.js';
+import { GestureRecognizer } from './GestureRecognizer.js';
+import { HandView } from './HandView.js';
+import { AR_SESSION_FEATURES } from './ARSessionFeatures.js';
+
+// Pointer travel (px) below which a press counts as a tap rather than an orbit drag
+const INLINE_TAP_THRESHOLD = 6;
+
+// Surfaces whose normal is within ~30 degrees of vertical count as horizontal planes
+const HORIZONTAL_NORMAL_THRESHOLD = Math.cos(Math.PI / 6);
+
+// The XR select from a touch that ended a swipe, pinch or long press arrives around the same time
+const SELECT_AFTER_GESTURE = 300; // ms
+
+// AR_SESSION_FEATURES lives in ARSessionFeatures.js, which imports nothing, so
+// the game registry can check manifests without loading three.js
+export { AR_SESSION_FEATURES };
 
 /**
  * Base AR Game Interface class - handles WebXR and THREE.js integration
  */
 export class ARGameInterface {
-  constructor(gameEngine, gameId) {
+  /**
+   * @param {GameEngine} gameEngine - Engine to observe and send input to
+   * @param {string} gameId - Game identifier
+   * @param {Object} options - { xr, createRenderer } overrides for navigator.xr and
+   *   the WebGL renderer, e.g. a MockXRRuntime for headless runs, `room`, the
+   *   RoomClient when the game is played in a multiplayer room, `hotSeat` to
+   *   hide each player's private state between turns on a shared device, and
+   *   `bots`, { count, difficulty }, for computer opponents in a new local game
+   */
+  constructor(gameEngine, gameId, options = {}) {
     terminal.log(`[ARGameInterface:${gameId}] Constructor called`);
     
     this.gameEngine = gameEngine;
     this.gameId = gameId;
+    this.options = options;
+    this.room = options.room || null;
+    this.hotSeat = !!options.hotSeat;
     this.isActive = false;
+    this.mode = null; // 'ar' or 'inline' once initialized
+    this.allowInlineFallback = true;
     
     // WebXR components
     this.xrSession = null;
@@ -23,15 +56,86 @@ export class ARGameInterface {
     this.controller = null;
     this.reticle = null;
     
-    // Bind the observer method to preserve 'this' context
-    this.onGameStateChange = this.onGameStateChange.bind(this);
+    // Pointer events on scene objects, from every XR input source or the inline mouse and touches
+    this.pointerEvents = new ScenePointerEvents();
+    
+    // Touch gestures on the DOM overlay during AR sessions. Games map the ones they
+    // use to engine input: gesture type -> input type, or a function of the gesture
+    // data returning [inputType, data] (or null to ignore it) - see onGesture
+    this.gestures = null;
+    this.gestureInputs = {};
+    
+    // The local player's cards held in front of the camera, for card games that call setupHandView
+    this.handView = null;
+    
+    // Hit testing - sources are created once per session and reused every frame
+    this.viewerSpace = null;
+    this.hitTestSource = null;
+    this.transientHitTestSource = null;
+    this.currentHit = null;
+    this.transientHits = new Map();
+    
+    // Table placement - games that set usesTablePlacement get a placement phase
+    // before play, and everything they add to tableRoot is in table-local space
+    this.usesTablePlacement = false;
+    this.tableConfig = {
+      width: 1.0,
+      depth: 0.6,
+      minScale: 0.5,
+      maxScale: 2,
+      rotateStep: Math.PI / 12,
+      scaleStep: 1.1
+    };
+    this.tableRoot = null;
+    
+    // THREE objects for the engine's Renderable entities, while a session is active
+    this.renderables = null;
+    this.tablePreview = null;
+    this.placementState = 'idle'; // idle, placing, adjusting, placed
+    this.placementControls = null;
+    this.tableYaw = 0;
+    this.tableScale = 1;
+    this.tableAnchor = null;
+    this.tableSpace = null;
+    this.pendingTableAnchor = false;
+    
+    // The one player this device plays in a game against bots - see seatBots
+    this.localPlayerId = null;
+    
+    // Pass-and-play - whose private state is on screen, and the screen hiding it
+    this.viewerId = null;
+    this.privacyScreen = null;
     
-    // Connect to game engine
-    if (this.gameEngine && this.gameEngine.addObserver) {
-      this.gameEngine.addObserver(this.onGameStateChange);
-      terminal.log(`[ARGameInterface:${gameId}] Observer attached to game engine`);
+    // Pauses the engine clock while the page or XR session is hidden
+    this.onVisibilityChange = null;
+    this.visibilitySession = null;
+    
+    // Inline (non-AR) fallback components
+    this.orbitControls = null;
+    this.floor = null;
+    this.floorPlane = null;
+    this.inlineListeners = [];
+    this.pointerDown = null;
+    this.raycaster = new THREE.Raycaster();
+    
+    // Unsubscribe functions for everything subscribed with subscribeToEngine
+    this.engineSubscriptions = [];
+    
+    // Connect to game engine - per-frame events are left to subclasses that want them
+    if (this.gameEngine && this.gameEngine.on) {
+      this.subscribeToEngine('*', (data, event) => this.onGameStateChange(event, data));
+      this.subscribeToEngine('entitiesChanged', data => this.applyEntityChanges(data.changes, data.tick));
+      
+      // Objects exist before anything else hears about their entity
+      const syncOptions = { priority: 10 };
+      this.subscribeToEngine('entity:*', (data, event) => this.syncRenderable(event, data), syncOptions);
+      this.subscribeToEngine('component:*', (data, event) => this.syncRenderable(event, data), syncOptions);
+      this.subscribeToEngine('world:loaded', () => this.renderables?.syncWorld(this.gameEngine.world), syncOptions);
+      this.subscribeToEngine('undo', data => this.syncHistoryChange(data, true), syncOptions);
+      this.subscribeToEngine('redo', data => this.syncHistoryChange(data, false), syncOptions);
+      terminal.log(`[ARGameInterface:${gameId}] Subscribed to game engine events`);
     } else {
-      terminal.log(`[ARGameInterface:${gameId}] Warning: Game engine does not support observers`);
+      terminal.log(`[ARGameInterface:${gameId}] Warning: Game engine does not support events`);
     }
     
     terminal.log(`[ARGameInterface:${gameId}] Interface initialized`);
@@ -45,13 +149,14 @@ export class ARGameInterface {
     
     try {
       // Check WebXR support
-      if (!navigator.xr) {
-        throw new Error('WebXR not supported');
-      }
-
-      const supported = await navigator.xr.isSessionSupported('immersive-ar');
+      const xr = this.getXRSystem();
+      const supported = await ARGameInterface.isARSupported(xr);
       if (!supported) {
-        throw new Error('AR not supported');
+        if (this.allowInlineFallback) {
+          terminal.log(`[ARGameInterface:${this.gameId}] AR unavailable, using inline 3D mode`);
+          return this.initializeInline();
+        }
+        throw new Error(xr ? 'AR not supported' : 'WebXR not supported');
       }
 
       // Create THREE.js components
@@ -61,16 +166,21 @@ export class ARGameInterface {
 
       // Request AR session
       terminal.log(`[ARGameInterface:${this.gameId}] Requesting AR session`);
-      this.xrSession = await navigator.xr.requestSession('immersive-ar', {
-        requiredFeatures: ['hit-test'],
-        optionalFeatures: ['dom-overlay'],
+      this.xrSession = await xr.requestSession('immersive-ar', {
+        requiredFeatures: [...AR_SESSION_FEATURES.requiredFeatures],
+        optionalFeatures: [...AR_SESSION_FEATURES.optionalFeatures],
         domOverlay: { root: document.body }
       });
 
       // Configure session
+      this.mode = 'ar';
       await this.setupXRSession();
+      this.setupTableRoot();
+      this.setupGestures();
       
       this.isActive = true;
+      this.startEngineClock();
+      this.updateHotSeat();
       terminal.log(`[ARGameInterface:${this.gameId}] AR session initialized successfully`);
       
       return true;
@@ -82,16 +192,624 @@ export class ARGameInterface {
     }
   }
 
+  /**
+   * Check whether immersive AR sessions are available on this device
+   */
+  static async isARSupported(xr = navigator.xr) {
+    if (!xr) return false;
+    
+    try {
+      return await xr.isSessionSupported('immersive-ar');
+    } catch (error) {
+      terminal.log('[ARGameInterface] Error checking AR support:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the WebXR system - the injected one if provided, otherwise navigator.xr
+   */
+  getXRSystem() {
+    return this.options.xr || navigator.xr || null;
+  }
+
+  /**
+   * Initialize the non-immersive fallback: the same scene rendered on the page
+   * canvas with an orbit camera and a virtual floor standing in for hit testing
+   */
+  initializeInline() {
+    try {
+      this.setupRenderer();
+      this.setupScene();
+      this.setupCamera();
+      
+      this.renderer.xr.enabled = false;
+      this.scene.background = new THREE.Color(0x1e272e);
+      
+      // Start a little back from the default spawn area around z = -2
+      this.camera.position.set(0, 1.6, 0.5);
+      this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
+      this.orbitControls.target.set(0, 0.3, -2);
+      this.orbitControls.maxPolarAngle = Math.PI / 2 - 0.05;
+      this.orbitControls.enableDamping = true;
+      this.orbitControls.update();
+      
+      this.createFloor();
+      this.createReticle();
+      this.setupInlineInput();
+      
+      this.mode = 'inline';
+      this.setupTableRoot();
+      this.setupGestures();
+      
+      this.renderer.setAnimationLoop((timestamp) => {
+        this.onInlineFrame(timestamp);
+      });
+      
+      this.isActive = true;
+      this.startEngineClock();
+      this.updateHotSeat();
+      terminal.log(`[ARGameInterface:${this.gameId}] Inline 3D mode initialized`);
+      
+      return true;
+      
+    } catch (error) {
+      terminal.log(`[ARGameInterface:${this.gameId}] Failed to initialize inline mode:`, error.message);
+      console.error('Inline initialization error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create the virtual floor that taps are raycast against in inline mode
+   */
+  createFloor() {
+    this.floor = new THREE.Group();
+    
+    const grid = new THREE.GridHelper(10, 20, 0x4caf50, 0x37474f);
+    this.floor.add(grid);
+    
+    const planeGeometry = new THREE.PlaneGeometry(10, 10).rotateX(-Math.PI / 2);
+    const planeMaterial = new THREE.MeshBasicMaterial({ visible: false });
+    this.floorPlane = new THREE.Mesh(planeGeometry, planeMaterial);
+    this.floor.add(this.floorPlane);
+    
+    this.scene.add(this.floor);
+    terminal.log(`[ARGameInterface:${this.gameId}] Virtual floor created`);
+  }
+
+  /**
+   * Turn mouse/touch taps on the canvas into reticle placement + select
+   */
+  setupInlineInput() {
+    const canvas = this.renderer.domElement;
+    
+    const listen = (target, type, handler) => {
+      target.addEventListener(type, handler);
+      this.inlineListeners.push({ target, type, handler });
+    };
+    
+    listen(canvas, 'pointerdown', (event) => {
+      this.pointerDown = { x: event.clientX, y: event.clientY };
+      this.pointerEvents.pressPointer(...this.getInlinePointer(event));
+    });
+    
+    listen(canvas, 'pointermove', (event) => {
+      this.updateInlineReticle(event.clientX, event.clientY);
+      this.pointerEvents.movePointer(...this.getInlinePointer(event));
+    });
+    
+    listen(canvas, 'pointerup', (event) => {
+      const [pointerId, ray, details] = this.getInlinePointer(event);
+      const handled = this.pointerEvents.releasePointer(pointerId, ray, details);
+      if (event.pointerType !== 'mouse') {
+        this.pointerEvents.removePointer(pointerId);
+      }
+      if (!this.pointerDown) return;
+      
+      const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+      this.pointerDown = null;
+      
+      // Drags orbit the camera and presses on objects went to their handlers - only short presses elsewhere are taps
+      if (moved > INLINE_TAP_THRESHOLD || handled) return;
+      
+      if (this.updateInlineReticle(event.clientX, event.clientY)) {
+        this.onSelect(event);
+      }
+    });
+    
+    listen(canvas, 'pointercancel', (event) => {
+      this.pointerDown = null;
+      this.pointerEvents.removePointer(`dom-${event.pointerId}`);
+    });
+    
+    listen(canvas, 'pointerleave', (event) => {
+      this.pointerEvents.removePointer(`dom-${event.pointerId}`);
+    });
+    
+    listen(window, 'resize', () => {
+      if (!this.renderer || !this.camera) return;
+      this.camera.aspect = window.innerWidth / window.innerHeight;
+      this.camera.updateProjectionMatrix();
+      this.renderer.setSize(window.innerWidth, window.innerHeight);
+    });
+    
+    terminal.log(`[ARGameInterface:${this.gameId}] Inline input set up`);
+  }
+
+  /**
+   * A canvas pointer event as pointer-event dispatcher arguments
+   * @returns {Array} - [pointerId, ray, details]
+   */
+  getInlinePointer(event) {
+    const ray = this.pointerEvents.getScreenRay(event.clientX, event.clientY, this.camera, this.renderer.domElement);
+    return [`dom-${event.pointerId}`, ray, { pointerType: event.pointerType, originalEvent: event }];
+  }
+
+  /**
+   * Raycast a screen point against the virtual floor and move the reticle there
+   * @returns {boolean} - Whether the floor was hit
+   */
+  updateInlineReticle(clientX, clientY) {
+    if (!this.floorPlane || !this.reticle) return false;
+    
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const hit = this.raycaster.intersectObject(this.floorPlane)[0];
+    
+    this.reticle.visible = !!hit;
+    if (hit) {
+      this.reticle.matrix.makeTranslation(hit.point.x, hit.point.y, hit.point.z);
+    }
+    return !!hit;
+  }
+
+  /**
+   * Handle inline frame updates
+   */
+  onInlineFrame(timestamp) {
+    const alpha = this.advanceEngine(timestamp);
+    
+    if (this.orbitControls) {
+      this.orbitControls.update();
+    }
+    this.handView?.update(timestamp);
+    
+    this.updatePlacement(null, null);
+    this.renderables?.interpolate(alpha, this.gameEngine.getTick());
+    this.onRenderFrame(alpha, timestamp);
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /**
+   * Step the engine's fixed-timestep simulation up to this frame. The render
+   * loop is the only thing driving the engine, so it updates once per step
+   * whatever the display's frame rate.
+   * @returns {number} - Interpolation factor between the last two simulation steps
+   */
+  advanceEngine(timestamp) {
+    return this.gameEngine ? this.gameEngine.advance(timestamp) : 1;
+  }
+
+  /**
+   * Called every frame just before rendering - override in subclasses to
+   * interpolate objects between simulation steps
+   * @param {number} alpha - 0 at the last simulation step, approaching 1 at the next
+   * @param {number} timestamp - Frame timestamp in milliseconds, for purely visual animation
+   */
+  onRenderFrame(alpha, timestamp) {
+    // Override in subclasses
+  }
+
+  /**
+   * Apply a tick's change set from the engine. Renderable entities are updated
+   * here; override to handle other changes, calling super.
+   * @param {Array} changes - [{ id, fields }], one entry per entity that changed
+   * @param {number} tick - Simulation step the changes happened in
+   */
+  applyEntityChanges(changes, tick) {
+    this.renderables?.applyChanges(changes, tick);
+  }
+
+  /**
+   * Undo and redo change the world without entity events, so catch the
+   * objects up afterwards - override to animate the change instead
+   * @param {Object} entry - The undo or redo event: { action, data, playerId }
+   * @param {boolean} isUndo - Whether the entry was taken back or repeated
+   */
+  syncHistoryChange(entry, isUndo) {
+    if (this.gameEngine.world) {
+      this.renderables?.reconcile(this.gameEngine.world);
+    }
+  }
+
+  /**
+   * Add or remove THREE objects as Renderable entities come and go
+   */
+  syncRenderable(event, data) {
+    if (!this.renderables) return;
+    
+    switch (event) {
+      case 'entity:created':
+        this.renderables.add(data.entityId, data.components);
+        break;
+      case 'entity:destroyed':
+        this.renderables.remove(data.entityId);
+        break;
+      case 'component:added':
+        if (data.component === 'Renderable') {
+          this.renderables.add(data.entityId, this.gameEngine.world.getComponents(data.entityId));
+        }
+        break;
+      case 'component:removed':
+        if (data.component === 'Renderable') {
+          this.renderables.remove(data.entityId);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Start the engine's clock for this session and hold it whenever the page
+   * or the XR session is hidden
+   */
+  startEngineClock() {
+    this.onVisibilityChange = () => this.updateEnginePause();
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    // Kept apart from xrSession, which is already cleared when the clock stops
+    this.visibilitySession = this.xrSession;
+    this.visibilitySession?.addEventListener('visibilitychange', this.onVisibilityChange);
+    
+    this.gameEngine.startClock();
+    this.updateEnginePause();
+  }
+
+  stopEngineClock() {
+    if (this.onVisibilityChange) {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      this.visibilitySession?.removeEventListener('visibilitychange', this.onVisibilityChange);
+      this.visibilitySession = null;
+      this.onVisibilityChange = null;
+    }
+    this.gameEngine?.stopClock();
+  }
+
+  updateEnginePause() {
+    if (!this.gameEngine) return;
+    
+    const hidden = document.visibilityState === 'hidden' ||
+      this.xrSession?.visibilityState === 'hidden';
+    
+    if (hidden) {
+      this.gameEngine.pause();
+    } else {
+      this.gameEngine.resume();
+    }
+  }
+
+  /**
+   * Create the root every game object hangs from. Without a placement phase it
+   * stays at the world origin, so table-local and world coordinates coincide.
+   */
+  setupTableRoot() {
+    this.tableRoot = new THREE.Group();
+    this.tableRoot.name = 'tableRoot';
+    this.scene.add(this.tableRoot);
+    
+    // Engines built on the ECS get their entities drawn without any game code
+    if (this.gameEngine?.world) {
+      this.renderables = new RenderableSync(this.tableRoot);
+      this.renderables.syncWorld(this.gameEngine.world);
+    }
+    
+    if (this.usesTablePlacement) {
+      this.tableRoot.visible = false;
+      this.startPlacement();
+    } else {
+      this.placementState = 'placed';
+    }
+  }
+
+  /**
+   * Begin (or restart) the table placement phase
+   */
+  startPlacement() {
+    terminal.log(`[ARGameInterface:${this.gameId}] Starting table placement`);
+    
+    this.releaseTableAnchor();
+    this.placementState = 'placing';
+    this.tableRoot.visible = false;
+    
+    if (!this.tablePreview) {
+      const { width, depth } = this.tableConfig;
+      this.tablePreview = new THREE.Group();
+      
+      const surface = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, depth).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: 0x4caf50, transparent: true, opacity: 0.35, depthWrite: false })
+      );
+      const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.PlaneGeometry(width, depth).rotateX(-Math.PI / 2)),
+        new THREE.LineBasicMaterial({ color: 0xffffff })
+      );
+      this.tablePreview.add(surface, outline);
+      this.scene.add(this.tablePreview);
+    }
+    this.tablePreview.visible = false;
+    
+    this.createPlacementControls();
+  }
+
+  /**
+   * Keep the preview on the reticle while placing, and follow the table's
+   * anchor (or reference space) once it is pinned
+   */
+  updatePlacement(frame, referenceSpace) {
+    if (this.placementState === 'placing' && this.tablePreview) {
+      const hit = this.getReticleHit();
+      const onFloor = hit && hit.planeOrientation === 'horizontal';
+      
+      this.tablePreview.visible = !!onFloor;
+      if (onFloor) {
+        this.tablePreview.position.set(hit.position.x, hit.position.y, hit.position.z);
+        this.tablePreview.rotation.set(0, this.getYawTowardsCamera(hit.position), 0);
+        this.tablePreview.scale.setScalar(this.tableScale);
+      }
+      return;
+    }
+    
+    if (this.placementState === 'placed' && this.tableSpace && frame && referenceSpace) {
+      const pose = frame.getPose(this.tableSpace, referenceSpace);
+      // Poses drop out while tracking is lost - keep the last known placement
+      if (pose) {
+        const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+        matrix.decompose(this.tableRoot.position, this.tableRoot.quaternion, new THREE.Vector3());
+      }
+    }
+    
+    if (this.pendingTableAnchor && frame && referenceSpace) {
+      this.pendingTableAnchor = false;
+      this.pinTable(frame, referenceSpace);
+    }
+  }
+
+  getReticleHit() {
+    if (this.currentHit) return this.currentHit;
+    if (!this.reticle || !this.reticle.visible) return null;
+    
+    // Inline mode: the reticle sits on the virtual floor
+    const position = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      orientation: { x: 0, y: 0, z: 0, w: 1 },
+      normal: { x: 0, y: 1, z: 0 },
+      planeOrientation: 'horizontal'
+    };
+  }
+
+  getYawTowardsCamera(position) {
+    if (!this.camera) return 0;
+    
+    const cameraPosition = new THREE.Vector3();
+    this.camera.getWorldPosition(cameraPosition);
+    return Math.atan2(cameraPosition.x - position.x, cameraPosition.z - position.z);
+  }
+
+  /**
+   * Lock the preview where it is and let the player rotate and resize it
+   */
+  confirmPlacement() {
+    if (this.placementState !== 'placing' || !this.tablePreview?.visible) {
+      return false;
+    }
+    
+    this.tableYaw = this.tablePreview.rotation.y;
+    this.placementState = 'adjusting';
+    this.updatePlacementControls();
+    
+    terminal.log(`[ARGameInterface:${this.gameId}] Table position confirmed`);
+    return true;
+  }
+
+  rotateTable(deltaRadians) {
+    if (this.placementState !== 'adjusting') return;
+    
+    this.tableYaw += deltaRadians;
+    this.tablePreview.rotation.y = this.tableYaw;
+  }
+
+  scaleTable(factor) {
+    if (this.placementState !== 'adjusting') return;
+    
+    const { minScale, maxScale } = this.tableConfig;
+    this.tableScale = Math.min(maxScale, Math.max(minScale, this.tableScale * factor));
+    this.tablePreview.scale.setScalar(this.tableScale);
+  }
+
+  /**
+   * Move the table root to the adjusted preview and pin it
+   */
+  finishPlacement() {
+    if (this.placementState !== 'adjusting') return false;
+    
+    this.tableRoot.position.copy(this.tablePreview.position);
+    this.tableRoot.rotation.set(0, this.tableYaw, 0);
+    this.tableRoot.scale.setScalar(this.tableScale);
+    this.tableRoot.visible = true;
+    
+    this.tablePreview.visible = false;
+    this.placementState = 'placed';
+    this.removePlacementControls();
+    
+    // Anchors can only be created inside an XR frame
+    this.pendingTableAnchor = this.mode === 'ar';
+    
+    const table = this.getTableTransform();
+    terminal.log(`[ARGameInterface:${this.gameId}] Table placed:`, table);
+    this.onTablePlaced(table);
+    return true;
+  }
+
+  /**
+   * Pin the table with an XR anchor, or with an offset reference space when
+   * anchors are unsupported so it at least stays fixed in the session's space
+   */
+  pinTable(frame, referenceSpace) {
+    const { position, quaternion } = this.tableRoot;
+    const transform = createRigidTransform(position, quaternion);
+    
+    const useReferenceSpace = () => {
+      if (referenceSpace.getOffsetReferenceSpace) {
+        this.tableSpace = referenceSpace.getOffsetReferenceSpace(transform);
+        terminal.log(`[ARGameInterface:${this.gameId}] Table pinned to reference space`);
+      }
+    };
+    
+    const anchorsEnabled = this.xrSession?.enabledFeatures?.includes('anchors');
+    if (!anchorsEnabled || !frame.createAnchor) {
+      useReferenceSpace();
+      return;
+    }
+    
+    frame.createAnchor(transform, referenceSpace)
+      .then(anchor => {
+        if (this.placementState !== 'placed') {
+          anchor.delete();
+          return;
+        }
+        this.tableAnchor = anchor;
+        this.tableSpace = anchor.anchorSpace;
+        terminal.log(`[ARGameInterface:${this.gameId}] Table pinned with XR anchor`);
+      })
+      .catch(error => {
+        terminal.log(`[ARGameInterface:${this.gameId}] Anchor creation failed:`, error.message);
+        useReferenceSpace();
+      });
+  }
+
+  releaseTableAnchor() {
+    if (this.tableAnchor) {
+      try {
+        this.tableAnchor.delete();
+      } catch (error) {
+        terminal.log(`[ARGameInterface:${this.gameId}] Anchor already released`);
+      }
+    }
+    this.tableAnchor = null;
+    this.tableSpace = null;
+    this.pendingTableAnchor = false;
+  }
+
+  /**
+   * Get the table pose in world space
+   */
+  getTableTransform() {
+    if (!this.tableRoot) return null;
+    
+    const { position, rotation } = this.tableRoot;
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: rotation.y,
+      scale: this.tableScale,
+      anchored: !!this.tableAnchor
+    };
+  }
+
+  /**
+   * Called once the table is placed - override in subclasses
+   */
+  onTablePlaced(table) {
+    terminal.log(`[ARGameInterface:${this.gameId}] Table ready for play`);
+  }
+
+  createPlacementControls() {
+    this.removePlacementControls();
+    
+    this.placementControls = document.createElement('div');
+    this.placementControls.id = 'table-placement-controls';
+    this.placementControls.dataset.noGestures = '';
+    this.placementControls.style.cssText = `
+      position: absolute;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      z-index: 160;
+      pointer-events: auto;
+    `;
+    
+    const overlay = document.getElementById('overlay');
+    if (overlay) {
+      overlay.appendChild(this.placementControls);
+    }
+    
+    this.updatePlacementControls();
+  }
+
+  updatePlacementControls() {
+    if (!this.placementControls) return;
+    
+    this.placementControls.replaceChildren();
+    
+    const hint = document.createElement('div');
+    hint.style.cssText = 'background: rgba(0, 0, 0, 0.7); padding: 6px 12px; border-radius: 5px; font-size: 14px;';
+    this.placementControls.appendChild(hint);
+    
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 8px;';
+    this.placementControls.appendChild(row);
+    
+    const addButton = (text, onClick, color = '#607d8b') => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.cssText = `padding: 8px 14px; background: ${color}; color: white; border: none; border-radius: 5px; font-size: 16px;`;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    };
+    
+    if (this.placementState === 'placing') {
+      hint.textContent = 'Point at a flat surface, then tap to place the table';
+      addButton('Place Table', () => this.confirmPlacement(), '#4CAF50');
+    } else if (this.placementState === 'adjusting') {
+      const { rotateStep, scaleStep } = this.tableConfig;
+      hint.textContent = 'Rotate and resize the table, then tap Done';
+      addButton('⟲', () => this.rotateTable(rotateStep));
+      addButton('⟳', () => this.rotateTable(-rotateStep));
+      addButton('−', () => this.scaleTable(1 / scaleStep));
+      addButton('+', () => this.scaleTable(scaleStep));
+      addButton('Done', () => this.finishPlacement(), '#4CAF50');
+    }
+  }
+
+  removePlacementControls() {
+    if (this.placementControls && this.placementControls.parentNode) {
+      this.placementControls.parentNode.removeChild(this.placementControls);
+    }
+    this.placementControls = null;
+  }
+
   /**
    * Set up THREE.js renderer
    */
   setupRenderer() {
     const canvas = document.getElementById('canvas');
-    this.renderer = new THREE.WebGLRenderer({
+    const rendererOptions = {
       canvas: canvas,
       antialias: true,
       alpha: true
-    });
+    };
+    
+    this.renderer = this.options.createRenderer
+      ? this.options.createRenderer(rendererOptions)
+      : new THREE.WebGLRenderer(rendererOptions);
     
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.xr.enabled = true;
@@ -137,13 +855,15 @@ export class ARGameInterface {
     terminal.log(`[ARGameInterface:${this.gameId}] Setting up XR session`);
     
     // Set up renderer for XR
-    this.renderer.xr.setSession(this.xrSession);
+    await this.renderer.xr.setSession(this.xrSession);
     
     // Create reticle for hit testing
     this.createReticle();
+    await this.setupHitTestSources();
     
     // Set up input controller
     this.setupController();
+    this.setupXRPointers();
     
     // Handle session end
     this.xrSession.addEventListener('end', () => {
@@ -159,6 +879,74 @@ export class ARGameInterface {
     terminal.log(`[ARGameInterface:${this.gameId}] XR session configured`);
   }
 
+  /**
+   * Create the hit-test sources: one following the viewer's gaze for the
+   * reticle, and a transient one that hit-tests exactly where the screen is tapped
+   */
+  async setupHitTestSources() {
+    const session = this.xrSession;
+    
+    try {
+      this.viewerSpace = await session.requestReferenceSpace('viewer');
+      this.hitTestSource = await session.requestHitTestSource({ space: this.viewerSpace });
+      terminal.log(`[ARGameInterface:${this.gameId}] Viewer hit-test source created`);
+    } catch (error) {
+      terminal.log(`[ARGameInterface:${this.gameId}] Viewer hit-test source unavailable:`, error.message);
+    }
+    
+    if (typeof session.requestHitTestSourceForTransientInput !== 'function') {
+      return;
+    }
+    
+    try {
+      this.transientHitTestSource = await session.requestHitTestSourceForTransientInput({
+        profile: 'generic-touchscreen'
+      });
+      terminal.log(`[ARGameInterface:${this.gameId}] Transient input hit-test source created`);
+    } catch (error) {
+      terminal.log(`[ARGameInterface:${this.gameId}] Transient hit-test source unavailable:`, error.message);
+    }
+  }
+
+  /**
+   * Convert an XRHitTestResult into the hit data games receive
+   * @returns {Object|null} - { position, orientation, normal, planeOrientation, matrix }
+   */
+  describeHit(hitTestResult, referenceSpace) {
+    const pose = hitTestResult.getPose(referenceSpace);
+    if (!pose) return null;
+    
+    const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+    const position = new THREE.Vector3();
+    const orientation = new THREE.Quaternion();
+    matrix.decompose(position, orientation, new THREE.Vector3());
+    
+    // Hit poses point their Y axis along the surface normal
+    const normal = new THREE.Vector3(0, 1, 0).applyQuaternion(orientation);
+    let planeOrientation = 'vertical';
+    if (normal.y > HORIZONTAL_NORMAL_THRESHOLD) {
+      planeOrientation = 'horizontal';
+    } else if (normal.y < -HORIZONTAL_NORMAL_THRESHOLD) {
+      planeOrientation = 'ceiling';
+    }
+    
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w },
+      normal: { x: normal.x, y: normal.y, z: normal.z },
+      planeOrientation,
+      matrix: Array.from(pose.transform.matrix),
+      result: hitTestResult
+    };
+  }
+
+  /**
+   * Get the latest surface hit under the reticle, or null if no surface is tracked
+   */
+  getHitPose() {
+    return this.currentHit;
+  }
+
   /**
    * Create reticle for surface detection
    */
@@ -187,34 +975,161 @@ export class ARGameInterface {
     terminal.log(`[ARGameInterface:${this.gameId}] Controller set up`);
   }
 
+  /**
+   * Press and lift pointers on scene objects with every input source's select
+   */
+  setupXRPointers() {
+    const pointerArgs = (event) => {
+      const { inputSource, frame } = event;
+      const ray = this.pointerEvents.getXRRay(frame, inputSource, this.renderer.xr.getReferenceSpace());
+      return [this.pointerEvents.getXRPointerId(inputSource), ray, { pointerType: inputSource.targetRayMode, inputSource }];
+    };
+    
+    this.xrSession.addEventListener('selectstart', (event) => {
+      const [pointerId, ray, details] = pointerArgs(event);
+      if (ray) this.pointerEvents.pressPointer(pointerId, ray, details);
+    });
+    this.xrSession.addEventListener('selectend', (event) => {
+      this.pointerEvents.releasePointer(...pointerArgs(event));
+    });
+    
+    terminal.log(`[ARGameInterface:${this.gameId}] XR pointers set up`);
+  }
+
+  /**
+   * Recognise touch gestures on the DOM overlay, which is the whole page, or
+   * on the canvas inline
+   */
+  setupGestures() {
+    const element = this.mode === 'ar' ? document.body : this.renderer.domElement;
+    this.gestures = new GestureRecognizer(element, (type, data) => this.onGesture(type, data));
+    this.gestures.attach();
+  }
+
+  /**
+   * Turn a gesture into the engine input the game maps it to, if any
+   * @param {string} type - tap, doubletap, longpress, swipe, pinch or rotate
+   * @param {Object} data - Gesture details - see GestureRecognizer
+   * @returns {boolean} - Whether an input was sent
+   */
+  onGesture(type, data) {
+    const binding = this.gestureInputs[type];
+    if (!binding || !this.gameEngine || this.privacyScreen || this.placementState === 'placing' ||
+        this.placementState === 'adjusting') {
+      return false;
+    }
+    
+    const input = typeof binding === 'function' ? binding(data) : [binding, data];
+    if (!input) return false;
+    
+    const [inputType, inputData] = input;
+    this.gameEngine.handleInput(inputType, { playerId: this.getViewingPlayerId(), ...inputData });
+    return true;
+  }
+
+  /**
+   * Whether a select came from the touch of a swipe, pinch, rotate or long
+   * press the game handles, rather than a tap
+   */
+  isGestureSelect() {
+    if (!this.gestures) return false;
+    
+    const handlesGestures = ['swipe', 'pinch', 'rotate', 'longpress'].some(type => this.gestureInputs[type]);
+    return handlesGestures && this.gestures.isGestureRecent(SELECT_AFTER_GESTURE);
+  }
+
+  /**
+   * Hold the local player's cards in front of the camera. Call once the session
+   * is initialized and keep the cards current with this.handView.setCards().
+   * @param {Object} options - HandView options, e.g. canPlay and getSortKeys;
+   *   played cards go to onHandCardPlayed unless onPlay is given
+   * @returns {HandView}
+   */
+  setupHandView(options = {}) {
+    if (this.handView) {
+      this.handView.dispose();
+    }
+    
+    this.handView = new HandView(this.camera, {
+      onPlay: card => this.onHandCardPlayed(card),
+      // Dragging a card must not orbit the inline camera as well
+      onDragChange: dragging => {
+        if (this.orbitControls) this.orbitControls.enabled = !dragging;
+      },
+      ...options
+    });
+    this.scene.add(this.handView.group);
+    this.handView.attach(this.pointerEvents);
+    return this.handView;
+  }
+
+  /**
+   * A card was dragged or flicked from the hand view towards the table - sends
+   * a 'play' input by default; override for games that need more than the card
+   */
+  onHandCardPlayed(card) {
+    this.gameEngine.handleInput('play', { playerId: this.getViewingPlayerId(), cardId: card.id });
+  }
+
+  /**
+   * Listen for a pointer event on an object in the scene and everything under it
+   * @param {THREE.Object3D} object
+   * @param {string} type - pointerenter, pointerleave, pointerdown, pointermove, pointerup or click
+   * @param {Function} handler - Called as handler(event) - see ScenePointerEvents
+   * @returns {Function} - Call to stop listening
+   */
+  onPointer(object, type, handler) {
+    return this.pointerEvents.on(object, type, handler);
+  }
+
   /**
    * Handle XR frame updates
    */
   onXRFrame(timestamp, frame) {
     if (!this.xrSession) return;
     
-    // Update game engine
-    if (this.gameEngine && this.gameEngine.update) {
-      const deltaTime = timestamp - (this.lastFrameTime || timestamp);
-      this.gameEngine.update(deltaTime);
-      this.lastFrameTime = timestamp;
-    }
-    
-    // Handle hit testing for reticle
+    const alpha = this.advanceEngine(timestamp);
     const referenceSpace = this.renderer.xr.getReferenceSpace();
-    const viewerSpace = this.renderer.xr.getSession().requestReferenceSpace('viewer');
+    this.handView?.update(timestamp);
     
-    if (frame.getHitTestResults && this.hitTestSource) {
+    if (frame && referenceSpace) {
+      this.updateHitTests(frame, referenceSpace);
+      this.pointerEvents.updateXRInputs(frame, referenceSpace, this.xrSession);
+    }
+    
+    this.updatePlacement(frame, referenceSpace);
+    this.renderables?.interpolate(alpha, this.gameEngine.getTick());
+    this.onRenderFrame(alpha, timestamp);
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /**
+   * Refresh the reticle from the viewer source and remember where each
+   * active screen touch hits, so select events can place things under the finger
+   */
+  updateHitTests(frame, referenceSpace) {
+    if (this.hitTestSource) {
       const hitTestResults = frame.getHitTestResults(this.hitTestSource);
+      this.currentHit = hitTestResults.length > 0
+        ? this.describeHit(hitTestResults[0], referenceSpace)
+        : null;
       
-      if (hitTestResults.length > 0) {
-        const hit = hitTestResults[0];
-        this.reticle.visible = true;
-        this.reticle.matrix.fromArray(hit.getPose(referenceSpace).transform.matrix);
-      } else {
-        this.reticle.visible = false;
+      if (this.reticle) {
+        this.reticle.visible = !!this.currentHit;
+        if (this.currentHit) {
+          this.reticle.matrix.fromArray(this.currentHit.matrix);
+        }
       }
     }
+    
+    if (this.transientHitTestSource && frame.getHitTestResultsForTransientInput) {
+      this.transientHits.clear();
+      frame.getHitTestResultsForTransientInput(this.transientHitTestSource).forEach(({ inputSource, results }) => {
+        if (results.length > 0) {
+          this.transientHits.set(inputSource, this.describeHit(results[0], referenceSpace));
+        }
+      });
+    }
   }
 
   /**
@@ -223,20 +1138,72 @@ export class ARGameInterface {
   onSelect(event) {
     terminal.log(`[ARGameInterface:${this.gameId}] Select event triggered`);
     
-    if (this.reticle.visible && this.gameEngine) {
-      // Get position from reticle
-      const position = new THREE.Vector3();
-      position.setFromMatrixPosition(this.reticle.matrix);
-      
-      // Send tap input to game engine
-      this.gameEngine.handleInput('tap', {
-        position: {
-          x: position.x,
-          y: position.y,
-          z: position.z
-        }
-      });
+    // During placement a tap confirms the table instead of reaching the game
+    if (this.placementState === 'placing') {
+      this.confirmPlacement();
+      return;
+    }
+    if (this.placementState === 'adjusting' || this.privacyScreen || !this.gameEngine) {
+      return;
+    }
+    
+    // A select that pressed an object with pointer handlers was for that object, and
+    // one that ended a gesture was part of it
+    const inputSource = event?.data || event?.inputSource;
+    if (inputSource && this.pointerEvents.isPressHandled(this.pointerEvents.getXRPointerId(inputSource))) {
+      return;
+    }
+    if (this.isGestureSelect()) {
+      return;
+    }
+    
+    // Prefer the hit under the tapping finger, then the reticle
+    const touchHit = inputSource && this.transientHits.get(inputSource);
+    const hit = touchHit || this.getReticleHit();
+    if (!hit) return;
+    
+    this.gameEngine.handleInput('tap', {
+      ...this.toTableSpace(hit),
+      worldPosition: hit.position,
+      planeOrientation: hit.planeOrientation,
+      source: touchHit ? 'touch' : (this.currentHit ? 'reticle' : 'pointer')
+    });
+  }
+
+  /**
+   * Convert a world-space hit into table-local position and normal
+   */
+  toTableSpace(hit) {
+    if (!this.tableRoot) {
+      return { position: hit.position, normal: hit.normal, orientation: hit.orientation };
     }
+    
+    this.tableRoot.updateMatrixWorld();
+    const position = this.tableRoot.worldToLocal(
+      new THREE.Vector3(hit.position.x, hit.position.y, hit.position.z)
+    );
+    
+    const inverseRotation = this.tableRoot.quaternion.clone().invert();
+    const normal = new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z).applyQuaternion(inverseRotation);
+    const orientation = inverseRotation.multiply(new THREE.Quaternion(
+      hit.orientation.x, hit.orientation.y, hit.orientation.z, hit.orientation.w
+    ));
+    
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      normal: { x: normal.x, y: normal.y, z: normal.z },
+      orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+    };
+  }
+
+  /**
+   * Subscribe to engine events for as long as the interface lives
+   * @param {string} pattern - Event name, 'namespace:*' or '*'
+   * @param {Function} listener - Called as listener(data, event)
+   * @param {Object} options - EventBus.on options
+   */
+  subscribeToEngine(pattern, listener, options = {}) {
+    this.engineSubscriptions.push(this.gameEngine.on(pattern, listener, options));
   }
 
   /**
@@ -245,10 +1212,144 @@ export class ARGameInterface {
   onGameStateChange(event, data) {
     terminal.log(`[ARGameInterface:${this.gameId}] Game state changed:`, event);
     
+    // Hide the last player's private state before anything is redrawn for the next one
+    this.updateHotSeat();
+    
     // Call the visualization update method
     this.updateVisualization(event, data);
   }
 
+  /**
+   * Pass-and-play applies to local games whose engine has per-player private state
+   */
+  isHotSeatActive() {
+    return this.hotSeat && !this.room && !!this.gameEngine?.hasPrivateState();
+  }
+
+  /**
+   * The player whose private state this device may show: the local player in a
+   * room, the player who confirmed they are holding the device in pass-and-play,
+   * and otherwise whoever's turn it is
+   */
+  getViewingPlayerId() {
+    if (this.room) {
+      return this.room.playerId;
+    }
+    if (this.localPlayerId) {
+      return this.localPlayerId;
+    }
+    if (this.isHotSeatActive()) {
+      return this.viewerId;
+    }
+    return this.gameEngine?.getActivePlayerId() ?? null;
+  }
+
+  /**
+   * Private state for the viewing player, or null while it must stay hidden
+   */
+  getViewerPrivateState() {
+    const playerId = this.getViewingPlayerId();
+    return playerId ? this.gameEngine.getPrivateState(playerId) : null;
+  }
+
+  /**
+   * When the turn moves to another player, hide the private state and put up
+   * the privacy screen until the next player says they are ready
+   */
+  updateHotSeat() {
+    if (!this.isActive || !this.isHotSeatActive()) return;
+    
+    const activeId = this.gameEngine.getActivePlayerId();
+    if (activeId === this.viewerId) return;
+    if (this.privacyScreen && this.privacyScreen.dataset.playerId === activeId) return;
+    
+    this.setViewer(null);
+    if (activeId) {
+      this.showPrivacyScreen(activeId);
+    } else {
+      // Between hands or rounds nobody is acting, so there is nobody to hand over to
+      this.hidePrivacyScreen();
+    }
+  }
+
+  setViewer(playerId) {
+    if (this.viewerId === playerId) return;
+    
+    this.viewerId = playerId;
+    terminal.log(`[ARGameInterface:${this.gameId}] Private view now:`, playerId || 'hidden');
+    this.onViewerChanged(playerId);
+  }
+
+  /**
+   * Called when the private view switches player or is hidden - override in
+   * subclasses to redraw hands and other private UI
+   */
+  onViewerChanged(playerId) {
+    // Override in subclasses
+  }
+
+  showPrivacyScreen(playerId) {
+    this.hidePrivacyScreen();
+    
+    const name = this.gameEngine.getPlayer(playerId)?.name || playerId;
+    
+    this.privacyScreen = document.createElement('div');
+    this.privacyScreen.id = 'privacy-screen';
+    this.privacyScreen.dataset.playerId = playerId;
+    this.privacyScreen.style.cssText = `
+      position: absolute;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 16px;
+      background: #000;
+      color: white;
+      text-align: center;
+      z-index: 300;
+      pointer-events: auto;
+    `;
+    
+    const title = document.createElement('h2');
+    title.textContent = `Pass the device to ${name}`;
+    
+    const hint = document.createElement('p');
+    hint.textContent = `Only ${name} should look at the screen`;
+    
+    const readyButton = document.createElement('button');
+    readyButton.textContent = `I'm ${name} - show my cards`;
+    readyButton.addEventListener('click', () => this.revealPrivateState(playerId));
+    
+    this.privacyScreen.append(title, hint, readyButton);
+    
+    // Keep taps on the screen from reaching the AR session as selects
+    this.privacyScreen.addEventListener('beforexrselect', event => event.preventDefault());
+    
+    const overlay = document.getElementById('overlay');
+    if (overlay) {
+      overlay.appendChild(this.privacyScreen);
+    }
+  }
+
+  hidePrivacyScreen() {
+    if (this.privacyScreen && this.privacyScreen.parentNode) {
+      this.privacyScreen.parentNode.removeChild(this.privacyScreen);
+    }
+    this.privacyScreen = null;
+  }
+
+  revealPrivateState(playerId) {
+    this.hidePrivacyScreen();
+    
+    // The turn may have moved on while the screen was up
+    if (this.gameEngine.getActivePlayerId() !== playerId) {
+      this.updateHotSeat();
+      return;
+    }
+    this.setViewer(playerId);
+  }
+
   /**
    * Update visualization based on game events - override in subclasses
    */
@@ -278,10 +1379,85 @@ export class ARGameInterface {
     
     this.isActive = false;
     this.xrSession = null;
+    this.stopEngineClock();
+    
+    this.hidePrivacyScreen();
+    this.viewerId = null;
+    
+    if (this.gestures) {
+      this.gestures.detach();
+      this.gestures = null;
+    }
+    
+    if (this.handView) {
+      this.handView.dispose();
+      this.handView = null;
+    }
+    
+    // Release hit-test sources - they may already be cancelled if the session ended first
+    [this.hitTestSource, this.transientHitTestSource].forEach(source => {
+      try {
+        source?.cancel();
+      } catch (error) {
+        terminal.log(`[ARGameInterface:${this.gameId}] Hit-test source already cancelled`);
+      }
+    });
+    this.hitTestSource = null;
+    this.transientHitTestSource = null;
+    this.viewerSpace = null;
+    this.currentHit = null;
+    this.transientHits.clear();
     
     if (this.renderer) {
       this.renderer.setAnimationLoop(null);
-      this.renderer.xr.setSession(null);
+      if (this.mode === 'ar') {
+        this.renderer.xr.setSession(null);
+      }
+    }
+    
+    // Tear down inline mode helpers
+    this.inlineListeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler);
+    });
+    this.inlineListeners = [];
+    
+    if (this.orbitControls) {
+      this.orbitControls.dispose();
+      this.orbitControls = null;
+    }
+    
+    if (this.floor) {
+      this.floor.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.scene.remove(this.floor);
+      this.floor = null;
+      this.floorPlane = null;
+    }
+    
+    // Tear down table placement
+    this.releaseTableAnchor();
+    this.removePlacementControls();
+    this.placementState = 'idle';
+    
+    if (this.tablePreview) {
+      this.tablePreview.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.scene.remove(this.tablePreview);
+      this.tablePreview = null;
+    }
+    
+    if (this.renderables) {
+      this.renderables.clear();
+      this.renderables = null;
+    }
+    
+    if (this.tableRoot) {
+      this.scene.remove(this.tableRoot);
+      this.tableRoot = null;
     }
     
     // Clean up scene objects
@@ -295,6 +1471,8 @@ export class ARGameInterface {
       this.controller = null;
     }
     
+    this.pointerEvents.clear();
+    
     terminal.log(`[ARGameInterface:${this.gameId}] Session cleanup complete`);
   }
 
@@ -306,10 +1484,9 @@ export class ARGameInterface {
     
     this.endSession();
     
-    // Remove observer from game engine
-    if (this.gameEngine && this.gameEngine.removeObserver) {
-      this.gameEngine.removeObserver(this.onGameStateChange);
-    }
+    // Unsubscribe from the game engine
+    this.engineSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.engineSubscriptions = [];
     
     // Clean up THREE.js resources
     if (this.scene) {
@@ -334,7 +1511,20 @@ export class ARGameInterface {
     return {
       gameId: this.gameId,
       isActive: this.isActive,
+      mode: this.mode,
       hasSession: !!this.xrSession,
+      hasHitTestSource: !!this.hitTestSource,
+      hasTransientHitTestSource: !!this.transientHitTestSource,
+      hasSurface: !!this.currentHit,
+      placementState: this.placementState,
+      table: this.getTableTransform(),
+      renderableCount: this.renderables ? this.renderables.objects.size : 0,
+      pointerEvents: this.pointerEvents.getDebugInfo(),
+      gestures: this.gestures ? this.gestures.getDebugInfo() : null,
+      handView: this.handView ? this.handView.getDebugInfo() : null,
+      roomCode: this.room?.code || null,
+      hotSeat: this.isHotSeatActive(),
+      viewerId: this.getViewingPlayerId(),
       hasRenderer: !!this.renderer,
       hasScene: !!this.scene,
       hasCamera: !!this.camera,
@@ -343,6 +1533,19 @@ export class ARGameInterface {
   }
 }
 
+/**
+ * Build an XRRigidTransform where available, or the same shape as a plain object
+ */
+function createRigidTransform(position, quaternion) {
+  const point = { x: position.x, y: position.y, z: position.z, w: 1 };
+  const orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+  
+  if (typeof XRRigidTransform !== 'undefined') {
+    return new XRRigidTransform(point, orientation);
+  }
+  return { position: point, orientation };
+}
+
 // Make available globally for debugging
 window.ARGameInterface = ARGameInterface;
 
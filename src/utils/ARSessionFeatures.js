@@ -0,0 +1,9 @@
+// src/utils/ARSessionFeatures.js - WebXR features of an AR session, with no imports so manifests can be checked without loading three.js
+
+// WebXR features every AR session asks for - game manifests can only require these
+export const AR_SESSION_FEATURES = {
+  requiredFeatures: ['hit-test'],
+  optionalFeatures: ['dom-overlay', 'anchors']
+};
+
+export default AR_SESSION_FEATURES;
@@ -0,0 +1,203 @@
+// src/utils/ActionLog.js - Serializable record of everything done to a GameEngine, and replay
+import { terminal } from 'virtual:terminal';
+import { ROOM_OPS, applyRoomOp } from './RoomProtocol.js';
+
+export const ACTION_LOG_VERSION = 1;
+
+/**
+ * Entry points that change an engine, and how a call to each is recorded.
+ * Actions use the room operation format, so a room's log and a local game's
+ * log replay the same way.
+ */
+const RECORDED_METHODS = {
+  addPlayer: (playerId, playerData = {}) => ({ kind: ROOM_OPS.ADD_PLAYER, playerId, playerData }),
+  removePlayer: playerId => ({ kind: ROOM_OPS.REMOVE_PLAYER, playerId }),
+  initializeGame: (config = {}) => ({ kind: ROOM_OPS.INITIALIZE, config }),
+  handleInput: (inputType, data = {}) => ({ kind: ROOM_OPS.INPUT, inputType, data })
+};
+
+function createSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+// Inputs are copied when recorded, so later changes to the objects passed in don't rewrite history
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Records every outside call that changes an engine - joins, leaves, the game
+ * start and inputs - as an action stamped with the time and the simulation
+ * tick, so a replay runs the same steps between actions. Calls the engine
+ * makes to itself (e.g. seating players while initializing) are not recorded,
+ * because replaying the outer call repeats them.
+ */
+export class ActionLog {
+  constructor(engine) {
+    this.engine = engine;
+    this.actions = [];
+    this.seed = null;
+    this.startedAt = Date.now();
+    this.depth = 0;
+
+    this.wrapEngine();
+  }
+
+  /**
+   * Put a recording wrapper on the engine instance in front of each entry point
+   */
+  wrapEngine() {
+    Object.entries(RECORDED_METHODS).forEach(([method, describe]) => {
+      const original = this.engine[method];
+      if (typeof original !== 'function') return;
+
+      this.engine[method] = (...args) => {
+        if (this.depth > 0) {
+          return original.apply(this.engine, args);
+        }
+
+        // Unseeded games can't be replayed, so give them a seed before they start
+        if (method === 'initializeGame') {
+          args[0] = { ...args[0], seed: this.resolveSeed(args[0]) };
+        }
+
+        // Recorded first, so an input that throws is still in the log
+        this.record(describe(...args));
+
+        this.depth++;
+        try {
+          return original.apply(this.engine, args);
+        } finally {
+          this.depth--;
+        }
+      };
+    });
+  }
+
+  resolveSeed(config = {}) {
+    return config.seed ?? this.engine.config?.seed ?? createSeed();
+  }
+
+  record(action) {
+    const entry = {
+      ...cloneValue(action),
+      seq: this.actions.length + 1,
+      tick: this.engine.getTick(),
+      time: Date.now()
+    };
+
+    if (entry.kind === ROOM_OPS.INITIALIZE) {
+      this.seed = entry.config.seed;
+    }
+
+    this.actions.push(entry);
+    return entry;
+  }
+
+  getActions() {
+    return [...this.actions];
+  }
+
+  /**
+   * Carry on from a saved log, e.g. when a game is restored from a snapshot
+   * @param {Object} log - Log from toJSON
+   */
+  load(log) {
+    this.actions = log.actions.map(action => ({ ...action }));
+    this.seed = log.seed ?? null;
+    this.startedAt = log.startedAt ?? Date.now();
+  }
+
+  clear() {
+    this.actions = [];
+    this.seed = null;
+    this.startedAt = Date.now();
+  }
+
+  toJSON() {
+    return {
+      version: ACTION_LOG_VERSION,
+      gameId: this.engine.gameId,
+      seed: this.seed,
+      startedAt: this.startedAt,
+      actions: this.getActions()
+    };
+  }
+
+  serialize() {
+    return JSON.stringify(this.toJSON(), null, 2);
+  }
+
+  /**
+   * Parse and check an exported log
+   * @param {string|Object} source - JSON text or an already parsed log
+   * @returns {Object} - The log
+   */
+  static parse(source) {
+    const log = typeof source === 'string' ? JSON.parse(source) : source;
+
+    if (!log || typeof log !== 'object' || !Array.isArray(log.actions)) {
+      throw new Error('Not an action log');
+    }
+    if (log.version !== ACTION_LOG_VERSION) {
+      throw new Error(`Unsupported action log version: ${log.version}`);
+    }
+    if (typeof log.gameId !== 'string') {
+      throw new Error('Action log has no game id');
+    }
+
+    const kinds = Object.values(ROOM_OPS);
+    const unknown = log.actions.find(action => !kinds.includes(action?.kind));
+    if (unknown) {
+      throw new Error(`Unknown action in log: ${unknown?.kind}`);
+    }
+
+    return log;
+  }
+}
+
+/**
+ * Rebuild a game by feeding a log into a fresh, uninitialized engine for the
+ * same game. The engine records the replayed actions in its own log.
+ * @param {GameEngine} engine - Engine to replay into
+ * @param {Object|string} source - Log from ActionLog.toJSON, or its JSON text
+ * @param {Object} options - { until } to stop after that action's seq
+ * @returns {number} - Number of actions applied
+ */
+export function replayActionLog(engine, source, options = {}) {
+  const log = ActionLog.parse(source);
+  const until = options.until ?? Infinity;
+
+  if (log.gameId !== engine.gameId) {
+    throw new Error(`Log is for ${log.gameId}, not ${engine.gameId}`);
+  }
+
+  terminal.log(`[ActionLog] Replaying ${log.actions.length} actions into:`, engine.gameId);
+
+  let applied = 0;
+  for (const action of log.actions) {
+    if (action.seq > until) break;
+
+    // Simulated games must reach the action's tick first, or it lands on a different world
+    if (action.tick !== undefined) {
+      engine.advanceToTick(action.tick);
+    }
+
+    try {
+      applyRoomOp(engine, action);
+    } catch (error) {
+      // The original run hit the same error, so carry on the way it did
+      terminal.log('[ActionLog] Action failed during replay:', action.seq, action.kind, error.message);
+    }
+    applied++;
+  }
+
+  terminal.log('[ActionLog] Replay complete, actions applied:', applied);
+  return applied;
+}
+
+// Make available globally for debugging
+window.ActionLog = ActionLog;
+window.replayActionLog = replayActionLog;
+
+export default ActionLog;
@@ -0,0 +1,280 @@
+// src/utils/BotPlayer.js - Computer players that act through GameEngine.handleInput
+import { terminal } from 'virtual:terminal';
+import { createRandom } from './Cards.js';
+
+/**
+ * Difficulty levels. Strategies read these from context.difficulty and may add
+ * their own meaning; the bot itself uses mistakeRate and thinkTime.
+ */
+export const BOT_DIFFICULTIES = {
+  easy: { name: 'easy', mistakeRate: 0.3, thinkTime: [1200, 2400] },
+  normal: { name: 'normal', mistakeRate: 0.1, thinkTime: [800, 1600] },
+  hard: { name: 'hard', mistakeRate: 0, thinkTime: [500, 1100] }
+};
+
+// Rejected inputs in a row before a bot falls back to random legal actions, and twice that before it gives up
+const MAX_FAILURES = 2;
+
+/**
+ * Bot strategies - gameId -> Map(name -> strategy)
+ *
+ * A strategy is { chooseAction(view, context), getLegalActions(view) }:
+ * - view is what the bot's player can see - see GameEngine.getObservableState
+ * - context is { playerId, difficulty, random }; use random rather than
+ *   Math.random so seeded bots repeat themselves
+ * - chooseAction returns the input to send as { type, data }, or null to wait
+ * - getLegalActions (optional) lists the inputs that are allowed right now;
+ *   bots make mistakes by picking one of these at random
+ */
+export const BOT_STRATEGIES = new Map();
+
+/**
+ * Register a bot strategy for a game
+ * @param {string} gameId - Engine gameId the strategy plays
+ * @param {string} name - Strategy name, 'default' for the one bots get unless told otherwise
+ * @param {Object} strategy - { chooseAction, getLegalActions }
+ */
+export function defineBotStrategy(gameId, name, strategy) {
+  if (!gameId || !name || typeof strategy?.chooseAction !== 'function') {
+    throw new Error('Bot strategy requires a gameId, a name and a chooseAction function');
+  }
+
+  if (!BOT_STRATEGIES.has(gameId)) {
+    BOT_STRATEGIES.set(gameId, new Map());
+  }
+  BOT_STRATEGIES.get(gameId).set(name, strategy);
+  terminal.log('[BotPlayer] Strategy registered:', gameId, name);
+  return true;
+}
+
+export function getBotStrategy(gameId, name = 'default') {
+  return BOT_STRATEGIES.get(gameId)?.get(name) || null;
+}
+
+/**
+ * Bot Player - plays one seat of an engine. After every engine event it looks
+ * at what its player can see, asks its strategy what to do and, after a
+ * human-like pause, sends that as input. Anything that happens in the
+ * meantime makes it think again.
+ */
+export class BotPlayer {
+  /**
+   * @param {GameEngine} engine - Engine to play
+   * @param {string} playerId - Seat to play
+   * @param {Object} options - { strategy, difficulty, seed, delay, manual }:
+   *   strategy - registered name or strategy object; difficulty - a
+   *   BOT_DIFFICULTIES key; seed - for a repeatable bot, defaulting to one
+   *   derived from the game's seed; delay - ms, or [min, max], instead of the
+   *   difficulty's thinkTime; manual - only act when step() is called
+   */
+  constructor(engine, playerId, options = {}) {
+    this.engine = engine;
+    this.playerId = playerId;
+    this.strategyName = typeof options.strategy === 'string' ? options.strategy : 'default';
+    this.strategy = typeof options.strategy === 'object' && options.strategy
+      ? options.strategy
+      : getBotStrategy(engine.gameId, this.strategyName);
+    this.difficulty = BOT_DIFFICULTIES[options.difficulty] || BOT_DIFFICULTIES.normal;
+    this.seed = options.seed ?? null;
+    this.delay = options.delay ?? null;
+    this.manual = !!options.manual;
+
+    // Created on first use, so the game's seed is known by then
+    this.random = null;
+    this.timer = null;
+    this.plannedAction = null;
+    this.failures = 0;
+    this.unsubscribe = null;
+
+    if (!this.strategy) {
+      terminal.log('[BotPlayer] No strategy for', engine.gameId, this.strategyName);
+    }
+  }
+
+  start() {
+    if (this.unsubscribe || !this.strategy) return;
+
+    this.unsubscribe = this.engine.on('*', (data, event) => this.onEngineEvent(event, data));
+    terminal.log('[BotPlayer] Playing', this.playerId, 'at', this.difficulty.name);
+    this.plan();
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.cancel();
+  }
+
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.plannedAction = null;
+  }
+
+  onEngineEvent(event, data) {
+    if (event === 'invalidMove') {
+      if (data.playerId !== this.playerId) return;
+      this.failures++;
+    } else {
+      this.failures = 0;
+    }
+    this.plan();
+  }
+
+  /**
+   * Decide what to do about the game as it is now, and send it after a pause
+   */
+  plan() {
+    this.cancel();
+    if (this.manual || this.failures >= MAX_FAILURES * 2) return;
+
+    const action = this.chooseAction();
+    if (!action) return;
+
+    this.plannedAction = action;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const planned = this.plannedAction;
+      this.plannedAction = null;
+      if (!planned) return;
+
+      this.submit(planned);
+      // Not every input is announced with an event, so look again afterwards
+      if (!this.timer) this.plan();
+    }, this.getDelay());
+  }
+
+  /**
+   * Act straight away if there is anything to do - for tests and headless runs
+   * @returns {Object|null} - The input sent
+   */
+  step() {
+    this.cancel();
+    if (this.failures >= MAX_FAILURES * 2) return null;
+
+    const action = this.chooseAction();
+    if (action) this.submit(action);
+    return action;
+  }
+
+  getRandom() {
+    if (!this.random) {
+      const gameSeed = this.engine.config?.seed;
+      const seed = this.seed ?? (gameSeed !== null && gameSeed !== undefined ? `${gameSeed}:${this.playerId}` : null);
+      this.random = createRandom(seed);
+    }
+    return this.random;
+  }
+
+  /**
+   * @returns {Object|null} - { type, data } input, or null
+   */
+  chooseAction() {
+    if (!this.strategy || !this.engine.players.has(this.playerId)) return null;
+
+    // Strategies get a copy, so nothing they do can reach the engine's state
+    const view = JSON.parse(JSON.stringify(this.engine.getObservableState(this.playerId)));
+    const random = this.getRandom();
+    const context = { playerId: this.playerId, difficulty: this.difficulty, random };
+
+    try {
+      const legal = this.strategy.getLegalActions ? this.strategy.getLegalActions(view, context) : [];
+      const blunder = legal.length > 0 && (this.failures >= MAX_FAILURES || random() < this.difficulty.mistakeRate);
+      if (blunder) {
+        return legal[Math.floor(random() * legal.length)];
+      }
+      return this.strategy.chooseAction(view, context) || null;
+    } catch (error) {
+      terminal.log('[BotPlayer] Strategy error for', this.playerId, error.message);
+      return null;
+    }
+  }
+
+  getDelay() {
+    const delay = this.delay ?? this.difficulty.thinkTime;
+    if (!Array.isArray(delay)) return delay;
+
+    const [min, max] = delay;
+    return min + this.getRandom()() * (max - min);
+  }
+
+  submit(action) {
+    terminal.log('[BotPlayer]', this.playerId, 'plays', action.type);
+    this.engine.handleInput(action.type, { ...action.data, playerId: this.playerId });
+  }
+
+  getDebugInfo() {
+    return {
+      playerId: this.playerId,
+      strategy: this.strategyName,
+      difficulty: this.difficulty.name,
+      active: !!this.unsubscribe,
+      planned: this.plannedAction?.type || null,
+      failures: this.failures
+    };
+  }
+}
+
+/**
+ * Step every bot of an engine until none has anything left to do - for tests
+ * and headless runs with manual bots
+ * @param {GameEngine} engine
+ * @param {number} maxSteps - Gives up after this many inputs
+ * @returns {number} - Inputs sent
+ */
+export function runBots(engine, maxSteps = 1000) {
+  let steps = 0;
+  let acted = true;
+  while (acted && steps < maxSteps) {
+    acted = false;
+    for (const bot of engine.bots.values()) {
+      if (steps >= maxSteps) break;
+      if (bot.step()) {
+        acted = true;
+        steps++;
+      }
+    }
+  }
+  return steps;
+}
+
+/**
+ * Seat a local player and computer opponents in a new game, before it is initialized
+ * @param {GameEngine} engine
+ * @param {Object} options - { count, difficulty, strategy }
+ * @returns {string} - The local player's id
+ */
+export function seatBots(engine, { count = 1, difficulty = 'normal', strategy = 'default' } = {}) {
+  const localPlayerId = 'player-1';
+  if (!engine.players.has(localPlayerId)) {
+    engine.addPlayer(localPlayerId, { name: 'Player 1' });
+  }
+  for (let i = 1; i <= count; i++) {
+    engine.addBot(`bot-${i}`, { name: `Bot ${i}`, difficulty, strategy });
+  }
+  return localPlayerId;
+}
+
+/**
+ * Start the bots of a saved or replayed game again
+ * @returns {string|null} - The first player who isn't a bot, if there are bots
+ */
+export function resumeBots(engine) {
+  engine.attachBots();
+  if (engine.bots.size === 0) return null;
+  return engine.getPlayers().find(player => !player.bot)?.id || null;
+}
+
+export default {
+  BotPlayer,
+  BOT_DIFFICULTIES,
+  defineBotStrategy,
+  getBotStrategy,
+  runBots,
+  seatBots,
+  resumeBots
+};
@@ -0,0 +1,586 @@
+// src/utils/CardRenderer.js - Instanced 3D card meshes backed by a shared face atlas
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+import { RANK_SYMBOLS } from './Cards.js';
+
+const WHITE = new THREE.Color(0xffffff);
+
+const SUIT_SYMBOLS = { s: '♠', h: '♥', d: '♦', c: '♣' };
+const SUIT_COLORS = { s: '#212121', h: '#c62828', d: '#c62828', c: '#212121' };
+
+const UNO_FACE_COLORS = {
+  red: '#d32f2f',
+  yellow: '#fbc02d',
+  green: '#388e3c',
+  blue: '#1976d2'
+};
+
+const UNO_LABELS = {
+  skip: '⊘',
+  reverse: '⇄',
+  drawTwo: '+2',
+  wild: 'W',
+  wildDrawFour: '+4'
+};
+
+// Pip centres for number cards, as fractions of the card face
+const PIP_LAYOUTS = {
+  2: [[0.5, 0.2], [0.5, 0.8]],
+  3: [[0.5, 0.2], [0.5, 0.5], [0.5, 0.8]],
+  4: [[0.3, 0.2], [0.7, 0.2], [0.3, 0.8], [0.7, 0.8]],
+  5: [[0.3, 0.2], [0.7, 0.2], [0.5, 0.5], [0.3, 0.8], [0.7, 0.8]],
+  6: [[0.3, 0.2], [0.7, 0.2], [0.3, 0.5], [0.7, 0.5], [0.3, 0.8], [0.7, 0.8]],
+  7: [[0.3, 0.2], [0.7, 0.2], [0.5, 0.35], [0.3, 0.5], [0.7, 0.5], [0.3, 0.8], [0.7, 0.8]],
+  8: [[0.3, 0.2], [0.7, 0.2], [0.5, 0.35], [0.3, 0.5], [0.7, 0.5], [0.5, 0.65], [0.3, 0.8], [0.7, 0.8]],
+  9: [[0.3, 0.2], [0.7, 0.2], [0.3, 0.4], [0.7, 0.4], [0.5, 0.5], [0.3, 0.6], [0.7, 0.6], [0.3, 0.8], [0.7, 0.8]],
+  10: [[0.3, 0.2], [0.7, 0.2], [0.5, 0.3], [0.3, 0.4], [0.7, 0.4], [0.3, 0.6], [0.7, 0.6], [0.5, 0.7], [0.3, 0.8], [0.7, 0.8]]
+};
+
+/**
+ * Card face atlas - paints each distinct face once into a shared CanvasTexture
+ */
+export class CardAtlas {
+  constructor(options = {}) {
+    this.cellWidth = options.cellWidth || 128;
+    this.cellHeight = options.cellHeight || 180;
+    this.columns = options.columns || 16;
+    this.rows = options.rows || 11;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.cellWidth * this.columns;
+    this.canvas.height = this.cellHeight * this.rows;
+    this.context = this.canvas.getContext('2d');
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.anisotropy = 4;
+
+    this.cells = new Map();
+    this.nextCell = 0;
+  }
+
+  /**
+   * Get the UV rectangle for a card face, painting it on first use
+   * @returns {THREE.Vector4} - (u, v, width, height) in texture space
+   */
+  getFaceRect(card) {
+    return this.getRect(getFaceKey(card), ctx => this.paintFace(ctx, card));
+  }
+
+  /**
+   * Get the UV rectangle for a card back style ('standard' or 'uno')
+   */
+  getBackRect(style) {
+    return this.getRect(`back:${style}`, ctx => this.paintBack(ctx, style));
+  }
+
+  getRect(key, paint) {
+    if (this.cells.has(key)) {
+      return this.cells.get(key);
+    }
+
+    if (this.nextCell >= this.columns * this.rows) {
+      terminal.log('[CardAtlas] Atlas full, reusing first cell for:', key);
+      return this.cells.values().next().value;
+    }
+
+    const index = this.nextCell++;
+    const column = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    const x = column * this.cellWidth;
+    const y = row * this.cellHeight;
+
+    const ctx = this.context;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.beginPath();
+    ctx.rect(0, 0, this.cellWidth, this.cellHeight);
+    ctx.clip();
+    paint(ctx);
+    ctx.restore();
+
+    this.texture.needsUpdate = true;
+
+    // The canvas is flipped on upload, so row 0 sits at the top of the texture
+    const rect = new THREE.Vector4(
+      x / this.canvas.width,
+      1 - (y + this.cellHeight) / this.canvas.height,
+      this.cellWidth / this.canvas.width,
+      this.cellHeight / this.canvas.height
+    );
+    this.cells.set(key, rect);
+    return rect;
+  }
+
+  paintFace(ctx, card) {
+    if (card.value !== undefined) {
+      this.paintUnoFace(ctx, card);
+    } else if (card.joker) {
+      this.paintJokerFace(ctx);
+    } else {
+      this.paintStandardFace(ctx, card);
+    }
+  }
+
+  paintStandardFace(ctx, card) {
+    const w = this.cellWidth;
+    const h = this.cellHeight;
+    const rank = RANK_SYMBOLS[card.rank] || '?';
+    const suit = SUIT_SYMBOLS[card.suit] || '?';
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = SUIT_COLORS[card.suit] || '#212121';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Corner indices, the lower one rotated like a printed card
+    const drawIndex = () => {
+      ctx.font = 'bold 26px Arial';
+      ctx.fillText(rank === 'T' ? '10' : rank, 18, 20);
+      ctx.font = '22px Arial';
+      ctx.fillText(suit, 18, 44);
+    };
+    drawIndex();
+    ctx.save();
+    ctx.translate(w, h);
+    ctx.rotate(Math.PI);
+    drawIndex();
+    ctx.restore();
+
+    const pips = PIP_LAYOUTS[card.rank];
+    if (pips) {
+      ctx.font = '28px Arial';
+      pips.forEach(([px, py]) => {
+        ctx.save();
+        ctx.translate(24 + px * (w - 48), 20 + py * (h - 40));
+        if (py > 0.5) ctx.rotate(Math.PI);
+        ctx.fillText(suit, 0, 0);
+        ctx.restore();
+      });
+    } else {
+      // Aces and court cards get a single large centre mark
+      ctx.font = 'bold 56px Arial';
+      ctx.fillText(card.rank === 14 ? suit : rank, w / 2, h / 2);
+    }
+  }
+
+  paintUnoFace(ctx, card) {
+    const w = this.cellWidth;
+    const h = this.cellHeight;
+    const label = UNO_LABELS[card.value] || card.value;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    if (card.color) {
+      ctx.fillStyle = UNO_FACE_COLORS[card.color];
+      ctx.fillRect(6, 6, w - 12, h - 12);
+    } else {
+      // Wild cards show all four colours
+      const colors = Object.values(UNO_FACE_COLORS);
+      colors.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(6 + (i % 2) * (w - 12) / 2, 6 + Math.floor(i / 2) * (h - 12) / 2, (w - 12) / 2, (h - 12) / 2);
+      });
+    }
+
+    ctx.save();
+    ctx.translate(w / 2, h / 2);
+    ctx.rotate(-Math.PI / 6);
+    ctx.scale(1, 1.5);
+    ctx.beginPath();
+    ctx.arc(0, 0, w * 0.36, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.restore();
+
+    ctx.fillStyle = card.color ? UNO_FACE_COLORS[card.color] : '#212121';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 52px Arial';
+    ctx.fillText(label, w / 2, h / 2);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 20px Arial';
+    ctx.fillText(label, 20, 22);
+    ctx.fillText(label, w - 20, h - 22);
+  }
+
+  paintJokerFace(ctx) {
+    const w = this.cellWidth;
+    const h = this.cellHeight;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = '#6a1b9a';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 22px Arial';
+    ctx.fillText('JOKER', w / 2, h / 2);
+    ctx.font = '44px Arial';
+    ctx.fillText('★', w / 2, h / 2 - 44);
+  }
+
+  paintBack(ctx, style) {
+    const w = this.cellWidth;
+    const h = this.cellHeight;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, w, h);
+
+    if (style === 'uno') {
+      ctx.fillStyle = '#212121';
+      ctx.fillRect(6, 6, w - 12, h - 12);
+      ctx.save();
+      ctx.translate(w / 2, h / 2);
+      ctx.rotate(-Math.PI / 6);
+      ctx.scale(1, 1.5);
+      ctx.beginPath();
+      ctx.arc(0, 0, w * 0.36, 0, Math.PI * 2);
+      ctx.fillStyle = '#d32f2f';
+      ctx.fill();
+      ctx.restore();
+      ctx.fillStyle = '#fbc02d';
+      ctx.font = 'bold 34px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('UNO', w / 2, h / 2);
+      return;
+    }
+
+    ctx.fillStyle = '#1565c0';
+    ctx.fillRect(6, 6, w - 12, h - 12);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 2;
+    for (let offset = -h; offset < w + h; offset += 12) {
+      ctx.beginPath();
+      ctx.moveTo(offset, 6);
+      ctx.lineTo(offset + h, h - 6);
+      ctx.stroke();
+    }
+  }
+
+  dispose() {
+    this.texture.dispose();
+    this.cells.clear();
+  }
+}
+
+function getFaceKey(card) {
+  if (card.value !== undefined) return `uno:${card.color || 'wild'}:${card.value}`;
+  if (card.joker) return 'joker';
+  return `std:${card.rank}${card.suit}`;
+}
+
+/**
+ * Build a flat rounded-rectangle face in the XY plane with UVs spanning 0..1
+ */
+function createFaceGeometry(width, height, radius) {
+  const x = -width / 2;
+  const y = -height / 2;
+  const shape = new THREE.Shape();
+  shape.moveTo(x + radius, y);
+  shape.lineTo(x + width - radius, y);
+  shape.quadraticCurveTo(x + width, y, x + width, y + radius);
+  shape.lineTo(x + width, y + height - radius);
+  shape.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+  shape.lineTo(x + radius, y + height);
+  shape.quadraticCurveTo(x, y + height, x, y + height - radius);
+  shape.lineTo(x, y + radius);
+  shape.quadraticCurveTo(x, y, x + radius, y);
+
+  const geometry = new THREE.ShapeGeometry(shape, 4);
+  const position = geometry.attributes.position;
+  const uv = geometry.attributes.uv;
+  for (let i = 0; i < position.count; i++) {
+    uv.setXY(i, (position.getX(i) - x) / width, (position.getY(i) - y) / height);
+  }
+  return geometry;
+}
+
+/**
+ * Patch a material so each instance samples its own atlas cell
+ * @param {boolean} lit - Shade with the scene's lights, or always show the faces at full brightness
+ */
+function createAtlasMaterial(texture, lit = true) {
+  const material = lit ? new THREE.MeshLambertMaterial({ map: texture }) : new THREE.MeshBasicMaterial({ map: texture });
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute vec4 instanceUvRect;')
+      .replace('#include <uv_vertex>', '#include <uv_vertex>\n#ifdef USE_MAP\n\tvMapUv = instanceUvRect.xy + vMapUv * instanceUvRect.zw;\n#endif');
+  };
+  return material;
+}
+
+/**
+ * Card Renderer - draws every card with two instanced meshes (fronts and backs).
+ * Each card gets a lightweight Object3D handle; move it like any scene object
+ * and call update() once per frame to push transforms to the GPU.
+ */
+export class CardRenderer {
+  constructor(options = {}) {
+    terminal.log('[CardRenderer] Constructor called');
+
+    this.capacity = options.capacity || 128;
+    this.width = options.width || 0.063;
+    this.height = options.height || 0.088;
+    this.thickness = options.thickness || 0.0006;
+    this.cornerRadius = options.cornerRadius || 0.004;
+    this.backStyle = options.backStyle || 'standard';
+    this.highlightColor = new THREE.Color(options.highlightColor || 0xffe082);
+    this.flipDuration = options.flipDuration || 250;
+    this.lit = options.lit ?? true;
+
+    this.atlas = options.atlas || new CardAtlas();
+    this.ownsAtlas = !options.atlas;
+
+    this.group = new THREE.Group();
+    this.group.name = 'cards';
+
+    this.frontMesh = this.createInstancedFace(this.thickness / 2, false);
+    this.backMesh = this.createInstancedFace(-this.thickness / 2, true);
+    this.group.add(this.frontMesh, this.backMesh);
+
+    this.cards = new Map();
+    this.slots = [];
+    this.flips = new Map();
+
+    terminal.log('[CardRenderer] Renderer created with capacity:', this.capacity);
+  }
+
+  createInstancedFace(offset, isBack) {
+    const geometry = createFaceGeometry(this.width, this.height, this.cornerRadius);
+    if (isBack) {
+      // Rotating after UVs are set keeps the back image readable from behind
+      geometry.rotateY(Math.PI);
+    }
+    geometry.translate(0, 0, offset);
+
+    const uvRects = new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * 4), 4);
+    uvRects.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('instanceUvRect', uvRects);
+
+    const mesh = new THREE.InstancedMesh(geometry, createAtlasMaterial(this.atlas.texture, this.lit), this.capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = 0;
+    // Instances spread across the table, so per-mesh bounds would cull wrongly
+    mesh.frustumCulled = false;
+    return mesh;
+  }
+
+  /**
+   * Add a card to the renderer
+   * @param {Object} card - Card data (Card instance or plain { id, rank, suit } / { id, color, value })
+   * @param {Object} options - { faceUp, backStyle }
+   * @returns {THREE.Object3D} - Transform handle for the card
+   */
+  addCard(card, options = {}) {
+    if (this.cards.has(card.id)) {
+      return this.cards.get(card.id).handle;
+    }
+    if (this.slots.length >= this.capacity) {
+      terminal.log('[CardRenderer] Capacity reached, cannot add card:', card.id);
+      return null;
+    }
+
+    const handle = new THREE.Object3D();
+    handle.name = `card-${card.id}`;
+    handle.userData.cardId = card.id;
+
+    const faceUp = options.faceUp ?? card.faceUp ?? true;
+    if (!faceUp) {
+      handle.rotation.y = Math.PI;
+    }
+
+    const entry = {
+      card,
+      handle,
+      slot: this.slots.length,
+      faceUp,
+      highlighted: false,
+      backStyle: options.backStyle || (card.value !== undefined ? 'uno' : this.backStyle)
+    };
+
+    this.slots.push(card.id);
+    this.cards.set(card.id, entry);
+    this.group.add(handle);
+
+    this.writeSlot(entry);
+    this.frontMesh.count = this.slots.length;
+    this.backMesh.count = this.slots.length;
+    return handle;
+  }
+
+  /**
+   * Remove a card and compact the instance buffers
+   */
+  removeCard(cardId) {
+    const entry = this.cards.get(cardId);
+    if (!entry) return false;
+
+    this.group.remove(entry.handle);
+    this.cards.delete(cardId);
+    this.flips.delete(cardId);
+
+    // Move the last instance into the freed slot
+    const lastId = this.slots.pop();
+    if (lastId !== cardId) {
+      const moved = this.cards.get(lastId);
+      moved.slot = entry.slot;
+      this.slots[entry.slot] = lastId;
+      this.writeSlot(moved);
+    }
+
+    this.frontMesh.count = this.slots.length;
+    this.backMesh.count = this.slots.length;
+    return true;
+  }
+
+  getCardObject(cardId) {
+    return this.cards.get(cardId)?.handle || null;
+  }
+
+  /**
+   * Change which face a card shows, animated over flipDuration
+   */
+  flipCard(cardId, faceUp, options = {}) {
+    const entry = this.cards.get(cardId);
+    if (!entry) return false;
+
+    entry.faceUp = faceUp ?? !entry.faceUp;
+    const duration = options.duration ?? this.flipDuration;
+    const target = entry.faceUp ? 0 : Math.PI;
+
+    if (duration <= 0) {
+      entry.handle.rotation.y = target;
+      this.flips.delete(cardId);
+    } else {
+      this.flips.set(cardId, {
+        from: entry.handle.rotation.y,
+        to: target,
+        elapsed: 0,
+        duration
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Tint a card to show it is selectable or selected
+   */
+  setHighlighted(cardId, highlighted = true) {
+    const entry = this.cards.get(cardId);
+    if (!entry) return false;
+
+    entry.highlighted = highlighted;
+    this.writeColor(entry);
+    return true;
+  }
+
+  /**
+   * Replace a card's data, e.g. when a face-down card is revealed
+   */
+  updateCard(card) {
+    const entry = this.cards.get(card.id);
+    if (!entry) return false;
+
+    entry.card = card;
+    this.writeUv(entry);
+    return true;
+  }
+
+  writeSlot(entry) {
+    this.writeUv(entry);
+    this.writeColor(entry);
+    this.writeMatrix(entry);
+  }
+
+  writeUv(entry) {
+    const front = this.atlas.getFaceRect(entry.card);
+    const back = this.atlas.getBackRect(entry.backStyle);
+
+    const frontUv = this.frontMesh.geometry.attributes.instanceUvRect;
+    const backUv = this.backMesh.geometry.attributes.instanceUvRect;
+    frontUv.setXYZW(entry.slot, front.x, front.y, front.z, front.w);
+    backUv.setXYZW(entry.slot, back.x, back.y, back.z, back.w);
+    frontUv.needsUpdate = true;
+    backUv.needsUpdate = true;
+  }
+
+  writeColor(entry) {
+    const color = entry.highlighted ? this.highlightColor : WHITE;
+    this.frontMesh.setColorAt(entry.slot, color);
+    this.backMesh.setColorAt(entry.slot, color);
+    this.frontMesh.instanceColor.needsUpdate = true;
+    this.backMesh.instanceColor.needsUpdate = true;
+  }
+
+  writeMatrix(entry) {
+    entry.handle.updateMatrix();
+    this.frontMesh.setMatrixAt(entry.slot, entry.handle.matrix);
+    this.backMesh.setMatrixAt(entry.slot, entry.handle.matrix);
+  }
+
+  /**
+   * Advance flip animations and upload card transforms - call once per frame
+   * @param {number} deltaTime - Time since last update in milliseconds
+   */
+  update(deltaTime = 0) {
+    for (const [cardId, flip] of this.flips) {
+      const entry = this.cards.get(cardId);
+      flip.elapsed += deltaTime;
+      const t = Math.min(flip.elapsed / flip.duration, 1);
+      const eased = t * t * (3 - 2 * t);
+
+      entry.handle.rotation.y = flip.from + (flip.to - flip.from) * eased;
+
+      if (t >= 1) {
+        this.flips.delete(cardId);
+      }
+    }
+
+    for (const entry of this.cards.values()) {
+      this.writeMatrix(entry);
+    }
+
+    this.frontMesh.instanceMatrix.needsUpdate = true;
+    this.backMesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    terminal.log('[CardRenderer] Disposing renderer');
+
+    [this.frontMesh, this.backMesh].forEach(mesh => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    });
+
+    if (this.ownsAtlas) {
+      this.atlas.dispose();
+    }
+
+    if (this.group.parent) {
+      this.group.parent.remove(this.group);
+    }
+
+    this.cards.clear();
+    this.slots = [];
+    this.flips.clear();
+  }
+
+  getDebugInfo() {
+    return {
+      cardCount: this.slots.length,
+      capacity: this.capacity,
+      atlasCells: this.atlas.cells.size,
+      animatingFlips: this.flips.size
+    };
+  }
+}
+
+export default CardRenderer;
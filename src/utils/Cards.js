@@ -0,0 +1,360 @@
+// src/utils/Cards.js - Shared playing-card domain classes (Card, Pile, Deck, Hand)
+import { terminal } from 'virtual:terminal';
+import { EventBus } from './EventBus.js';
+import { createRandom } from './Random.js';
+
+// createRandom lives in Random.js, which imports nothing, so Web Workers can use it too
+export { createRandom };
+
+export const STANDARD_SUITS = ['s', 'h', 'd', 'c'];
+export const STANDARD_RANKS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14];
+export const RANK_SYMBOLS = {
+  2: '2', 3: '3', 4: '4', 5: '5', 6: '6', 7: '7', 8: '8', 9: '9',
+  10: 'T', 11: 'J', 12: 'Q', 13: 'K', 14: 'A'
+};
+
+/**
+ * Fisher-Yates shuffle in place
+ * @param {Array} cards - Cards to shuffle
+ * @param {Function} random - Random source from createRandom
+ */
+export function shuffleCards(cards, random = Math.random) {
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+}
+
+/**
+ * A single card. Game-specific fields (colour, value, points...) are kept as own properties.
+ */
+export class Card {
+  constructor({ id, rank = null, suit = null, faceUp = false, ...attributes }) {
+    if (!id) {
+      throw new Error('Card requires an id');
+    }
+
+    this.id = id;
+    this.rank = rank;
+    this.suit = suit;
+    this.faceUp = faceUp;
+    Object.assign(this, attributes);
+  }
+
+  flip(faceUp = !this.faceUp) {
+    this.faceUp = faceUp;
+    return this;
+  }
+
+  toJSON() {
+    return { ...this };
+  }
+
+  static fromJSON(json) {
+    return json instanceof Card ? json : new Card(json);
+  }
+}
+
+/**
+ * Deck definitions - each builds the plain card specs for one fresh deck
+ */
+export const DECK_DEFINITIONS = new Map();
+
+/**
+ * Register a custom deck definition
+ * @param {string} id - Definition identifier
+ * @param {Function} build - Returns an array of card specs `{ id, rank, suit, ... }`
+ */
+export function defineDeck(id, build) {
+  if (!id || typeof build !== 'function') {
+    throw new Error('Deck definition requires an id and a build function');
+  }
+
+  DECK_DEFINITIONS.set(id, build);
+  terminal.log('[Cards] Deck definition registered:', id);
+  return true;
+}
+
+defineDeck('standard52', () => {
+  const cards = [];
+  STANDARD_SUITS.forEach(suit => {
+    STANDARD_RANKS.forEach(rank => {
+      cards.push({ id: `${RANK_SYMBOLS[rank]}${suit}`, rank, suit });
+    });
+  });
+  return cards;
+});
+
+defineDeck('jokers', () => [
+  ...DECK_DEFINITIONS.get('standard52')(),
+  { id: 'JK1', rank: null, suit: null, joker: true },
+  { id: 'JK2', rank: null, suit: null, joker: true }
+]);
+
+/**
+ * Build fresh Card instances from a definition id, build function or spec array
+ */
+export function createCards(definition = 'standard52') {
+  let specs;
+  if (Array.isArray(definition)) {
+    specs = definition;
+  } else if (typeof definition === 'function') {
+    specs = definition();
+  } else if (DECK_DEFINITIONS.has(definition)) {
+    specs = DECK_DEFINITIONS.get(definition)();
+  } else {
+    throw new Error(`Unknown deck definition: ${definition}`);
+  }
+
+  return specs.map(spec => new Card(spec));
+}
+
+// emit() adds pileId to every payload. Card ids name the card, so they are hidden
+// from other players the same way face-down card faces are
+export const PILE_EVENTS = {
+  cardsMoved: { payload: { from: 'string', to: 'string', cardIds: 'array?', cards: 'array', count: 'number' }, hidden: ['cardIds'] },
+  cardFlipped: { payload: { cardId: 'string?', faceUp: 'boolean', card: 'object?' }, hidden: ['cardId'] },
+  pileFlipped: { payload: { faceUp: 'boolean', count: 'number' } },
+  pileShuffled: { payload: { count: 'number' } },
+  handSorted: { payload: { ownerId: 'string', cardIds: 'array?' }, hidden: ['cardIds'] }
+};
+
+/**
+ * An ordered stack of cards. The end of the array is the top of the pile.
+ * Moves, shuffles and flips are emitted with the same on()/off() API and
+ * (data, event) listener signature as GameEngine, so engines can forward them directly.
+ */
+export class Pile {
+  constructor(id, cards = [], options = {}) {
+    this.id = id;
+    this.faceUp = options.faceUp || false;
+    this.cards = cards.map(card => Card.fromJSON(card));
+    this.events = new EventBus(`Pile:${id}`);
+    this.events.declare(PILE_EVENTS);
+  }
+
+  on(pattern, listener, options = {}) {
+    return this.events.on(pattern, listener, options);
+  }
+
+  off(pattern, listener) {
+    return this.events.off(pattern, listener);
+  }
+
+  emit(event, data = {}) {
+    return this.events.emit(event, { ...data, pileId: this.id });
+  }
+
+  get size() {
+    return this.cards.length;
+  }
+
+  get top() {
+    return this.cards[this.cards.length - 1] || null;
+  }
+
+  isEmpty() {
+    return this.cards.length === 0;
+  }
+
+  /**
+   * Look at the top cards without removing them, topmost first
+   */
+  peek(count = 1) {
+    return this.cards.slice(-count).reverse();
+  }
+
+  find(predicate) {
+    return this.cards.find(predicate) || null;
+  }
+
+  getCard(cardId) {
+    return this.find(card => card.id === cardId);
+  }
+
+  /**
+   * Put cards onto the pile
+   * @param {Card|Array<Card>} cards - Cards to add
+   * @param {Object} options - { position: 'top'|'bottom', faceUp }
+   */
+  add(cards, options = {}) {
+    const list = (Array.isArray(cards) ? cards : [cards]).map(card => Card.fromJSON(card));
+    const faceUp = options.faceUp ?? this.faceUp;
+    list.forEach(card => card.flip(faceUp));
+
+    if (options.position === 'bottom') {
+      // Copy first - reversing in place would reorder the caller's array
+      this.cards.unshift(...[...list].reverse());
+    } else {
+      this.cards.push(...list);
+    }
+    return list;
+  }
+
+  /**
+   * Take cards off the top, topmost first
+   */
+  draw(count = 1) {
+    return this.cards.splice(Math.max(0, this.cards.length - count)).reverse();
+  }
+
+  /**
+   * Take specific cards out of the pile
+   */
+  remove(cardIds) {
+    const ids = new Set(Array.isArray(cardIds) ? cardIds : [cardIds]);
+    const removed = this.cards.filter(card => ids.has(card.id));
+    this.cards = this.cards.filter(card => !ids.has(card.id));
+    return removed;
+  }
+
+  /**
+   * Move cards to another pile
+   * @param {Pile} target - Destination pile
+   * @param {number|Array<string>} selection - Count from the top, or specific card ids
+   * @param {Object} options - Passed to target.add
+   */
+  moveTo(target, selection = 1, options = {}) {
+    const cards = Array.isArray(selection) ? this.remove(selection) : this.draw(selection);
+    if (cards.length === 0) return [];
+
+    target.add(cards, options);
+    this.emit('cardsMoved', {
+      from: this.id,
+      to: target.id,
+      cardIds: cards.map(card => card.id),
+      // Only reveal card faces the destination shows
+      cards: cards.filter(card => card.faceUp).map(card => card.toJSON()),
+      count: cards.length
+    });
+    return cards;
+  }
+
+  flip(cardId, faceUp) {
+    const card = this.getCard(cardId);
+    if (!card) return null;
+
+    card.flip(faceUp);
+    this.emit('cardFlipped', {
+      cardId,
+      faceUp: card.faceUp,
+      card: card.faceUp ? card.toJSON() : null
+    });
+    return card;
+  }
+
+  flipAll(faceUp = true) {
+    this.cards.forEach(card => card.flip(faceUp));
+    this.emit('pileFlipped', { faceUp, count: this.cards.length });
+  }
+
+  shuffle(random = Math.random) {
+    shuffleCards(this.cards, random);
+    this.emit('pileShuffled', { count: this.cards.length });
+    return this;
+  }
+
+  clear() {
+    const cards = this.cards;
+    this.cards = [];
+    return cards;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      faceUp: this.faceUp,
+      cards: this.cards.map(card => card.toJSON())
+    };
+  }
+
+  static fromJSON(json) {
+    return new Pile(json.id, json.cards, { faceUp: json.faceUp });
+  }
+}
+
+/**
+ * A draw pile built from a deck definition, with its own (optionally seeded) shuffle
+ */
+export class Deck extends Pile {
+  constructor(definition = 'standard52', options = {}) {
+    super(options.id || 'deck', createCards(definition), { faceUp: false });
+    this.definition = definition;
+    this.seed = options.seed ?? null;
+    this.random = createRandom(this.seed);
+  }
+
+  shuffle(random = this.random) {
+    return super.shuffle(random);
+  }
+
+  /**
+   * Deal cards round-robin into several piles
+   * @param {Array<Pile>} targets - Piles to deal into, in dealing order
+   * @param {number} count - Cards per target
+   */
+  deal(targets, count, options = {}) {
+    for (let round = 0; round < count; round++) {
+      targets.forEach(target => this.moveTo(target, 1, options));
+    }
+  }
+
+  /**
+   * Replace the contents with a fresh copy of the definition
+   */
+  reset() {
+    this.cards = createCards(this.definition);
+    return this;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      definition: typeof this.definition === 'string' ? this.definition : null,
+      seed: this.seed
+    };
+  }
+
+  static fromJSON(json) {
+    const deck = new Deck(json.definition || [], { id: json.id, seed: json.seed });
+    deck.cards = json.cards.map(card => Card.fromJSON(card));
+    return deck;
+  }
+}
+
+/**
+ * A player's hand - a pile with an owner that can be sorted
+ */
+export class Hand extends Pile {
+  constructor(ownerId, cards = [], options = {}) {
+    super(options.id || `hand-${ownerId}`, cards, { faceUp: options.faceUp ?? true });
+    this.ownerId = ownerId;
+  }
+
+  sort(compare) {
+    this.cards.sort(compare);
+    this.emit('handSorted', { ownerId: this.ownerId, cardIds: this.cards.map(card => card.id) });
+    return this;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), ownerId: this.ownerId };
+  }
+
+  static fromJSON(json) {
+    return new Hand(json.ownerId, json.cards, { id: json.id, faceUp: json.faceUp });
+  }
+}
+
+export default {
+  Card,
+  Pile,
+  Deck,
+  Hand,
+  createRandom,
+  shuffleCards,
+  createCards,
+  defineDeck,
+  DECK_DEFINITIONS
+};
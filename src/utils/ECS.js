@@ -0,0 +1,344 @@
+// src/utils/ECS.js - Entity-component system for AR game objects
+import { terminal } from 'virtual:terminal';
+
+const componentTypes = new Map();
+
+/**
+ * Events a World reports through the emit function it is given. GameEngine
+ * declares these on its bus, so they reach interfaces like any engine event.
+ */
+export const WORLD_EVENTS = {
+  'entity:created': { payload: { entityId: 'string', components: 'object' } },
+  'entity:destroyed': { payload: { entityId: 'string', components: 'object' } },
+  'component:added': { payload: { entityId: 'string', component: 'string', data: 'object' } },
+  'component:removed': { payload: { entityId: 'string', component: 'string', data: 'object' } },
+  'world:loaded': { payload: { entityCount: 'number' } }
+};
+
+// Components hold plain JSON data, so copies are deep and snapshots need nothing special
+function cloneData(value) {
+  return structuredClone(value);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Define a component type. Each field's default also fixes its type; values of
+ * another type are logged and left out when a component is created.
+ * @param {string} name - Unique component name, used in snapshots and change sets
+ * @param {Object} defaults - Field defaults, e.g. { speed: 0.001, axis: 'y' }
+ * @returns {Object} - Component type, passed to addComponent, getComponent and query
+ */
+export function defineComponent(name, defaults = {}) {
+  const type = {
+    name,
+    defaults,
+    create(values = {}) {
+      const data = cloneData(defaults);
+      Object.entries(values).forEach(([field, value]) => {
+        if (!(field in defaults)) {
+          terminal.log(`[ECS] Unknown ${name} field:`, field);
+          return;
+        }
+        // null leaves an optional field (default null) unset
+        const expected = typeOf(defaults[field]);
+        if (expected !== 'null' && value !== null && typeOf(value) !== expected) {
+          terminal.log(`[ECS] ${name}.${field} should be ${expected}, got:`, value);
+          return;
+        }
+        data[field] = cloneData(value);
+      });
+      return data;
+    }
+  };
+
+  componentTypes.set(name, type);
+  return type;
+}
+
+export function getComponentType(name) {
+  return componentTypes.get(name) || null;
+}
+
+// Position, rotation (Euler radians) and scale, in table-local space
+export const Transform = defineComponent('Transform', {
+  position: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0 },
+  scale: { x: 1, y: 1, z: 1 }
+});
+
+// What to draw - interfaces build a THREE object for every entity that has one
+export const Renderable = defineComponent('Renderable', {
+  shape: 'cube',
+  size: 0.2, // meters
+  color: 0xffffff,
+  opacity: 1,
+  visible: true
+});
+
+// Constant rotation about one axis
+export const Spin = defineComponent('Spin', {
+  axis: 'y',
+  speed: 0.001 // radians per millisecond
+});
+
+// What players may do to the entity with their hands
+export const Interactable = defineComponent('Interactable', {
+  selectable: true,
+  grabbable: true
+});
+
+export const Owner = defineComponent('Owner', {
+  playerId: null
+});
+
+/**
+ * Entities with components, the queries over them and the systems that update
+ * them each engine tick.
+ *
+ * Systems change component data in place and call markChanged, which is how
+ * the engine hears about it - see GameEngine.createWorld.
+ */
+export class World {
+  /**
+   * @param {Object} options - { emit(event, data), onChange(entityId, fields) }
+   */
+  constructor(options = {}) {
+    this.entities = new Map(); // entityId -> Map(componentName -> data)
+    this.queries = new Map(); // 'Name,Name' -> { names, entityIds: Set }
+    this.systems = [];
+    this.nextId = 0;
+
+    this.emit = options.emit || (() => {});
+    this.onChange = options.onChange || (() => {});
+  }
+
+  /**
+   * @param {string|null} entityId - Id to use, or null to generate one
+   * @param {Object} components - Component values keyed by component name
+   * @param {Object} options - { silent } to skip the entity:created event, e.g. in an undo
+   * @returns {string|null} - The entity id, or null if the id is taken
+   */
+  createEntity(entityId = null, components = {}, options = {}) {
+    const id = entityId ?? `entity-${++this.nextId}`;
+    if (this.entities.has(id)) {
+      terminal.log('[ECS] Entity already exists:', id);
+      return null;
+    }
+
+    const entity = new Map();
+    Object.entries(components).forEach(([name, values]) => {
+      const type = getComponentType(name);
+      if (type) {
+        entity.set(name, type.create(values));
+      } else {
+        terminal.log('[ECS] Unknown component type:', name);
+      }
+    });
+
+    this.entities.set(id, entity);
+    this.updateQueries(id);
+    if (!options.silent) {
+      this.emit('entity:created', { entityId: id, components: this.getComponents(id) });
+    }
+    return id;
+  }
+
+  destroyEntity(entityId, options = {}) {
+    if (!this.entities.has(entityId)) return false;
+
+    const components = this.getComponents(entityId);
+    this.entities.delete(entityId);
+    this.queries.forEach(query => query.entityIds.delete(entityId));
+    if (!options.silent) {
+      this.emit('entity:destroyed', { entityId, components });
+    }
+    return true;
+  }
+
+  hasEntity(entityId) {
+    return this.entities.has(entityId);
+  }
+
+  addComponent(entityId, type, values = {}) {
+    const entity = this.entities.get(entityId);
+    if (!entity) return null;
+
+    const data = type.create(values);
+    entity.set(type.name, data);
+    this.updateQueries(entityId);
+    this.emit('component:added', { entityId, component: type.name, data: cloneData(data) });
+    return data;
+  }
+
+  removeComponent(entityId, type) {
+    const entity = this.entities.get(entityId);
+    if (!entity || !entity.has(type.name)) return false;
+
+    const data = entity.get(type.name);
+    entity.delete(type.name);
+    this.updateQueries(entityId);
+    this.emit('component:removed', { entityId, component: type.name, data });
+    return true;
+  }
+
+  /**
+   * The live component data - change it in place, then call markChanged
+   */
+  getComponent(entityId, type) {
+    return this.entities.get(entityId)?.get(type.name) || null;
+  }
+
+  hasComponent(entityId, type) {
+    return !!this.entities.get(entityId)?.has(type.name);
+  }
+
+  /**
+   * A copy of an entity, in the form createEntity takes
+   * @returns {Object|null} - { id, components }
+   */
+  getEntity(entityId) {
+    const components = this.getComponents(entityId);
+    return components ? { id: entityId, components } : null;
+  }
+
+  /**
+   * A copy of all of an entity's components, keyed by component name
+   */
+  getComponents(entityId) {
+    const entity = this.entities.get(entityId);
+    return entity ? cloneData(Object.fromEntries(entity)) : null;
+  }
+
+  /**
+   * Report that a component's data changed this tick
+   */
+  markChanged(entityId, type) {
+    const data = this.getComponent(entityId, type);
+    if (data) {
+      this.onChange(entityId, { [type.name]: cloneData(data) });
+    }
+  }
+
+  /**
+   * Ids of the entities that have every one of the given components
+   * @param {...Object} types - Component types
+   * @returns {Array<string>}
+   */
+  query(...types) {
+    const names = types.map(type => type.name).sort();
+    const key = names.join(',');
+
+    let query = this.queries.get(key);
+    if (!query) {
+      query = { names, entityIds: new Set() };
+      this.entities.forEach((entity, entityId) => {
+        if (names.every(name => entity.has(name))) query.entityIds.add(entityId);
+      });
+      this.queries.set(key, query);
+    }
+    return Array.from(query.entityIds);
+  }
+
+  updateQueries(entityId) {
+    const entity = this.entities.get(entityId);
+    this.queries.forEach(query => {
+      if (entity && query.names.every(name => entity.has(name))) {
+        query.entityIds.add(entityId);
+      } else {
+        query.entityIds.delete(entityId);
+      }
+    });
+  }
+
+  /**
+   * Add a system, run each tick over the entities matching its query
+   * @param {Object} system - { name, query: [types], update(world, entityIds, deltaTime, tick) }
+   * @param {Object} options - { priority } - higher runs first
+   */
+  addSystem(system, options = {}) {
+    // Kept as given, so systems with state of their own can still be reached through it
+    this.systems.push({ system, priority: options.priority ?? 0 });
+    this.systems.sort((a, b) => b.priority - a.priority);
+    terminal.log('[ECS] System added:', system.name);
+  }
+
+  removeSystem(name) {
+    const index = this.systems.findIndex(({ system }) => system.name === name);
+    if (index === -1) return false;
+    this.systems.splice(index, 1);
+    return true;
+  }
+
+  update(deltaTime, tick) {
+    this.systems.forEach(({ system }) => {
+      system.update(this, this.query(...system.query), deltaTime, tick);
+    });
+  }
+
+  clear() {
+    this.entities.clear();
+    this.queries.clear();
+    this.nextId = 0;
+  }
+
+  toJSON() {
+    return {
+      nextId: this.nextId,
+      entities: Array.from(this.entities.keys()).map(id => ({ id, components: this.getComponents(id) }))
+    };
+  }
+
+  /**
+   * Replace every entity with those from toJSON, e.g. when restoring a snapshot
+   */
+  load(json) {
+    this.clear();
+    json.entities.forEach(({ id, components }) => {
+      const entity = new Map();
+      Object.entries(components).forEach(([name, data]) => {
+        if (getComponentType(name)) entity.set(name, cloneData(data));
+      });
+      this.entities.set(id, entity);
+    });
+    this.nextId = json.nextId;
+    this.emit('world:loaded', { entityCount: this.entities.size });
+  }
+
+  getDebugInfo() {
+    return {
+      entityCount: this.entities.size,
+      systems: this.systems.map(({ system }) => system.name),
+      cachedQueries: Array.from(this.queries.keys())
+    };
+  }
+}
+
+/**
+ * Turns every Spin entity a little each tick
+ */
+export const spinSystem = {
+  name: 'spin',
+  query: [Transform, Spin],
+  update(world, entityIds, deltaTime) {
+    entityIds.forEach(entityId => {
+      const { rotation } = world.getComponent(entityId, Transform);
+      const { axis, speed } = world.getComponent(entityId, Spin);
+
+      rotation[axis] += deltaTime * speed;
+      if (rotation[axis] > Math.PI * 2) {
+        rotation[axis] -= Math.PI * 2;
+      }
+      world.markChanged(entityId, Transform);
+    });
+  }
+};
+
+// Make available globally for debugging
+window.World = World;
+
+export default World;
@@ -0,0 +1,258 @@
+// src/utils/EventBus.js - Named events with declared payloads, wildcard and namespace subscriptions
+import { terminal } from 'virtual:terminal';
+
+export const WILDCARD = '*';
+const NAMESPACE_SEPARATOR = ':';
+
+// Payload field types a schema can declare; a trailing '?' makes the field optional
+const TYPE_CHECKS = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && value !== null,
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Publish/subscribe channel for one source of events - an engine, a room
+ * connection, the game registry.
+ *
+ * Listeners subscribe to a pattern: an event name ('cardPlayed'), a namespace
+ * ('session:*' matches 'session:started' and 'session:ended') or '*' for every
+ * event. They are called as listener(payload, event), highest priority first
+ * and in subscription order within a priority.
+ *
+ * Every event is declared with its payload schema before it is emitted, e.g.
+ *   bus.declare('entitiesChanged', { payload: { changes: 'array' }, perFrame: true })
+ * Payloads that don't match are still delivered, but logged. Events declared
+ * perFrame fire every simulation step, so wildcard listeners only get them if
+ * they subscribe with { perFrame: true }. Fields listed as hidden are only for
+ * the player the payload's playerId names, e.g. the cards they drew - see
+ * GameEngine.getObservableEvent.
+ */
+export class EventBus {
+  constructor(name) {
+    this.name = name;
+    this.schemas = new Map();
+    this.listeners = new Map(); // pattern -> [{ listener, priority, once, perFrame, order }]
+    this.nextOrder = 0;
+    this.warnedEvents = new Set();
+  }
+
+  /**
+   * Declare an event and the shape of its payload
+   * @param {string|Object} event - Event name, or an object mapping names to schemas
+   * @param {Object} schema - { payload: { field: 'type' | 'type?' }, perFrame, hidden: ['field'] }
+   */
+  declare(event, schema = {}) {
+    if (typeof event === 'object') {
+      Object.entries(event).forEach(([name, eventSchema]) => this.declare(name, eventSchema));
+      return;
+    }
+
+    this.schemas.set(event, {
+      payload: schema.payload || {},
+      perFrame: !!schema.perFrame,
+      hidden: schema.hidden || []
+    });
+  }
+
+  isDeclared(event) {
+    return this.schemas.has(event);
+  }
+
+  isPerFrame(event) {
+    return !!this.schemas.get(event)?.perFrame;
+  }
+
+  getHiddenFields(event) {
+    return this.schemas.get(event)?.hidden || [];
+  }
+
+  /**
+   * Subscribe to an event, a namespace or every event
+   * @param {string} pattern - 'name', 'namespace:*' or '*'
+   * @param {Function} listener - Called as listener(payload, event)
+   * @param {Object} options - { priority, once, perFrame }
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(pattern, listener, options = {}) {
+    if (typeof listener !== 'function') {
+      terminal.log(`[EventBus:${this.name}] Invalid listener for ${pattern} - must be a function`);
+      return () => false;
+    }
+
+    if (!this.listeners.has(pattern)) {
+      this.listeners.set(pattern, []);
+    }
+    this.listeners.get(pattern).push({
+      listener,
+      priority: options.priority ?? 0,
+      once: !!options.once,
+      perFrame: !!options.perFrame,
+      order: this.nextOrder++
+    });
+
+    return () => this.off(pattern, listener);
+  }
+
+  /**
+   * Subscribe for the next matching event only. Without a listener, returns a
+   * promise for that event's payload.
+   */
+  once(pattern, listener, options = {}) {
+    if (typeof listener !== 'function') {
+      return new Promise(resolve => this.on(pattern, resolve, { ...options, once: true }));
+    }
+    return this.on(pattern, listener, { ...options, once: true });
+  }
+
+  /**
+   * Unsubscribe a listener, or every listener on the pattern when none is given
+   */
+  off(pattern, listener) {
+    const entries = this.listeners.get(pattern);
+    if (!entries) return false;
+
+    if (!listener) {
+      this.listeners.delete(pattern);
+      return true;
+    }
+
+    const index = entries.findIndex(entry => entry.listener === listener);
+    if (index === -1) return false;
+
+    entries.splice(index, 1);
+    if (entries.length === 0) {
+      this.listeners.delete(pattern);
+    }
+    return true;
+  }
+
+  clear() {
+    this.listeners.clear();
+  }
+
+  /**
+   * Listeners that an event reaches, in call order. Once listeners are removed as they're taken.
+   */
+  takeListeners(event) {
+    const perFrame = this.isPerFrame(event);
+    const patterns = [event, WILDCARD];
+
+    // 'a:b:c' is in namespaces 'a:b:*' and 'a:*'
+    const parts = event.split(NAMESPACE_SEPARATOR);
+    for (let i = parts.length - 1; i > 0; i--) {
+      patterns.push(`${parts.slice(0, i).join(NAMESPACE_SEPARATOR)}${NAMESPACE_SEPARATOR}${WILDCARD}`);
+    }
+
+    const matched = [];
+    patterns.forEach(pattern => {
+      (this.listeners.get(pattern) || []).forEach(entry => {
+        if (perFrame && pattern !== event && !entry.perFrame) return;
+        matched.push({ ...entry, pattern });
+      });
+    });
+
+    matched.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    matched
+      .filter(entry => entry.once)
+      .forEach(entry => this.off(entry.pattern, entry.listener));
+
+    return matched;
+  }
+
+  /**
+   * Check a payload against the event's schema, logging anything that doesn't fit
+   */
+  validate(event, payload) {
+    const schema = this.schemas.get(event);
+    if (!schema) {
+      if (!this.warnedEvents.has(event)) {
+        this.warnedEvents.add(event);
+        terminal.log(`[EventBus:${this.name}] Emitting undeclared event:`, event);
+      }
+      return false;
+    }
+
+    let valid = true;
+    Object.entries(schema.payload).forEach(([field, type]) => {
+      const optional = type.endsWith('?');
+      const check = TYPE_CHECKS[optional ? type.slice(0, -1) : type] || TYPE_CHECKS.any;
+      const value = payload[field];
+
+      if ((value === undefined || value === null) ? !optional : !check(value)) {
+        terminal.log(`[EventBus:${this.name}] ${event}.${field} should be ${type}, got:`, value);
+        valid = false;
+      }
+    });
+    return valid;
+  }
+
+  reportError(event, error) {
+    terminal.log(`[EventBus:${this.name}] Listener error for ${event}:`, error.message);
+    console.error(`${this.name} listener error:`, error);
+  }
+
+  /**
+   * Call every listener for an event. Async listeners are started but not
+   * awaited; their rejections are logged.
+   * @returns {number} - Number of listeners called
+   */
+  emit(event, payload = {}) {
+    this.validate(event, payload);
+
+    const entries = this.takeListeners(event);
+    entries.forEach(({ listener }) => {
+      try {
+        const result = listener(payload, event);
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => this.reportError(event, error));
+        }
+      } catch (error) {
+        this.reportError(event, error);
+      }
+    });
+    return entries.length;
+  }
+
+  /**
+   * Call every listener for an event, waiting for each to finish before the next
+   * @returns {Promise<Array>} - The listeners' results, in call order
+   */
+  async emitAsync(event, payload = {}) {
+    this.validate(event, payload);
+
+    const results = [];
+    for (const { listener } of this.takeListeners(event)) {
+      try {
+        results.push(await listener(payload, event));
+      } catch (error) {
+        this.reportError(event, error);
+        results.push(undefined);
+      }
+    }
+    return results;
+  }
+
+  listenerCount() {
+    let count = 0;
+    this.listeners.forEach(entries => { count += entries.length; });
+    return count;
+  }
+
+  getDebugInfo() {
+    return {
+      name: this.name,
+      declaredEvents: Array.from(this.schemas.keys()),
+      listenerCount: this.listenerCount(),
+      patterns: Array.from(this.listeners.keys())
+    };
+  }
+}
+
+// Make available globally for debugging
+window.EventBus = EventBus;
+
+export default EventBus;
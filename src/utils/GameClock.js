@@ -0,0 +1,108 @@
+// src/utils/GameClock.js - Fixed-timestep simulation clock driven by the render loop
+import { terminal } from 'virtual:terminal';
+
+export const DEFAULT_STEP = 1000 / 60; // ms per simulation tick
+export const DEFAULT_MAX_FRAME_DELTA = 250; // ms - longer gaps are treated as this long
+
+/**
+ * Turns render-loop timestamps into a steady series of fixed simulation steps.
+ * Time left over after the last whole step stays in an accumulator; its share
+ * of a step is the interpolation factor renderers use to draw between the
+ * last two simulated states.
+ */
+export class GameClock {
+  constructor(options = {}) {
+    this.step = options.step ?? DEFAULT_STEP;
+    this.maxFrameDelta = options.maxFrameDelta ?? DEFAULT_MAX_FRAME_DELTA;
+
+    this.tick = 0;
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.paused = false;
+  }
+
+  /**
+   * Catch the simulation up to a frame timestamp
+   * @param {number} now - Frame timestamp in ms
+   * @param {Function} onStep - Called as onStep(step, tick) once per fixed step
+   * @returns {number} - Interpolation factor in [0, 1) between the last step and the next
+   */
+  advance(now, onStep) {
+    if (this.paused) {
+      return this.getAlpha();
+    }
+
+    // The first frame after starting or resuming only sets the reference time
+    if (this.lastTime === null) {
+      this.lastTime = now;
+      return this.getAlpha();
+    }
+
+    // A hitch or a backgrounded tab must not turn into a burst of catch-up steps
+    const delta = Math.min(Math.max(now - this.lastTime, 0), this.maxFrameDelta);
+    this.lastTime = now;
+    this.accumulator += delta;
+
+    while (this.accumulator >= this.step) {
+      this.accumulator -= this.step;
+      this.tick++;
+      onStep(this.step, this.tick);
+    }
+
+    return this.getAlpha();
+  }
+
+  /**
+   * Run whole steps until the clock reaches a tick, without waiting for frames
+   * @param {number} tick - Tick to stop at; a tick already reached runs nothing
+   * @param {Function} onStep - Called as onStep(step, tick) once per fixed step
+   */
+  stepTo(tick, onStep) {
+    while (this.tick < tick) {
+      this.tick++;
+      onStep(this.step, this.tick);
+    }
+  }
+
+  getAlpha() {
+    return this.accumulator / this.step;
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.resetTime();
+    terminal.log('[GameClock] Paused at tick:', this.tick);
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.resetTime();
+    terminal.log('[GameClock] Resumed at tick:', this.tick);
+  }
+
+  /**
+   * Forget the last frame time, so the next frame doesn't count the time in between
+   */
+  resetTime() {
+    this.lastTime = null;
+  }
+
+  reset() {
+    this.tick = 0;
+    this.accumulator = 0;
+    this.resetTime();
+  }
+
+  getDebugInfo() {
+    return {
+      step: this.step,
+      tick: this.tick,
+      paused: this.paused,
+      alpha: this.getAlpha()
+    };
+  }
+}
+
+export default GameClock;
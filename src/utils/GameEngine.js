@@ -1,5 +1,34 @@
 // src/utils/GameEngine.js - Base Game Engine Class
 import { terminal } from 'virtual:terminal';
+import { ActionLog } from './ActionLog.js';
+import { BotPlayer } from './BotPlayer.js';
+import { createRandom, PILE_EVENTS } from './Cards.js';
+import { EventBus } from './EventBus.js';
+import { GameClock } from './GameClock.js';
+import { World, WORLD_EVENTS } from './ECS.js';
+
+// Shape of the snapshot envelope; each engine versions its own data with snapshotVersion
+export const SNAPSHOT_FORMAT = 1;
+
+/**
+ * Events every engine emits. Subclasses declare their own with this.events.declare;
+ * emit() adds gameId to every payload.
+ */
+export const ENGINE_EVENTS = {
+  playerAdded: { payload: { playerId: 'string', player: 'object' } },
+  playerRemoved: { payload: { playerId: 'string', player: 'object' } },
+  stateChanged: { payload: { oldState: 'string', newState: 'string', state: 'string' } },
+  gameStarted: { payload: { tick: 'number' } },
+  gameStopped: { payload: { tick: 'number' } },
+  gamePaused: { payload: { tick: 'number' } },
+  gameResumed: { payload: { tick: 'number' } },
+  gameRestored: { payload: { state: 'string', savedAt: 'number' } },
+  undo: { payload: { action: 'string', data: 'object', playerId: 'string?', requestedBy: 'string?' } },
+  redo: { payload: { action: 'string', data: 'object', playerId: 'string?', requestedBy: 'string?' } },
+  undoStackChanged: { payload: { undoDepth: 'number', redoDepth: 'number' } },
+  entitiesChanged: { payload: { tick: 'number', changes: 'array' }, perFrame: true },
+  cleanup: {}
+};
 
 /**
  * Base Game Engine class - provides core game functionality
@@ -11,58 +40,79 @@ export class GameEngine {
     this.gameId = gameId;
     this.state = 'initialized';
     this.players = new Map();
-    this.observers = [];
-    this.lastUpdateTime = 0;
     this.isRunning = false;
     
+    // playerId -> BotPlayer for the seats computer players play - see addBot
+    this.bots = new Map();
+    
+    // Everything the engine reports - subscribe with on(), once() or events directly
+    this.events = new EventBus(`GameEngine:${gameId}`);
+    this.events.declare(ENGINE_EVENTS);
+    
+    // Fixed-timestep clock the render loop drives through advance()
+    this.clock = new GameClock();
+    
+    // entityId -> fields changed this tick, sent as one entitiesChanged change set
+    this.pendingChanges = new Map();
+    
+    // Entity-component world, for engines built on the ECS - see createWorld
+    this.world = null;
+    
+    // pileId -> unsubscribe, for card piles whose events are forwarded - see forwardPileEvents
+    this.pileSubscriptions = new Map();
+    
+    // Every join, leave, game start and input, so the game can be replayed
+    this.actionLog = new ActionLog(this);
+    
+    // Bump in subclasses whenever serializeState changes shape
+    this.snapshotVersion = 1;
+    
+    // Undo/redo of the actions subclasses declare with defineReversibleAction
+    this.reversibleActions = new Map();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.undoRules = {
+      maxDepth: 20,         // How many moves can be taken back
+      ownMovesOnly: false,  // Players may only take back their own moves
+      lastMoveOnly: false,  // Only the most recent move can be taken back
+      lockOnReveal: true    // Nothing from before hidden information was revealed can be taken back
+    };
+    
     terminal.log(`[GameEngine:${gameId}] Engine initialized with state:`, this.state);
   }
 
   /**
-   * Add an observer to listen for game events
-   * @param {Function} observer - Function to call when events occur
+   * Subscribe to engine events
+   * @param {string} pattern - Event name, 'namespace:*' or '*' for every event
+   * @param {Function} listener - Called as listener(data, event)
+   * @param {Object} options - { priority, once, perFrame } - see EventBus.on
+   * @returns {Function} - Call to unsubscribe
    */
-  addObserver(observer) {
-    if (typeof observer !== 'function') {
-      terminal.log(`[GameEngine:${this.gameId}] Invalid observer - must be a function`);
-      return false;
-    }
-    
-    this.observers.push(observer);
-    terminal.log(`[GameEngine:${this.gameId}] Observer added. Total observers:`, this.observers.length);
-    return true;
+  on(pattern, listener, options = {}) {
+    return this.events.on(pattern, listener, options);
+  }
+
+  off(pattern, listener) {
+    return this.events.off(pattern, listener);
   }
 
   /**
-   * Remove an observer
-   * @param {Function} observer - Observer function to remove
+   * Subscribe for the next matching event; without a listener, returns a promise for it
    */
-  removeObserver(observer) {
-    const index = this.observers.indexOf(observer);
-    if (index > -1) {
-      this.observers.splice(index, 1);
-      terminal.log(`[GameEngine:${this.gameId}] Observer removed. Total observers:`, this.observers.length);
-      return true;
-    }
-    return false;
+  once(pattern, listener, options = {}) {
+    return this.events.once(pattern, listener, options);
   }
 
   /**
-   * Notify all observers of an event
-   * @param {string} event - Event type
+   * Emit an event to its listeners
+   * @param {string} event - Declared event name
    * @param {Object} data - Event data
    */
-  notifyObservers(event, data = {}) {
-    terminal.log(`[GameEngine:${this.gameId}] Notifying ${this.observers.length} observers of event:`, event);
-    
-    this.observers.forEach(observer => {
-      try {
-        observer(event, { ...data, gameId: this.gameId });
-      } catch (error) {
-        terminal.log(`[GameEngine:${this.gameId}] Observer error:`, error.message);
-        console.error('Observer error:', error);
-      }
-    });
+  emit(event, data = {}) {
+    if (!this.events.isPerFrame(event)) {
+      terminal.log(`[GameEngine:${this.gameId}] Emitting event:`, event);
+    }
+    return this.events.emit(event, { ...data, gameId: this.gameId });
   }
 
   /**
@@ -80,7 +130,7 @@ export class GameEngine {
     this.players.set(playerId, player);
     terminal.log(`[GameEngine:${this.gameId}] Player added. Total players:`, this.players.size);
     
-    this.notifyObservers('playerAdded', { playerId, player });
+    this.emit('playerAdded', { playerId, player });
     return player;
   }
 
@@ -95,10 +145,11 @@ export class GameEngine {
       return false;
     }
     
+    this.detachBot(playerId);
     this.players.delete(playerId);
     terminal.log(`[GameEngine:${this.gameId}] Player removed. Total players:`, this.players.size);
     
-    this.notifyObservers('playerRemoved', { playerId, player });
+    this.emit('playerRemoved', { playerId, player });
     return true;
   }
 
@@ -117,6 +168,135 @@ export class GameEngine {
     return Array.from(this.players.values());
   }
 
+  /**
+   * Seat a computer player. Its player data records how it plays, so a saved or
+   * replayed game can seat the same bot again with attachBots().
+   * @param {string} playerId - Unique player identifier
+   * @param {Object} options - { name, strategy, difficulty, seed } plus BotPlayer
+   *   options that aren't saved, such as delay and manual
+   */
+  addBot(playerId, options = {}) {
+    const { name = playerId, strategy = 'default', difficulty = 'normal', seed = null } = options;
+    const player = this.addPlayer(playerId, { name, bot: { strategy, difficulty, seed } });
+    this.attachBot(playerId, options);
+    return player;
+  }
+
+  attachBot(playerId, options = {}) {
+    const player = this.players.get(playerId);
+    if (!player?.bot || this.bots.has(playerId)) return null;
+    
+    const bot = new BotPlayer(this, playerId, { ...player.bot, ...options });
+    this.bots.set(playerId, bot);
+    bot.start();
+    return bot;
+  }
+
+  /**
+   * Start a bot for every bot seat that hasn't got one, e.g. after restoring a snapshot
+   * @param {Object} options - BotPlayer options for all of them
+   */
+  attachBots(options = {}) {
+    this.players.forEach((player, playerId) => this.attachBot(playerId, options));
+  }
+
+  detachBot(playerId) {
+    const bot = this.bots.get(playerId);
+    if (!bot) return;
+    
+    bot.stop();
+    this.bots.delete(playerId);
+  }
+
+  isBot(playerId) {
+    return !!this.players.get(playerId)?.bot;
+  }
+
+  /**
+   * Get the player whose turn it is - override in turn-based subclasses
+   * @returns {string|null} - Acting player, or null when nobody is acting
+   */
+  getActivePlayerId() {
+    return null;
+  }
+
+  /**
+   * Whether players hold state the others must not see - override in subclasses
+   * that implement getPrivateState
+   */
+  hasPrivateState() {
+    return false;
+  }
+
+  /**
+   * Get the state only one player may see, such as their hand
+   * @param {string} playerId - Player identifier
+   * @returns {Object|null} - Private state, or null if the game has none
+   */
+  getPrivateState(playerId) {
+    return null;
+  }
+
+  /**
+   * What one player can see of the game - the table plus their private state.
+   * Bots decide from this alone.
+   * @param {string} playerId - Player identifier
+   */
+  getObservableState(playerId) {
+    return {
+      playerId,
+      state: this.state,
+      activePlayerId: this.getActivePlayerId(),
+      players: this.getPlayers().map(player => ({ id: player.id, name: player.name, bot: !!player.bot })),
+      public: this.getPublicState(),
+      private: this.getPrivateState(playerId)
+    };
+  }
+
+  /**
+   * An event as one player may see it: the fields its declaration lists as
+   * hidden are left out unless the event is about that player
+   * @param {string} event - Event name
+   * @param {Object} data - Payload as emitted
+   * @param {string} playerId - Player identifier
+   */
+  getObservableEvent(event, data, playerId) {
+    const hidden = this.events.getHiddenFields(event);
+    if (hidden.length === 0 || data.playerId === playerId) {
+      return data;
+    }
+    
+    const visible = { ...data };
+    hidden.forEach(field => delete visible[field]);
+    return visible;
+  }
+
+  /**
+   * Load what one player can see of another engine's game, from its
+   * getObservableState. A room whose engine has private state sends these
+   * instead of a seeded operation log, so no device holds anyone else's cards.
+   * Games with private state override this to load their tables, calling super.
+   * @param {Object} view - One player's view of the game
+   */
+  applyObservableState(view) {
+    const seated = new Set(view.players.map(player => player.id));
+    this.getPlayers().forEach(player => {
+      if (!seated.has(player.id)) this.players.delete(player.id);
+    });
+    view.players.forEach(({ id, ...data }) => {
+      this.players.set(id, { ...this.players.get(id), id, ...data });
+    });
+    
+    this.state = view.state;
+  }
+
+  /**
+   * Get the state every player may see - override in subclasses
+   */
+  getPublicState() {
+    return {};
+  }
+
   /**
    * Set the game state
    * @param {string} newState - New state
@@ -126,7 +306,7 @@ export class GameEngine {
     this.state = newState;
     
     terminal.log(`[GameEngine:${this.gameId}] State changed: ${oldState} -> ${newState}`);
-    this.notifyObservers('stateChanged', { oldState, newState, state: newState });
+    this.emit('stateChanged', { oldState, newState, state: newState });
   }
 
   /**
@@ -137,7 +317,7 @@ export class GameEngine {
   }
 
   /**
-   * Start the game loop
+   * Start the game and its simulation clock
    */
   start() {
     if (this.isRunning) {
@@ -145,19 +325,15 @@ export class GameEngine {
       return;
     }
     
-    this.isRunning = true;
-    this.lastUpdateTime = performance.now();
+    this.startClock();
     this.setState('running');
     
     terminal.log(`[GameEngine:${this.gameId}] Game started`);
-    this.notifyObservers('gameStarted', {});
-    
-    // Start the update loop
-    this.gameLoop();
+    this.emit('gameStarted', { tick: this.clock.tick });
   }
 
   /**
-   * Stop the game
+   * Stop the game and its simulation clock
    */
   stop() {
     if (!this.isRunning) {
@@ -165,35 +341,158 @@ export class GameEngine {
       return;
     }
     
-    this.isRunning = false;
+    this.stopClock();
     this.setState('stopped');
     
     terminal.log(`[GameEngine:${this.gameId}] Game stopped`);
-    this.notifyObservers('gameStopped', {});
+    this.emit('gameStopped', { tick: this.clock.tick });
+  }
+
+  /**
+   * Run the simulation clock without changing the game's state, e.g. for an
+   * AR session showing a game that tracks its own ('playing', 'finished').
+   * The engine doesn't run a loop of its own: whoever renders it (normally an
+   * ARGameInterface) calls advance() once per frame.
+   */
+  startClock() {
+    if (this.isRunning) return;
+    
+    this.isRunning = true;
+    this.clock.resetTime();
+  }
+
+  stopClock() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Hold the simulation while the page or XR session is hidden; resuming
+   * carries on without catching up on the time away
+   */
+  pause() {
+    if (this.clock.paused) return;
+    this.clock.pause();
+    this.emit('gamePaused', { tick: this.clock.tick });
+  }
+
+  resume() {
+    if (!this.clock.paused) return;
+    this.clock.resume();
+    this.emit('gameResumed', { tick: this.clock.tick });
+  }
+
+  /**
+   * Run the fixed simulation steps due by a frame timestamp
+   * @param {number} now - Frame timestamp in milliseconds
+   * @returns {number} - Interpolation factor (0-1) between the last two steps, for rendering
+   */
+  advance(now) {
+    if (!this.isRunning) {
+      return 1;
+    }
+    return this.clock.advance(now, (step, tick) => this.runStep(step, tick));
+  }
+
+  /**
+   * Run the simulation up to a tick straight away, e.g. to replay an action
+   * log with each action at the tick it was taken
+   * @param {number} tick - Tick to stop at
+   */
+  advanceToTick(tick) {
+    this.clock.stepTo(tick, (step, current) => this.runStep(step, current));
+  }
+
+  runStep(step, tick) {
+    this.update(step, tick);
+    this.world?.update(step, tick);
+    this.flushChanges(tick);
+  }
+
+  /**
+   * Give the engine an entity-component world. Its systems run every tick after
+   * update(), its component changes go out in the tick's change set and its
+   * entity events are emitted as engine events.
+   * @returns {World}
+   */
+  createWorld() {
+    this.events.declare(WORLD_EVENTS);
+    this.world = new World({
+      emit: (event, data) => this.emit(event, data),
+      onChange: (entityId, fields) => this.markChanged(entityId, fields)
+    });
+    return this.world;
   }
 
   /**
-   * Game loop - calls update at regular intervals
+   * Emit a card pile's moves, flips and shuffles as engine events. Forwarding
+   * another pile with the same id replaces the old one.
+   * @param {Pile} pile - Pile, Deck or Hand from Cards.js
+   * @returns {Pile}
    */
-  gameLoop() {
-    if (!this.isRunning) return;
+  forwardPileEvents(pile) {
+    this.events.declare(PILE_EVENTS);
+    this.stopForwardingPileEvents(pile.id);
+    this.pileSubscriptions.set(pile.id, pile.on('*', (data, event) => this.emit(event, data)));
+    return pile;
+  }
+
+  /**
+   * Stop emitting a pile's events, e.g. when a player's hand is thrown in
+   * @param {string} pileId - Pile identifier
+   */
+  stopForwardingPileEvents(pileId) {
+    const unsubscribe = this.pileSubscriptions.get(pileId);
+    if (!unsubscribe) return false;
     
-    const currentTime = performance.now();
-    const deltaTime = currentTime - this.lastUpdateTime;
-    this.lastUpdateTime = currentTime;
+    unsubscribe();
+    this.pileSubscriptions.delete(pileId);
+    return true;
+  }
+
+  /**
+   * Note fields of an entity that changed this tick. Repeated calls merge, the
+   * latest value of each field winning.
+   * @param {string} entityId - Entity that changed
+   * @param {Object} fields - Changed fields and their new values, e.g. { rotation: { x, y, z } }
+   */
+  markChanged(entityId, fields) {
+    const pending = this.pendingChanges.get(entityId);
+    if (pending) {
+      Object.assign(pending, fields);
+    } else {
+      this.pendingChanges.set(entityId, { ...fields });
+    }
+  }
+
+  /**
+   * Emit the tick's changes as one change set - nothing is sent for a tick without changes
+   * @param {number} tick - Tick the changes belong to
+   */
+  flushChanges(tick = this.clock.tick) {
+    if (this.pendingChanges.size === 0) return;
     
-    // Call the update method
-    this.update(deltaTime);
+    const changes = [];
+    this.pendingChanges.forEach((fields, id) => changes.push({ id, fields }));
+    this.pendingChanges.clear();
     
-    // Schedule next frame
-    requestAnimationFrame(() => this.gameLoop());
+    // Straight to the bus - emit() would log and copy the payload every tick
+    this.events.emit('entitiesChanged', { tick, changes, gameId: this.gameId });
   }
 
   /**
-   * Update game state - override in subclasses
-   * @param {number} deltaTime - Time since last update in milliseconds
+   * Number of fixed simulation steps run so far
    */
-  update(deltaTime) {
+  getTick() {
+    return this.clock.tick;
+  }
+
+  /**
+   * Advance the simulation one fixed step - override in subclasses. Report what
+   * changed with markChanged rather than emitting the new state.
+   * @param {number} deltaTime - Step length in milliseconds, the same every call
+   * @param {number} tick - Step number, counting from 1
+   */
+  update(deltaTime, tick) {
     // Default implementation - override in subclasses
   }
 
@@ -207,6 +506,222 @@ export class GameEngine {
     // Override in subclasses
   }
 
+  /**
+   * Get everything done to this engine so far, with its RNG seed
+   * @returns {Object} - Serializable log for replayActionLog
+   */
+  getActionLog() {
+    return this.actionLog.toJSON();
+  }
+
+  /**
+   * Declare an action that can be taken back. Entries recorded for it with
+   * recordUndoable carry plain data, and undo/redo change the engine's state
+   * from that data without emitting events - the 'undo' and 'redo'
+   * events describe the whole change instead.
+   * @param {string} action - Action name
+   * @param {Object} handlers - { undo(data), redo(data) }
+   */
+  defineReversibleAction(action, { undo, redo }) {
+    this.reversibleActions.set(action, { undo, redo });
+  }
+
+  /**
+   * Change the undo limits
+   * @param {Object} rules - Any of maxDepth, ownMovesOnly, lastMoveOnly, lockOnReveal
+   */
+  setUndoRules(rules = {}) {
+    this.undoRules = { ...this.undoRules, ...rules };
+    this.trimUndoStack();
+    this.notifyUndoStackChanged();
+  }
+
+  /**
+   * Remember a reversible action that has just happened
+   * @param {string} action - Name given to defineReversibleAction
+   * @param {Object} data - Everything its undo and redo need
+   * @param {string|null} playerId - Player who made the move
+   */
+  recordUndoable(action, data = {}, playerId = null) {
+    if (!this.reversibleActions.has(action)) {
+      terminal.log(`[GameEngine:${this.gameId}] Not a reversible action:`, action);
+      return null;
+    }
+    
+    const entry = { action, playerId, data };
+    this.undoStack.push(entry);
+    this.redoStack = [];
+    this.trimUndoStack();
+    this.notifyUndoStackChanged();
+    return entry;
+  }
+
+  /**
+   * Hidden information has just become visible, e.g. a card was drawn. With
+   * lockOnReveal, nothing up to this point can be taken back any more.
+   */
+  recordReveal() {
+    if (!this.undoRules.lockOnReveal) return;
+    
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyUndoStackChanged();
+  }
+
+  trimUndoStack() {
+    const depth = this.undoRules.lastMoveOnly ? 1 : this.undoRules.maxDepth;
+    if (this.undoStack.length > depth) {
+      this.undoStack.splice(0, this.undoStack.length - depth);
+    }
+  }
+
+  /**
+   * Whether a player may take back (or redo) a history entry
+   */
+  isHistoryEntryAllowed(entry, playerId) {
+    if (!entry) return false;
+    return !this.undoRules.ownMovesOnly || !entry.playerId || entry.playerId === playerId;
+  }
+
+  canUndo(playerId = null) {
+    return this.isHistoryEntryAllowed(this.undoStack[this.undoStack.length - 1], playerId);
+  }
+
+  canRedo(playerId = null) {
+    return this.isHistoryEntryAllowed(this.redoStack[this.redoStack.length - 1], playerId);
+  }
+
+  /**
+   * Take back the most recent reversible action
+   * @param {string|null} playerId - Player asking
+   * @returns {boolean} - Whether anything was undone
+   */
+  undo(playerId = null) {
+    if (!this.canUndo(playerId)) {
+      terminal.log(`[GameEngine:${this.gameId}] Nothing to undo for:`, playerId);
+      return false;
+    }
+    
+    const entry = this.undoStack.pop();
+    this.reversibleActions.get(entry.action).undo(entry.data);
+    this.redoStack.push(entry);
+    
+    terminal.log(`[GameEngine:${this.gameId}] Undid:`, entry.action);
+    this.emit('undo', { ...entry, requestedBy: playerId });
+    this.notifyUndoStackChanged();
+    return true;
+  }
+
+  /**
+   * Repeat the most recently undone action
+   * @param {string|null} playerId - Player asking
+   * @returns {boolean} - Whether anything was redone
+   */
+  redo(playerId = null) {
+    if (!this.canRedo(playerId)) {
+      terminal.log(`[GameEngine:${this.gameId}] Nothing to redo for:`, playerId);
+      return false;
+    }
+    
+    const entry = this.redoStack.pop();
+    this.reversibleActions.get(entry.action).redo(entry.data);
+    this.undoStack.push(entry);
+    this.trimUndoStack();
+    
+    terminal.log(`[GameEngine:${this.gameId}] Redid:`, entry.action);
+    this.emit('redo', { ...entry, requestedBy: playerId });
+    this.notifyUndoStackChanged();
+    return true;
+  }
+
+  notifyUndoStackChanged() {
+    this.emit('undoStackChanged', {
+      undoDepth: this.undoStack.length,
+      redoDepth: this.redoStack.length
+    });
+  }
+
+  /**
+   * Save the engine as a plain, JSON-safe snapshot
+   * @returns {Object|null} - Snapshot for restore(), or null if this game can't be saved
+   */
+  serialize() {
+    const data = this.serializeState();
+    if (data === null) {
+      return null;
+    }
+    
+    return JSON.parse(JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      version: this.snapshotVersion,
+      gameId: this.gameId,
+      savedAt: Date.now(),
+      state: this.state,
+      config: this.config ?? null,
+      players: this.getPlayers(),
+      randomState: this.random?.getState ? this.random.getState() : null,
+      tick: this.clock.tick,
+      actionLog: this.actionLog.toJSON(),
+      history: { undo: this.undoStack, redo: this.redoStack },
+      data
+    }));
+  }
+
+  /**
+   * Put the engine back the way serialize() found it
+   * @param {Object} snapshot - Snapshot from serialize()
+   * @returns {boolean} - Whether the snapshot was restored
+   */
+  restore(snapshot) {
+    if (!snapshot || snapshot.gameId !== this.gameId) {
+      terminal.log(`[GameEngine:${this.gameId}] Snapshot is for another game:`, snapshot?.gameId);
+      return false;
+    }
+    if (snapshot.format !== SNAPSHOT_FORMAT || snapshot.version !== this.snapshotVersion) {
+      terminal.log(`[GameEngine:${this.gameId}] Unsupported snapshot version:`, snapshot.format, snapshot.version);
+      return false;
+    }
+    
+    if (snapshot.config) {
+      this.config = { ...this.config, ...snapshot.config };
+    }
+    this.players = new Map(snapshot.players.map(player => [player.id, { ...player }]));
+    
+    if (snapshot.randomState != null) {
+      this.random = createRandom(this.config.seed);
+      this.random.setState(snapshot.randomState);
+    }
+    
+    // Actions taken after resuming are logged at ticks after the saved ones
+    this.clock.tick = snapshot.tick ?? 0;
+    this.actionLog.load(snapshot.actionLog);
+    this.restoreState(snapshot.data);
+    this.pendingChanges.clear();
+    this.undoStack = snapshot.history?.undo || [];
+    this.redoStack = snapshot.history?.redo || [];
+    this.state = snapshot.state;
+    
+    terminal.log(`[GameEngine:${this.gameId}] Restored snapshot from:`, new Date(snapshot.savedAt).toISOString());
+    this.emit('gameRestored', { state: this.state, savedAt: snapshot.savedAt });
+    return true;
+  }
+
+  /**
+   * Game-specific part of a snapshot - override in subclasses that can be saved
+   * @returns {Object|null} - JSON-safe game state, or null if the game can't be saved
+   */
+  serializeState() {
+    return null;
+  }
+
+  /**
+   * Load the game-specific part of a snapshot - override alongside serializeState
+   * @param {Object} data - Value returned by serializeState
+   */
+  restoreState(data) {
+    // Override in subclasses
+  }
+
   /**
    * Clean up resources
    */
@@ -214,10 +729,16 @@ export class GameEngine {
     terminal.log(`[GameEngine:${this.gameId}] Cleaning up engine`);
     
     this.stop();
-    this.observers = [];
+    this.bots.forEach(bot => bot.stop());
+    this.bots.clear();
     this.players.clear();
+    this.pendingChanges.clear();
+    this.world?.clear();
+    this.pileSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.pileSubscriptions.clear();
     
-    this.notifyObservers('cleanup', {});
+    this.emit('cleanup', {});
+    this.events.clear();
   }
 
   /**
@@ -228,9 +749,15 @@ export class GameEngine {
       gameId: this.gameId,
       state: this.state,
       isRunning: this.isRunning,
+      clock: this.clock.getDebugInfo(),
+      world: this.world ? this.world.getDebugInfo() : null,
       playerCount: this.players.size,
-      observerCount: this.observers.length,
-      players: Array.from(this.players.keys())
+      listenerCount: this.events.listenerCount(),
+      actionCount: this.actionLog.actions.length,
+      undoDepth: this.undoStack.length,
+      redoDepth: this.redoStack.length,
+      players: Array.from(this.players.keys()),
+      bots: Array.from(this.bots.values()).map(bot => bot.getDebugInfo())
     };
   }
 }
@@ -0,0 +1,120 @@
+// src/utils/GameManifest.js - JSON manifests for games shipped outside the app bundle
+import { AR_SESSION_FEATURES } from './ARSessionFeatures.js';
+
+// The plugin API this build offers; a manifest built for another one is rejected
+export const GAME_PLUGIN_API_VERSION = 1;
+
+/**
+ * Manifest fields and their types; a trailing '?' makes the field optional.
+ * A manifest looks like:
+ *   {
+ *     "id": "chess-ar", "name": "Chess AR", "version": "1.2.0", "apiVersion": 1,
+ *     "category": "Board Game", "players": { "min": 2, "max": 2 },
+ *     "requiredFeatures": ["hit-test"], "entry": "./chess-ar.js"
+ *   }
+ * The entry module's `factory` export (createGame unless named) is called as
+ * factory(options, manifest) with the same interface options as the built-in
+ * games' factories, and returns { engine, interface }.
+ */
+export const MANIFEST_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  version: 'string',
+  apiVersion: 'number',
+  category: 'string',
+  players: 'object',
+  entry: 'string',
+  requiredFeatures: 'array?',
+  factory: 'string?',
+  description: 'string?',
+  difficulty: 'string?',
+  estimatedTime: 'string?'
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string' && value.trim() !== '',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+const ENTRY_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Parse and check a game manifest
+ * @param {string|Object} source - JSON text or an already parsed manifest
+ * @param {string} baseUrl - What a relative entry URL is resolved against, usually the manifest's own URL
+ * @returns {Object} - The manifest, with entry as an absolute URL and defaults filled in
+ */
+export function parseGameManifest(source, baseUrl = globalThis.location?.href) {
+  const manifest = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error('Not a game manifest');
+  }
+
+  Object.entries(MANIFEST_SCHEMA).forEach(([field, type]) => {
+    const optional = type.endsWith('?');
+    const value = manifest[field];
+    if (value === undefined || value === null) {
+      if (!optional) throw new Error(`Manifest is missing ${field}`);
+      return;
+    }
+    if (!TYPE_CHECKS[optional ? type.slice(0, -1) : type](value)) {
+      throw new Error(`Manifest ${field} should be ${type.replace('?', '')}`);
+    }
+  });
+
+  const unknown = Object.keys(manifest).filter(field => !(field in MANIFEST_SCHEMA));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown manifest field: ${unknown.join(', ')}`);
+  }
+
+  if (!ID_PATTERN.test(manifest.id)) {
+    throw new Error(`Manifest id must be lowercase letters, digits and dashes: ${manifest.id}`);
+  }
+  if (!VERSION_PATTERN.test(manifest.version)) {
+    throw new Error(`Manifest version must look like 1.2.3: ${manifest.version}`);
+  }
+  if (manifest.apiVersion !== GAME_PLUGIN_API_VERSION) {
+    throw new Error(`${manifest.id} needs plugin API ${manifest.apiVersion}, this app has ${GAME_PLUGIN_API_VERSION}`);
+  }
+
+  const { min, max } = manifest.players;
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+    throw new Error('Manifest players must be { min, max } whole numbers with 1 <= min <= max');
+  }
+
+  const requiredFeatures = manifest.requiredFeatures || [];
+  const available = [...AR_SESSION_FEATURES.requiredFeatures, ...AR_SESSION_FEATURES.optionalFeatures];
+  const unsupported = requiredFeatures.filter(feature => !available.includes(feature));
+  if (unsupported.length > 0) {
+    throw new Error(`${manifest.id} requires unsupported XR features: ${unsupported.join(', ')}`);
+  }
+
+  let entry;
+  try {
+    entry = new URL(manifest.entry, baseUrl);
+  } catch {
+    throw new Error(`Manifest entry is not a URL: ${manifest.entry}`);
+  }
+  if (!ENTRY_PROTOCOLS.includes(entry.protocol)) {
+    throw new Error(`Manifest entry must be an http(s) URL: ${manifest.entry}`);
+  }
+
+  return {
+    ...manifest,
+    players: { min, max },
+    requiredFeatures: [...requiredFeatures],
+    factory: manifest.factory || 'createGame',
+    entry: entry.href
+  };
+}
+
+export default {
+  parseGameManifest,
+  MANIFEST_SCHEMA,
+  GAME_PLUGIN_API_VERSION
+};
@@ -1,5 +1,28 @@
 // src/utils/GameRegistry.js - Updated to work with base classes
 import { terminal } from 'virtual:terminal';
+import { gameSaveStore } from './GameSaveStore.js';
+import { EventBus } from './EventBus.js';
+import { parseGameManifest } from './GameManifest.js';
+
+// Autosave at most this often while a game is changing
+const AUTOSAVE_DELAY = 2000;
+
+// Games shipped outside the bundle - a JSON array of manifest URLs or inline manifests
+const GAME_MANIFESTS_URL = `${import.meta.env.BASE_URL}game-manifests.json`;
+
+/**
+ * Events on gameRegistry.events. Subscribe to a namespace ('session:*') to
+ * follow every event in it.
+ */
+export const REGISTRY_EVENTS = {
+  'game:registered': { payload: { gameId: 'string', game: 'object' } },
+  'game:selected': { payload: { gameId: 'string', game: 'object', previousGameId: 'string?' } },
+  'game:instanceCreated': { payload: { gameId: 'string', game: 'object', instance: 'object' } },
+  'game:instanceCleaned': { payload: { gameId: 'string' } },
+  'session:started': { payload: { gameId: 'string', game: 'object', mode: 'string' } },
+  'session:ended': { payload: { gameId: 'string', game: 'object' } },
+  'save:changed': { payload: { gameId: 'string', hasSave: 'boolean', savedAt: 'number?' } }
+};
 
 class GameRegistry {
   constructor() {
@@ -8,9 +31,24 @@ class GameRegistry {
     this.games = new Map();
     this.selectedGameId = null;
     this.activeGame = null; // Current game instance
+    this.autosaveTimer = null;
+    this.rejectedManifests = []; // { source, reason } for plugin manifests that weren't registered
+    
+    this.events = new EventBus('GameRegistry');
+    this.events.declare(REGISTRY_EVENTS);
+    
+    // A phone call or app switch may be the last chance to save
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.saveActiveGame();
+      }
+    });
     
     terminal.log('[GameRegistry] Initializing game registry...');
     this.initializeGames();
+    
+    // Plugin games arrive later; listen for game:registered to show them
+    this.manifestsLoaded = this.loadManifestList(GAME_MANIFESTS_URL);
   }
 
   initializeGames() {
@@ -27,12 +65,12 @@ class GameRegistry {
       estimatedTime: '5-10 min',
       category: 'Demo',
       // Factory function to create game instances
-      createGame: async () => {
+      createGame: async (options = {}) => {
         try {
           terminal.log('[GameRegistry] Loading SimpleARGame module...');
           const { createSimpleARGame } = await import('../games/SimpleARGame.js');
           terminal.log('[GameRegistry] SimpleARGame module loaded successfully');
-          return createSimpleARGame();
+          return createSimpleARGame(options);
         } catch (error) {
           terminal.log('[GameRegistry] Failed to load SimpleARGame:', error.message);
           console.error('SimpleARGame import error:', error);
@@ -41,40 +79,80 @@ class GameRegistry {
       }
     });
 
-    // Register UNO AR (placeholder for future implementation)
+    // Register UNO AR
     this.registerGame({
       id: 'uno-ar',
       name: 'UNO AR',
       description: 'Classic UNO card game in augmented reality',
-      isPlayable: false,
+      isPlayable: true,
       players: '2-4',
       difficulty: 'Medium',
       estimatedTime: '15-30 min',
       category: 'Card Game',
-      createGame: null // Will be implemented later
+      createGame: async (options = {}) => {
+        try {
+          terminal.log('[GameRegistry] Loading UnoARGame module...');
+          const { createUnoARGame } = await import('../games/UnoARGame.js');
+          terminal.log('[GameRegistry] UnoARGame module loaded successfully');
+          return createUnoARGame({}, options);
+        } catch (error) {
+          terminal.log('[GameRegistry] Failed to load UnoARGame:', error.message);
+          console.error('UnoARGame import error:', error);
+          return null;
+        }
+      }
     });
 
-    // Register Poker AR (placeholder for future implementation)
+    // Register Poker AR
     this.registerGame({
       id: 'poker-ar',
       name: 'Poker AR',
       description: 'Texas Hold\'em poker in AR environment',
-      isPlayable: false,
+      isPlayable: true,
       players: '2-8',
       difficulty: 'Hard',
       estimatedTime: '30-60 min',
       category: 'Card Game',
-      createGame: null // Will be implemented later
+      createGame: async (options = {}) => {
+        try {
+          terminal.log('[GameRegistry] Loading PokerARGame module...');
+          const { createPokerARGame } = await import('../games/PokerARGame.js');
+          terminal.log('[GameRegistry] PokerARGame module loaded successfully');
+          return createPokerARGame({}, options);
+        } catch (error) {
+          terminal.log('[GameRegistry] Failed to load PokerARGame:', error.message);
+          console.error('PokerARGame import error:', error);
+          return null;
+        }
+      }
     });
 
     terminal.log('[GameRegistry] Game registration complete. Available games:', this.games.size);
   }
 
-  registerGame(gameConfig) {
-    if (!gameConfig.id || !gameConfig.name) {
+  /**
+   * Register a game: a built-in one as a config with a createGame factory, or a
+   * plugin as a manifest - JSON text or a parsed object, see GameManifest.js
+   * @param {Object|string} gameConfig - Game config or manifest
+   * @param {Object} options - { baseUrl } to resolve a manifest's entry URL against
+   * @returns {boolean} - true; invalid manifests and ids already taken throw
+   */
+  registerGame(gameConfig, options = {}) {
+    const isManifest = typeof gameConfig === 'string' || (!!gameConfig && ('entry' in gameConfig || 'apiVersion' in gameConfig));
+    if (isManifest) {
+      gameConfig = this.createManifestConfig(parseGameManifest(gameConfig, options.baseUrl));
+    }
+
+    if (!gameConfig?.id || !gameConfig.name) {
       throw new Error('Game registration requires id and name');
     }
 
+    const existing = this.games.get(gameConfig.id);
+    if (existing) {
+      const version = existing.version ? ` at version ${existing.version}` : '';
+      throw new Error(`Game ${gameConfig.id} is already registered${version}`);
+    }
+
     const game = {
       id: gameConfig.id,
       name: gameConfig.name,
@@ -84,6 +162,9 @@ class GameRegistry {
       difficulty: gameConfig.difficulty || 'Unknown',
       estimatedTime: gameConfig.estimatedTime || 'Unknown',
       category: gameConfig.category || 'General',
+      version: gameConfig.version || null,
+      requiredFeatures: gameConfig.requiredFeatures || [],
+      manifest: gameConfig.manifest || null,
       createGame: gameConfig.createGame || null,
       registeredAt: Date.now()
     };
@@ -91,9 +172,113 @@ class GameRegistry {
     this.games.set(gameConfig.id, game);
     terminal.log('[GameRegistry] Game registered:', gameConfig.id, '-', gameConfig.name);
     
+    this.events.emit('game:registered', { gameId: game.id, game });
     return true;
   }
 
+  /**
+   * A game config for a checked manifest, whose factory imports the entry module
+   */
+  createManifestConfig(manifest) {
+    const { min, max } = manifest.players;
+    
+    return {
+      id: manifest.id,
+      name: manifest.name,
+      description: manifest.description,
+      isPlayable: true,
+      players: min === max ? `${min}` : `${min}-${max}`,
+      difficulty: manifest.difficulty,
+      estimatedTime: manifest.estimatedTime,
+      category: manifest.category,
+      version: manifest.version,
+      requiredFeatures: manifest.requiredFeatures,
+      manifest,
+      createGame: async (options = {}) => {
+        try {
+          terminal.log('[GameRegistry] Loading plugin module:', manifest.entry);
+          const module = await import(/* @vite-ignore */ manifest.entry);
+          const factory = module[manifest.factory];
+          if (typeof factory !== 'function') {
+            throw new Error(`${manifest.entry} has no ${manifest.factory} export`);
+          }
+          terminal.log('[GameRegistry] Plugin module loaded successfully:', manifest.id);
+          return factory(options, manifest);
+        } catch (error) {
+          terminal.log('[GameRegistry] Failed to load plugin', manifest.id, '-', error.message);
+          console.error('Plugin import error:', error);
+          return null;
+        }
+      }
+    };
+  }
+
+  /**
+   * Register the games in a manifest list. Entries are manifest URLs, relative
+   * to the list, or inline manifests. One that can't be fetched, doesn't
+   * validate or clashes with a registered game is skipped and recorded in
+   * rejectedManifests.
+   * @param {string} url - The list's URL
+   * @returns {number} - Games registered
+   */
+  async loadManifestList(url) {
+    let list;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        terminal.log('[GameRegistry] No game manifest list at', url);
+        return 0;
+      }
+      list = await response.json();
+      if (!Array.isArray(list)) {
+        throw new Error('a manifest list must be a JSON array');
+      }
+    } catch (error) {
+      terminal.log('[GameRegistry] Could not read game manifest list:', error.message);
+      return 0;
+    }
+    
+    const listUrl = new URL(url, window.location.href).href;
+    let registered = 0;
+    for (const entry of list) {
+      if (await this.loadManifest(entry, listUrl)) {
+        registered++;
+      }
+    }
+    
+    terminal.log('[GameRegistry] Plugin games registered:', registered, 'of', list.length);
+    return registered;
+  }
+
+  /**
+   * @param {string|Object} source - Manifest URL or inline manifest
+   * @param {string} baseUrl - What a relative URL in it is resolved against
+   * @returns {boolean} - Whether the game was registered
+   */
+  async loadManifest(source, baseUrl) {
+    const label = typeof source === 'string' ? source : source?.id || 'inline manifest';
+    
+    try {
+      let manifest = source;
+      let manifestUrl = baseUrl;
+      if (typeof source === 'string') {
+        manifestUrl = new URL(source, baseUrl).href;
+        const response = await fetch(manifestUrl);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        manifest = await response.text();
+      }
+      
+      this.registerGame(manifest, { baseUrl: manifestUrl });
+      return true;
+    } catch (error) {
+      terminal.log('[GameRegistry] Rejected game manifest', label, '-', error.message);
+      this.rejectedManifests.push({ source: label, reason: error.message });
+      return false;
+    }
+  }
+
   getAvailableGames() {
     const gamesList = Array.from(this.games.values());
     terminal.log('[GameRegistry] Returning', gamesList.length, 'available games');
@@ -122,14 +307,11 @@ class GameRegistry {
     
     terminal.log('[GameRegistry] Game selected:', gameId, '(was:', previousSelection, ')');
     
-    // Dispatch selection event
-    window.dispatchEvent(new CustomEvent('gameSelected', {
-      detail: { 
-        gameId,
-        game,
-        previousGameId: previousSelection
-      }
-    }));
+    this.events.emit('game:selected', {
+      gameId,
+      game,
+      previousGameId: previousSelection
+    });
 
     return true;
   }
@@ -145,9 +327,12 @@ class GameRegistry {
   /**
    * Create and initialize a game instance
    * @param {string} gameId - ID of the game to create
+   * @param {Object} options - Interface options passed to the game factory, e.g. { room, hotSeat, bots }
+   *   to play in a multiplayer room, { replay } to rebuild a game from an exported action log,
+   *   or { snapshot } to resume a saved game
    * @returns {Object|null} - Game instance with engine and interface, or null if failed
    */
-  async createGameInstance(gameId = null) {
+  async createGameInstance(gameId = null, options = {}) {
     const targetGameId = gameId || this.selectedGameId;
     
     if (!targetGameId) {
@@ -175,7 +360,7 @@ class GameRegistry {
       }
 
       // Create new game instance
-      const gameInstance = await game.createGame();
+      const gameInstance = await game.createGame(options);
       
       if (!gameInstance || !gameInstance.engine || !gameInstance.interface) {
         throw new Error('Invalid game instance created - missing engine or interface');
@@ -186,19 +371,25 @@ class GameRegistry {
         game: game,
         engine: gameInstance.engine,
         interface: gameInstance.interface,
+        room: options.room || null,
         createdAt: Date.now()
       };
+      
+      // Room games live on the room server, so only local games are saved
+      if (!this.activeGame.room) {
+        const engine = this.activeGame.engine;
+        engine.on('*', () => this.scheduleAutosave());
+        // Simulation changes come as perFrame entitiesChanged, which '*' leaves out
+        engine.on('entitiesChanged', () => this.scheduleAutosave(), { perFrame: true });
+      }
 
       terminal.log('[GameRegistry] Game instance created successfully:', targetGameId);
       
-      // Dispatch game instance created event
-      window.dispatchEvent(new CustomEvent('gameInstanceCreated', {
-        detail: {
-          gameId: targetGameId,
-          game: game,
-          instance: this.activeGame
-        }
-      }));
+      await this.events.emitAsync('game:instanceCreated', {
+        gameId: targetGameId,
+        game: game,
+        instance: this.activeGame
+      });
 
       return this.activeGame;
       
@@ -235,13 +426,11 @@ class GameRegistry {
       if (success) {
         terminal.log('[GameRegistry] AR session started successfully');
         
-        // Dispatch session started event
-        window.dispatchEvent(new CustomEvent('gameSessionStarted', {
-          detail: {
-            gameId: this.activeGame.gameId,
-            game: this.activeGame.game
-          }
-        }));
+        await this.events.emitAsync('session:started', {
+          gameId: this.activeGame.gameId,
+          game: this.activeGame.game,
+          mode: this.activeGame.interface.mode
+        });
         
         return true;
       } else {
@@ -268,15 +457,13 @@ class GameRegistry {
     terminal.log('[GameRegistry] Ending AR session for:', this.activeGame.gameId);
     
     try {
+      await this.saveActiveGame();
       this.activeGame.interface.endSession();
       
-      // Dispatch session ended event
-      window.dispatchEvent(new CustomEvent('gameSessionEnded', {
-        detail: {
-          gameId: this.activeGame.gameId,
-          game: this.activeGame.game
-        }
-      }));
+      await this.events.emitAsync('session:ended', {
+        gameId: this.activeGame.gameId,
+        game: this.activeGame.game
+      });
       
       terminal.log('[GameRegistry] AR session ended');
       
@@ -297,6 +484,10 @@ class GameRegistry {
     terminal.log('[GameRegistry] Cleaning up active game:', this.activeGame.gameId);
     
     try {
+      // Save before the engine state is thrown away
+      await this.saveActiveGame();
+      
+
       // End AR session if active
       if (this.activeGame.interface && this.activeGame.interface.isActive) {
         this.activeGame.interface.endSession();
@@ -307,6 +498,11 @@ class GameRegistry {
         this.activeGame.interface.cleanup();
       }
 
+      // Stop the room driving the engine before it is cleaned up
+      if (this.activeGame.room) {
+        this.activeGame.room.detachEngine();
+      }
+
       // Cleanup engine
       if (this.activeGame.engine && this.activeGame.engine.cleanup) {
         this.activeGame.engine.cleanup();
@@ -315,10 +511,7 @@ class GameRegistry {
       const cleanedGameId = this.activeGame.gameId;
       this.activeGame = null;
 
-      // Dispatch cleanup event
-      window.dispatchEvent(new CustomEvent('gameInstanceCleaned', {
-        detail: { gameId: cleanedGameId }
-      }));
+      await this.events.emitAsync('game:instanceCleaned', { gameId: cleanedGameId });
 
       terminal.log('[GameRegistry] Active game cleanup complete');
       
@@ -328,6 +521,59 @@ class GameRegistry {
     }
   }
 
+  scheduleAutosave() {
+    if (this.autosaveTimer) return;
+    
+    this.autosaveTimer = setTimeout(() => {
+      this.autosaveTimer = null;
+      this.saveActiveGame();
+    }, AUTOSAVE_DELAY);
+  }
+
+  /**
+   * Save the active game so it can be resumed after an interruption
+   * @returns {boolean} - Whether a snapshot was saved
+   */
+  async saveActiveGame() {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    
+    const activeGame = this.activeGame;
+    if (!activeGame || activeGame.room) {
+      return false;
+    }
+    
+    const snapshot = activeGame.engine.serialize();
+    if (!snapshot) {
+      return false;
+    }
+    
+    // A finished game has nothing left to resume
+    let saved = false;
+    if (snapshot.state === 'finished') {
+      await gameSaveStore.remove(snapshot.gameId);
+    } else {
+      saved = await gameSaveStore.save(snapshot);
+    }
+    
+    await this.events.emitAsync('save:changed', {
+      gameId: snapshot.gameId,
+      hasSave: saved,
+      savedAt: saved ? snapshot.savedAt : null
+    });
+    
+    return saved;
+  }
+
+  /**
+   * Get the saved snapshot for a game
+   * @param {string} gameId - Game to look up
+   * @returns {Object|null} - Snapshot to pass as { snapshot } to createGameInstance
+   */
+  async getSavedGame(gameId) {
+    return gameSaveStore.load(gameId);
+  }
+
   /**
    * Check if a game is currently playable
    * @param {string} gameId - ID of the game to check
@@ -351,9 +597,11 @@ class GameRegistry {
         createdAt: this.activeGame.createdAt,
         hasEngine: !!this.activeGame.engine,
         hasInterface: !!this.activeGame.interface,
+        roomCode: this.activeGame.room?.code || null,
         isSessionActive: this.activeGame.interface?.isActive || false
       } : null,
-      availableGames: Array.from(this.games.keys())
+      availableGames: Array.from(this.games.keys()),
+      rejectedManifests: [...this.rejectedManifests]
     };
   }
 }
@@ -0,0 +1,117 @@
+// src/utils/GameSaveStore.js - IndexedDB storage for saved game snapshots
+import { terminal } from 'virtual:terminal';
+
+const DB_NAME = 'ar-game-saves';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+/**
+ * Keeps one snapshot per game, keyed by game id. Every method resolves
+ * quietly (null / false) where IndexedDB isn't available, e.g. in private
+ * browsing or under Node, so saving never gets in the way of playing.
+ */
+export class GameSaveStore {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'gameId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Allow a later call to try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the snapshot store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save a snapshot from GameEngine.serialize(), replacing the game's previous save
+   */
+  async save(snapshot) {
+    if (!this.isAvailable() || !snapshot) return false;
+
+    try {
+      await this.run('readwrite', store => store.put(snapshot));
+      terminal.log('[GameSaveStore] Saved game:', snapshot.gameId);
+      return true;
+    } catch (error) {
+      terminal.log('[GameSaveStore] Failed to save game:', snapshot.gameId, error?.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} gameId - Game to look up
+   * @returns {Object|null} - The saved snapshot, or null if there is none
+   */
+  async load(gameId) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      return (await this.run('readonly', store => store.get(gameId))) || null;
+    } catch (error) {
+      terminal.log('[GameSaveStore] Failed to load game:', gameId, error?.message);
+      return null;
+    }
+  }
+
+  async remove(gameId) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this.run('readwrite', store => store.delete(gameId));
+      terminal.log('[GameSaveStore] Removed saved game:', gameId);
+      return true;
+    } catch (error) {
+      terminal.log('[GameSaveStore] Failed to remove saved game:', gameId, error?.message);
+      return false;
+    }
+  }
+
+  getDebugInfo() {
+    return {
+      dbName: this.dbName,
+      isAvailable: this.isAvailable(),
+      isOpen: !!this.dbPromise
+    };
+  }
+}
+
+// Create singleton instance
+export const gameSaveStore = new GameSaveStore();
+
+// Make available globally for debugging
+window.gameSaveStore = gameSaveStore;
+
+export default gameSaveStore;
@@ -0,0 +1,318 @@
+// src/utils/GestureRecognizer.js - Touch gestures on the DOM overlay
+import { terminal } from 'virtual:terminal';
+
+export const GESTURE_TYPES = ['tap', 'doubletap', 'longpress', 'swipe', 'pinch', 'rotate'];
+
+// Touches that start on these are left to the element, so overlay controls keep working
+const INTERACTIVE_SELECTOR = 'button, a, input, select, textarea, label, [data-no-gestures]';
+
+const DEFAULT_OPTIONS = {
+  tapDistance: 10, // px a finger may drift and still tap
+  swipeDistance: 30, // px of travel that makes a swipe
+  doubleTapInterval: 300, // ms between the taps of a double tap
+  doubleTapDistance: 30, // px between them
+  longPressDelay: 500 // ms held still
+};
+
+/**
+ * Recognises gestures from the pointer events on an element and reports each
+ * as onGesture(type, data):
+ * - tap, doubletap: { x, y }
+ * - longpress: { x, y, duration } - fires while still held; no tap follows
+ * - swipe: { x, y, dx, dy, velocityX, velocityY, direction, duration } - start
+ *   point, travel and release speed in px/ms, direction 'up', 'down', 'left' or 'right'
+ * - pinch: { phase, scale, totalScale, x, y } - scale since the last pinch event,
+ *   centered between the two fingers; phase 'start', 'change' or 'end'
+ * - rotate: { phase, angle, totalAngle, x, y } - radians since the last rotate
+ *   event, clockwise on screen
+ *
+ * Listeners are passive and nothing is captured or prevented, so taps on
+ * buttons in the overlay still click.
+ */
+export class GestureRecognizer {
+  /**
+   * @param {Element} element - Usually the DOM overlay root
+   * @param {Function} onGesture - Called as onGesture(type, data)
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(element, onGesture, options = {}) {
+    this.element = element;
+    this.onGesture = onGesture;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.pointers = new Map(); // pointerId -> { x, y, time, startX, startY, startTime, prevX, prevY, prevTime }
+    this.twoFinger = null; // { distance, angle, startDistance, startAngle } while two fingers are down
+    this.wasMultiTouch = false; // Until every finger lifts, once a second one came down
+    this.longPressTimer = null;
+    this.longPressed = false;
+    this.lastTap = null; // { x, y, time }
+    this.lastGestureTime = -Infinity;
+
+    this.listeners = [];
+    this.previousTouchAction = null;
+  }
+
+  attach() {
+    if (this.listeners.length > 0) return;
+
+    const listen = (type, handler) => {
+      this.element.addEventListener(type, handler, { passive: true });
+      this.listeners.push({ type, handler });
+    };
+    listen('pointerdown', event => this.onPointerDown(event));
+    listen('pointermove', event => this.onPointerMove(event));
+    listen('pointerup', event => this.onPointerUp(event));
+    listen('pointercancel', event => this.onPointerUp(event, true));
+
+    // Keep the browser from taking pinches and drags for page zoom and scroll
+    this.previousTouchAction = this.element.style.touchAction;
+    this.element.style.touchAction = 'none';
+    terminal.log('[GestureRecognizer] Attached');
+  }
+
+  detach() {
+    this.listeners.forEach(({ type, handler }) => {
+      this.element.removeEventListener(type, handler);
+    });
+    this.listeners = [];
+    if (this.previousTouchAction !== null) {
+      this.element.style.touchAction = this.previousTouchAction;
+      this.previousTouchAction = null;
+    }
+    this.reset();
+  }
+
+  reset() {
+    this.cancelLongPress();
+    this.pointers.clear();
+    this.twoFinger = null;
+    this.wasMultiTouch = false;
+  }
+
+  /**
+   * Whether more than one finger is down, or was since the last time none were
+   */
+  isMultiTouch() {
+    return this.wasMultiTouch;
+  }
+
+  /**
+   * Whether a gesture other than a tap is under way or ended in the last few
+   * ms - the touch behind it shouldn't also count as a tap elsewhere
+   */
+  isGestureRecent(within = 0) {
+    return this.wasMultiTouch || this.longPressed || performance.now() - this.lastGestureTime < within;
+  }
+
+  onPointerDown(event) {
+    if (event.target?.closest?.(INTERACTIVE_SELECTOR)) return;
+
+    const now = event.timeStamp;
+    this.pointers.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+      time: now,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: now,
+      prevX: event.clientX,
+      prevY: event.clientY,
+      prevTime: now
+    });
+
+    if (this.pointers.size === 1) {
+      this.longPressed = false;
+      this.startLongPress(event.clientX, event.clientY);
+    } else if (this.pointers.size === 2) {
+      this.cancelLongPress();
+      this.wasMultiTouch = true;
+      const measure = this.measureTwoFinger();
+      this.twoFinger = { ...measure, startDistance: measure.distance, startAngle: measure.angle };
+      this.emit('pinch', { phase: 'start', scale: 1, totalScale: 1, x: measure.x, y: measure.y });
+      this.emit('rotate', { phase: 'start', angle: 0, totalAngle: 0, x: measure.x, y: measure.y });
+    }
+  }
+
+  onPointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    // Keep the previous sample, so the release speed can cover the last stretch of a swipe
+    Object.assign(pointer, {
+      prevX: pointer.x,
+      prevY: pointer.y,
+      prevTime: pointer.time,
+      x: event.clientX,
+      y: event.clientY,
+      time: event.timeStamp
+    });
+
+    if (this.distanceMoved(pointer) > this.options.tapDistance) {
+      this.cancelLongPress();
+    }
+
+    if (this.pointers.size === 2 && this.twoFinger) {
+      const measure = this.measureTwoFinger();
+      let angle = measure.angle - this.twoFinger.angle;
+      if (angle > Math.PI) angle -= Math.PI * 2;
+      if (angle < -Math.PI) angle += Math.PI * 2;
+      const scale = measure.distance / this.twoFinger.distance;
+      Object.assign(this.twoFinger, { distance: measure.distance, angle: measure.angle });
+
+      let totalAngle = measure.angle - this.twoFinger.startAngle;
+      if (totalAngle > Math.PI) totalAngle -= Math.PI * 2;
+      if (totalAngle < -Math.PI) totalAngle += Math.PI * 2;
+      if (scale !== 1) {
+        this.emit('pinch', {
+          phase: 'change',
+          scale,
+          totalScale: measure.distance / this.twoFinger.startDistance,
+          x: measure.x,
+          y: measure.y
+        });
+      }
+      if (angle !== 0) {
+        this.emit('rotate', { phase: 'change', angle, totalAngle, x: measure.x, y: measure.y });
+      }
+    }
+  }
+
+  onPointerUp(event, cancelled = false) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    this.pointers.delete(event.pointerId);
+
+    if (this.twoFinger) {
+      if (this.pointers.size < 2) this.endTwoFinger();
+    } else if (!cancelled && !this.wasMultiTouch && !this.longPressed) {
+      this.recognizeRelease(pointer, event);
+    }
+
+    if (this.pointers.size === 0) {
+      this.cancelLongPress();
+      if (this.wasMultiTouch || this.longPressed) {
+        this.lastGestureTime = performance.now();
+      }
+      this.wasMultiTouch = false;
+      this.longPressed = false;
+    }
+  }
+
+  /**
+   * A single finger lifted: a tap, double tap or swipe
+   */
+  recognizeRelease(pointer, event) {
+    this.cancelLongPress();
+    const dx = event.clientX - pointer.startX;
+    const dy = event.clientY - pointer.startY;
+    const distance = Math.hypot(dx, dy);
+
+    if (distance >= this.options.swipeDistance) {
+      const duration = Math.max(event.timeStamp - pointer.startTime, 1);
+      const sinceLast = Math.max(event.timeStamp - pointer.prevTime, 1);
+      const direction = Math.abs(dx) > Math.abs(dy)
+        ? (dx > 0 ? 'right' : 'left')
+        : (dy > 0 ? 'down' : 'up');
+
+      this.lastGestureTime = performance.now();
+      this.emit('swipe', {
+        x: pointer.startX,
+        y: pointer.startY,
+        dx,
+        dy,
+        // The faster of the whole swipe and its last stretch, so a flick that ends in a fast burst counts
+        velocityX: this.fasterOf(dx / duration, (event.clientX - pointer.prevX) / sinceLast),
+        velocityY: this.fasterOf(dy / duration, (event.clientY - pointer.prevY) / sinceLast),
+        direction,
+        duration
+      });
+      return;
+    }
+
+    if (distance > this.options.tapDistance) return;
+
+    const tap = { x: event.clientX, y: event.clientY, time: event.timeStamp };
+    this.emit('tap', { x: tap.x, y: tap.y });
+
+    const last = this.lastTap;
+    if (last && tap.time - last.time <= this.options.doubleTapInterval &&
+        Math.hypot(tap.x - last.x, tap.y - last.y) <= this.options.doubleTapDistance) {
+      this.emit('doubletap', { x: tap.x, y: tap.y });
+      this.lastTap = null;
+    } else {
+      this.lastTap = tap;
+    }
+  }
+
+  fasterOf(a, b) {
+    return Math.abs(b) > Math.abs(a) && Math.sign(a) === Math.sign(b) ? b : a;
+  }
+
+  endTwoFinger() {
+    const { x, y } = this.twoFinger;
+    this.emit('pinch', {
+      phase: 'end',
+      scale: 1,
+      totalScale: this.twoFinger.distance / this.twoFinger.startDistance,
+      x,
+      y
+    });
+    this.emit('rotate', {
+      phase: 'end',
+      angle: 0,
+      totalAngle: this.twoFinger.angle - this.twoFinger.startAngle,
+      x,
+      y
+    });
+    this.twoFinger = null;
+  }
+
+  startLongPress(x, y) {
+    this.cancelLongPress();
+    this.longPressTimer = setTimeout(() => {
+      this.longPressTimer = null;
+      this.longPressed = true;
+      this.emit('longpress', { x, y, duration: this.options.longPressDelay });
+    }, this.options.longPressDelay);
+  }
+
+  cancelLongPress() {
+    if (this.longPressTimer) {
+      clearTimeout(this.longPressTimer);
+      this.longPressTimer = null;
+    }
+  }
+
+  distanceMoved(pointer) {
+    return Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+  }
+
+  measureTwoFinger() {
+    const [a, b] = Array.from(this.pointers.values());
+    return {
+      distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2
+    };
+  }
+
+  emit(type, data) {
+    try {
+      this.onGesture(type, data);
+    } catch (error) {
+      terminal.log(`[GestureRecognizer] Error handling ${type}:`, error.message);
+    }
+  }
+
+  getDebugInfo() {
+    return {
+      attached: this.listeners.length > 0,
+      pointerCount: this.pointers.size,
+      twoFinger: !!this.twoFinger
+    };
+  }
+}
+
+export default GestureRecognizer;
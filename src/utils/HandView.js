@@ -0,0 +1,459 @@
+// src/utils/HandView.js - The local player's cards fanned in front of the camera
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+import { CardRenderer } from './CardRenderer.js';
+import { STANDARD_SUITS } from './Cards.js';
+
+export const HAND_SORT_MODES = ['none', 'suit', 'colour', 'rank'];
+
+// Each mode compares these keys in turn; 'none' keeps the order the game deals
+const SORT_KEY_ORDER = {
+  suit: ['suit', 'rank'],
+  colour: ['colour', 'suit', 'rank'],
+  rank: ['rank', 'suit']
+};
+
+const RED_SUITS = ['h', 'd'];
+
+const DEFAULT_OPTIONS = {
+  distance: 0.3, // meters in front of the camera
+  screenY: -0.45, // height of the fan's centre, -1 (bottom of the view) to 1 - clear of overlay controls
+  cardWidth: 0.045,
+  cardHeight: 0.063,
+  maxVisible: 9, // more cards than this scroll sideways
+  fanAngle: 0.07, // radians each card turns from its neighbour
+  arcDrop: 0.0015, // meters the fan curves down per card from the centre, squared
+  stackGap: 0.0008, // meters each card sits in front of the one before
+  liftHeight: 0.018, // meters a hovered card rises
+  dragThreshold: 0.006, // meters of travel before a press becomes a drag or scroll
+  playDistance: 0.05, // meters a card must be dragged up to play it
+  flickSpeed: 0.35, // m/s upwards that plays a card however short the drag
+  smoothing: 60 // ms for cards to ease most of the way to their place
+};
+
+// How far back a drag's speed is measured
+const FLICK_WINDOW = 100; // ms
+const MIN_CARD_SCALE = 0.001;
+
+/**
+ * Sort keys for standard playing cards: suits in STANDARD_SUITS order, red
+ * before black, jokers last
+ */
+export function getStandardSortKeys(card) {
+  const suit = STANDARD_SUITS.indexOf(card.suit);
+  return {
+    suit: suit === -1 ? STANDARD_SUITS.length : suit,
+    colour: card.joker ? 2 : (RED_SUITS.includes(card.suit) ? 0 : 1),
+    rank: card.rank ?? Infinity
+  };
+}
+
+/**
+ * Hand View - fans the local player's cards along the bottom of the view,
+ * following the camera like a HUD.
+ *
+ * Cards lift while a pointer hovers or presses them. Dragging one sideways
+ * scrolls hands too big to show at once; dragging it up towards the table, or
+ * flicking it up, plays it through onPlay(card). The hand only shows cards -
+ * the game decides what is in it with setCards() and what playing one does.
+ */
+export class HandView {
+  /**
+   * @param {THREE.Camera} camera - The camera to hold the cards in front of
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS, plus:
+   *   onPlay(card) - called when a card is played
+   *   canPlay(card) - whether a card may be played; playable cards are highlighted
+   *   onDragChange(dragging) - called when a drag or scroll starts and ends
+   *   getSortKeys(card) - { suit, colour, rank } numbers, getStandardSortKeys by default
+   *   sortMode - one of HAND_SORT_MODES
+   *   backStyle - CardRenderer back style
+   */
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.onPlay = options.onPlay || null;
+    this.canPlay = options.canPlay || null;
+    this.onDragChange = options.onDragChange || null;
+    this.getSortKeys = options.getSortKeys || getStandardSortKeys;
+    this.sortMode = HAND_SORT_MODES.includes(options.sortMode) ? options.sortMode : 'none';
+
+    // The group follows the camera, so everything in it is in camera space
+    this.group = new THREE.Group();
+    this.group.name = 'hand-view';
+    this.renderer = new CardRenderer({
+      width: this.options.cardWidth,
+      height: this.options.cardHeight,
+      backStyle: options.backStyle,
+      // Cards face the viewer, so scene lights would leave them dark
+      lit: false
+    });
+    this.group.add(this.renderer.group);
+
+    this.cards = []; // In the game's order
+    this.order = []; // Card ids in display order
+    this.poses = new Map(); // cardId -> { x, y, z, angle, scale } as currently drawn
+    this.scroll = 0; // Index of the first card in the visible window
+    this.hovered = new Map(); // pointerId -> cardId
+    this.drag = null; // { pointerId, cardId, start, offset, mode, startScroll, samples }
+    this.lastTimestamp = null;
+
+    // Where the fan sits in camera space, refreshed from the camera's projection each frame
+    this.anchor = new THREE.Vector3(0, 0, -this.options.distance);
+    this.halfWidth = 0.1;
+    this.handPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), this.options.distance);
+    this.unsubscribes = [];
+
+    terminal.log('[HandView] Created');
+  }
+
+  /**
+   * Listen for pointer events on the cards
+   * @param {ScenePointerEvents} pointerEvents
+   */
+  attach(pointerEvents) {
+    this.detach();
+    const target = this.renderer.group;
+    this.unsubscribes = [
+      pointerEvents.on(target, 'pointerdown', event => this.onPointerDown(event)),
+      pointerEvents.on(target, 'pointermove', event => this.onPointerMove(event)),
+      pointerEvents.on(target, 'pointerup', event => this.onPointerUp(event)),
+      pointerEvents.on(target, 'pointerleave', event => this.hovered.delete(event.pointerId))
+    ];
+  }
+
+  detach() {
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+    this.unsubscribes = [];
+    this.hovered.clear();
+    this.endDrag();
+  }
+
+  /**
+   * Show these cards, keeping the ones already in the hand where they are
+   * @param {Array<Object>} cards - Card data, e.g. from the game's private state
+   */
+  setCards(cards) {
+    const ids = new Set(cards.map(card => card.id));
+    this.cards.forEach(card => {
+      if (!ids.has(card.id)) {
+        this.renderer.removeCard(card.id);
+        this.poses.delete(card.id);
+      }
+    });
+
+    cards.forEach(card => {
+      if (this.renderer.getCardObject(card.id)) {
+        this.renderer.updateCard(card);
+      } else {
+        this.renderer.addCard(card, { faceUp: true });
+      }
+    });
+
+    this.cards = [...cards];
+    if (this.drag && !ids.has(this.drag.cardId)) {
+      this.endDrag();
+    }
+    this.updateOrder();
+    this.refreshPlayable();
+  }
+
+  /**
+   * @param {string} mode - One of HAND_SORT_MODES
+   */
+  setSortMode(mode) {
+    if (!HAND_SORT_MODES.includes(mode)) {
+      terminal.log('[HandView] Unknown sort mode:', mode);
+      return;
+    }
+    this.sortMode = mode;
+    this.updateOrder();
+  }
+
+  /**
+   * Switch to the next sort mode
+   * @returns {string} - The new mode
+   */
+  cycleSortMode() {
+    const index = HAND_SORT_MODES.indexOf(this.sortMode);
+    this.setSortMode(HAND_SORT_MODES[(index + 1) % HAND_SORT_MODES.length]);
+    return this.sortMode;
+  }
+
+  updateOrder() {
+    const keyOrder = SORT_KEY_ORDER[this.sortMode];
+    const entries = this.cards.map((card, index) => ({ card, index, keys: keyOrder ? this.getSortKeys(card) : null }));
+
+    if (keyOrder) {
+      entries.sort((a, b) => {
+        for (const key of keyOrder) {
+          const difference = (a.keys[key] ?? Infinity) - (b.keys[key] ?? Infinity);
+          if (difference) return difference;
+        }
+        return a.index - b.index;
+      });
+    }
+
+    this.order = entries.map(entry => entry.card.id);
+    this.scroll = this.clampScroll(this.scroll);
+  }
+
+  /**
+   * Highlight the cards canPlay allows - call when whether they can be played changes
+   */
+  refreshPlayable() {
+    this.cards.forEach(card => {
+      this.renderer.setHighlighted(card.id, !!this.canPlay?.(card));
+    });
+  }
+
+  /**
+   * Follow the camera and move the cards towards their places - call once per frame
+   * @param {number} timestamp - Frame timestamp in milliseconds
+   */
+  update(timestamp) {
+    const deltaTime = this.lastTimestamp === null ? 0 : Math.max(timestamp - this.lastTimestamp, 0);
+    this.lastTimestamp = timestamp;
+
+    this.camera.updateMatrixWorld();
+    this.camera.matrixWorld.decompose(this.group.position, this.group.quaternion, this.group.scale);
+    this.updateAnchor();
+
+    const ease = deltaTime > 0 ? 1 - Math.exp(-deltaTime / this.options.smoothing) : 1;
+    const lifted = new Set(this.hovered.values());
+    if (this.drag) lifted.add(this.drag.cardId);
+
+    this.order.forEach((cardId, index) => {
+      const target = this.getCardPose(index, lifted.has(cardId));
+      let pose = this.poses.get(cardId);
+      if (!pose) {
+        // New cards rise into place from below the fan
+        pose = { ...target, y: target.y - this.options.cardHeight, scale: MIN_CARD_SCALE };
+        this.poses.set(cardId, pose);
+      }
+
+      if (this.drag?.mode === 'card' && this.drag.cardId === cardId) {
+        // A dragged card stays under the pointer
+        Object.assign(pose, target, {
+          x: target.x + this.drag.offset.x,
+          y: target.y + this.drag.offset.y,
+          angle: 0
+        });
+      } else {
+        ['x', 'y', 'z', 'angle', 'scale'].forEach(key => {
+          pose[key] += (target[key] - pose[key]) * ease;
+        });
+      }
+
+      const handle = this.renderer.getCardObject(cardId);
+      handle.position.set(pose.x, pose.y, pose.z);
+      handle.rotation.z = pose.angle;
+      handle.scale.setScalar(Math.max(pose.scale, MIN_CARD_SCALE));
+    });
+
+    this.renderer.update(deltaTime);
+    // Raycasts test the cards' bounds before each card, and the cards keep moving
+    this.renderer.frontMesh.computeBoundingSphere();
+    this.renderer.backMesh.computeBoundingSphere();
+    this.group.updateMatrixWorld(true);
+  }
+
+  /**
+   * Place the fan at the bottom of whatever the camera sees, so it fits
+   * portrait and landscape screens and headsets alike
+   */
+  updateAnchor() {
+    const { distance, screenY } = this.options;
+    const toDepth = point => point.multiplyScalar(distance / -point.z);
+
+    const centre = toDepth(new THREE.Vector3(0, screenY, 0.5).applyMatrix4(this.camera.projectionMatrixInverse));
+    const edge = toDepth(new THREE.Vector3(1, screenY, 0.5).applyMatrix4(this.camera.projectionMatrixInverse));
+    if (!Number.isFinite(centre.x) || !Number.isFinite(edge.x)) return;
+
+    this.anchor.copy(centre);
+    this.halfWidth = Math.abs(edge.x - centre.x);
+  }
+
+  getVisibleCount() {
+    return Math.min(this.order.length, this.options.maxVisible);
+  }
+
+  /**
+   * Distance between neighbouring cards - they overlap more as the hand grows,
+   * so the visible window fits the screen
+   */
+  getSpacing() {
+    const { cardWidth } = this.options;
+    const visible = this.getVisibleCount();
+    const usable = Math.max(this.halfWidth * 1.7 - cardWidth, cardWidth);
+    return Math.min(cardWidth * 0.65, usable / Math.max(visible - 1, 1));
+  }
+
+  clampScroll(scroll) {
+    return THREE.MathUtils.clamp(scroll, 0, Math.max(this.order.length - this.getVisibleCount(), 0));
+  }
+
+  /**
+   * Where a card belongs in the fan
+   * @param {number} index - Its place in display order
+   * @param {boolean} lifted - Whether it is hovered or held
+   */
+  getCardPose(index, lifted) {
+    const { fanAngle, arcDrop, stackGap, liftHeight } = this.options;
+    const visible = this.getVisibleCount();
+    const offset = index - this.scroll - (visible - 1) / 2;
+    const spacing = this.getSpacing();
+
+    // Cards scrolled out of the window shrink away over one card's width
+    const reach = (visible - 1) / 2;
+    const scale = THREE.MathUtils.clamp(reach + 1 - Math.abs(offset), 0, 1);
+
+    return {
+      x: this.anchor.x + offset * spacing,
+      y: this.anchor.y - offset * offset * arcDrop + (lifted ? liftHeight : 0),
+      // Later cards lie on top of earlier ones, and a lifted card on top of all
+      z: this.anchor.z + index * stackGap + (lifted ? stackGap * this.order.length : 0),
+      angle: -offset * fanAngle,
+      scale
+    };
+  }
+
+  /**
+   * The card a pointer event hit, if it is showing
+   */
+  getEventCardId(event) {
+    const { frontMesh, backMesh, slots } = this.renderer;
+    if (event.instanceId === null || (event.target !== frontMesh && event.target !== backMesh)) {
+      return null;
+    }
+
+    const cardId = slots[event.instanceId] || null;
+    return cardId && this.poses.get(cardId)?.scale > 0.5 ? cardId : null;
+  }
+
+  /**
+   * Where a world-space ray crosses the plane of the hand, in camera space
+   */
+  toHandPlane(ray) {
+    this.group.updateMatrixWorld();
+    const local = ray.clone().applyMatrix4(this.group.matrixWorld.clone().invert());
+    return local.intersectPlane(this.handPlane, new THREE.Vector3());
+  }
+
+  onPointerDown(event) {
+    const cardId = this.getEventCardId(event);
+    if (!cardId || this.drag) return;
+
+    const start = this.toHandPlane(event.ray);
+    if (!start) return;
+
+    event.stopPropagation();
+    event.setPointerCapture();
+    this.drag = {
+      pointerId: event.pointerId,
+      cardId,
+      start,
+      offset: new THREE.Vector2(),
+      mode: 'pending', // Then 'scroll' or 'card' once it has moved far enough to tell
+      startScroll: this.scroll,
+      samples: [{ y: 0, time: performance.now() }]
+    };
+    this.hovered.set(event.pointerId, cardId);
+  }
+
+  onPointerMove(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      const cardId = this.getEventCardId(event);
+      if (cardId) {
+        this.hovered.set(event.pointerId, cardId);
+      } else {
+        this.hovered.delete(event.pointerId);
+      }
+      return;
+    }
+
+    const point = this.toHandPlane(event.ray);
+    if (!point) return;
+
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (drag.mode === 'pending' && Math.hypot(dx, dy) > this.options.dragThreshold) {
+      drag.mode = Math.abs(dx) > Math.abs(dy) ? 'scroll' : 'card';
+      this.onDragChange?.(true);
+    }
+
+    if (drag.mode === 'scroll') {
+      this.scroll = this.clampScroll(drag.startScroll - dx / this.getSpacing());
+    } else if (drag.mode === 'card') {
+      drag.offset.set(dx, dy);
+      const now = performance.now();
+      drag.samples.push({ y: dy, time: now });
+      drag.samples = drag.samples.filter(sample => now - sample.time <= FLICK_WINDOW);
+    }
+  }
+
+  onPointerUp(event) {
+    const drag = this.drag;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+
+    if (drag.mode === 'card') {
+      const first = drag.samples[0];
+      const last = drag.samples[drag.samples.length - 1];
+      const elapsed = (last.time - first.time) / 1000;
+      const speed = elapsed > 0 ? (last.y - first.y) / elapsed : 0;
+      const flicked = speed >= this.options.flickSpeed && drag.offset.y > this.options.dragThreshold;
+
+      if (drag.offset.y >= this.options.playDistance || flicked) {
+        this.playCard(drag.cardId);
+      }
+    }
+
+    this.endDrag();
+  }
+
+  endDrag() {
+    const dragging = this.drag && this.drag.mode !== 'pending';
+    this.drag = null;
+    if (dragging) {
+      this.onDragChange?.(false);
+    }
+  }
+
+  /**
+   * Play a card, if the game allows it. It eases back into the hand until the
+   * game takes it out with setCards().
+   */
+  playCard(cardId) {
+    const card = this.cards.find(candidate => candidate.id === cardId);
+    if (!card || (this.canPlay && !this.canPlay(card))) return false;
+
+    terminal.log('[HandView] Card played:', cardId);
+    this.onPlay?.(card);
+    return true;
+  }
+
+  /**
+   * Release GPU resources and take the hand out of the scene
+   */
+  dispose() {
+    this.detach();
+    this.renderer.dispose();
+    this.group.removeFromParent();
+    this.cards = [];
+    this.order = [];
+    this.poses.clear();
+  }
+
+  getDebugInfo() {
+    return {
+      cardCount: this.cards.length,
+      visibleCount: this.getVisibleCount(),
+      scroll: this.scroll,
+      sortMode: this.sortMode,
+      hovered: Array.from(this.hovered.values()),
+      dragging: this.drag ? { cardId: this.drag.cardId, mode: this.drag.mode } : null
+    };
+  }
+}
+
+export default HandView;
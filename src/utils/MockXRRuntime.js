@@ -0,0 +1,491 @@
+// src/utils/MockXRRuntime.js - Scriptable fake WebXR runtime for running interfaces without a device
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+
+/**
+ * Rigid transform with the same shape as XRRigidTransform
+ */
+export class MockXRRigidTransform {
+  constructor(position = {}, orientation = {}) {
+    this.position = {
+      x: position.x || 0,
+      y: position.y || 0,
+      z: position.z || 0,
+      w: 1
+    };
+    this.orientation = {
+      x: orientation.x || 0,
+      y: orientation.y || 0,
+      z: orientation.z || 0,
+      w: orientation.w ?? 1
+    };
+
+    const matrix = new THREE.Matrix4().compose(
+      new THREE.Vector3(this.position.x, this.position.y, this.position.z),
+      new THREE.Quaternion(this.orientation.x, this.orientation.y, this.orientation.z, this.orientation.w),
+      new THREE.Vector3(1, 1, 1)
+    );
+    this.matrix = new Float32Array(matrix.elements);
+  }
+
+  get inverse() {
+    const matrix = new THREE.Matrix4().fromArray(this.matrix).invert();
+    const position = new THREE.Vector3();
+    const orientation = new THREE.Quaternion();
+    matrix.decompose(position, orientation, new THREE.Vector3());
+    return new MockXRRigidTransform(position, orientation);
+  }
+
+  /**
+   * Build a transform from a pose description or pass an existing one through
+   */
+  static from(pose = {}) {
+    if (pose instanceof MockXRRigidTransform) return pose;
+    return new MockXRRigidTransform(pose.position, pose.orientation);
+  }
+}
+
+/**
+ * Reference space - only tracks its type and an optional origin offset
+ */
+export class MockXRReferenceSpace extends EventTarget {
+  constructor(type, originOffset = new MockXRRigidTransform()) {
+    super();
+    this.type = type;
+    this.originOffset = originOffset;
+  }
+
+  getOffsetReferenceSpace(originOffset) {
+    return new MockXRReferenceSpace(this.type, MockXRRigidTransform.from(originOffset));
+  }
+}
+
+export class MockXRHitTestSource {
+  constructor(session, options = {}) {
+    this.session = session;
+    this.space = options.space || null;
+    this.profile = options.profile || null;
+    this.transient = !!options.profile;
+    this.cancelled = false;
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.session.hitTestSources.delete(this);
+  }
+}
+
+export class MockXRAnchor {
+  constructor(session, transform) {
+    this.session = session;
+    this.anchorSpace = new MockXRReferenceSpace('anchor', transform);
+    this.deleted = false;
+  }
+
+  delete() {
+    this.deleted = true;
+    this.session.trackedAnchors.delete(this);
+  }
+}
+
+export class MockXRHitTestResult {
+  constructor(frame, transform, normal = { x: 0, y: 1, z: 0 }) {
+    this.frame = frame;
+    this.transform = transform;
+    this.normal = normal;
+  }
+
+  getPose() {
+    return { transform: this.transform, emulatedPosition: false };
+  }
+
+  createAnchor() {
+    if (!this.frame.session.enabledFeatures.includes('anchors')) {
+      return Promise.reject(new DOMException('Anchors feature not enabled', 'NotSupportedError'));
+    }
+    const anchor = new MockXRAnchor(this.frame.session, this.transform);
+    this.frame.session.trackedAnchors.add(anchor);
+    return Promise.resolve(anchor);
+  }
+}
+
+/**
+ * A single frame handed to requestAnimationFrame callbacks
+ */
+export class MockXRFrame {
+  constructor(session, time) {
+    this.session = session;
+    this.predictedDisplayTime = time;
+    this.trackedAnchors = new Set(session.trackedAnchors);
+  }
+
+  getViewerPose() {
+    const transform = this.session.runtime.viewerTransform;
+    return {
+      transform,
+      emulatedPosition: false,
+      views: [{ eye: 'none', transform, projectionMatrix: new Float32Array(16) }]
+    };
+  }
+
+  getPose(space) {
+    if (space && space.type === 'anchor') {
+      return { transform: space.originOffset, emulatedPosition: false };
+    }
+    return { transform: space?.originOffset || new MockXRRigidTransform(), emulatedPosition: false };
+  }
+
+  getHitTestResults(source) {
+    if (!source || source.cancelled) return [];
+    return this.session.runtime.hitResults.map(hit => new MockXRHitTestResult(this, hit.transform, hit.normal));
+  }
+
+  getHitTestResultsForTransientInput(source) {
+    if (!source || source.cancelled) return [];
+    return this.session.inputSources
+      .filter(inputSource => inputSource.transient)
+      .map(inputSource => ({
+        inputSource,
+        results: this.getHitTestResults(source)
+      }));
+  }
+
+  createAnchor(pose) {
+    return new MockXRHitTestResult(this, MockXRRigidTransform.from(pose)).createAnchor();
+  }
+}
+
+/**
+ * Session - dispatches select/end events and runs scripted animation frames
+ */
+export class MockXRSession extends EventTarget {
+  constructor(runtime, mode, enabledFeatures) {
+    super();
+    this.runtime = runtime;
+    this.mode = mode;
+    this.enabledFeatures = enabledFeatures;
+    this.renderState = { baseLayer: null, depthNear: 0.1, depthFar: 1000 };
+    this.visibilityState = 'visible';
+    this.inputSources = [];
+    this.hitTestSources = new Set();
+    this.trackedAnchors = new Set();
+    this.frameCallbacks = new Map();
+    this.nextFrameHandle = 1;
+    this.ended = false;
+  }
+
+  updateRenderState(state = {}) {
+    this.renderState = { ...this.renderState, ...state };
+  }
+
+  requestReferenceSpace(type) {
+    this.runtime.referenceSpaceRequests.push(type);
+    return Promise.resolve(new MockXRReferenceSpace(type));
+  }
+
+  requestHitTestSource(options = {}) {
+    return this.createHitTestSource(options);
+  }
+
+  requestHitTestSourceForTransientInput(options = {}) {
+    return this.createHitTestSource({ profile: options.profile || 'generic-touchscreen', ...options });
+  }
+
+  createHitTestSource(options) {
+    if (!this.enabledFeatures.includes('hit-test')) {
+      return Promise.reject(new DOMException('hit-test feature not enabled', 'NotSupportedError'));
+    }
+    const source = new MockXRHitTestSource(this, options);
+    this.hitTestSources.add(source);
+    return Promise.resolve(source);
+  }
+
+  requestAnimationFrame(callback) {
+    const handle = this.nextFrameHandle++;
+    this.frameCallbacks.set(handle, callback);
+    return handle;
+  }
+
+  cancelAnimationFrame(handle) {
+    this.frameCallbacks.delete(handle);
+  }
+
+  /**
+   * Run every pending frame callback once with a fresh frame
+   */
+  runFrame(time) {
+    if (this.ended) return 0;
+
+    const callbacks = Array.from(this.frameCallbacks.values());
+    this.frameCallbacks.clear();
+
+    const frame = new MockXRFrame(this, time);
+    callbacks.forEach(callback => callback(time, frame));
+    return callbacks.length;
+  }
+
+  end() {
+    if (this.ended) return Promise.resolve();
+
+    this.ended = true;
+    this.hitTestSources.clear();
+    this.frameCallbacks.clear();
+    this.dispatchEvent(Object.assign(new Event('end'), { session: this }));
+    this.runtime.activeSession = null;
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Fake navigator.xr. Install it globally or pass it to an ARGameInterface as
+ * options.xr, then script poses, hit results, taps and session end.
+ */
+export class MockXRRuntime {
+  constructor(options = {}) {
+    terminal.log('[MockXRRuntime] Constructor called');
+
+    this.supportedModes = options.supportedModes || ['immersive-ar', 'inline'];
+    this.supportedFeatures = options.supportedFeatures || [
+      'viewer', 'local', 'local-floor', 'hit-test', 'dom-overlay', 'anchors'
+    ];
+
+    this.viewerTransform = new MockXRRigidTransform({ y: 1.6 });
+    this.hitResults = [];
+    this.referenceSpaceRequests = [];
+    this.activeSession = null;
+    this.sessionRequests = [];
+    this.time = 0;
+  }
+
+  isSessionSupported(mode) {
+    return Promise.resolve(this.supportedModes.includes(mode));
+  }
+
+  /**
+   * Negotiate features like a real runtime: missing required features reject,
+   * missing optional ones are silently dropped
+   */
+  requestSession(mode, init = {}) {
+    this.sessionRequests.push({ mode, init });
+
+    if (!this.supportedModes.includes(mode)) {
+      return Promise.reject(new DOMException(`Mode ${mode} not supported`, 'NotSupportedError'));
+    }
+    if (this.activeSession) {
+      return Promise.reject(new DOMException('A session is already active', 'InvalidStateError'));
+    }
+
+    const required = init.requiredFeatures || [];
+    const missing = required.filter(feature => !this.supportedFeatures.includes(feature));
+    if (missing.length > 0) {
+      return Promise.reject(new DOMException(`Unsupported features: ${missing.join(', ')}`, 'NotSupportedError'));
+    }
+
+    const optional = (init.optionalFeatures || []).filter(feature => this.supportedFeatures.includes(feature));
+    const enabledFeatures = Array.from(new Set(['viewer', 'local', ...required, ...optional]));
+
+    this.activeSession = new MockXRSession(this, mode, enabledFeatures);
+    terminal.log('[MockXRRuntime] Session granted with features:', enabledFeatures);
+    return Promise.resolve(this.activeSession);
+  }
+
+  // Scripting API
+
+  /**
+   * Place the viewer (the phone camera)
+   * @param {Object} pose - { position: {x,y,z}, orientation: {x,y,z,w} }
+   */
+  setViewerPose(pose) {
+    this.viewerTransform = MockXRRigidTransform.from(pose);
+  }
+
+  /**
+   * Set what every hit-test source reports. An empty list means no surface found.
+   * @param {Array<Object>} hits - Poses, optionally with a surface `normal`
+   */
+  setHitTestResults(hits = []) {
+    this.hitResults = hits.map(hit => ({
+      transform: MockXRRigidTransform.from(hit),
+      normal: hit.normal || { x: 0, y: 1, z: 0 }
+    }));
+  }
+
+  /**
+   * Advance time and run one animation frame on the active session
+   * @param {number} deltaTime - Milliseconds to advance
+   */
+  step(deltaTime = 16) {
+    this.time += deltaTime;
+    return this.activeSession ? this.activeSession.runFrame(this.time) : 0;
+  }
+
+  /**
+   * Simulate a screen tap: a transient input source that fires selectstart/select/selectend
+   */
+  select(options = {}) {
+    const session = this.activeSession;
+    if (!session) return false;
+
+    const inputSource = {
+      handedness: 'none',
+      targetRayMode: options.targetRayMode || 'screen',
+      profiles: ['generic-touchscreen'],
+      targetRaySpace: new MockXRReferenceSpace('target-ray', this.viewerTransform),
+      transient: true
+    };
+
+    session.inputSources.push(inputSource);
+    session.dispatchEvent(Object.assign(new Event('inputsourceschange'), { added: [inputSource], removed: [] }));
+
+    // Let the interface see the transient hit results before the select fires
+    this.step(options.deltaTime || 16);
+
+    const frame = new MockXRFrame(session, this.time);
+    ['selectstart', 'select', 'selectend'].forEach(type => {
+      session.dispatchEvent(Object.assign(new Event(type), { frame, inputSource }));
+    });
+
+    session.inputSources = session.inputSources.filter(source => source !== inputSource);
+    session.dispatchEvent(Object.assign(new Event('inputsourceschange'), { added: [], removed: [inputSource] }));
+    return true;
+  }
+
+  /**
+   * Change the active session's visibility, e.g. 'hidden' while a system dialog covers it
+   * @param {string} state - 'visible', 'visible-blurred' or 'hidden'
+   */
+  setVisibility(state) {
+    const session = this.activeSession;
+    if (!session) return false;
+
+    session.visibilityState = state;
+    session.dispatchEvent(Object.assign(new Event('visibilitychange'), { session }));
+    return true;
+  }
+
+  /**
+   * End the active session as if the user left AR from the system UI
+   */
+  endSession() {
+    return this.activeSession ? this.activeSession.end() : Promise.resolve();
+  }
+
+  /**
+   * Replace navigator.xr until the returned function is called
+   */
+  install(target = globalThis.navigator) {
+    const previous = Object.getOwnPropertyDescriptor(target, 'xr');
+    Object.defineProperty(target, 'xr', { value: this, configurable: true, writable: true });
+
+    return () => {
+      if (previous) {
+        Object.defineProperty(target, 'xr', previous);
+      } else {
+        delete target.xr;
+      }
+    };
+  }
+}
+
+/**
+ * Stand-in for THREE.WebGLRenderer that needs no WebGL context.
+ * Its xr manager drives the animation loop from the mock session and
+ * forwards session select events to controller 0, like THREE's WebXRManager.
+ */
+export class MockRenderer {
+  constructor(options = {}) {
+    this.domElement = options.canvas || document.createElement('canvas');
+    this.animationLoop = null;
+    this.pendingFrame = null;
+    this.renderCount = 0;
+    this.disposed = false;
+
+    const renderer = this;
+    this.xr = {
+      enabled: false,
+      session: null,
+      referenceSpace: null,
+      controllers: [],
+
+      async setSession(session) {
+        if (this.session) {
+          this.session.removeEventListener('select', this.onSelect);
+        }
+        this.session = session;
+        renderer.pendingFrame = null;
+        if (!session) return;
+
+        this.referenceSpace = await session.requestReferenceSpace('local');
+        this.onSelect = (event) => {
+          const controller = this.getController(0);
+          controller.dispatchEvent({ type: 'select', data: event.inputSource });
+        };
+        session.addEventListener('select', this.onSelect);
+        renderer.scheduleFrame();
+      },
+
+      getSession() {
+        return this.session;
+      },
+
+      getReferenceSpace() {
+        return this.referenceSpace;
+      },
+
+      getController(index) {
+        if (!this.controllers[index]) {
+          this.controllers[index] = new THREE.Group();
+        }
+        return this.controllers[index];
+      },
+
+      getCamera() {
+        return null;
+      }
+    };
+  }
+
+  setSize() {}
+
+  setPixelRatio() {}
+
+  setAnimationLoop(callback) {
+    this.animationLoop = callback;
+    this.scheduleFrame();
+  }
+
+  scheduleFrame() {
+    const session = this.xr.session;
+    if (!session || !this.animationLoop || this.pendingFrame) return;
+
+    this.pendingFrame = session.requestAnimationFrame((time, frame) => {
+      this.pendingFrame = null;
+      if (this.animationLoop) {
+        this.animationLoop(time, frame);
+        this.scheduleFrame();
+      }
+    });
+  }
+
+  /**
+   * Run the animation loop once without a session (inline mode)
+   */
+  tick(time) {
+    if (this.animationLoop) {
+      this.animationLoop(time, null);
+    }
+  }
+
+  render() {
+    this.renderCount++;
+  }
+
+  dispose() {
+    this.disposed = true;
+  }
+}
+
+// Make available globally for debugging
+window.MockXRRuntime = MockXRRuntime;
+
+export default MockXRRuntime;
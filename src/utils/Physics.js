@@ -0,0 +1,497 @@
+// src/utils/Physics.js - Lightweight rigid-body step for ECS entities
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+import { defineComponent, Transform } from './ECS.js';
+
+// Meters per second squared, in table-local space
+export const DEFAULT_GRAVITY = { x: 0, y: -9.81, z: 0 };
+
+// Velocity and spin and how long they have to stay under them before a body sleeps
+const SLEEP_SPEED = 0.05; // m/s
+const SLEEP_ANGULAR_SPEED = 0.2; // rad/s
+const SLEEP_DELAY = 500; // ms
+// Penetration left alone so resting contacts don't jitter, and the share of the rest corrected per pass
+const CONTACT_SLOP = 0.001; // m
+const CORRECTION = 0.8;
+// Normal speeds below this don't bounce, and impacts above it wake sleeping bodies
+const REST_SPEED = 0.2; // m/s
+const SOLVER_PASSES = 4;
+// Share of the way a box or cylinder turns towards lying flat each tick it touches something below it
+const SETTLE_RATE = 0.2;
+const CONTACT_ANGULAR_DAMPING = 0.1;
+
+export const RigidBody = defineComponent('RigidBody', {
+  velocity: { x: 0, y: 0, z: 0 }, // m/s
+  angularVelocity: { x: 0, y: 0, z: 0 }, // rad/s
+  mass: 1, // kg
+  friction: 0.5,
+  restitution: 0.2,
+  kinematic: false, // Moved by the game, e.g. while held - pushes other bodies but isn't pushed
+  sleeping: false,
+  sleepTimer: 0 // ms spent slow enough to sleep
+});
+
+// Collision shape, sized like the Renderable of the same shape and scaled by the Transform
+export const Collider = defineComponent('Collider', {
+  shape: 'cube', // cube, sphere or cylinder
+  size: 0.2 // meters
+});
+
+// Scratch objects - the step runs every tick, so nothing is allocated per body
+const quaternion = new THREE.Quaternion();
+const turn = new THREE.Quaternion();
+const euler = new THREE.Euler();
+const matrix = new THREE.Matrix4();
+const vector = new THREE.Vector3();
+const axis = new THREE.Vector3();
+const target = new THREE.Vector3();
+const IDENTITY = new THREE.Quaternion();
+const LOCAL_AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function addScaled(v, direction, amount) {
+  v.x += direction.x * amount;
+  v.y += direction.y * amount;
+  v.z += direction.z * amount;
+}
+
+/**
+ * Gathers what the step needs of one entity: its live components, rotation
+ * axes and half extents
+ */
+function readBody(world, entityId) {
+  const transform = world.getComponent(entityId, Transform);
+  const body = world.getComponent(entityId, RigidBody);
+  const collider = world.getComponent(entityId, Collider);
+  const { scale, rotation } = transform;
+  const half = collider.size / 2;
+
+  matrix.makeRotationFromEuler(euler.set(rotation.x, rotation.y, rotation.z));
+  const axes = LOCAL_AXES.map(local => local.clone().applyMatrix4(matrix));
+
+  let halfExtents;
+  if (collider.shape === 'sphere') {
+    const radius = half * Math.max(scale.x, scale.y, scale.z);
+    halfExtents = [radius, radius, radius];
+  } else if (collider.shape === 'cylinder') {
+    // Matches RenderableSync's cylinder: radius 0.4 of the size, height the full size
+    halfExtents = [collider.size * 0.4 * scale.x, half * scale.y, collider.size * 0.4 * scale.z];
+  } else {
+    halfExtents = [half * scale.x, half * scale.y, half * scale.z];
+  }
+
+  return {
+    entityId,
+    transform,
+    body,
+    shape: collider.shape,
+    axes,
+    halfExtents,
+    inverseMass: body.mass > 0 && !body.kinematic ? 1 / body.mass : 0,
+    settling: false
+  };
+}
+
+/**
+ * How far the shape reaches from its center along a unit direction
+ */
+function extentAlong(state, direction) {
+  const { axes, halfExtents, shape } = state;
+  if (shape === 'sphere') {
+    return halfExtents[0];
+  }
+  if (shape === 'cylinder') {
+    const alignment = Math.min(Math.abs(axes[1].dot(direction)), 1);
+    return halfExtents[1] * alignment + halfExtents[0] * Math.sqrt(1 - alignment * alignment);
+  }
+  return axes.reduce((sum, worldAxis, i) => sum + Math.abs(worldAxis.dot(direction)) * halfExtents[i], 0);
+}
+
+// Half size of the axis-aligned box around a shape, used for contacts between bodies
+function boundsOf(state) {
+  return {
+    x: extentAlong(state, vector.set(1, 0, 0)),
+    y: extentAlong(state, vector.set(0, 1, 0)),
+    z: extentAlong(state, vector.set(0, 0, 1))
+  };
+}
+
+/**
+ * Contact between two bodies - spheres exactly, everything else as the boxes
+ * around it
+ * @returns {Object|null} - { normal, depth }, normal pointing from a to b
+ */
+function findContact(a, b) {
+  const pa = a.transform.position;
+  const pb = b.transform.position;
+  const offset = { x: pb.x - pa.x, y: pb.y - pa.y, z: pb.z - pa.z };
+
+  if (a.shape === 'sphere' && b.shape === 'sphere') {
+    const distance = length(offset);
+    const depth = a.halfExtents[0] + b.halfExtents[0] - distance;
+    if (depth <= 0) return null;
+    const normal = distance > 0
+      ? { x: offset.x / distance, y: offset.y / distance, z: offset.z / distance }
+      : { x: 0, y: 1, z: 0 };
+    return { normal, depth };
+  }
+
+  if (a.shape === 'sphere' || b.shape === 'sphere') {
+    const sphere = a.shape === 'sphere' ? a : b;
+    const box = sphere === a ? b : a;
+    const contact = sphereBoxContact(sphere, box);
+    if (!contact) return null;
+    // sphereBoxContact's normal points from the box to the sphere
+    if (sphere === a) {
+      contact.normal = { x: -contact.normal.x, y: -contact.normal.y, z: -contact.normal.z };
+    }
+    return contact;
+  }
+
+  // Separate along the axis the boxes overlap least on
+  const boundsA = boundsOf(a);
+  const boundsB = boundsOf(b);
+  let contact = null;
+  for (const key of ['x', 'y', 'z']) {
+    const overlap = boundsA[key] + boundsB[key] - Math.abs(offset[key]);
+    if (overlap <= 0) return null;
+    if (!contact || overlap < contact.depth) {
+      const normal = { x: 0, y: 0, z: 0 };
+      normal[key] = offset[key] < 0 ? -1 : 1;
+      contact = { normal, depth: overlap };
+    }
+  }
+  return contact;
+}
+
+function sphereBoxContact(sphere, box) {
+  const center = sphere.transform.position;
+  const boxCenter = box.transform.position;
+  const bounds = boundsOf(box);
+  const radius = sphere.halfExtents[0];
+
+  const closest = {};
+  let inside = true;
+  ['x', 'y', 'z'].forEach(key => {
+    const min = boxCenter[key] - bounds[key];
+    const max = boxCenter[key] + bounds[key];
+    closest[key] = Math.min(Math.max(center[key], min), max);
+    if (closest[key] !== center[key]) inside = false;
+  });
+
+  if (inside) {
+    // Push out through the nearest face
+    let best = null;
+    ['x', 'y', 'z'].forEach(key => {
+      const offset = center[key] - boxCenter[key];
+      const depth = bounds[key] - Math.abs(offset) + radius;
+      if (!best || depth < best.depth) {
+        const normal = { x: 0, y: 0, z: 0 };
+        normal[key] = offset < 0 ? -1 : 1;
+        best = { normal, depth };
+      }
+    });
+    return best;
+  }
+
+  const offset = { x: center.x - closest.x, y: center.y - closest.y, z: center.z - closest.z };
+  const distance = length(offset);
+  if (distance >= radius) return null;
+  return {
+    normal: { x: offset.x / distance, y: offset.y / distance, z: offset.z / distance },
+    depth: radius - distance
+  };
+}
+
+/**
+ * Turn a box or cylinder a little towards resting flat on a surface below it.
+ * Contacts are worked out from the boxes around shapes, so without this a
+ * tumbled body would balance on an edge.
+ */
+function settle(state, normal) {
+  if (state.shape === 'sphere') return;
+
+  const { rotation } = state.transform;
+  target.set(normal.x, normal.y, normal.z);
+
+  // The local axis closest to the surface normal should end up along it; a
+  // cylinder that is more on its side than upright lies flat instead
+  let best = null;
+  state.axes.forEach(worldAxis => {
+    const alignment = worldAxis.dot(target);
+    if (!best || Math.abs(alignment) > Math.abs(best.alignment)) {
+      best = { axis: worldAxis, alignment };
+    }
+  });
+  if (state.shape === 'cylinder') {
+    const alignment = state.axes[1].dot(target);
+    best = Math.abs(alignment) >= Math.SQRT1_2
+      ? { axis: state.axes[1], alignment }
+      : { axis: state.axes[1], alignment, lying: true };
+  }
+
+  axis.copy(best.axis);
+  if (best.lying) {
+    // Aim the cylinder's axis along the surface instead of into it
+    vector.set(normal.x, normal.y, normal.z);
+    target.copy(axis).addScaledVector(vector, -best.alignment).normalize();
+  } else if (best.alignment < 0) {
+    target.negate();
+  }
+  if (axis.dot(target) > 0.9999) return;
+
+  // Still turning, so not ready to sleep
+  state.settling = true;
+  turn.setFromUnitVectors(axis, target).slerp(IDENTITY, 1 - SETTLE_RATE);
+  quaternion.setFromEuler(euler.set(rotation.x, rotation.y, rotation.z)).premultiply(turn);
+  setRotation(state, quaternion);
+}
+
+// Write a rotation back to the Transform and keep the body's axes in step with it
+function setRotation(state, rotationQuaternion) {
+  const { rotation } = state.transform;
+  euler.setFromQuaternion(rotationQuaternion);
+  rotation.x = euler.x;
+  rotation.y = euler.y;
+  rotation.z = euler.z;
+  state.axes.forEach((worldAxis, i) => worldAxis.copy(LOCAL_AXES[i]).applyQuaternion(rotationQuaternion));
+}
+
+// Bodies the step doesn't move
+function isStill(body) {
+  return body.sleeping || body.kinematic;
+}
+
+function wake(body) {
+  body.sleeping = false;
+  body.sleepTimer = 0;
+}
+
+/**
+ * Create the physics system: gravity, one surface plane (the detected table or
+ * floor) and contacts between bodies. Entities with a Transform, RigidBody and
+ * Collider take part; until a surface is set nothing falls.
+ *
+ * Velocities are in meters per second and the step converts the tick's
+ * milliseconds, so the simulation is the same at any tick rate the clock uses.
+ * @param {Object} options - { gravity }
+ * @returns {Object} - An ECS system with setSurface, wakeAll and applyVelocity
+ */
+export function createPhysicsSystem(options = {}) {
+  const system = {
+    name: 'physics',
+    query: [Transform, RigidBody, Collider],
+    gravity: { ...(options.gravity || DEFAULT_GRAVITY) },
+    surface: null, // { position, normal } in table-local space
+
+    /**
+     * @param {Object|null} surface - { position, normal }, or null to let bodies float
+     */
+    setSurface(surface) {
+      if (!surface) {
+        this.surface = null;
+        return;
+      }
+      const normal = surface.normal || { x: 0, y: 1, z: 0 };
+      const size = length(normal) || 1;
+      this.surface = {
+        position: { ...surface.position },
+        normal: { x: normal.x / size, y: normal.y / size, z: normal.z / size }
+      };
+      terminal.log('[Physics] Surface set at height:', this.surface.position.y);
+    },
+
+    /**
+     * Wake every body, e.g. after something they may have rested on was removed
+     */
+    wakeAll(world) {
+      world.query(RigidBody).forEach(entityId => wake(world.getComponent(entityId, RigidBody)));
+    },
+
+    /**
+     * Set a body moving, waking it
+     */
+    applyVelocity(world, entityId, velocity, angularVelocity = null) {
+      const body = world.getComponent(entityId, RigidBody);
+      if (!body) return false;
+
+      wake(body);
+      body.velocity = { ...velocity };
+      if (angularVelocity) {
+        body.angularVelocity = { ...angularVelocity };
+      }
+      return true;
+    },
+
+    update(world, entityIds, deltaTime) {
+      const dt = deltaTime / 1000;
+      const states = entityIds.map(entityId => readBody(world, entityId));
+      const awake = states.filter(state => !state.body.sleeping && !state.body.kinematic);
+      if (awake.length === 0 && !states.some(state => state.body.kinematic)) return;
+
+      awake.forEach(state => this.integrate(state, dt));
+      for (let pass = 0; pass < SOLVER_PASSES; pass++) {
+        awake.forEach(state => this.collideWithSurface(state, pass === 0));
+        this.collideBodies(states, pass === 0);
+      }
+      awake.forEach(state => {
+        this.updateSleep(state, deltaTime);
+        world.markChanged(state.entityId, Transform);
+      });
+    },
+
+    integrate(state, dt) {
+      const { body, transform } = state;
+      if (this.surface) {
+        addScaled(body.velocity, this.gravity, dt);
+      }
+      addScaled(transform.position, body.velocity, dt);
+
+      const spin = length(body.angularVelocity);
+      if (spin > 0) {
+        const { rotation } = transform;
+        axis.set(body.angularVelocity.x / spin, body.angularVelocity.y / spin, body.angularVelocity.z / spin);
+        turn.setFromAxisAngle(axis, spin * dt);
+        quaternion.setFromEuler(euler.set(rotation.x, rotation.y, rotation.z)).premultiply(turn);
+        setRotation(state, quaternion);
+      }
+    },
+
+    collideWithSurface(state, applyFriction) {
+      if (!this.surface) return;
+
+      const { position: point, normal } = this.surface;
+      const { body, transform } = state;
+      const distance = dot(
+        { x: transform.position.x - point.x, y: transform.position.y - point.y, z: transform.position.z - point.z },
+        normal
+      );
+      const depth = extentAlong(state, vector.set(normal.x, normal.y, normal.z)) - distance;
+      if (depth <= 0) return;
+
+      addScaled(transform.position, normal, depth);
+
+      const normalSpeed = dot(body.velocity, normal);
+      if (normalSpeed < 0) {
+        const bounce = -normalSpeed > REST_SPEED ? body.restitution : 0;
+        const impulse = -(1 + bounce) * normalSpeed;
+        addScaled(body.velocity, normal, impulse);
+        if (applyFriction) {
+          this.applyFriction(body.velocity, normal, body.friction * impulse);
+        }
+      }
+
+      addScaled(body.angularVelocity, body.angularVelocity, -CONTACT_ANGULAR_DAMPING);
+      settle(state, normal);
+    },
+
+    /**
+     * Take up to maxChange off a velocity's part along the surface
+     */
+    applyFriction(velocity, normal, maxChange) {
+      const normalSpeed = dot(velocity, normal);
+      const tangent = {
+        x: velocity.x - normal.x * normalSpeed,
+        y: velocity.y - normal.y * normalSpeed,
+        z: velocity.z - normal.z * normalSpeed
+      };
+      const tangentSpeed = length(tangent);
+      if (tangentSpeed === 0) return;
+      addScaled(velocity, tangent, -Math.min(maxChange, tangentSpeed) / tangentSpeed);
+    },
+
+    collideBodies(states, applyFriction) {
+      for (let i = 0; i < states.length; i++) {
+        for (let j = i + 1; j < states.length; j++) {
+          const a = states[i];
+          const b = states[j];
+          if (isStill(a.body) && isStill(b.body)) continue;
+
+          const contact = findContact(a, b);
+          if (contact) {
+            this.resolveContact(a, b, contact, applyFriction);
+          }
+        }
+      }
+    },
+
+    resolveContact(a, b, { normal, depth }, applyFriction) {
+      const relative = {
+        x: b.body.velocity.x - a.body.velocity.x,
+        y: b.body.velocity.y - a.body.velocity.y,
+        z: b.body.velocity.z - a.body.velocity.z
+      };
+      const normalSpeed = dot(relative, normal);
+
+      // A hard enough hit or a held body wakes a sleeping body; otherwise it
+      // holds still, which keeps stacks standing
+      const pushed = -normalSpeed > REST_SPEED || a.body.kinematic || b.body.kinematic;
+      [a, b].forEach(state => {
+        if (state.body.sleeping && pushed) wake(state.body);
+      });
+      const inverseA = a.body.sleeping ? 0 : a.inverseMass;
+      const inverseB = b.body.sleeping ? 0 : b.inverseMass;
+      const inverseTotal = inverseA + inverseB;
+      if (inverseTotal === 0) return;
+
+      const correction = Math.max(depth - CONTACT_SLOP, 0) * CORRECTION / inverseTotal;
+      addScaled(a.transform.position, normal, -correction * inverseA);
+      addScaled(b.transform.position, normal, correction * inverseB);
+
+      if (normalSpeed < 0) {
+        const bounce = -normalSpeed > REST_SPEED ? Math.min(a.body.restitution, b.body.restitution) : 0;
+        const impulse = -(1 + bounce) * normalSpeed / inverseTotal;
+        addScaled(a.body.velocity, normal, -impulse * inverseA);
+        addScaled(b.body.velocity, normal, impulse * inverseB);
+
+        if (applyFriction) {
+          const friction = Math.sqrt(a.body.friction * b.body.friction) * impulse;
+          this.applyFriction(a.body.velocity, normal, friction * inverseA);
+          this.applyFriction(b.body.velocity, normal, friction * inverseB);
+        }
+      }
+
+      // Whichever body is on top settles onto the other
+      if (normal.y > Math.SQRT1_2) {
+        settle(b, normal);
+      } else if (normal.y < -Math.SQRT1_2) {
+        settle(a, { x: -normal.x, y: -normal.y, z: -normal.z });
+      }
+    },
+
+    updateSleep(state, deltaTime) {
+      const { body } = state;
+      if (state.settling || length(body.velocity) > SLEEP_SPEED || length(body.angularVelocity) > SLEEP_ANGULAR_SPEED) {
+        body.sleepTimer = 0;
+        return;
+      }
+
+      body.sleepTimer += deltaTime;
+      if (body.sleepTimer >= SLEEP_DELAY) {
+        body.sleeping = true;
+        body.velocity = { x: 0, y: 0, z: 0 };
+        body.angularVelocity = { x: 0, y: 0, z: 0 };
+      }
+    },
+
+    getDebugInfo(world) {
+      const bodies = world.query(RigidBody);
+      return {
+        surface: this.surface,
+        bodyCount: bodies.length,
+        sleepingCount: bodies.filter(entityId => world.getComponent(entityId, RigidBody).sleeping).length
+      };
+    }
+  };
+
+  return system;
+}
+
+export default createPhysicsSystem;
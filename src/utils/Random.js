@@ -0,0 +1,38 @@
+// src/utils/Random.js - Seedable random numbers, with no imports so Web Workers can load it
+
+/**
+ * Create a random number generator.
+ * With a seed the sequence is repeatable (mulberry32), without one it falls back to Math.random.
+ * Seeded generators expose getState/setState so a saved game carries on the same sequence.
+ * @param {number|string} seed - Optional seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  random.setState = value => {
+    state = value >>> 0;
+  };
+  return random;
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+export default createRandom;
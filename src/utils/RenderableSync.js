@@ -0,0 +1,185 @@
+// src/utils/RenderableSync.js - Keeps THREE objects in step with an engine's Renderable entities
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+import { Renderable, Transform } from './ECS.js';
+
+const shapeFactories = new Map();
+
+/**
+ * Register how a Renderable shape is drawn
+ * @param {string} shape - Renderable.shape value
+ * @param {Function} createGeometry - (size) => THREE.BufferGeometry
+ */
+export function defineRenderableShape(shape, createGeometry) {
+  shapeFactories.set(shape, createGeometry);
+}
+
+defineRenderableShape('cube', size => new THREE.BoxGeometry(size, size, size));
+defineRenderableShape('sphere', size => new THREE.SphereGeometry(size / 2, 16, 12));
+defineRenderableShape('cylinder', size => new THREE.CylinderGeometry(size * 0.4, size * 0.4, size, 12));
+
+const AXES = ['x', 'y', 'z'];
+
+// Go the short way round when an angle wraps past a full turn
+function lerpAngle(from, to, alpha) {
+  let delta = to - from;
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  return from + delta * alpha;
+}
+
+/**
+ * Builds a THREE object under a root for every entity with a Renderable, and
+ * applies the engine's change sets to them. Entities whose Transform changed
+ * in the latest tick are drawn between their last two states.
+ */
+export class RenderableSync {
+  constructor(root) {
+    this.root = root;
+    this.objects = new Map(); // entityId -> THREE.Mesh
+  }
+
+  /**
+   * Create a standalone object for an entity's components, not tracked or added to the root
+   * @param {Object} components - Component data keyed by name, as in World.getComponents
+   */
+  createObject(components) {
+    const renderable = Renderable.create(components.Renderable);
+    const createGeometry = shapeFactories.get(renderable.shape) || shapeFactories.get('cube');
+
+    const mesh = new THREE.Mesh(
+      createGeometry(renderable.size),
+      new THREE.MeshLambertMaterial({
+        color: renderable.color,
+        transparent: renderable.opacity < 1,
+        opacity: renderable.opacity
+      })
+    );
+    mesh.visible = renderable.visible;
+    this.applyTransform(mesh, Transform.create(components.Transform));
+    return mesh;
+  }
+
+  add(entityId, components) {
+    if (this.objects.has(entityId) || !components.Renderable) return this.objects.get(entityId) || null;
+
+    const mesh = this.createObject(components);
+    mesh.userData.entityId = entityId;
+    this.root.add(mesh);
+    this.objects.set(entityId, mesh);
+    terminal.log('[RenderableSync] Object added:', entityId);
+    return mesh;
+  }
+
+  remove(entityId) {
+    const mesh = this.objects.get(entityId);
+    if (!mesh) return false;
+
+    RenderableSync.dispose(mesh);
+    this.objects.delete(entityId);
+    terminal.log('[RenderableSync] Object removed:', entityId);
+    return true;
+  }
+
+  get(entityId) {
+    return this.objects.get(entityId) || null;
+  }
+
+  /**
+   * Rebuild everything from a world, e.g. when a session starts or a game is restored
+   */
+  syncWorld(world) {
+    this.clear();
+    world.query(Renderable).forEach(entityId => this.add(entityId, world.getComponents(entityId)));
+  }
+
+  /**
+   * Add objects for entities that appeared and remove those whose entity is
+   * gone, leaving the rest as they are
+   */
+  reconcile(world) {
+    this.objects.forEach((mesh, entityId) => {
+      if (!world.hasComponent(entityId, Renderable)) this.remove(entityId);
+    });
+    world.query(Renderable).forEach(entityId => {
+      if (!this.objects.has(entityId)) this.add(entityId, world.getComponents(entityId));
+    });
+  }
+
+  applyTransform(mesh, transform) {
+    const { position, rotation, scale } = transform;
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+    mesh.scale.set(scale.x, scale.y, scale.z);
+  }
+
+  applyRenderable(mesh, renderable) {
+    mesh.material.color.set(renderable.color);
+    mesh.material.opacity = renderable.opacity;
+    mesh.material.transparent = renderable.opacity < 1;
+    mesh.visible = renderable.visible;
+  }
+
+  /**
+   * Apply a tick's change set - only the entities in it are touched
+   * @param {Array} changes - [{ id, fields }] from the engine's entitiesChanged event
+   * @param {number} tick - Tick the changes belong to
+   */
+  applyChanges(changes, tick) {
+    changes.forEach(({ id, fields }) => {
+      const mesh = this.objects.get(id);
+      if (!mesh) return;
+
+      if (fields.Transform) {
+        const { userData } = mesh;
+        userData.previousTransform = userData.transform || fields.Transform;
+        userData.transform = fields.Transform;
+        userData.transformTick = tick;
+        mesh.position.set(fields.Transform.position.x, fields.Transform.position.y, fields.Transform.position.z);
+        mesh.scale.set(fields.Transform.scale.x, fields.Transform.scale.y, fields.Transform.scale.z);
+      }
+      if (fields.Renderable) {
+        this.applyRenderable(mesh, fields.Renderable);
+      }
+    });
+  }
+
+  /**
+   * Draw moving entities between their last two simulated states
+   * @param {number} alpha - Interpolation factor from the engine clock
+   * @param {number} tick - The engine's current tick
+   */
+  interpolate(alpha, tick) {
+    this.objects.forEach(mesh => {
+      const { previousTransform, transform, transformTick } = mesh.userData;
+      if (!transform) return;
+
+      // Entities that didn't move in the latest tick are at rest
+      const t = transformTick === tick ? alpha : 1;
+      AXES.forEach(axis => {
+        mesh.position[axis] = previousTransform.position[axis] +
+          (transform.position[axis] - previousTransform.position[axis]) * t;
+        mesh.rotation[axis] = lerpAngle(previousTransform.rotation[axis], transform.rotation[axis], t);
+      });
+    });
+  }
+
+  clear() {
+    this.objects.forEach(mesh => RenderableSync.dispose(mesh));
+    this.objects.clear();
+  }
+
+  static dispose(mesh) {
+    mesh.removeFromParent();
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+
+  getDebugInfo() {
+    return {
+      objectCount: this.objects.size
+    };
+  }
+}
+
+export default RenderableSync;
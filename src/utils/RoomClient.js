@@ -0,0 +1,556 @@
+// src/utils/RoomClient.js - Client transport for multiplayer rooms on the local room server
+import { terminal } from 'virtual:terminal';
+import {
+  ROOM_PATH,
+  applyRoomOp,
+  normalizeRoomCode,
+  encodeMessage,
+  decodeMessage
+} from './RoomProtocol.js';
+import { EventBus } from './EventBus.js';
+
+const SESSION_STORAGE_KEY = 'arRoomSession';
+
+// emit() adds roomCode to every payload
+export const ROOM_CLIENT_EVENTS = {
+  connected: {},
+  disconnected: {},
+  reconnecting: { payload: { attempt: 'number' } },
+  reconnectFailed: {},
+  roomJoined: { payload: { code: 'string', gameId: 'string', playerId: 'string', members: 'array' } },
+  roomRejoined: { payload: { code: 'string', gameId: 'string', playerId: 'string', members: 'array' } },
+  roomLeft: {},
+  membersChanged: { payload: { members: 'array', hostId: 'string?' } },
+  op: { payload: { op: 'object', events: 'array?', state: 'object?', view: 'object?' } },
+  gameStarted: { payload: { config: 'object?' } },
+  error: { payload: { requestType: 'string?', message: 'string' } }
+};
+
+/**
+ * Room Client - joins a room on the room server and keeps a local engine in step
+ * with the room's authoritative engine.
+ *
+ * The local engine is a replica: calls to its handleInput are sent to the server
+ * as actions, and every operation the server accepts (joins, leaves, the game
+ * start and inputs) is applied to it in the same order. Engine listeners see the
+ * replica's events exactly as they would in a local game. The replica's clock
+ * belongs to the room too: it steps to each tick the server reaches, not with
+ * the frames it is drawn in, so its simulation matches the server's.
+ *
+ * Games with private state (hands) are not replicated - a seeded replica would
+ * know every card. The server sends this player's view of its engine with each
+ * operation instead; the local engine loads it and re-emits the operation's
+ * events, with other players' hidden fields already left out.
+ */
+export class RoomClient {
+  constructor(options = {}) {
+    terminal.log('[RoomClient] Constructor called');
+
+    this.url = options.url || RoomClient.getDefaultUrl();
+    this.createSocket = options.createSocket || (url => new WebSocket(url));
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+    this.reconnectDelay = options.reconnectDelay ?? 2000;
+
+    this.socket = null;
+    this.events = new EventBus('RoomClient');
+    this.events.declare(ROOM_CLIENT_EVENTS);
+    this.pendingRequest = null;
+    this.closedByUser = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // Room state
+    this.code = null;
+    this.gameId = null;
+    this.playerId = null;
+    this.token = null;
+    this.name = null;
+    this.hostId = null;
+    this.started = false;
+    this.members = [];
+    this.log = [];
+    this.tick = 0;
+    this.lastState = null;
+    this.hidesState = false;
+    this.view = null;
+
+    // Attached replica engine
+    this.engine = null;
+    this.engineHandleInput = null;
+    this.engineAdvance = null;
+    this.applyInput = null;
+    this.appliedSeq = 0;
+  }
+
+  static getDefaultUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}${ROOM_PATH}`;
+  }
+
+  /**
+   * A room session saved by an earlier page load, used to rejoin after a reload
+   */
+  static getSavedSession() {
+    try {
+      return JSON.parse(window.sessionStorage?.getItem(SESSION_STORAGE_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Same subscription API as GameEngine: listeners are called as listener(data, event)
+  on(pattern, listener, options = {}) {
+    return this.events.on(pattern, listener, options);
+  }
+
+  off(pattern, listener) {
+    return this.events.off(pattern, listener);
+  }
+
+  once(pattern, listener, options = {}) {
+    return this.events.once(pattern, listener, options);
+  }
+
+  emit(event, data = {}) {
+    return this.events.emit(event, { ...data, roomCode: this.code });
+  }
+
+  isConnected() {
+    return !!this.socket && this.socket.readyState === 1;
+  }
+
+  isInRoom() {
+    return !!this.code && !!this.playerId;
+  }
+
+  isHost() {
+    return this.isInRoom() && this.playerId === this.hostId;
+  }
+
+  /**
+   * Open the connection to the room server
+   */
+  connect() {
+    if (this.isConnected()) {
+      return Promise.resolve(true);
+    }
+
+    terminal.log('[RoomClient] Connecting to', this.url);
+    this.closedByUser = false;
+
+    return new Promise((resolve, reject) => {
+      const socket = this.createSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => {
+        terminal.log('[RoomClient] Connected');
+        this.reconnectAttempts = 0;
+        this.emit('connected', {});
+        resolve(true);
+      };
+      socket.onerror = () => {
+        terminal.log('[RoomClient] Connection error');
+        reject(new Error(`Could not connect to room server at ${this.url}`));
+      };
+      socket.onmessage = (event) => this.onMessage(event.data);
+      socket.onclose = () => this.onClose(socket);
+    });
+  }
+
+  /**
+   * Create a room for a game and join it as host
+   * @param {string} gameId - Registry id of the game
+   * @param {Object} options - { name, config } where config is passed to initializeGame
+   */
+  async createRoom(gameId, options = {}) {
+    await this.connect();
+    this.name = options.name || null;
+    return this.request('createRoom', { gameId, config: options.config || {}, name: this.name });
+  }
+
+  /**
+   * Join a room by code. Rejoining the same room reuses the saved player id,
+   * so the player gets their seat back.
+   */
+  async joinRoom(code, options = {}) {
+    await this.connect();
+
+    const roomCode = normalizeRoomCode(code);
+    const saved = this.code === roomCode ? this.getCredentials() : RoomClient.getSavedSession();
+    const credentials = saved && saved.code === roomCode ? saved : {};
+
+    this.name = options.name || credentials.name || null;
+    return this.request('joinRoom', {
+      code: roomCode,
+      name: this.name,
+      playerId: credentials.playerId,
+      token: credentials.token
+    });
+  }
+
+  /**
+   * Ask the server to start the game (host only). Resolves once the game has started.
+   */
+  startGame() {
+    if (this.started) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve, reject) => {
+      const unsubscribe = () => {
+        offStarted();
+        offError();
+      };
+      const offStarted = this.on('gameStarted', () => {
+        unsubscribe();
+        resolve(true);
+      });
+      const offError = this.on('error', data => {
+        if (data.requestType !== 'startGame') return;
+        unsubscribe();
+        reject(new Error(data.message));
+      });
+      this.send('startGame');
+    });
+  }
+
+  /**
+   * Send a game input to the room. It reaches the local engine once the server accepts it.
+   */
+  sendAction(inputType, data = {}) {
+    if (!this.isInRoom() || !this.isConnected()) {
+      terminal.log('[RoomClient] Cannot send action while disconnected:', inputType);
+      this.emit('error', { requestType: 'action', message: 'Not connected to the room' });
+      return false;
+    }
+
+    this.send('action', { inputType, data });
+    return true;
+  }
+
+  /**
+   * Leave the room for good - the seat is given up
+   */
+  leaveRoom() {
+    terminal.log('[RoomClient] Leaving room:', this.code);
+
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.isConnected()) {
+      this.send('leaveRoom');
+      this.socket.close();
+    }
+    this.socket = null;
+
+    this.detachEngine();
+    this.resetRoom();
+    window.sessionStorage?.removeItem(SESSION_STORAGE_KEY);
+    this.emit('roomLeft', {});
+  }
+
+  /**
+   * Drive an engine from the room. Its handleInput is redirected to the server and
+   * every operation logged so far is replayed onto it (or, in a game with private
+   * state, it loads this player's view).
+   * @param {GameEngine} engine - Fresh, uninitialized engine for the room's game
+   */
+  attachEngine(engine) {
+    if (this.engine) {
+      this.detachEngine();
+    }
+
+    terminal.log('[RoomClient] Attaching engine:', engine.gameId);
+
+    this.engine = engine;
+    this.engineHandleInput = engine.handleInput;
+    this.engineAdvance = engine.advance;
+    this.applyInput = engine.handleInput.bind(engine);
+    this.appliedSeq = 0;
+    engine.handleInput = (inputType, data = {}) => this.sendAction(inputType, data);
+    // Frames only draw the replica - the room's ticks step it
+    engine.advance = () => 1;
+
+    this.syncEngine();
+    return true;
+  }
+
+  /**
+   * Bring the attached engine up to the room's latest operation
+   */
+  syncEngine() {
+    if (!this.engine) return;
+
+    if (!this.hidesState) {
+      this.log.forEach(op => this.applyOp(op));
+      this.engine.advanceToTick(this.tick);
+      return;
+    }
+
+    if (this.view) {
+      this.engine.applyObservableState(this.view);
+    }
+    this.appliedSeq = this.log[this.log.length - 1]?.seq || 0;
+  }
+
+  detachEngine() {
+    if (!this.engine) return;
+
+    // Put back the engine's own handleInput, which records to its action log
+    this.engine.handleInput = this.engineHandleInput;
+    this.engine.advance = this.engineAdvance;
+    this.engine = null;
+    this.engineHandleInput = null;
+    this.engineAdvance = null;
+    this.applyInput = null;
+    this.appliedSeq = 0;
+  }
+
+  applyOp(op) {
+    if (!this.engine || op.seq <= this.appliedSeq) return;
+
+    if (op.seq !== this.appliedSeq + 1) {
+      terminal.log('[RoomClient] Operation out of order:', op.seq, 'expected', this.appliedSeq + 1);
+    }
+
+    try {
+      applyRoomOp(this.engine, op, this.applyInput);
+    } catch (error) {
+      terminal.log('[RoomClient] Operation failed:', op.kind, error.message);
+      console.error('Room operation error:', error);
+    }
+    this.appliedSeq = op.seq;
+  }
+
+  /**
+   * Load this player's view after an operation, then let engine listeners see what happened
+   */
+  applyView(events = []) {
+    if (!this.engine) return;
+
+    this.syncEngine();
+    events.forEach(({ event, data }) => this.engine.emit(event, data));
+  }
+
+  // Message handling
+
+  onMessage(raw) {
+    const message = decodeMessage(raw);
+    if (!message) {
+      terminal.log('[RoomClient] Ignoring malformed message');
+      return;
+    }
+
+    switch (message.type) {
+      case 'roomJoined':
+        this.onRoomJoined(message);
+        break;
+      case 'op':
+        this.onOp(message);
+        break;
+      case 'tick':
+        this.onTick(message.tick);
+        break;
+      case 'members':
+        this.hostId = message.hostId;
+        this.members = message.members;
+        this.emit('membersChanged', { members: this.members, hostId: this.hostId });
+        break;
+      case 'error':
+        this.onError(message);
+        break;
+      default:
+        terminal.log('[RoomClient] Unknown message type:', message.type);
+    }
+  }
+
+  onRoomJoined(message) {
+    const rejoined = this.code === message.code;
+    terminal.log(`[RoomClient] ${rejoined ? 'Rejoined' : 'Joined'} room:`, message.code, 'as', message.playerId);
+
+    if (!rejoined) {
+      this.detachEngine();
+    }
+
+    this.code = message.code;
+    this.gameId = message.gameId;
+    this.playerId = message.playerId;
+    this.token = message.token;
+    this.hostId = message.hostId;
+    this.started = message.started;
+    this.members = message.members;
+    this.log = message.log;
+    this.tick = message.tick || 0;
+    this.hidesState = !!message.hidesState;
+    this.view = message.view || null;
+    window.sessionStorage?.setItem(SESSION_STORAGE_KEY, JSON.stringify(this.getCredentials()));
+
+    // Catch the engine up on anything missed while disconnected
+    this.syncEngine();
+
+    const room = this.getRoomInfo();
+    this.emit(rejoined ? 'roomRejoined' : 'roomJoined', room);
+    this.resolveRequest(room);
+  }
+
+  onOp({ op, events, state, view }) {
+    if (op.seq <= (this.log[this.log.length - 1]?.seq || 0)) return;
+
+    this.log.push(op);
+    this.tick = Math.max(this.tick, op.tick || 0);
+    this.lastState = state;
+    if (this.hidesState) {
+      this.view = view || null;
+      this.applyView(events);
+    } else {
+      this.applyOp(op);
+    }
+
+    if (this.engine && state && this.engine.state !== state.state) {
+      terminal.log('[RoomClient] Engine state differs from the room:', this.engine.state, state.state);
+    }
+
+    this.emit('op', { op, events, state, view });
+
+    if (op.kind === 'initialize') {
+      this.started = true;
+      this.emit('gameStarted', { config: op.config });
+    }
+  }
+
+  /**
+   * The server's clock moved on - run the replica's simulation up to it
+   */
+  onTick(tick) {
+    this.tick = Math.max(this.tick, tick);
+    if (this.engine && !this.hidesState) {
+      this.engine.advanceToTick(this.tick);
+    }
+  }
+
+  onError(message) {
+    terminal.log('[RoomClient] Server error:', message.requestType, message.message);
+
+    if (this.pendingRequest && this.pendingRequest.type === message.requestType) {
+      const { reject } = this.pendingRequest;
+      this.pendingRequest = null;
+      reject(new Error(message.message));
+    }
+    this.emit('error', { requestType: message.requestType, message: message.message });
+  }
+
+  onClose(socket) {
+    if (socket !== this.socket) return;
+
+    terminal.log('[RoomClient] Disconnected');
+    this.socket = null;
+    this.emit('disconnected', {});
+
+    if (this.pendingRequest) {
+      this.pendingRequest.reject(new Error('Connection closed'));
+      this.pendingRequest = null;
+    }
+
+    if (!this.closedByUser && this.isInRoom()) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      terminal.log('[RoomClient] Giving up reconnecting to room:', this.code);
+      this.emit('reconnectFailed', {});
+      return;
+    }
+
+    this.reconnectAttempts++;
+    terminal.log('[RoomClient] Reconnecting, attempt', this.reconnectAttempts);
+    this.emit('reconnecting', { attempt: this.reconnectAttempts });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.joinRoom(this.code, { name: this.name }).catch(error => {
+        terminal.log('[RoomClient] Reconnect failed:', error.message);
+        if (!this.isConnected()) {
+          this.scheduleReconnect();
+        }
+      });
+    }, this.reconnectDelay);
+  }
+
+  // Helpers
+
+  send(type, payload = {}) {
+    if (!this.isConnected()) {
+      terminal.log('[RoomClient] Cannot send, not connected:', type);
+      return false;
+    }
+    this.socket.send(encodeMessage(type, payload));
+    return true;
+  }
+
+  request(type, payload) {
+    return new Promise((resolve, reject) => {
+      if (this.pendingRequest) {
+        this.pendingRequest.reject(new Error('Superseded by a newer request'));
+      }
+      this.pendingRequest = { type, resolve, reject };
+      this.send(type, payload);
+    });
+  }
+
+  resolveRequest(result) {
+    if (!this.pendingRequest) return;
+    const { resolve } = this.pendingRequest;
+    this.pendingRequest = null;
+    resolve(result);
+  }
+
+  getCredentials() {
+    return { code: this.code, playerId: this.playerId, token: this.token, name: this.name };
+  }
+
+  getRoomInfo() {
+    return {
+      code: this.code,
+      gameId: this.gameId,
+      playerId: this.playerId,
+      hostId: this.hostId,
+      isHost: this.isHost(),
+      started: this.started,
+      members: this.members
+    };
+  }
+
+  resetRoom() {
+    this.code = null;
+    this.gameId = null;
+    this.playerId = null;
+    this.token = null;
+    this.hostId = null;
+    this.started = false;
+    this.members = [];
+    this.log = [];
+    this.tick = 0;
+    this.lastState = null;
+    this.hidesState = false;
+    this.view = null;
+  }
+
+  getDebugInfo() {
+    return {
+      url: this.url,
+      connected: this.isConnected(),
+      ...this.getRoomInfo(),
+      opCount: this.log.length,
+      appliedSeq: this.appliedSeq,
+      tick: this.tick,
+      hidesState: this.hidesState,
+      hasEngine: !!this.engine,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+}
+
+// Make available globally for debugging
+window.RoomClient = RoomClient;
+
+export default RoomClient;
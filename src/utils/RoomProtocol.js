@@ -0,0 +1,97 @@
+// src/utils/RoomProtocol.js - Shared message and operation format for multiplayer rooms
+import { terminal } from 'virtual:terminal';
+
+export const DEFAULT_ROOM_PORT = 8787;
+// The Vite dev server proxies this path to the room server, so rooms work over the same (ngrok) origin
+export const ROOM_PATH = '/rooms';
+
+// Room codes skip easily confused characters (0/O, 1/I/L)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const ROOM_CODE_LENGTH = 4;
+
+/**
+ * Every change to a room's engine is recorded as an operation with a sequence
+ * number. The server applies each one to the authoritative engine and
+ * broadcasts it; clients apply the same operations in the same order to their
+ * own engine, so both sides stay identical as long as the engine is seeded.
+ * Games with private state are the exception: a seeded copy would know every
+ * hand, so the server sends each player its view of the engine instead.
+ *
+ * Each operation carries the tick of the server engine's clock it was applied
+ * at. The server's clock is the only one a room runs on - it sends its tick as
+ * it advances and replicas step their simulation to it.
+ */
+export const ROOM_OPS = {
+  ADD_PLAYER: 'addPlayer',
+  REMOVE_PLAYER: 'removePlayer',
+  INITIALIZE: 'initialize',
+  INPUT: 'input'
+};
+
+/**
+ * Apply one room operation to an engine
+ * @param {GameEngine} engine - Engine to update
+ * @param {Object} op - Operation from the room log
+ * @param {Function} applyInput - Input handler, defaults to engine.handleInput
+ */
+export function applyRoomOp(engine, op, applyInput = engine.handleInput.bind(engine)) {
+  // Simulate up to the operation's tick first, as the server did before applying it
+  if (op.tick != null) {
+    engine.advanceToTick(op.tick);
+  }
+
+  switch (op.kind) {
+    case ROOM_OPS.ADD_PLAYER:
+      engine.addPlayer(op.playerId, op.playerData);
+      break;
+    case ROOM_OPS.REMOVE_PLAYER:
+      engine.removePlayer(op.playerId);
+      break;
+    case ROOM_OPS.INITIALIZE:
+      engine.initializeGame(op.config);
+      break;
+    case ROOM_OPS.INPUT:
+      applyInput(op.inputType, op.data);
+      break;
+    default:
+      terminal.log('[RoomProtocol] Unknown room operation:', op.kind);
+      return false;
+  }
+  return true;
+}
+
+export function createRoomCode(random = Math.random) {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_ALPHABET[Math.floor(random() * ROOM_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+export function normalizeRoomCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ type, ...payload });
+}
+
+export function decodeMessage(raw) {
+  try {
+    const message = JSON.parse(typeof raw === 'string' ? raw : raw.toString());
+    return message && typeof message.type === 'string' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export default {
+  ROOM_OPS,
+  DEFAULT_ROOM_PORT,
+  ROOM_PATH,
+  applyRoomOp,
+  createRoomCode,
+  normalizeRoomCode,
+  encodeMessage,
+  decodeMessage
+};
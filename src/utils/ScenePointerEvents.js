@@ -0,0 +1,358 @@
+// src/utils/ScenePointerEvents.js - Pointer events for THREE objects, from XR input sources, touch and mouse
+import { terminal } from 'virtual:terminal';
+import * as THREE from 'three';
+
+export const POINTER_EVENT_TYPES = ['pointerenter', 'pointerleave', 'pointerdown', 'pointermove', 'pointerup', 'click'];
+
+// Enter and leave go to each object the pointer crosses into or out of, like the DOM's
+const NON_BUBBLING = new Set(['pointerenter', 'pointerleave']);
+
+/**
+ * Raycasts pointers into the objects that have handlers and dispatches DOM-like
+ * pointer events on them.
+ *
+ * Every pointer - a mouse, a finger, an XR controller or screen touch - has
+ * its own id and state, so several can hover, press and drag at once. Events
+ * bubble from the object hit up its parents; handlers get
+ * handler(event) with event.target the object hit and event.currentObject the
+ * one whose handler runs. A pointerdown handler can call
+ * event.setPointerCapture() to keep getting that pointer's events until it is
+ * released, wherever it points, which is how drags are done.
+ */
+export class ScenePointerEvents {
+  constructor() {
+    this.handlers = new Map(); // Object3D -> Map(type -> [handler])
+    this.pointers = new Map(); // pointerId -> { ray, path, captured, pressed, pressHandled, ... }
+    this.raycaster = new THREE.Raycaster();
+
+    // XR input sources get a pointer id for as long as they exist
+    this.xrPointerIds = new WeakMap();
+    this.nextXRPointerId = 0;
+  }
+
+  /**
+   * Listen for a pointer event on an object and everything under it
+   * @param {THREE.Object3D} object
+   * @param {string} type - One of POINTER_EVENT_TYPES
+   * @param {Function} handler - Called as handler(event)
+   * @returns {Function} - Call to stop listening
+   */
+  on(object, type, handler) {
+    if (!POINTER_EVENT_TYPES.includes(type)) {
+      terminal.log('[ScenePointerEvents] Unknown pointer event:', type);
+      return () => {};
+    }
+
+    if (!this.handlers.has(object)) {
+      this.handlers.set(object, new Map());
+    }
+    const byType = this.handlers.get(object);
+    if (!byType.has(type)) {
+      byType.set(type, []);
+    }
+    byType.get(type).push(handler);
+
+    return () => this.off(object, type, handler);
+  }
+
+  /**
+   * Stop listening - leave out the handler to drop all of a type, and the type to drop all of an object's
+   */
+  off(object, type = null, handler = null) {
+    const byType = this.handlers.get(object);
+    if (!byType) return;
+
+    if (type && handler) {
+      byType.set(type, (byType.get(type) || []).filter(existing => existing !== handler));
+    } else if (type) {
+      byType.delete(type);
+    } else {
+      byType.clear();
+    }
+
+    if (Array.from(byType.values()).every(list => list.length === 0)) {
+      this.handlers.delete(object);
+    }
+  }
+
+  /**
+   * Move a pointer: updates what it hovers and sends pointermove
+   * @param {string} pointerId
+   * @param {THREE.Ray} ray - The pointer's ray in world space
+   * @param {Object} details - { pointerType, inputSource, originalEvent }, passed on in events
+   */
+  movePointer(pointerId, ray, details = {}) {
+    const pointer = this.getPointer(pointerId, details);
+    pointer.ray.copy(ray);
+
+    if (pointer.captured) {
+      this.dispatch('pointermove', pointer, this.intersect(ray, [pointer.captured]), pointer.captured);
+      return;
+    }
+
+    const hit = this.intersect(ray);
+    this.updateHover(pointer, hit);
+    if (hit) {
+      this.dispatch('pointermove', pointer, hit);
+    }
+  }
+
+  /**
+   * Press a pointer down
+   * @returns {boolean} - Whether any handler received the pointerdown
+   */
+  pressPointer(pointerId, ray, details = {}) {
+    this.movePointer(pointerId, ray, details);
+    const pointer = this.pointers.get(pointerId);
+
+    const hit = this.intersect(ray);
+    pointer.pressed = hit ? hit.object : null;
+    pointer.pressHandled = hit ? this.dispatch('pointerdown', pointer, hit) : false;
+    return pointer.pressHandled;
+  }
+
+  /**
+   * Lift a pointer, sending pointerup and, if it is still over what it pressed, click
+   * @returns {boolean} - Whether its press was handled
+   */
+  releasePointer(pointerId, ray, details = {}) {
+    const pointer = this.pointers.get(pointerId);
+    if (!pointer) return false;
+
+    if (ray) {
+      pointer.ray.copy(ray);
+    }
+    Object.assign(pointer.details, details);
+
+    const captured = pointer.captured;
+    const hit = this.intersect(pointer.ray, captured ? [captured] : null);
+    if (captured) {
+      this.dispatch('pointerup', pointer, hit, captured);
+    } else if (hit) {
+      this.dispatch('pointerup', pointer, hit);
+    }
+
+    // A click goes to the pressed object if the pointer is still over it, or held it captured
+    const pressed = pointer.pressed;
+    if (pressed && (captured || (hit && this.getPath(hit.object).includes(pressed)))) {
+      this.dispatch('click', pointer, hit, pressed);
+    }
+
+    const handled = pointer.pressHandled;
+    pointer.captured = null;
+    pointer.pressed = null;
+    pointer.pressHandled = false;
+    return handled;
+  }
+
+  /**
+   * Forget a pointer that went away, e.g. a lifted finger or a disconnected controller
+   */
+  removePointer(pointerId) {
+    const pointer = this.pointers.get(pointerId);
+    if (!pointer) return;
+
+    this.updateHover(pointer, null);
+    this.pointers.delete(pointerId);
+  }
+
+  /**
+   * Whether a pointer's current press went to a handler, so the game's own tap handling should skip it
+   */
+  isPressHandled(pointerId) {
+    return !!this.pointers.get(pointerId)?.pressHandled;
+  }
+
+  /**
+   * The pointer id for an XR input source
+   */
+  getXRPointerId(inputSource) {
+    if (!this.xrPointerIds.has(inputSource)) {
+      this.xrPointerIds.set(inputSource, `xr-${++this.nextXRPointerId}`);
+    }
+    return this.xrPointerIds.get(inputSource);
+  }
+
+  /**
+   * The world-space ray of an XR input source in a frame
+   * @returns {THREE.Ray|null}
+   */
+  getXRRay(frame, inputSource, referenceSpace) {
+    const pose = frame?.getPose(inputSource.targetRaySpace, referenceSpace);
+    if (!pose) return null;
+
+    const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+    const origin = new THREE.Vector3().setFromMatrixPosition(matrix);
+    const direction = new THREE.Vector3(0, 0, -1).transformDirection(matrix);
+    return new THREE.Ray(origin, direction);
+  }
+
+  /**
+   * Move every XR input source's pointer, and drop those of sources that are gone
+   */
+  updateXRInputs(frame, referenceSpace, session) {
+    const active = new Set();
+
+    Array.from(session.inputSources || []).forEach(inputSource => {
+      const ray = this.getXRRay(frame, inputSource, referenceSpace);
+      if (!ray) return;
+
+      const pointerId = this.getXRPointerId(inputSource);
+      active.add(pointerId);
+      this.movePointer(pointerId, ray, { pointerType: inputSource.targetRayMode, inputSource });
+    });
+
+    this.pointers.forEach((pointer, pointerId) => {
+      if (pointer.details.inputSource && !active.has(pointerId)) {
+        this.removePointer(pointerId);
+      }
+    });
+  }
+
+  /**
+   * The world-space ray through a point on the screen
+   */
+  getScreenRay(clientX, clientY, camera, element) {
+    const rect = element.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(ndc, camera);
+    return this.raycaster.ray.clone();
+  }
+
+  getPointer(pointerId, details) {
+    if (!this.pointers.has(pointerId)) {
+      this.pointers.set(pointerId, {
+        id: pointerId,
+        ray: new THREE.Ray(),
+        path: [], // Objects with handlers the pointer is over, innermost first
+        captured: null,
+        pressed: null,
+        pressHandled: false,
+        details: {}
+      });
+    }
+    const pointer = this.pointers.get(pointerId);
+    Object.assign(pointer.details, details);
+    return pointer;
+  }
+
+  /**
+   * The nearest visible hit on an object with handlers, or under one
+   * @param {Array|null} roots - Objects to test, by default all that have handlers
+   */
+  intersect(ray, roots = null) {
+    const objects = roots || Array.from(this.handlers.keys());
+    if (objects.length === 0) return null;
+
+    this.raycaster.ray.copy(ray);
+    const hits = this.raycaster.intersectObjects(objects, true);
+    return hits.find(hit => this.isVisible(hit.object)) || null;
+  }
+
+  isVisible(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  }
+
+  /**
+   * The object and its ancestors that have handlers, innermost first
+   */
+  getPath(object) {
+    const path = [];
+    for (let node = object; node; node = node.parent) {
+      if (this.handlers.has(node)) path.push(node);
+    }
+    return path;
+  }
+
+  updateHover(pointer, hit) {
+    const path = hit ? this.getPath(hit.object) : [];
+    const left = pointer.path.filter(object => !path.includes(object));
+    const entered = path.filter(object => !pointer.path.includes(object));
+    pointer.path = path;
+
+    left.forEach(object => this.dispatch('pointerleave', pointer, null, object));
+    entered.reverse().forEach(object => this.dispatch('pointerenter', pointer, hit, object));
+  }
+
+  /**
+   * Call the handlers for an event, bubbling from the hit object (or the
+   * given start object) up through its ancestors
+   * @returns {boolean} - Whether any handler ran
+   */
+  dispatch(type, pointer, hit, startObject = null) {
+    const origin = startObject || hit?.object;
+    if (!origin) return false;
+
+    let stopped = false;
+    const event = {
+      type,
+      pointerId: pointer.id,
+      pointerType: pointer.details.pointerType || null,
+      inputSource: pointer.details.inputSource || null,
+      originalEvent: pointer.details.originalEvent || null,
+      target: hit?.object || origin,
+      currentObject: null,
+      point: hit?.point || null,
+      distance: hit ? hit.distance : null,
+      face: hit?.face || null,
+      instanceId: hit?.instanceId ?? null, // Which instance of an InstancedMesh was hit
+      ray: pointer.ray.clone(),
+      stopPropagation: () => {
+        stopped = true;
+      },
+      setPointerCapture: (object = event.currentObject) => {
+        pointer.captured = object;
+      },
+      releasePointerCapture: () => {
+        pointer.captured = null;
+      }
+    };
+
+    const path = NON_BUBBLING.has(type) ? [origin] : this.getPath(origin);
+    let handled = false;
+    for (const object of path) {
+      const handlers = this.handlers.get(object)?.get(type);
+      if (!handlers || handlers.length === 0) continue;
+
+      event.currentObject = object;
+      handlers.slice().forEach(handler => {
+        try {
+          handler(event);
+        } catch (error) {
+          terminal.log(`[ScenePointerEvents] Error in ${type} handler:`, error.message);
+        }
+      });
+      handled = true;
+      if (stopped) break;
+    }
+    return handled;
+  }
+
+  /**
+   * Drop every handler and pointer, e.g. when the session ends
+   */
+  clear() {
+    this.handlers.clear();
+    this.pointers.clear();
+  }
+
+  getDebugInfo() {
+    return {
+      objectCount: this.handlers.size,
+      pointers: Array.from(this.pointers.values()).map(pointer => ({
+        id: pointer.id,
+        pointerType: pointer.details.pointerType || null,
+        hovering: pointer.path.length,
+        captured: !!pointer.captured
+      }))
+    };
+  }
+}
+
+export default ScenePointerEvents;
@@ -0,0 +1,233 @@
+// test/PokerGameEngine.test.js - Hold'em hand ranking, betting and pot splitting with stacked decks
+import { describe, expect, it } from 'vitest';
+import { PokerGameEngine } from '../src/games/PokerARGame.js';
+import { compareHands, evaluateBest, evaluateFive, scoreBest } from '../src/games/PokerHandEvaluator.js';
+import { Card, RANK_SYMBOLS } from '../src/utils/Cards.js';
+
+const RANKS = Object.fromEntries(Object.entries(RANK_SYMBOLS).map(([rank, symbol]) => [symbol, Number(rank)]));
+
+// 'As Td' -> standard52 cards
+function parseCards(text) {
+  return text.split(' ').map(id => new Card({ id, rank: RANKS[id[0]], suit: id[1] }));
+}
+
+/**
+ * A table whose next hand is about to be played, with player-1 on the button
+ * and each player's stack set
+ */
+function createTable(stacks, config = {}) {
+  const engine = new PokerGameEngine();
+  engine.initializeGame({ playerCount: stacks.length, seed: 1, ...config });
+
+  // Throw away the hand initializeGame dealt and deal a fresh one from these stacks
+  engine.seats.forEach((playerId, seat) => {
+    engine.players.get(playerId).stack = stacks[seat];
+  });
+  engine.buttonIndex = -1;
+  engine.startHand();
+  return engine;
+}
+
+/**
+ * Give players their hole cards and stack the deck so the board comes out as listed
+ */
+function stackDeck(engine, holeCards, board) {
+  Object.entries(holeCards).forEach(([playerId, cards]) => {
+    engine.holeCards.get(playerId).cards = parseCards(cards);
+  });
+
+  const [flop1, flop2, flop3, turn, river] = parseCards(board);
+  const used = new Set([...Object.values(holeCards), board].join(' ').split(' '));
+  const rest = engine.deck.cards.filter(card => !used.has(card.id));
+  const [burn1, burn2, burn3] = rest.splice(-3);
+
+  // Cards are drawn off the end: a burn before each street
+  engine.deck.cards = [...rest, river, burn3, turn, burn2, flop3, flop2, flop1, burn1];
+}
+
+function act(engine, playerId, action, amount) {
+  expect(engine.currentPlayerId).toBe(playerId);
+  return engine.performAction(playerId, action, amount);
+}
+
+// Check (or call) every street down to the showdown
+function checkDown(engine) {
+  while (engine.getState() === 'playing') {
+    const playerId = engine.currentPlayerId;
+    engine.performAction(playerId, engine.getAmountToCall(playerId) > 0 ? 'call' : 'check');
+  }
+}
+
+function recordPots(engine) {
+  const pots = [];
+  engine.on('potAwarded', ({ potIndex, amount, winners }) => pots.push({ potIndex, amount, winners }));
+  return pots;
+}
+
+const getStacks = engine => engine.seats.map(playerId => engine.players.get(playerId).stack);
+
+describe('PokerHandEvaluator', () => {
+  it('breaks ties on kickers', () => {
+    const board = '9c 7d 5h 3s 2c';
+    const aceKing = evaluateBest(parseCards(`As Kd ${board}`));
+    const aceQueen = evaluateBest(parseCards(`Ah Qd ${board}`));
+    expect(compareHands(aceKing, aceQueen)).toBeGreaterThan(0);
+
+    // Same pair, decided by the third kicker
+    const pairHigh = evaluateFive(parseCards('8s 8d Kc 9h 4s'));
+    const pairLow = evaluateFive(parseCards('8h 8c Kd 9s 3s'));
+    expect(compareHands(pairHigh, pairLow)).toBeGreaterThan(0);
+  });
+
+  it('ties when the board plays', () => {
+    const board = 'Ac Kd Qh Js Tc';
+    const first = evaluateBest(parseCards(`2s 3d ${board}`));
+    const second = evaluateBest(parseCards(`4h 5c ${board}`));
+    expect(first.name).toBe('Straight');
+    expect(compareHands(first, second)).toBe(0);
+  });
+
+  it('ranks the A-5 wheel below a 6-high straight', () => {
+    const wheel = evaluateFive(parseCards('As 2d 3h 4c 5s'));
+    const sixHigh = evaluateFive(parseCards('2s 3d 4h 5c 6s'));
+    expect(wheel.name).toBe('Straight');
+    expect(wheel.tiebreakers).toEqual([5]);
+    expect(compareHands(sixHigh, wheel)).toBeGreaterThan(0);
+    expect(scoreBest(parseCards('As 2d 3h 4c 5s Kd Kh'))).toBe(evaluateBest(parseCards('As 2d 3h 4c 5s Kd Kh')).score);
+  });
+
+  it('ranks a flush above a straight', () => {
+    const flush = evaluateFive(parseCards('2h 5h 7h 9h Jh'));
+    const straight = evaluateFive(parseCards('Ts Jd Qh Kc As'));
+    expect(compareHands(flush, straight)).toBeGreaterThan(0);
+
+    const cards = parseCards('2h 5h 7h 9h Jh Tc Qd');
+    expect(evaluateBest(cards).name).toBe('Flush');
+    expect(scoreBest(cards)).toBe(evaluateBest(cards).score);
+  });
+});
+
+describe('PokerGameEngine', () => {
+  it('posts blinds heads-up with the button on the small blind, acting first only preflop', () => {
+    const engine = createTable([1000, 1000]);
+
+    expect(getStacks(engine)).toEqual([995, 990]);
+    act(engine, 'player-1', 'call');
+    act(engine, 'player-2', 'check');
+
+    expect(engine.street).toBe('flop');
+    expect(engine.currentPlayerId).toBe('player-2');
+    act(engine, 'player-2', 'check');
+    act(engine, 'player-1', 'check');
+
+    // The button moves and the other player posts the small blind
+    checkDown(engine);
+    engine.handleInput('nextHand');
+    expect(engine.seats[engine.buttonIndex]).toBe('player-2');
+    expect(engine.streetBets.get('player-2')).toBe(5);
+    expect(engine.currentPlayerId).toBe('player-2');
+  });
+
+  it('splits the pot when the board plays', () => {
+    const engine = createTable([1000, 1000]);
+    stackDeck(engine, { 'player-1': '2s 3d', 'player-2': '4h 5c' }, 'Ac Kd Qh Js Tc');
+    const pots = recordPots(engine);
+
+    checkDown(engine);
+    expect(pots).toEqual([{
+      potIndex: 0,
+      amount: 20,
+      winners: [{ playerId: 'player-2', amount: 10 }, { playerId: 'player-1', amount: 10 }]
+    }]);
+    expect(getStacks(engine)).toEqual([1000, 1000]);
+  });
+
+  it('gives the odd chip to the first winner left of the button', () => {
+    const engine = createTable([1000, 1000, 1000]);
+    stackDeck(engine, { 'player-1': '2s 3d', 'player-2': '7c 7d', 'player-3': '4h 5c' }, 'As Ks Qs Js Ts');
+    const pots = recordPots(engine);
+
+    // The small blind folds its 5, leaving 25 to split
+    act(engine, 'player-1', 'call');
+    act(engine, 'player-2', 'fold');
+    act(engine, 'player-3', 'check');
+    checkDown(engine);
+
+    expect(pots[0].winners).toEqual([
+      { playerId: 'player-3', amount: 13 },
+      { playerId: 'player-1', amount: 12 }
+    ]);
+    expect(getStacks(engine)).toEqual([1002, 995, 1003]);
+  });
+
+  it('builds side pots from a three-way all-in, with a folded player\'s chips staying in', () => {
+    const engine = createTable([1000, 100, 200, 400, 1000]);
+    stackDeck(engine, {
+      'player-1': '8c 8d',
+      'player-2': 'As Ad',
+      'player-3': 'Ks Kd',
+      'player-4': 'Qs Qd',
+      'player-5': '4h 5h'
+    }, '2c 7d 9h Jc 3s');
+    const pots = recordPots(engine);
+
+    act(engine, 'player-4', 'raise', 30);
+    act(engine, 'player-5', 'call');
+    act(engine, 'player-1', 'call');
+    act(engine, 'player-2', 'allIn');
+    act(engine, 'player-3', 'allIn');
+    act(engine, 'player-4', 'allIn');
+    act(engine, 'player-5', 'call');
+    act(engine, 'player-1', 'fold');
+
+    // Main pot 5 x 30 + 4 x 70, then 3 x 100 and 2 x 200 that the shorter stacks can't win
+    expect(engine.getBoard().map(card => card.id)).toEqual(['2c', '7d', '9h', 'Jc', '3s']);
+    expect(pots).toEqual([
+      { potIndex: 0, amount: 430, winners: [{ playerId: 'player-2', amount: 430 }] },
+      { potIndex: 1, amount: 300, winners: [{ playerId: 'player-3', amount: 300 }] },
+      { potIndex: 2, amount: 400, winners: [{ playerId: 'player-4', amount: 400 }] }
+    ]);
+    expect(getStacks(engine)).toEqual([970, 430, 300, 400, 600]);
+  });
+
+  it('does not let a short all-in reopen raising for players who already acted', () => {
+    const engine = createTable([1000, 60, 1000]);
+    const turns = [];
+    engine.on('turnChanged', data => turns.push(data));
+
+    act(engine, 'player-1', 'raise', 40);
+    // 20 over the 40 is short of the 30 minimum raise
+    act(engine, 'player-2', 'allIn');
+    expect(engine.currentBet).toBe(60);
+    act(engine, 'player-3', 'call');
+
+    expect(turns[turns.length - 1]).toMatchObject({ playerId: 'player-1', toCall: 20, canRaise: false });
+    expect(act(engine, 'player-1', 'raise', 200)).toBe(false);
+    expect(act(engine, 'player-1', 'allIn')).toBe(false);
+    expect(act(engine, 'player-1', 'call')).toBe(true);
+    expect(engine.street).toBe('flop');
+  });
+
+  it('saves a hand in progress and carries on from the same deck and shuffle', () => {
+    const engine = createTable([1000, 1000, 1000]);
+    act(engine, 'player-1', 'raise', 40);
+    act(engine, 'player-2', 'fold');
+
+    const restored = new PokerGameEngine();
+    expect(restored.restore(engine.serialize())).toBe(true);
+    engine.seats.forEach(playerId => {
+      expect(restored.getObservableState(playerId)).toEqual(engine.getObservableState(playerId));
+    });
+
+    // The board still to come and the next hand's shuffle are the same
+    [engine, restored].forEach(table => {
+      act(table, 'player-3', 'call');
+      checkDown(table);
+      table.handleInput('nextHand');
+    });
+    expect(restored.getStacks()).toEqual(engine.getStacks());
+    engine.seats.forEach(playerId => {
+      expect(restored.getHoleCards(playerId)).toEqual(engine.getHoleCards(playerId));
+    });
+  });
+});
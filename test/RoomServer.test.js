@@ -0,0 +1,219 @@
+// @vitest-environment node
+// test/RoomServer.test.js - Rooms on a real RoomServer, with ws clients standing in for devices
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import WebSocket from 'ws';
+import { RoomServer } from '../server/RoomServer.js';
+import { encodeMessage, decodeMessage } from '../src/utils/RoomProtocol.js';
+
+// The engines' `window.X = X` debug globals need somewhere to go, as in server/index.js
+globalThis.window ??= globalThis;
+
+/**
+ * A connection to the room server that queues what it receives
+ */
+async function connect(port) {
+  const socket = new WebSocket(`ws://localhost:${port}`);
+  const messages = [];
+  const waiters = [];
+  socket.on('message', raw => {
+    const message = decodeMessage(raw);
+    messages.push(message);
+    waiters.filter(waiter => waiter.match(message)).forEach(waiter => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    });
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  return {
+    socket,
+    messages,
+    send(type, payload = {}) {
+      socket.send(encodeMessage(type, payload));
+    },
+    // The next message that matches, counting from now
+    next(match) {
+      return new Promise(resolve => waiters.push({ match, resolve }));
+    },
+    close() {
+      socket.close();
+    }
+  };
+}
+
+const isType = type => message => message.type === type;
+
+describe('RoomServer', () => {
+  let server;
+  let port;
+  let clients;
+
+  beforeEach(() => {
+    server = new RoomServer({ port: 0, tickInterval: 10 }).start();
+    port = server.wss.address().port;
+    clients = [];
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.close());
+    server.stop();
+  });
+
+  /**
+   * Join a room on a new connection
+   * @returns {Object} - The client, with the playerId and token it joined with
+   */
+  async function join(type, payload) {
+    const client = await connect(port);
+    clients.push(client);
+    const joined = client.next(message => message.type === 'roomJoined' || message.type === 'error');
+    client.send(type, payload);
+    const reply = await joined;
+    Object.assign(client, { reply, code: reply.code, playerId: reply.playerId, token: reply.token });
+    return client;
+  }
+
+  /**
+   * Create a room for a game and join it with more players
+   * @returns {Array} - The clients, host first
+   */
+  async function openRoom(gameId, playerCount) {
+    const host = await join('createRoom', { gameId, name: 'Host' });
+    for (let i = 1; i < playerCount; i++) {
+      await join('joinRoom', { code: host.code, name: `Guest ${i}` });
+    }
+    return [...clients];
+  }
+
+  /**
+   * Create a room for a game, join it with more players and start it
+   * @returns {Array} - The clients, host first, each with its playerId
+   */
+  async function startRoom(gameId, playerCount) {
+    const [host] = await openRoom(gameId, playerCount);
+
+    const started = clients.map(client => client.next(message => message.type === 'op' && message.op.kind === 'initialize'));
+    host.send('startGame');
+    await Promise.all(started);
+    return clients;
+  }
+
+  it('only lets a connection act for its own player', async () => {
+    const [host, guest] = await startRoom('uno-ar', 2);
+
+    for (const playerId of [guest.playerId, 'player-3']) {
+      const error = host.next(isType('error'));
+      host.send('action', { inputType: 'callUno', data: { playerId } });
+      expect((await error).message).toBe('Cannot act for another player');
+    }
+
+    // Without a playerId the action is the connection's own
+    const op = host.next(isType('op'));
+    host.send('action', { inputType: 'callUno', data: {} });
+    expect((await op).op.data.playerId).toBe(host.playerId);
+  });
+
+  it('keeps simulated games the same on every replica, however late it joined', async () => {
+    // Imported once window exists for their debug globals
+    const { RoomClient } = await import('../src/utils/RoomClient.js');
+    const { SimpleGameEngine } = await import('../src/games/SimpleARGame.js');
+
+    async function attachReplica(enterRoom) {
+      const room = new RoomClient({ url: `ws://localhost:${port}`, createSocket: url => new WebSocket(url) });
+      clients.push({ close: () => room.leaveRoom() });
+      await enterRoom(room);
+      const engine = new SimpleGameEngine();
+      room.attachEngine(engine);
+      return { room, engine };
+    }
+
+    function throwObject({ room, engine }, x) {
+      const thrown = new Promise(resolve => room.once('op', ({ op }) => resolve(op)));
+      engine.handleInput('throw', { type: 'cube', position: { x, y: 1, z: -1 }, velocity: { x: 0, y: 2, z: -1 } });
+      return thrown;
+    }
+
+    const host = await attachReplica(room => room.createRoom('simple-ar', { name: 'Host' }));
+    await host.room.startGame();
+
+    const first = await throwObject(host, 0);
+    await vi.waitFor(() => expect(host.engine.getTick()).toBeGreaterThan(first.tick + 5));
+    const second = await throwObject(host, 0.5);
+    expect(second.tick).toBeGreaterThan(first.tick);
+
+    // The guest replays the throws at the ticks the server made them
+    const guest = await attachReplica(room => room.joinRoom(host.room.code, { name: 'Guest' }));
+    await vi.waitFor(() => expect(guest.engine.getTick()).toBeGreaterThan(second.tick));
+
+    const authority = server.rooms.get(host.room.code).engine;
+    const tick = Math.max(authority.getTick(), host.engine.getTick(), guest.engine.getTick()) + 30;
+    [authority, host.engine, guest.engine].forEach(engine => engine.advanceToTick(tick));
+
+    const positions = engine => engine.world.toJSON().entities.map(({ components }) => components.Transform.position);
+    expect(positions(authority)).toHaveLength(2);
+    expect(positions(authority)[0]).not.toEqual({ x: 0, y: 1, z: -1 });
+    expect(positions(host.engine)).toEqual(positions(authority));
+    expect(positions(guest.engine)).toEqual(positions(authority));
+  });
+
+  describe('in a full room', () => {
+    // UNO seats four
+    async function fillAndDrop() {
+      const players = await openRoom('uno-ar', 4);
+      const [host, , , dropped] = players;
+      const left = host.next(message => message.type === 'members' &&
+        message.members.some(member => member.playerId === dropped.playerId && !member.connected));
+      dropped.close();
+      await left;
+      return { host, dropped, room: server.rooms.get(host.code) };
+    }
+
+    it('keeps a disconnected player\'s seat from new players', async () => {
+      const { host, room } = await fillAndDrop();
+
+      const stranger = await join('joinRoom', { code: host.code, name: 'Stranger' });
+      expect(stranger.reply.type).toBe('error');
+      expect(stranger.reply.message).toBe('Room is full');
+      expect(room.members.size).toBe(4);
+    });
+
+    it('lets a disconnected player rejoin without going over the engine\'s seats', async () => {
+      const { host, dropped, room } = await fillAndDrop();
+      await join('joinRoom', { code: host.code, name: 'Stranger' });
+
+      const rejoined = await join('joinRoom', { code: host.code, playerId: dropped.playerId, token: dropped.token });
+      expect(rejoined.reply.type).toBe('roomJoined');
+      expect(rejoined.playerId).toBe(dropped.playerId);
+      expect(room.engine.getPlayers()).toHaveLength(4);
+    });
+  });
+
+  it.each([
+    ['uno-ar', 'hand'],
+    ['poker-ar', 'holeCards']
+  ])('never sends %s players anyone else\'s cards', async (gameId, handField) => {
+    const players = await startRoom(gameId, 3);
+    const engine = [...server.rooms.values()][0].engine;
+    const actor = players.find(client => client.playerId === engine.getObservableState(client.playerId).public.currentPlayerId);
+    const watcher = players.find(client => client !== actor);
+
+    // Drawing adds cards to a hand mid-game, not just at the deal
+    if (gameId === 'uno-ar') {
+      const drawn = watcher.next(message => message.type === 'op' && message.op.kind === 'input');
+      actor.send('action', { inputType: 'draw', data: {} });
+      expect((await drawn).events.find(({ event }) => event === 'cardDrawn').data).not.toHaveProperty('cards');
+    }
+
+    const ops = watcher.messages.filter(message => message.type === 'op');
+    expect(ops.find(message => message.op.kind === 'initialize').op.config).not.toHaveProperty('seed');
+    ops.forEach(({ view }) => expect(view.playerId).toBe(watcher.playerId));
+    expect(ops[ops.length - 1].view.private[handField]).toEqual(engine.getPrivateState(watcher.playerId)[handField]);
+
+    const actorCards = engine.getPrivateState(actor.playerId)[handField].map(card => `"${card.id}"`);
+    const received = JSON.stringify(watcher.messages);
+    expect(actorCards.filter(card => received.includes(card))).toEqual([]);
+  });
+});
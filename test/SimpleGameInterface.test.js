@@ -0,0 +1,132 @@
+// test/SimpleGameInterface.test.js - Simple AR game through a whole AR session on the mock WebXR runtime
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SimpleGameEngine, SimpleGameInterface } from '../src/games/SimpleARGame.js';
+import { MockRenderer, MockXRRuntime } from '../src/utils/MockXRRuntime.js';
+
+// A floor one metre in front of the viewer
+const FLOOR_HIT = { position: { x: 0, y: 0, z: -1 } };
+
+function getButton(label) {
+  return Array.from(document.querySelectorAll('#simple-ar-controls button'))
+    .find(button => button.textContent === label);
+}
+
+describe('SimpleGameInterface on MockXRRuntime', () => {
+  let runtime;
+  let engine;
+  let gameInterface;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<canvas id="canvas"></canvas><div id="overlay"></div>';
+
+    runtime = new MockXRRuntime();
+    engine = new SimpleGameEngine();
+    engine.initializeGame({ seed: 1 });
+    gameInterface = new SimpleGameInterface(engine, 'simple-ar', {
+      xr: runtime,
+      createRenderer: options => new MockRenderer(options)
+    });
+  });
+
+  afterEach(() => {
+    gameInterface.cleanup();
+    engine.cleanup();
+    document.body.innerHTML = '';
+  });
+
+  it('starts an AR session with the features it needs', async () => {
+    expect(await gameInterface.initialize()).toBe(true);
+
+    expect(gameInterface.mode).toBe('ar');
+    expect(gameInterface.isActive).toBe(true);
+    expect(engine.isRunning).toBe(true);
+    // The session only runs the clock - the game keeps its own state
+    expect(engine.getState()).toBe('playing');
+    expect(runtime.sessionRequests[0].mode).toBe('immersive-ar');
+    expect(runtime.activeSession.enabledFeatures).toEqual(expect.arrayContaining(['hit-test', 'dom-overlay', 'anchors']));
+    expect(document.getElementById('simple-ar-controls')).not.toBeNull();
+  });
+
+  it('places, spawns, clears and exits', async () => {
+    await gameInterface.initialize();
+
+    // Place: the reticle finds the floor, which becomes the surface objects land on
+    runtime.setHitTestResults([FLOOR_HIT]);
+    runtime.step();
+    expect(gameInterface.reticle.visible).toBe(true);
+    expect(gameInterface.getHitPose().planeOrientation).toBe('horizontal');
+    expect(engine.getSurface().position).toEqual({ x: 0, y: 0, z: -1 });
+
+    // Spawn: a tap drops an object onto the floor where it was tapped
+    runtime.select();
+    expect(engine.getObjectCount()).toBe(1);
+    const [tapped] = engine.getObjects();
+    expect(tapped.components.Transform.position).toMatchObject({ x: 0, z: -1 });
+    expect(gameInterface.renderables.get(tapped.id)).not.toBeNull();
+
+    for (let i = 0; i < 120; i++) {
+      runtime.step();
+    }
+    const landed = engine.getObjects()[0].components.Transform.position;
+    expect(landed.y).toBeCloseTo(engine.getObjectRadius(tapped.id), 2);
+
+    getButton('Spawn Cube').click();
+    expect(engine.getObjectCount()).toBe(2);
+    expect(gameInterface.renderables.objects.size).toBe(2);
+
+    // Clear: every object and its mesh goes, and the clear can be undone
+    getButton('Clear All').click();
+    expect(engine.getObjectCount()).toBe(0);
+    expect(gameInterface.renderables.objects.size).toBe(0);
+    expect(getButton('Undo').disabled).toBe(false);
+
+    getButton('Undo').click();
+    expect(engine.getObjectCount()).toBe(2);
+    expect(gameInterface.renderables.objects.size).toBe(2);
+
+    // Exit: leaving AR from the system UI tears the session down
+    const session = runtime.activeSession;
+    await runtime.endSession();
+    expect(gameInterface.isActive).toBe(false);
+    expect(gameInterface.xrSession).toBeNull();
+    expect(gameInterface.renderables).toBeNull();
+    expect(gameInterface.reticle).toBeNull();
+    expect(engine.isRunning).toBe(false);
+    expect(session.hitTestSources.size).toBe(0);
+    expect(runtime.step()).toBe(0);
+  });
+
+  it('ends the session and removes its controls when the game exits', async () => {
+    await gameInterface.initialize();
+    const session = runtime.activeSession;
+    const removeListener = vi.spyOn(session, 'removeEventListener');
+
+    gameInterface.endSession();
+    expect(removeListener).toHaveBeenCalledWith('visibilitychange', expect.any(Function));
+    expect(runtime.activeSession).toBeNull();
+    expect(gameInterface.isActive).toBe(false);
+    expect(document.getElementById('simple-ar-controls')).toBeNull();
+  });
+
+  it('ignores taps while no surface is found', async () => {
+    await gameInterface.initialize();
+
+    runtime.setHitTestResults([]);
+    runtime.step();
+    runtime.select();
+    expect(gameInterface.reticle.visible).toBe(false);
+    expect(engine.getObjectCount()).toBe(0);
+  });
+
+  it('fails to start when the device lacks a required feature', async () => {
+    runtime = new MockXRRuntime({ supportedFeatures: ['viewer', 'local'] });
+    gameInterface = new SimpleGameInterface(engine, 'simple-ar', {
+      xr: runtime,
+      createRenderer: options => new MockRenderer(options)
+    });
+
+    expect(await gameInterface.initialize()).toBe(false);
+    expect(runtime.activeSession).toBeNull();
+    expect(gameInterface.isActive).toBe(false);
+  });
+});
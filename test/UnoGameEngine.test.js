@@ -0,0 +1,243 @@
+// test/UnoGameEngine.test.js - UNO rules on stacked decks
+import { describe, expect, it } from 'vitest';
+import { UnoGameEngine } from '../src/games/UnoARGame.js';
+import { Card } from '../src/utils/Cards.js';
+
+let cardCount = 0;
+
+// 'red-5 blue-skip wild' -> UNO cards
+function unoCards(text) {
+  if (!text) return [];
+  return text.split(' ').map(spec => {
+    const [color, value] = spec.includes('-') ? spec.split('-') : [null, spec];
+    return new Card({ id: `test-${++cardCount}`, color, value });
+  });
+}
+
+/**
+ * Start a game whose deck deals these hands and flips this start card.
+ * The seeded shuffle is replaced by the stacked order, so every draw is known.
+ * @param {Object} options - { hands: ['red-1 red-2', ...], start: 'red-5', draws, ...config }
+ */
+function createGame({ hands, start, draws = '', ...config }) {
+  const engine = new UnoGameEngine();
+  const handCards = hands.map(unoCards);
+  const handSize = handCards[0].length;
+  if (handCards.some(hand => hand.length !== handSize)) {
+    throw new Error('Every hand is dealt the same number of cards');
+  }
+
+  const dealOrder = [];
+  for (let i = 0; i < handSize; i++) {
+    handCards.forEach(hand => dealOrder.push(hand[i]));
+  }
+  dealOrder.push(...unoCards(start), ...unoCards(draws));
+  const filler = unoCards(Array(20).fill('yellow-0').join(' '));
+
+  // Cards are drawn off the end
+  engine.drawPile.shuffle = function () {
+    this.cards = [...filler, ...[...dealOrder].reverse()];
+    return this;
+  };
+  engine.initializeGame({ playerCount: hands.length, handSize, seed: 1, ...config });
+  return engine;
+}
+
+function findCard(engine, playerId, color, value) {
+  return engine.getHand(playerId).find(card => card.color === color && card.value === value);
+}
+
+function play(engine, playerId, color, value, chosenColor) {
+  const card = findCard(engine, playerId, color, value);
+  return engine.playCard(playerId, card.id, chosenColor);
+}
+
+function recordRejections(engine) {
+  const rejected = [];
+  engine.on('invalidMove', ({ action, reason }) => rejected.push({ action, reason }));
+  return rejected;
+}
+
+describe('UnoGameEngine', () => {
+  it('treats a reverse as a skip with two players', () => {
+    const engine = createGame({ hands: ['red-reverse red-1 blue-2', 'green-3 green-4 blue-5'], start: 'red-5' });
+
+    expect(play(engine, 'player-1', 'red', 'reverse')).toBe(true);
+    expect(engine.direction).toBe(-1);
+    expect(engine.getCurrentPlayerId()).toBe('player-1');
+  });
+
+  describe('wild draw four', () => {
+    it('is refused while the player holds the current colour', () => {
+      const engine = createGame({ hands: ['wildDrawFour red-1 blue-2', 'green-3 green-4 blue-5'], start: 'red-5' });
+      const rejected = recordRejections(engine);
+
+      expect(play(engine, 'player-1', null, 'wildDrawFour', 'blue')).toBe(false);
+      expect(rejected).toEqual([{ action: 'play', reason: 'Card does not match colour or value' }]);
+      expect(engine.getHand('player-1')).toHaveLength(3);
+      expect(engine.getCurrentPlayerId()).toBe('player-1');
+    });
+
+    it('makes the next player draw four and miss their turn when legal', () => {
+      const engine = createGame({
+        hands: ['wildDrawFour blue-1 green-2', 'green-3 green-4 blue-5'],
+        start: 'red-5',
+        draws: 'red-6 red-7 red-8 red-9'
+      });
+
+      expect(play(engine, 'player-1', null, 'wildDrawFour', 'blue')).toBe(true);
+      expect(engine.currentColor).toBe('blue');
+      expect(engine.getHand('player-2').map(card => card.value)).toEqual(expect.arrayContaining(['6', '7', '8', '9']));
+      expect(engine.getHand('player-2')).toHaveLength(7);
+      expect(engine.getCurrentPlayerId()).toBe('player-1');
+    });
+
+    it('can be played on any hand when the strict rule is off', () => {
+      const engine = createGame({
+        hands: ['wildDrawFour red-1 blue-2', 'green-3 green-4 blue-5'],
+        start: 'red-5',
+        strictWildDrawFour: false
+      });
+
+      expect(play(engine, 'player-1', null, 'wildDrawFour', 'green')).toBe(true);
+      expect(engine.getHand('player-2')).toHaveLength(7);
+    });
+  });
+
+  describe('start card', () => {
+    it('makes the first player draw two and miss their turn', () => {
+      const engine = createGame({
+        hands: ['red-1 red-2', 'blue-1 blue-2', 'green-1 green-2'],
+        start: 'red-drawTwo',
+        draws: 'yellow-1 yellow-2'
+      });
+
+      expect(engine.getHand('player-1')).toHaveLength(4);
+      expect(engine.getCurrentPlayerId()).toBe('player-2');
+    });
+
+    it('skips the first player', () => {
+      const engine = createGame({ hands: ['red-1 red-2', 'blue-1 blue-2', 'green-1 green-2'], start: 'red-skip' });
+
+      expect(engine.getHand('player-1')).toHaveLength(2);
+      expect(engine.getCurrentPlayerId()).toBe('player-2');
+    });
+
+    it('reverses play so the dealer, in the last seat, goes first', () => {
+      const engine = createGame({ hands: ['red-1 red-2', 'blue-1 blue-2', 'green-1 green-2'], start: 'red-reverse' });
+
+      expect(engine.direction).toBe(-1);
+      expect(engine.getCurrentPlayerId()).toBe('player-3');
+    });
+  });
+
+  describe('UNO', () => {
+    it('costs a player who missed it the penalty when caught', () => {
+      const engine = createGame({ hands: ['red-1 red-2', 'green-3 green-4'], start: 'red-5', draws: 'yellow-1 yellow-2' });
+      const penalties = [];
+      engine.on('unoPenalty', data => penalties.push(data));
+
+      play(engine, 'player-1', 'red', '1');
+      expect(engine.unoVulnerablePlayerId).toBe('player-1');
+
+      expect(engine.challengeUno('player-2', 'player-1')).toBe(true);
+      expect(penalties).toEqual([expect.objectContaining({ playerId: 'player-1', challengerId: 'player-2', count: 2 })]);
+      expect(engine.getHand('player-1')).toHaveLength(3);
+
+      // Caught once, the player can't be challenged again
+      expect(engine.challengeUno('player-2', 'player-1')).toBe(false);
+      expect(engine.getHand('player-1')).toHaveLength(3);
+    });
+
+    it('protects a player who called it before playing their second-last card', () => {
+      const engine = createGame({ hands: ['red-1 red-2 red-9', 'red-3 green-4 blue-5'], start: 'red-5' });
+      play(engine, 'player-1', 'red', '9');
+      play(engine, 'player-2', 'red', '3');
+
+      expect(engine.callUno('player-1')).toBe(true);
+      play(engine, 'player-1', 'red', '1');
+      expect(engine.unoVulnerablePlayerId).toBeNull();
+      expect(engine.challengeUno('player-2', 'player-1')).toBe(false);
+      expect(engine.getHand('player-1')).toHaveLength(1);
+    });
+
+    it('can no longer be challenged once the next player acts', () => {
+      const engine = createGame({ hands: ['red-1 red-2', 'red-3 green-4'], start: 'red-5' });
+
+      play(engine, 'player-1', 'red', '1');
+      play(engine, 'player-2', 'red', '3');
+      expect(engine.challengeUno('player-2', 'player-1')).toBe(false);
+      expect(engine.getHand('player-1')).toHaveLength(1);
+    });
+  });
+
+  describe('removePlayer', () => {
+    const hands = ['red-1 red-2', 'blue-1 blue-2', 'green-1 green-2'];
+
+    it('hands the turn to the next player when the current player leaves', () => {
+      const engine = createGame({ hands, start: 'red-5' });
+      const turns = [];
+      engine.on('turnChanged', ({ playerId }) => turns.push(playerId));
+      const drawPileCount = engine.drawPile.size;
+
+      engine.removePlayer('player-1');
+      expect(engine.turnOrder).toEqual(['player-2', 'player-3']);
+      expect(engine.getCurrentPlayerId()).toBe('player-2');
+      expect(turns).toEqual(['player-2']);
+      // Their cards go back under the draw pile
+      expect(engine.drawPile.size).toBe(drawPileCount + 2);
+      expect(engine.drawPile.cards[0].color).toBe('red');
+    });
+
+    it('follows the direction of play when play is reversed', () => {
+      const engine = createGame({ hands, start: 'red-reverse' });
+      expect(engine.getCurrentPlayerId()).toBe('player-3');
+
+      engine.removePlayer('player-3');
+      expect(engine.getCurrentPlayerId()).toBe('player-2');
+    });
+
+    it('keeps the turn with the same player when someone else leaves', () => {
+      const engine = createGame({ hands, start: 'red-5' });
+      play(engine, 'player-1', 'red', '1');
+      expect(engine.getCurrentPlayerId()).toBe('player-2');
+
+      engine.removePlayer('player-1');
+      expect(engine.getCurrentPlayerId()).toBe('player-2');
+    });
+
+    it('makes the last player left the winner, scoring nothing for the leavers\' cards', () => {
+      const engine = createGame({ hands: ['red-1 red-2', 'blue-1 blue-2'], start: 'red-5' });
+
+      engine.removePlayer('player-1');
+      expect(engine.getState()).toBe('finished');
+      expect(engine.winnerId).toBe('player-2');
+    });
+  });
+
+  it('saves a round in progress, hands and draw pile included', () => {
+    const engine = new UnoGameEngine();
+    engine.initializeGame({ playerCount: 3, seed: 5 });
+    engine.handleInput('draw', { playerId: engine.getCurrentPlayerId() });
+
+    const restored = new UnoGameEngine();
+    expect(restored.restore(engine.serialize())).toBe(true);
+    engine.turnOrder.forEach(playerId => {
+      expect(restored.getObservableState(playerId)).toEqual(engine.getObservableState(playerId));
+    });
+    expect(restored.drawPile.cards).toEqual(engine.drawPile.cards);
+    expect(restored.random()).toBe(engine.random());
+  });
+
+  it('scores the cards left in the other hands for the winner', () => {
+    const engine = createGame({ hands: ['red-skip red-1', 'wild blue-7'], start: 'red-5' });
+    const wins = [];
+    engine.on('gameWon', data => wins.push(data));
+
+    // Two players: the skip comes straight back round
+    play(engine, 'player-1', 'red', 'skip');
+    play(engine, 'player-1', 'red', '1');
+    expect(wins).toEqual([expect.objectContaining({ playerId: 'player-1', points: 50 + 7 })]);
+    expect(engine.getPlayer('player-1').score).toBe(57);
+  });
+});
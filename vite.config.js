@@ -9,6 +9,13 @@ export default defineConfig({
             terminal()
         ],
     server: {
-        allowedHosts: ['.ngrok-free.app']
+        allowedHosts: ['.ngrok-free.app'],
+        proxy: {
+            // Multiplayer rooms - start the room server with `npm run server`
+            '/rooms': {
+                target: 'ws://localhost:8787',
+                ws: true
+            }
+        }
     }
 })
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { defineConfig } from 'vitest/config'
+import { fileURLToPath } from 'node:url'
+
+// Kept apart from vite.config.js so tests don't open an ngrok tunnel
+export default defineConfig({
+    resolve: {
+        alias: {
+            // The same Node stand-in the room server uses for vite-plugin-terminal
+            'virtual:terminal': fileURLToPath(new URL('./server/terminal.js', import.meta.url))
+        }
+    },
+    test: {
+        environment: 'jsdom',
+        include: ['test/**/*.test.js'],
+        // Game modules log a lot - only show it for failing tests
+        silent: 'passed-only'
+    }
+})